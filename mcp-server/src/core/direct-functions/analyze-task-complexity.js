@@ -25,10 +25,12 @@ import { createLogWrapper } from '../../tools/utils.js'; // Import the new utili
  * @param {Object} log - Logger object
  * @param {Object} [context={}] - Context object containing session data
  * @param {Object} [context.session] - MCP session object
+ * @param {Function} [context.reportProgress] - Progress callback when run as a background operation
+ * @param {AbortSignal} [context.signal] - Abort signal when run as a background operation
  * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
  */
 export async function analyzeTaskComplexityDirect(args, log, context = {}) {
-	const { session } = context;
+	const { session, reportProgress, signal } = context;
 	const {
 		tasksJsonPath,
 		outputPath,
@@ -108,9 +110,11 @@ export async function analyzeTaskComplexityDirect(args, log, context = {}) {
 			// --- Call Core Function (Pass context separately) ---
 			// Pass coreOptions as the first argument
 			// Pass context object { session, mcpLog } as the second argument
+			reportProgress?.({ message: 'Analyzing task complexity' });
 			coreResult = await analyzeTaskComplexity(coreOptions, {
 				session,
 				mcpLog: logWrapper,
+				signal,
 				commandName: 'analyze-complexity',
 				outputType: 'mcp'
 			});
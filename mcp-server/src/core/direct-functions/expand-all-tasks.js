@@ -19,11 +19,11 @@ import { createLogWrapper } from '../../tools/utils.js';
  * @param {boolean} [args.force] - Force regeneration of subtasks for tasks that already have them
  * @param {string} [args.projectRoot] - Project root path.
  * @param {Object} log - Logger object from FastMCP
- * @param {Object} context - Context object containing session
+ * @param {Object} context - Context object containing session, and reportProgress and signal when run as a background operation
  * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
  */
 export async function expandAllTasksDirect(args, log, context = {}) {
-	const { session } = context; // Extract session
+	const { session, reportProgress, signal } = context;
 	// Destructure expected args, including projectRoot
 	const { tasksJsonPath, num, research, prompt, force, projectRoot } = args;
 
@@ -60,7 +60,7 @@ export async function expandAllTasksDirect(args, log, context = {}) {
 			useResearch,
 			additionalContext,
 			forceFlag,
-			{ session, mcpLog, projectRoot },
+			{ session, mcpLog, projectRoot, reportProgress, signal },
 			'json'
 		);
 
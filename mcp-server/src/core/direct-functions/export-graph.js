@@ -0,0 +1,75 @@
+/**
+ * export-graph.js
+ * Direct function implementation for exporting the dependency graph
+ */
+
+import { exportDependencyGraph } from '../../../../scripts/modules/task-manager/export-graph.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+import { createLogWrapper } from '../../tools/utils.js';
+
+/**
+ * Direct function wrapper for exporting a tag's dependency graph.
+ *
+ * @param {Object} args - Command arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file
+ * @param {string} args.projectRoot - Project root path
+ * @param {string} [args.format] - mermaid, dot or json (default: mermaid)
+ * @param {string} [args.status] - Only tasks and subtasks with these statuses
+ * @param {string} [args.id] - Only the subtree rooted at this task or subtask
+ * @param {string} [args.output] - File to write the graph to
+ * @param {string} [args.tag] - Tag to export (defaults to the current tag)
+ * @param {Object} log - Logger object
+ * @param {Object} context - Additional context (session)
+ * @returns {Promise<Object>} - Result object { success: boolean, data?: any, error?: { code: string, message: string } }
+ */
+export async function exportGraphDirect(args, log, context = {}) {
+	const { tasksJsonPath, projectRoot, format, status, id, output, tag } = args;
+	const { session } = context;
+
+	if (!tasksJsonPath) {
+		log.error('exportGraphDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	enableSilentMode();
+	const mcpLog = createLogWrapper(log);
+
+	try {
+		const result = await exportDependencyGraph(
+			tasksJsonPath,
+			{ format, status, id, output },
+			{ session, mcpLog, projectRoot, tag },
+			'json'
+		);
+
+		disableSilentMode();
+
+		return {
+			success: true,
+			data: {
+				...result,
+				message: `Exported ${result.nodeCount} tasks and subtasks of tag ${result.tag} as ${result.format}${result.cycles.length > 0 ? ` with ${result.cycles.length} dependency cycle(s)` : ''}`
+			}
+		};
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error in exportGraphDirect: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'EXPORT_GRAPH_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -0,0 +1,99 @@
+/**
+ * integration-health.js
+ * Direct function implementation for reporting event system health
+ */
+
+import {
+	getEventManager,
+	getIntegrationStatus
+} from '../../../../scripts/modules/events/index.js';
+import { circuitBreakerRegistry } from '../../../../scripts/modules/events/circuit-breaker.js';
+
+const SECRET_KEY_PATTERN = /key|token|secret|password/i;
+
+/**
+ * Replace secret values (API keys, tokens) in an integration config
+ * @param {Object} config - Integration config
+ * @returns {Object} Config safe to return to clients
+ */
+function redactConfig(config = {}) {
+	return Object.fromEntries(
+		Object.entries(config).map(([name, value]) => [
+			name,
+			SECRET_KEY_PATTERN.test(name) && value ? '[redacted]' : value
+		])
+	);
+}
+
+/**
+ * Direct function wrapper for the event system health, integration status and
+ * circuit breaker states. Optionally resets circuit breakers first, so an
+ * integration that tripped its breaker is called again.
+ *
+ * @param {Object} args - Command arguments
+ * @param {string} [args.resetCircuitBreaker] - Name of the breaker to reset, or 'all'
+ * @param {Object} log - Logger object
+ * @returns {Promise<Object>} - Result object { success: boolean, data?: any, error?: { code: string, message: string } }
+ */
+export async function integrationHealthDirect(args, log) {
+	const { resetCircuitBreaker } = args;
+
+	try {
+		const reset = [];
+		if (resetCircuitBreaker === 'all') {
+			reset.push(...circuitBreakerRegistry.breakers.keys());
+			circuitBreakerRegistry.resetAll();
+		} else if (resetCircuitBreaker) {
+			if (!circuitBreakerRegistry.breakers.has(resetCircuitBreaker)) {
+				return {
+					success: false,
+					error: {
+						code: 'CIRCUIT_BREAKER_NOT_FOUND',
+						message: `No circuit breaker named "${resetCircuitBreaker}". Known breakers: ${[...circuitBreakerRegistry.breakers.keys()].join(', ') || 'none'}`
+					}
+				};
+			}
+			circuitBreakerRegistry.getBreaker(resetCircuitBreaker).reset();
+			reset.push(resetCircuitBreaker);
+		}
+		if (reset.length > 0) {
+			log.info(`Reset circuit breaker(s): ${reset.join(', ')}`);
+		}
+
+		const manager = getEventManager();
+		const { circuitBreakers, ...health } = manager.getSystemHealth();
+		const integrations = Object.fromEntries(
+			Object.entries(getIntegrationStatus() || {}).map(([name, status]) => [
+				name,
+				{ ...status, config: redactConfig(status.config) }
+			])
+		);
+		const unhealthyBreakers = circuitBreakerRegistry.getUnhealthyBreakers();
+
+		return {
+			success: true,
+			data: {
+				initialized: manager.initialized,
+				health,
+				integrations,
+				circuitBreakers,
+				unhealthyBreakers,
+				...(reset.length > 0 && { reset }),
+				message: !manager.initialized
+					? 'Event system is not initialized in this process'
+					: unhealthyBreakers.length > 0
+						? `Unhealthy circuit breakers: ${unhealthyBreakers.join(', ')}`
+						: `Event system ${health.status || 'running'}, ${Object.keys(integrations).length} integration(s) registered`
+			}
+		};
+	} catch (error) {
+		log.error(`Error in integrationHealthDirect: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'INTEGRATION_HEALTH_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -0,0 +1,169 @@
+/**
+ * linear-sync-all.js
+ * Direct function implementation for the full Linear sync (labels and issues)
+ */
+
+import { pullLinearChanges } from '../../../../scripts/modules/linear-pull-sync.js';
+import { CONFLICT_POLICIES } from '../../../../scripts/modules/linear-sync-conflicts.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+import {
+	linearSyncLabelsDirect,
+	resolveLinearApiKey
+} from './linear-sync-labels.js';
+
+/**
+ * Direct function wrapper for syncing labels and pulling issue changes from
+ * Linear. Components run in order and a failing component does not stop the
+ * next one; each reports its own result.
+ *
+ * @param {Object} args - Command arguments
+ * @param {string} args.projectRoot - Project root path
+ * @param {string} [args.teamId] - Linear team for new labels (default: configured team)
+ * @param {boolean} [args.dryRun] - Report what would change without writing anything
+ * @param {boolean} [args.resolveConflicts] - Update local labels that differ from Linear
+ * @param {string} [args.conflictPolicy] - Issue conflict policy (default: from config)
+ * @param {boolean} [args.labelsOnly] - Only sync labels
+ * @param {boolean} [args.pull] - Only pull issue changes
+ * @param {Object} log - Logger object
+ * @param {Object} context - Additional context (session)
+ * @returns {Promise<Object>} - Result object { success: boolean, data?: any, error?: { code: string, message: string } }
+ */
+export async function linearSyncAllDirect(args, log, context = {}) {
+	const {
+		projectRoot,
+		teamId,
+		dryRun = false,
+		resolveConflicts = false,
+		conflictPolicy,
+		labelsOnly = false,
+		pull = false
+	} = args;
+	const { session } = context;
+
+	if (!projectRoot) {
+		log.error('linearSyncAllDirect called without projectRoot');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'projectRoot is required'
+			}
+		};
+	}
+
+	if (labelsOnly && pull) {
+		return {
+			success: false,
+			error: {
+				code: 'INVALID_ARGUMENT',
+				message: 'labelsOnly and pull cannot be combined'
+			}
+		};
+	}
+
+	// Nobody can answer a prompt over MCP
+	if (conflictPolicy === CONFLICT_POLICIES.INTERACTIVE) {
+		return {
+			success: false,
+			error: {
+				code: 'INVALID_ARGUMENT',
+				message:
+					'The interactive conflict policy is not available over MCP. Use local-wins, remote-wins or newest-wins.'
+			}
+		};
+	}
+
+	const components = [];
+
+	if (!pull) {
+		const labels = await linearSyncLabelsDirect(
+			{ projectRoot, teamId, dryRun, resolveConflicts },
+			log,
+			context
+		);
+		components.push(
+			labels.success
+				? { component: 'labels', success: true, ...labels.data }
+				: { component: 'labels', success: false, error: labels.error }
+		);
+	}
+
+	if (!labelsOnly) {
+		components.push(
+			await pullIssues({ projectRoot, dryRun, conflictPolicy }, log, session)
+		);
+	}
+
+	const failed = components.filter((component) => !component.success);
+	return {
+		success: true,
+		data: {
+			dryRun,
+			success: failed.length === 0,
+			components,
+			message:
+				failed.length === 0
+					? `Linear sync ${dryRun ? 'dry run ' : ''}completed`
+					: `Linear sync failed for: ${failed.map((c) => c.component).join(', ')}`
+		}
+	};
+}
+
+/**
+ * Pull issue changes from Linear into the linked tasks
+ * @param {Object} options - Pull options
+ * @param {Object} log - Logger object
+ * @param {Object} session - MCP session
+ * @returns {Promise<Object>} Component result
+ */
+async function pullIssues(
+	{ projectRoot, dryRun, conflictPolicy },
+	log,
+	session
+) {
+	const apiKey = resolveLinearApiKey(session, projectRoot);
+	if (!apiKey) {
+		return {
+			component: 'issues',
+			success: false,
+			error: {
+				code: 'MISSING_API_KEY',
+				message:
+					'LINEAR_API_KEY is not set. Add it to the MCP server env or the project .env file.'
+			}
+		};
+	}
+
+	enableSilentMode();
+
+	try {
+		const result = await pullLinearChanges(apiKey, projectRoot, {
+			dryRun,
+			...(conflictPolicy && { conflictPolicy })
+		});
+
+		disableSilentMode();
+
+		return {
+			component: 'issues',
+			success: result.errors.length === 0,
+			...result,
+			message: `${dryRun ? 'Would update' : 'Updated'} ${result.updated} task(s), ${result.unchanged} unchanged, ${result.conflicts} conflict(s), ${result.errors.length} failed`
+		};
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error pulling Linear issues: ${error.message}`);
+		return {
+			component: 'issues',
+			success: false,
+			error: {
+				code: error.code || 'LINEAR_PULL_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -0,0 +1,152 @@
+/**
+ * linear-sync-labels.js
+ * Direct function implementation for syncing Linear labels
+ */
+
+import { syncLinearLabels } from '../../../../scripts/modules/linear-label-management.js';
+import { getLinearTeamId } from '../../../../scripts/modules/config-manager.js';
+import {
+	enableSilentMode,
+	disableSilentMode,
+	resolveEnvVariable
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Resolve the Linear API key from the MCP session, the project's .env or the
+ * environment
+ * @param {Object} session - MCP session
+ * @param {string} projectRoot - Project root path
+ * @returns {string|undefined} Linear API key
+ */
+export function resolveLinearApiKey(session, projectRoot) {
+	return resolveEnvVariable('LINEAR_API_KEY', session, projectRoot);
+}
+
+/**
+ * Shape a label sync result for MCP clients. Dry runs return the analysis of
+ * what would change; applied syncs return the per-operation summary.
+ * @param {Object} result - Result of syncLinearLabels
+ * @returns {Object} Label sync data
+ */
+function formatLabelSyncResult(result) {
+	if (result.dryRun) {
+		const { summary } = result.analysis;
+		return {
+			dryRun: true,
+			analysis: {
+				teamId: result.analysis.teamId,
+				enabledCategories: result.analysis.enabledCategories,
+				missingLabels: result.analysis.missingLabels,
+				needsSync: result.analysis.needsSync,
+				conflicts: result.analysis.conflicts,
+				recommendations: result.analysis.recommendations,
+				summary
+			},
+			organizationLabelCount: result.organizationLabels?.length || 0,
+			message: `Would create ${summary.totalMissing} label(s), sync ${summary.totalNeedsSync} and found ${summary.totalConflicts} conflict(s)`
+		};
+	}
+
+	return {
+		dryRun: false,
+		summary: result.summary,
+		results: {
+			synced: result.results.sync?.synced || [],
+			created: result.results.creation?.created || [],
+			conflictsResolved: result.results.conflicts?.updated || [],
+			failed: [
+				...(result.results.sync?.failed || []),
+				...(result.results.creation?.failed || []),
+				...(result.results.conflicts?.failed || [])
+			]
+		},
+		message: `Synced ${result.summary.synced}, created ${result.summary.created}, resolved ${result.summary.conflictsResolved} conflict(s), ${result.summary.failed} failed`
+	};
+}
+
+/**
+ * Direct function wrapper for syncing the configured label sets with Linear.
+ *
+ * @param {Object} args - Command arguments
+ * @param {string} args.projectRoot - Project root path
+ * @param {string} [args.teamId] - Linear team for new labels (default: configured team)
+ * @param {boolean} [args.dryRun] - Only analyze what would change
+ * @param {boolean} [args.resolveConflicts] - Update local labels that differ from Linear
+ * @param {Object} log - Logger object
+ * @param {Object} context - Additional context (session)
+ * @returns {Promise<Object>} - Result object { success: boolean, data?: any, error?: { code: string, message: string } }
+ */
+export async function linearSyncLabelsDirect(args, log, context = {}) {
+	const { projectRoot, dryRun = false, resolveConflicts = false } = args;
+	const { session } = context;
+
+	if (!projectRoot) {
+		log.error('linearSyncLabelsDirect called without projectRoot');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'projectRoot is required'
+			}
+		};
+	}
+
+	const apiKey = resolveLinearApiKey(session, projectRoot);
+	if (!apiKey) {
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_API_KEY',
+				message:
+					'LINEAR_API_KEY is not set. Add it to the MCP server env or the project .env file.'
+			}
+		};
+	}
+
+	const teamId = args.teamId || getLinearTeamId(projectRoot);
+	if (!teamId) {
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_TEAM_ID',
+				message:
+					'No Linear team configured. Pass teamId or run the Linear setup wizard.'
+			}
+		};
+	}
+
+	enableSilentMode();
+
+	try {
+		const result = await syncLinearLabels(apiKey, projectRoot, teamId, {
+			dryRun,
+			resolveConflicts
+		});
+
+		disableSilentMode();
+
+		if (result.requiresMigration) {
+			return {
+				success: false,
+				error: {
+					code: 'LABEL_MIGRATION_REQUIRED',
+					message:
+						'The label configuration must be migrated to Linear IDs first. Run linear-sync-labels from the CLI to approve the migration.'
+				}
+			};
+		}
+
+		return { success: true, data: formatLabelSyncResult(result) };
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error in linearSyncLabelsDirect: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'LINEAR_SYNC_LABELS_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -0,0 +1,72 @@
+/**
+ * list-events.js
+ * Direct function implementation for listing dead letter events
+ */
+
+import { listDeadLetterEvents } from '../../../../scripts/modules/task-manager/dead-letter-management.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+import { createLogWrapper } from '../../tools/utils.js';
+
+/**
+ * Direct function wrapper for listing failed integration events.
+ *
+ * @param {Object} args - Command arguments
+ * @param {string} args.projectRoot - Project root path
+ * @param {string} [args.eventType] - Only list events of this type
+ * @param {string} [args.integration] - Only list events for this integration
+ * @param {number} [args.limit] - Maximum number of events to return
+ * @param {Object} log - Logger object
+ * @param {Object} context - Additional context (session)
+ * @returns {Promise<Object>} - Result object { success: boolean, data?: any, error?: { code: string, message: string } }
+ */
+export async function listEventsDirect(args, log, context = {}) {
+	const { projectRoot, eventType, integration, limit } = args;
+	const { session } = context;
+
+	if (!projectRoot) {
+		log.error('listEventsDirect called without projectRoot');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'projectRoot is required'
+			}
+		};
+	}
+
+	enableSilentMode();
+	const mcpLog = createLogWrapper(log);
+
+	try {
+		const result = await listDeadLetterEvents(
+			projectRoot,
+			{ eventType, integration, limit },
+			{ session, mcpLog, projectRoot },
+			'json'
+		);
+
+		disableSilentMode();
+
+		return {
+			success: true,
+			data: {
+				...result,
+				message: `Found ${result.total} failed event(s)`
+			}
+		};
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error in listEventsDirect: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'LIST_EVENTS_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
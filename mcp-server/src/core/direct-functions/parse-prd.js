@@ -21,11 +21,11 @@ import { TASKMASTER_TASKS_FILE } from '../../../../src/constants/paths.js';
  *
  * @param {Object} args - Command arguments containing projectRoot, input, output, numTasks options.
  * @param {Object} log - Logger object.
- * @param {Object} context - Context object containing session data.
+ * @param {Object} context - Context object containing session data, and reportProgress and signal when run as a background operation.
  * @returns {Promise<Object>} - Result object with success status and data/error information.
  */
 export async function parsePRDDirect(args, log, context = {}) {
-	const { session } = context;
+	const { session, reportProgress, signal } = context;
 	// Extract projectRoot from args
 	const {
 		input: inputArg,
@@ -143,6 +143,7 @@ export async function parsePRDDirect(args, log, context = {}) {
 	}
 
 	try {
+		reportProgress?.({ message: `Generating ${numTasks} tasks from the PRD` });
 		// Call the core parsePRD function
 		const result = await parsePRD(
 			inputPath,
@@ -155,6 +156,7 @@ export async function parsePRDDirect(args, log, context = {}) {
 				force,
 				append,
 				research,
+				signal,
 				commandName: 'parse-prd',
 				outputType: 'mcp'
 			},
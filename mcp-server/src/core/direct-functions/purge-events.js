@@ -0,0 +1,81 @@
+/**
+ * purge-events.js
+ * Direct function implementation for purging dead letter events
+ */
+
+import { purgeDeadLetterEvents } from '../../../../scripts/modules/task-manager/dead-letter-management.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+import { createLogWrapper } from '../../tools/utils.js';
+
+/**
+ * Direct function wrapper for permanently deleting failed integration events.
+ *
+ * @param {Object} args - Command arguments
+ * @param {string} args.projectRoot - Project root path
+ * @param {Array<string>} [args.ids] - Event IDs or prefixes to purge
+ * @param {boolean} [args.all=false] - Purge every dead letter event
+ * @param {Object} log - Logger object
+ * @param {Object} context - Additional context (session)
+ * @returns {Promise<Object>} - Result object { success: boolean, data?: any, error?: { code: string, message: string } }
+ */
+export async function purgeEventsDirect(args, log, context = {}) {
+	const { projectRoot, ids = [], all = false } = args;
+	const { session } = context;
+
+	if (!projectRoot) {
+		log.error('purgeEventsDirect called without projectRoot');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'projectRoot is required'
+			}
+		};
+	}
+
+	if (!all && ids.length === 0) {
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_PARAMETER',
+				message: 'Provide event ids to purge or set all to true'
+			}
+		};
+	}
+
+	enableSilentMode();
+	const mcpLog = createLogWrapper(log);
+
+	try {
+		const result = await purgeDeadLetterEvents(
+			projectRoot,
+			all ? null : ids,
+			{ session, mcpLog, projectRoot },
+			'json'
+		);
+
+		disableSilentMode();
+
+		return {
+			success: true,
+			data: {
+				...result,
+				message: `Purged ${result.purged.length} failed event(s)`
+			}
+		};
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error in purgeEventsDirect: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'PURGE_EVENTS_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
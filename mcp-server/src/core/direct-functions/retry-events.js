@@ -0,0 +1,81 @@
+/**
+ * retry-events.js
+ * Direct function implementation for retrying dead letter events
+ */
+
+import { retryDeadLetterEvents } from '../../../../scripts/modules/task-manager/dead-letter-management.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+import { createLogWrapper } from '../../tools/utils.js';
+
+/**
+ * Direct function wrapper for re-delivering failed integration events.
+ *
+ * @param {Object} args - Command arguments
+ * @param {string} args.projectRoot - Project root path
+ * @param {Array<string>} [args.ids] - Event IDs or prefixes to retry
+ * @param {boolean} [args.all=false] - Retry every dead letter event
+ * @param {Object} log - Logger object
+ * @param {Object} context - Additional context (session)
+ * @returns {Promise<Object>} - Result object { success: boolean, data?: any, error?: { code: string, message: string } }
+ */
+export async function retryEventsDirect(args, log, context = {}) {
+	const { projectRoot, ids = [], all = false } = args;
+	const { session } = context;
+
+	if (!projectRoot) {
+		log.error('retryEventsDirect called without projectRoot');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'projectRoot is required'
+			}
+		};
+	}
+
+	if (!all && ids.length === 0) {
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_PARAMETER',
+				message: 'Provide event ids to retry or set all to true'
+			}
+		};
+	}
+
+	enableSilentMode();
+	const mcpLog = createLogWrapper(log);
+
+	try {
+		const result = await retryDeadLetterEvents(
+			projectRoot,
+			all ? null : ids,
+			{ session, mcpLog, projectRoot },
+			'json'
+		);
+
+		disableSilentMode();
+
+		return {
+			success: true,
+			data: {
+				...result,
+				message: `Re-delivered ${result.retried.length}, not retryable ${result.notRetryable.length}, failed ${result.failed.length}`
+			}
+		};
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error in retryEventsDirect: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'RETRY_EVENTS_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -0,0 +1,64 @@
+/**
+ * show-event.js
+ * Direct function implementation for showing a dead letter event
+ */
+
+import { showDeadLetterEvent } from '../../../../scripts/modules/task-manager/dead-letter-management.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+import { createLogWrapper } from '../../tools/utils.js';
+
+/**
+ * Direct function wrapper for showing a failed integration event.
+ *
+ * @param {Object} args - Command arguments
+ * @param {string} args.projectRoot - Project root path
+ * @param {string} args.id - Event ID or unique ID prefix
+ * @param {Object} log - Logger object
+ * @param {Object} context - Additional context (session)
+ * @returns {Promise<Object>} - Result object { success: boolean, data?: any, error?: { code: string, message: string } }
+ */
+export async function showEventDirect(args, log, context = {}) {
+	const { projectRoot, id } = args;
+	const { session } = context;
+
+	if (!projectRoot || !id) {
+		log.error('showEventDirect called without projectRoot or id');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'projectRoot and id are required'
+			}
+		};
+	}
+
+	enableSilentMode();
+	const mcpLog = createLogWrapper(log);
+
+	try {
+		const result = await showDeadLetterEvent(
+			projectRoot,
+			id,
+			{ session, mcpLog, projectRoot },
+			'json'
+		);
+
+		disableSilentMode();
+
+		return { success: true, data: result };
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error in showEventDirect: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'EVENT_NOT_FOUND',
+				message: error.message
+			}
+		};
+	}
+}
@@ -0,0 +1,73 @@
+/**
+ * task-history.js
+ * Direct function implementation for showing recorded task changes
+ */
+
+import { getTaskHistory } from '../../../../scripts/modules/task-manager/task-history.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+import { createLogWrapper } from '../../tools/utils.js';
+
+/**
+ * Direct function wrapper for reading a tag's change history.
+ *
+ * @param {Object} args - Command arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file
+ * @param {string} args.projectRoot - Project root path
+ * @param {string} [args.id] - Only changes to this task or subtask
+ * @param {number} [args.limit] - Maximum entries to return
+ * @param {string} [args.tag] - Tag to show (defaults to the current tag)
+ * @param {Object} log - Logger object
+ * @param {Object} context - Additional context (session)
+ * @returns {Promise<Object>} - Result object { success: boolean, data?: any, error?: { code: string, message: string } }
+ */
+export async function taskHistoryDirect(args, log, context = {}) {
+	const { tasksJsonPath, projectRoot, id, limit, tag } = args;
+	const { session } = context;
+
+	if (!tasksJsonPath) {
+		log.error('taskHistoryDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	enableSilentMode();
+	const mcpLog = createLogWrapper(log);
+
+	try {
+		const result = await getTaskHistory(
+			tasksJsonPath,
+			{ id, limit },
+			{ session, mcpLog, projectRoot, tag },
+			'json'
+		);
+
+		disableSilentMode();
+
+		return {
+			success: true,
+			data: {
+				...result,
+				message: `${result.entries.length} recorded change(s) in tag ${result.tag}`
+			}
+		};
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error in taskHistoryDirect: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'TASK_HISTORY_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
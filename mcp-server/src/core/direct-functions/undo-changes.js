@@ -0,0 +1,72 @@
+/**
+ * undo-changes.js
+ * Direct function implementation for undoing recorded task changes
+ */
+
+import { undoChanges } from '../../../../scripts/modules/task-manager/task-history.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+import { createLogWrapper } from '../../tools/utils.js';
+
+/**
+ * Direct function wrapper for undoing the latest changes of a tag.
+ *
+ * @param {Object} args - Command arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file
+ * @param {string} args.projectRoot - Project root path
+ * @param {number} [args.steps=1] - Number of changes to undo
+ * @param {string} [args.tag] - Tag to undo changes in (defaults to the current tag)
+ * @param {Object} log - Logger object
+ * @param {Object} context - Additional context (session)
+ * @returns {Promise<Object>} - Result object { success: boolean, data?: any, error?: { code: string, message: string } }
+ */
+export async function undoChangesDirect(args, log, context = {}) {
+	const { tasksJsonPath, projectRoot, steps = 1, tag } = args;
+	const { session } = context;
+
+	if (!tasksJsonPath) {
+		log.error('undoChangesDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	enableSilentMode();
+	const mcpLog = createLogWrapper(log);
+
+	try {
+		const result = await undoChanges(
+			tasksJsonPath,
+			steps,
+			{ session, mcpLog, projectRoot, tag },
+			'json'
+		);
+
+		disableSilentMode();
+
+		return {
+			success: true,
+			data: {
+				...result,
+				message: `Undid ${result.undone.length} change(s) in tag ${result.tag}`
+			}
+		};
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error in undoChangesDirect: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'UNDO_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -0,0 +1,73 @@
+/**
+ * usage-report.js
+ * Direct function implementation for reporting AI usage
+ */
+
+import { reportAiUsage } from '../../../../scripts/modules/task-manager/usage-report.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+import { createLogWrapper } from '../../tools/utils.js';
+
+/**
+ * Direct function wrapper for reporting AI token usage and cost.
+ *
+ * @param {Object} args - Command arguments
+ * @param {string} args.projectRoot - Project root path
+ * @param {string} [args.period] - Reporting period: day, month or all
+ * @param {string} [args.since] - Only include calls since this date
+ * @param {string} [args.tag] - Only include calls made for this tag
+ * @param {string} [args.by] - Only break down by this dimension
+ * @param {Object} log - Logger object
+ * @param {Object} context - Additional context (session)
+ * @returns {Promise<Object>} - Result object { success: boolean, data?: any, error?: { code: string, message: string } }
+ */
+export async function usageReportDirect(args, log, context = {}) {
+	const { projectRoot, period, since, tag, by } = args;
+	const { session } = context;
+
+	if (!projectRoot) {
+		log.error('usageReportDirect called without projectRoot');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'projectRoot is required'
+			}
+		};
+	}
+
+	enableSilentMode();
+	const mcpLog = createLogWrapper(log);
+
+	try {
+		const result = await reportAiUsage(
+			projectRoot,
+			{ period, since, tag, by },
+			{ session, mcpLog, projectRoot },
+			'json'
+		);
+
+		disableSilentMode();
+
+		return {
+			success: true,
+			data: {
+				...result,
+				message: `${result.totals.calls} AI call(s) costing $${result.totals.totalCost.toFixed(4)}`
+			}
+		};
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error in usageReportDirect: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'USAGE_REPORT_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -38,6 +38,17 @@ import { listTagsDirect } from './direct-functions/list-tags.js';
 import { useTagDirect } from './direct-functions/use-tag.js';
 import { renameTagDirect } from './direct-functions/rename-tag.js';
 import { copyTagDirect } from './direct-functions/copy-tag.js';
+import { listEventsDirect } from './direct-functions/list-events.js';
+import { showEventDirect } from './direct-functions/show-event.js';
+import { retryEventsDirect } from './direct-functions/retry-events.js';
+import { purgeEventsDirect } from './direct-functions/purge-events.js';
+import { linearSyncLabelsDirect } from './direct-functions/linear-sync-labels.js';
+import { linearSyncAllDirect } from './direct-functions/linear-sync-all.js';
+import { integrationHealthDirect } from './direct-functions/integration-health.js';
+import { usageReportDirect } from './direct-functions/usage-report.js';
+import { taskHistoryDirect } from './direct-functions/task-history.js';
+import { undoChangesDirect } from './direct-functions/undo-changes.js';
+import { exportGraphDirect } from './direct-functions/export-graph.js';
 
 // Re-export utility functions
 export { findTasksPath } from './utils/path-utils.js';
@@ -76,7 +87,18 @@ export const directFunctions = new Map([
 	['listTagsDirect', listTagsDirect],
 	['useTagDirect', useTagDirect],
 	['renameTagDirect', renameTagDirect],
-	['copyTagDirect', copyTagDirect]
+	['copyTagDirect', copyTagDirect],
+	['listEventsDirect', listEventsDirect],
+	['showEventDirect', showEventDirect],
+	['retryEventsDirect', retryEventsDirect],
+	['purgeEventsDirect', purgeEventsDirect],
+	['linearSyncLabelsDirect', linearSyncLabelsDirect],
+	['linearSyncAllDirect', linearSyncAllDirect],
+	['integrationHealthDirect', integrationHealthDirect],
+	['usageReportDirect', usageReportDirect],
+	['taskHistoryDirect', taskHistoryDirect],
+	['undoChangesDirect', undoChangesDirect],
+	['exportGraphDirect', exportGraphDirect]
 ]);
 
 // Re-export all direct function implementations
@@ -113,5 +135,16 @@ export {
 	listTagsDirect,
 	useTagDirect,
 	renameTagDirect,
-	copyTagDirect
+	copyTagDirect,
+	listEventsDirect,
+	showEventDirect,
+	retryEventsDirect,
+	purgeEventsDirect,
+	linearSyncLabelsDirect,
+	linearSyncAllDirect,
+	integrationHealthDirect,
+	usageReportDirect,
+	taskHistoryDirect,
+	undoChangesDirect,
+	exportGraphDirect
 };
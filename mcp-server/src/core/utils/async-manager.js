@@ -0,0 +1,240 @@
+/**
+ * async-manager.js
+ * Background operation manager for long-running MCP tools
+ *
+ * Tools such as parse_prd, expand_all and analyze_project_complexity can hand
+ * their direct function to the manager and return an operation ID at once.
+ * Clients then poll get_operation_status for progress, the result or the error,
+ * and can cancel the operation through the same tool.
+ */
+
+import { randomUUID } from 'crypto';
+import {
+	holdSilentMode,
+	releaseSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Statuses an operation moves through. 'pending' and 'running' are active,
+ * the others are final.
+ */
+export const OPERATION_STATUSES = [
+	'pending',
+	'running',
+	'completed',
+	'failed',
+	'cancelled'
+];
+
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+export class AsyncOperationManager {
+	/**
+	 * @param {Object} [options]
+	 * @param {number} [options.maxCompletedOperations=100] - Finished operations kept for status queries
+	 */
+	constructor({ maxCompletedOperations = 100 } = {}) {
+		this.operations = new Map();
+		this.maxCompletedOperations = maxCompletedOperations;
+	}
+
+	/**
+	 * Start an operation in the background
+	 *
+	 * The function is called like a direct function, `operationFn(args, log, context)`,
+	 * with `context.reportProgress` and an abort `context.signal` added. A result
+	 * of `{ success: false, error }` marks the operation as failed.
+	 *
+	 * @param {Function} operationFn - Direct function to run
+	 * @param {Object} args - Arguments for the direct function
+	 * @param {Object} [context] - Context for the direct function
+	 * @param {string} [context.name] - Operation name shown in status reports (e.g. the tool name)
+	 * @param {Object} [context.log] - Logger passed to the direct function
+	 * @param {Object} [context.session] - MCP session passed to the direct function
+	 * @returns {string} Operation ID
+	 */
+	addOperation(operationFn, args, context = {}) {
+		const { name = operationFn.name || 'operation', log, ...rest } = context;
+		const operationId = `op-${randomUUID()}`;
+		const operation = {
+			id: operationId,
+			name,
+			status: 'pending',
+			startTime: Date.now(),
+			endTime: null,
+			progress: null,
+			result: null,
+			error: null,
+			abortController: new AbortController(),
+			log
+		};
+		this.operations.set(operationId, operation);
+
+		const operationContext = {
+			...rest,
+			signal: operation.abortController.signal,
+			reportProgress: (progress) => this._reportProgress(operationId, progress)
+		};
+
+		// Run on the next tick so the caller can return the ID first
+		operation.promise = Promise.resolve().then(() =>
+			this._runOperation(operation, operationFn, args, operationContext)
+		);
+		return operationId;
+	}
+
+	/**
+	 * Get the public status of an operation
+	 *
+	 * @param {string} operationId - Operation ID
+	 * @returns {Object} Status report; `status` is 'not_found' for unknown IDs
+	 */
+	getStatus(operationId) {
+		const operation = this.operations.get(operationId);
+		if (!operation) {
+			return {
+				id: operationId,
+				status: 'not_found',
+				error: {
+					code: 'OPERATION_NOT_FOUND',
+					message: `Operation ID not found: ${operationId}. It may have expired or never existed.`
+				}
+			};
+		}
+
+		const { id, name, status, startTime, endTime, progress, result, error } =
+			operation;
+		return {
+			id,
+			name,
+			status,
+			startTime: new Date(startTime).toISOString(),
+			endTime: endTime ? new Date(endTime).toISOString() : null,
+			durationMs: (endTime || Date.now()) - startTime,
+			progress,
+			...(status === 'completed' && { result }),
+			...(error && { error })
+		};
+	}
+
+	/**
+	 * Cancel an active operation. The direct function sees the aborted signal
+	 * and stops at its next check (expand_all between tasks, parse_prd and
+	 * analyze_project_complexity before the AI call and before writing);
+	 * whatever it returns afterwards is discarded.
+	 *
+	 * @param {string} operationId - Operation ID
+	 * @returns {Object} Status report after the cancellation
+	 */
+	cancelOperation(operationId) {
+		const operation = this.operations.get(operationId);
+		if (operation && !FINAL_STATUSES.includes(operation.status)) {
+			operation.abortController.abort();
+			this._finish(operation, 'cancelled', {
+				error: {
+					code: 'OPERATION_CANCELLED',
+					message: 'Operation was cancelled'
+				}
+			});
+		}
+		return this.getStatus(operationId);
+	}
+
+	/**
+	 * List the status of all known operations, newest first
+	 *
+	 * @returns {Object[]} Status reports
+	 */
+	listOperations() {
+		return [...this.operations.keys()]
+			.reverse()
+			.map((operationId) => this.getStatus(operationId));
+	}
+
+	/**
+	 * Wait for an operation to settle. Used by tests and shutdown code.
+	 *
+	 * @param {string} operationId - Operation ID
+	 * @returns {Promise<Object>} Final status report
+	 */
+	async waitFor(operationId) {
+		await this.operations.get(operationId)?.promise;
+		return this.getStatus(operationId);
+	}
+
+	async _runOperation(operation, operationFn, args, context) {
+		if (operation.status !== 'pending') return;
+		operation.status = 'running';
+		operation.log?.info(
+			`Operation ${operation.id} (${operation.name}) started`
+		);
+
+		// Other tool calls switch silent mode off when they finish; the hold
+		// keeps console output off the stdio transport until this one ends
+		holdSilentMode();
+		try {
+			const result = await operationFn(args, operation.log, context);
+			if (operation.status !== 'running') return;
+
+			if (result && result.success === false) {
+				this._finish(operation, 'failed', {
+					error: {
+						code: result.error?.code || 'OPERATION_FAILED',
+						message: result.error?.message || 'Operation failed'
+					}
+				});
+			} else {
+				this._finish(operation, 'completed', {
+					result: result?.success === true ? result.data : result
+				});
+			}
+		} catch (error) {
+			if (operation.status !== 'running') return;
+			this._finish(operation, 'failed', {
+				error: {
+					code: error.code || 'OPERATION_FAILED',
+					message: error.message
+				}
+			});
+		} finally {
+			releaseSilentMode();
+		}
+	}
+
+	_reportProgress(operationId, progress) {
+		const operation = this.operations.get(operationId);
+		if (!operation || FINAL_STATUSES.includes(operation.status)) return;
+		operation.progress =
+			typeof progress === 'object' && progress !== null
+				? { ...progress }
+				: { message: String(progress) };
+	}
+
+	_finish(operation, status, { result = null, error = null }) {
+		operation.status = status;
+		operation.endTime = Date.now();
+		operation.result = result;
+		operation.error = error;
+		const level = status === 'completed' ? 'info' : 'warn';
+		operation.log?.[level](
+			`Operation ${operation.id} (${operation.name}) ${status}${error ? `: ${error.message}` : ''}`
+		);
+		this._evictFinished();
+	}
+
+	_evictFinished() {
+		const finished = [...this.operations.values()].filter((operation) =>
+			FINAL_STATUSES.includes(operation.status)
+		);
+		// Map iteration follows insertion order, so the oldest come first
+		for (const operation of finished.slice(
+			0,
+			Math.max(0, finished.length - this.maxCompletedOperations)
+		)) {
+			this.operations.delete(operation.id);
+		}
+	}
+}
+
+// Shared instance used by the MCP server
+export const asyncOperationManager = new AsyncOperationManager();
@@ -0,0 +1,151 @@
+/**
+ * fastmcp-server.js
+ * FastMCP server that announces each session before it connects
+ *
+ * FastMCP emits 'connect' only after a client has initialized, which is too
+ * late to add capabilities to the session's server. This server creates the
+ * sessions itself and emits 'session' with each one right after it is
+ * constructed, before it connects to its transport.
+ */
+
+import { FastMCP, FastMCPSession } from 'fastmcp';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { startHTTPServer } from 'mcp-proxy';
+
+export class TaskMasterFastMCP extends FastMCP {
+	constructor(options) {
+		super(options);
+		// FastMCP keeps these private, so they are tracked here to build sessions
+		this.registered = {
+			prompts: [],
+			resources: [],
+			resourcesTemplates: [],
+			tools: []
+		};
+		this.httpStreamServer = null;
+	}
+
+	addPrompt(prompt) {
+		super.addPrompt(prompt);
+		this.registered.prompts.push(prompt);
+	}
+
+	addResource(resource) {
+		super.addResource(resource);
+		this.registered.resources.push(resource);
+	}
+
+	addResourceTemplate(resource) {
+		super.addResourceTemplate(resource);
+		this.registered.resourcesTemplates.push(resource);
+	}
+
+	addTool(tool) {
+		super.addTool(tool);
+		this.registered.tools.push(tool);
+	}
+
+	/**
+	 * Create a session and emit 'session' before it connects
+	 * @param {string} transportType - 'stdio' or 'httpStream'
+	 * @param {Object} [auth] - Result of the authenticate option
+	 * @returns {FastMCPSession} The session
+	 */
+	createSession(transportType, auth) {
+		const session = new FastMCPSession({
+			auth,
+			instructions: this.options.instructions,
+			name: this.options.name,
+			ping: this.options.ping,
+			...this.registered,
+			roots: this.options.roots,
+			transportType,
+			version: this.options.version
+		});
+		this.emit('session', { session });
+		return session;
+	}
+
+	/**
+	 * Start the server, like FastMCP#start
+	 * @param {Object} [options] - Transport options
+	 */
+	async start(options = { transportType: 'stdio' }) {
+		if (options.transportType === 'stdio') {
+			const session = this.createSession('stdio');
+			await session.connect(new StdioServerTransport());
+			this.sessions.push(session);
+			this.emit('connect', { session });
+		} else if (options.transportType === 'httpStream') {
+			this.httpStreamServer = await startHTTPServer({
+				createServer: async (request) => {
+					const auth = this.options.authenticate
+						? await this.options.authenticate(request)
+						: undefined;
+					return this.createSession('httpStream', auth);
+				},
+				onClose: (session) => {
+					this.emit('disconnect', { session });
+				},
+				onConnect: async (session) => {
+					this.sessions.push(session);
+					this.emit('connect', { session });
+				},
+				onUnhandledRequest: async (req, res) =>
+					this._handleHealthRequest(req, res),
+				port: options.httpStream.port
+			});
+			console.info(
+				`[FastMCP info] server is running on HTTP Stream at http://localhost:${options.httpStream.port}/stream`
+			);
+		} else {
+			throw new Error('Invalid transport type');
+		}
+	}
+
+	async stop() {
+		if (this.httpStreamServer) {
+			await this.httpStreamServer.close();
+			this.httpStreamServer = null;
+		}
+	}
+
+	/**
+	 * Answer the /health and /ready endpoints of the HTTP Stream transport
+	 * @private
+	 */
+	_handleHealthRequest(req, res) {
+		const health = this.options.health ?? {};
+		if (health.enabled !== false && req.method === 'GET') {
+			const url = new URL(req.url || '', 'http://localhost');
+			if (url.pathname === (health.path ?? '/health')) {
+				res
+					.writeHead(health.status ?? 200, { 'Content-Type': 'text/plain' })
+					.end(health.message ?? 'ok');
+				return;
+			}
+			if (url.pathname === '/ready') {
+				const ready = this.sessions.filter((s) => s.isReady).length;
+				const total = this.sessions.length;
+				const allReady = total > 0 && ready === total;
+				res
+					.writeHead(allReady ? 200 : 503, {
+						'Content-Type': 'application/json'
+					})
+					.end(
+						JSON.stringify({
+							ready,
+							status: allReady
+								? 'ready'
+								: total === 0
+									? 'no_sessions'
+									: 'initializing',
+							total
+						})
+					);
+				return;
+			}
+		}
+		res.writeHead(404).end();
+	}
+}
@@ -1,15 +1,17 @@
-import { FastMCP } from 'fastmcp';
 import path from 'path';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
 import logger from './logger.js';
+import { TaskMasterFastMCP } from './fastmcp-server.js';
 import { registerTaskMasterTools } from './tools/index.js';
+import { registerTaskMasterResources } from './resources/index.js';
+import { asyncOperationManager } from './core/utils/async-manager.js';
 import {
 	initializeEventSystem,
 	registerIntegration
 } from '../../scripts/modules/events/index.js';
-import { LinearIntegrationHandler } from '../../scripts/modules/integrations/linear-integration-handler.js';
+import { createConfiguredIntegrations } from '../../scripts/modules/integrations/index.js';
 
 // Load environment variables
 dotenv.config();
@@ -32,12 +34,12 @@ class TaskMasterMCPServer {
 			version: packageJson.version
 		};
 
-		this.server = new FastMCP(this.options);
+		// Announces sessions before they connect, so resources can add capabilities
+		this.server = new TaskMasterFastMCP(this.options);
 		this.initialized = false;
 
-		this.server.addResource({});
-
-		this.server.addResourceTemplate({});
+		// Runs long tool calls (parse_prd, expand_all, ...) in the background
+		this.asyncManager = asyncOperationManager;
 
 		// Bind methods
 		this.init = this.init.bind(this);
@@ -55,38 +57,41 @@ class TaskMasterMCPServer {
 		if (this.initialized) return;
 
 		try {
+			// Register integrations enabled by the environment (e.g. Linear when
+			// LINEAR_API_KEY is set) before initializing, so they are initialized
+			// together with the event system
+			const integrations = createConfiguredIntegrations();
+			for (const integration of integrations) {
+				registerIntegration(integration);
+				this.logger.info(
+					`${integration.getName()} integration registered successfully`
+				);
+			}
+			if (integrations.length === 0) {
+				this.logger.info(
+					'Linear API key not found - Linear integration disabled'
+				);
+			}
+
 			// Initialize the event system for integrations
 			this.logger.info('Initializing TaskMaster event system...');
 			await initializeEventSystem({
 				enableErrorBoundaries: true,
 				enableCircuitBreakers: true,
 				enableHealthMonitoring: true,
-				enableAutoRecovery: true
+				enableAutoRecovery: true,
+				enableDeadLetterQueue: true,
+				// Undelivered events are replayed per project on its first event
+				enablePersistence: true
 			});
 			this.logger.info('Event system initialized successfully');
 
-			// Register Linear integration if API key is available
-			const linearApiKey = process.env.LINEAR_API_KEY;
-			if (linearApiKey) {
-				this.logger.info('Registering Linear integration...');
-				const linearIntegration = new LinearIntegrationHandler({
-					apiKey: linearApiKey,
-					teamId: process.env.LINEAR_TEAM_ID,
-					defaultProjectId: process.env.LINEAR_PROJECT_ID,
-					createIssues: process.env.LINEAR_CREATE_ISSUES !== 'false'
-				});
-
-				registerIntegration(linearIntegration);
-				this.logger.info('Linear integration registered successfully');
-			} else {
-				this.logger.info(
-					'Linear API key not found - Linear integration disabled'
-				);
-			}
-
 			// Pass the manager instance to the tool registration function
 			registerTaskMasterTools(this.server, this.asyncManager);
 
+			// taskmaster:// resources, with change notifications for subscribers
+			this.resourceSubscriptions = registerTaskMasterResources(this.server);
+
 			this.initialized = true;
 		} catch (error) {
 			this.logger.error('Failed to initialize MCP server:', error.message);
@@ -153,6 +158,7 @@ class TaskMasterMCPServer {
 	 * Stop the MCP server
 	 */
 	async stop() {
+		this.resourceSubscriptions?.stop();
 		if (this.server) {
 			await this.server.stop();
 		}
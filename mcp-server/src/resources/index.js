@@ -0,0 +1,84 @@
+/**
+ * resources/index.js
+ * Register the taskmaster:// resources and resource templates
+ */
+
+import {
+	TAGS_URI,
+	loadTags,
+	loadTagTasks,
+	loadTask,
+	loadComplexityReport
+} from './task-resources.js';
+import {
+	ResourceSubscriptions,
+	declareSubscribeCapability
+} from './subscriptions.js';
+import { findProjectRoot } from '../../../scripts/modules/utils.js';
+import logger from '../logger.js';
+
+/**
+ * Resolve the project root served by the resources: TASK_MASTER_PROJECT_ROOT
+ * when set, otherwise the project containing the working directory
+ * @returns {string|null} Project root
+ */
+export function getResourceProjectRoot() {
+	return process.env.TASK_MASTER_PROJECT_ROOT || findProjectRoot();
+}
+
+const asJson = (data) => ({ text: JSON.stringify(data, null, 2) });
+
+/**
+ * Register all Task Master resources with the MCP server
+ * @param {Object} server - TaskMasterFastMCP server instance
+ * @param {Object} [options]
+ * @param {Function} [options.getProjectRoot] - Project root resolver
+ * @returns {ResourceSubscriptions} Subscription manager, attached to each session on connect
+ */
+export function registerTaskMasterResources(
+	server,
+	{ getProjectRoot = getResourceProjectRoot } = {}
+) {
+	server.addResource({
+		uri: TAGS_URI,
+		name: 'Tags',
+		description: 'All tags with their task counts and the current tag',
+		mimeType: 'application/json',
+		load: async () => asJson(loadTags(getProjectRoot()))
+	});
+
+	server.addResourceTemplate({
+		uriTemplate: 'taskmaster://tags/{tag}/tasks',
+		name: 'Tag tasks',
+		description: 'All tasks of a tag',
+		mimeType: 'application/json',
+		arguments: [{ name: 'tag', description: 'Tag name', required: true }],
+		load: async ({ tag }) => asJson(loadTagTasks(getProjectRoot(), tag))
+	});
+
+	server.addResourceTemplate({
+		uriTemplate: 'taskmaster://tasks/{id}',
+		name: 'Task',
+		description: 'A task or subtask (e.g. 3 or 3.2) of the current tag',
+		mimeType: 'application/json',
+		arguments: [
+			{ name: 'id', description: 'Task or subtask ID', required: true }
+		],
+		load: async ({ id }) => asJson(loadTask(getProjectRoot(), id))
+	});
+
+	server.addResourceTemplate({
+		uriTemplate: 'taskmaster://reports/complexity/{tag}',
+		name: 'Complexity report',
+		description: 'The complexity report of a tag',
+		mimeType: 'application/json',
+		arguments: [{ name: 'tag', description: 'Tag name', required: true }],
+		load: async ({ tag }) => asJson(loadComplexityReport(getProjectRoot(), tag))
+	});
+
+	const subscriptions = new ResourceSubscriptions({ getProjectRoot, logger });
+	server.on('session', ({ session }) => declareSubscribeCapability(session));
+	server.on('connect', ({ session }) => subscriptions.attach(session));
+	server.on('disconnect', ({ session }) => subscriptions.detach(session));
+	return subscriptions;
+}
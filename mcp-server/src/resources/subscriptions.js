@@ -0,0 +1,206 @@
+/**
+ * resources/subscriptions.js
+ * Resource subscriptions for the taskmaster:// MCP resources
+ *
+ * Clients subscribe to resource URIs with resources/subscribe. The project's
+ * task, state and report directories are watched, and after a change every
+ * subscribed resource is re-read; sessions are sent a
+ * notifications/resources/updated message for each resource whose content
+ * actually changed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { z } from 'zod';
+import { readResource } from './task-resources.js';
+import {
+	TASKMASTER_DIR,
+	TASKMASTER_TASKS_FILE,
+	TASKMASTER_TAGS_DIR,
+	TASKMASTER_REPORTS_DIR
+} from '../../../src/constants/paths.js';
+
+const SubscribeRequestSchema = z.object({
+	method: z.literal('resources/subscribe'),
+	params: z.object({ uri: z.string() }).passthrough()
+});
+
+const UnsubscribeRequestSchema = z.object({
+	method: z.literal('resources/unsubscribe'),
+	params: z.object({ uri: z.string() }).passthrough()
+});
+
+/**
+ * Advertise resources.subscribe on a session's server. Capabilities can only
+ * be registered before the server connects, so this runs when the session is
+ * created (see TaskMasterFastMCP's 'session' event).
+ * @param {Object} session - FastMCP session, or anything with an MCP server
+ */
+export function declareSubscribeCapability(session) {
+	if (session.server.getCapabilities().resources) {
+		session.server.registerCapabilities({ resources: { subscribe: true } });
+	}
+}
+
+export class ResourceSubscriptions {
+	/**
+	 * @param {Object} options
+	 * @param {Function} options.getProjectRoot - Returns the project root to watch and read from
+	 * @param {Object} [options.logger] - Logger with debug/warn methods
+	 * @param {number} [options.debounceMs=200] - Delay to group bursts of file events
+	 */
+	constructor({ getProjectRoot, logger, debounceMs = 200 }) {
+		this.getProjectRoot = getProjectRoot;
+		this.logger = logger;
+		this.debounceMs = debounceMs;
+		this.subscribers = new Map(); // uri -> Set of sessions
+		this.snapshots = new Map(); // uri -> last serialized content
+		this.watchers = [];
+		this.timer = null;
+	}
+
+	/**
+	 * Handle resources/subscribe and resources/unsubscribe for a session
+	 * @param {Object} session - FastMCP session
+	 */
+	attach(session) {
+		session.server.setRequestHandler(
+			SubscribeRequestSchema,
+			async (request) => {
+				this.subscribe(session, request.params.uri);
+				return {};
+			}
+		);
+		session.server.setRequestHandler(
+			UnsubscribeRequestSchema,
+			async (request) => {
+				this.unsubscribe(session, request.params.uri);
+				return {};
+			}
+		);
+	}
+
+	/**
+	 * Drop all subscriptions of a session
+	 * @param {Object} session - FastMCP session
+	 */
+	detach(session) {
+		for (const uri of [...this.subscribers.keys()]) {
+			this.unsubscribe(session, uri);
+		}
+	}
+
+	subscribe(session, uri) {
+		if (!this.subscribers.has(uri)) {
+			this.subscribers.set(uri, new Set());
+			this.snapshots.set(uri, this._snapshot(uri));
+		}
+		this.subscribers.get(uri).add(session);
+		this.start();
+	}
+
+	unsubscribe(session, uri) {
+		const sessions = this.subscribers.get(uri);
+		if (!sessions) return;
+		sessions.delete(session);
+		if (sessions.size === 0) {
+			this.subscribers.delete(uri);
+			this.snapshots.delete(uri);
+		}
+		if (this.subscribers.size === 0) {
+			this.stop();
+		}
+	}
+
+	/**
+	 * Start watching the project, if not watching already
+	 */
+	start() {
+		if (this.watchers.length > 0) return;
+		const projectRoot = this.getProjectRoot();
+		if (!projectRoot) return;
+
+		const directories = new Set([
+			path.join(projectRoot, TASKMASTER_DIR),
+			path.dirname(path.join(projectRoot, TASKMASTER_TASKS_FILE)),
+			// Tag files of the directory storage backend
+			path.join(projectRoot, TASKMASTER_TAGS_DIR),
+			path.join(projectRoot, TASKMASTER_REPORTS_DIR)
+		]);
+		for (const directory of directories) {
+			if (!fs.existsSync(directory)) continue;
+			try {
+				// Directories are watched rather than files, so files replaced by a
+				// rename (atomic writes) keep being observed
+				const watcher = fs.watch(directory, { persistent: false }, () =>
+					this._scheduleCheck()
+				);
+				watcher.on('error', (error) =>
+					this.logger?.warn(`Resource watcher error: ${error.message}`)
+				);
+				this.watchers.push(watcher);
+			} catch (error) {
+				this.logger?.warn(`Cannot watch ${directory}: ${error.message}`);
+			}
+		}
+	}
+
+	/**
+	 * Stop watching the project
+	 */
+	stop() {
+		clearTimeout(this.timer);
+		this.timer = null;
+		for (const watcher of this.watchers) {
+			watcher.close();
+		}
+		this.watchers = [];
+	}
+
+	/**
+	 * Re-read every subscribed resource and notify the subscribers of the ones
+	 * that changed
+	 * @returns {Promise<string[]>} URIs that changed
+	 */
+	async checkForChanges() {
+		const changed = [];
+		for (const [uri, sessions] of this.subscribers) {
+			const snapshot = this._snapshot(uri);
+			if (snapshot === this.snapshots.get(uri)) continue;
+			this.snapshots.set(uri, snapshot);
+			changed.push(uri);
+
+			for (const session of sessions) {
+				try {
+					await session.server.sendResourceUpdated({ uri });
+				} catch (error) {
+					this.logger?.warn(
+						`Could not notify a session about ${uri}: ${error.message}`
+					);
+				}
+			}
+		}
+		if (changed.length > 0) {
+			this.logger?.debug(`Resources updated: ${changed.join(', ')}`);
+		}
+		return changed;
+	}
+
+	_scheduleCheck() {
+		clearTimeout(this.timer);
+		this.timer = setTimeout(() => {
+			this.timer = null;
+			this.checkForChanges();
+		}, this.debounceMs);
+		this.timer.unref?.();
+	}
+
+	_snapshot(uri) {
+		try {
+			return JSON.stringify(readResource(uri, this.getProjectRoot()));
+		} catch (error) {
+			// A resource that disappears (e.g. a deleted task) is a change too
+			return `error:${error.message}`;
+		}
+	}
+}
@@ -0,0 +1,168 @@
+/**
+ * resources/task-resources.js
+ * Loaders for the taskmaster:// MCP resources
+ *
+ * Resources are read straight from disk without the migrations that readJSON
+ * performs, so reading a resource never writes to the project.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getCurrentTag } from '../../../scripts/modules/utils.js';
+import { findTasksPath } from '../core/utils/path-utils.js';
+import { readTaskFile } from '../../../scripts/modules/utils/taskStorage.js';
+import { COMPLEXITY_REPORT_FILE } from '../../../src/constants/paths.js';
+
+export const RESOURCE_SCHEME = 'taskmaster://';
+export const TAGS_URI = `${RESOURCE_SCHEME}tags`;
+
+/**
+ * Read all tags from tasks.json. A legacy file with a top-level tasks array is
+ * treated as the master tag.
+ * @param {string} projectRoot - Project root directory
+ * @returns {Object<string, {tasks: Array, metadata: Object}>} Tasks by tag
+ */
+function readTaggedTasks(projectRoot) {
+	const tasksPath = findTasksPath({ projectRoot });
+	if (!tasksPath || !fs.existsSync(tasksPath)) {
+		return {};
+	}
+
+	const data = readTaskFile(tasksPath);
+	if (Array.isArray(data?.tasks)) {
+		return { master: { tasks: data.tasks, metadata: data.metadata || {} } };
+	}
+	return Object.fromEntries(
+		Object.entries(data || {}).filter(
+			([tag, value]) => !tag.startsWith('_') && Array.isArray(value?.tasks)
+		)
+	);
+}
+
+/**
+ * Get the tasks of a tag, failing when the tag does not exist
+ * @param {string} projectRoot - Project root directory
+ * @param {string} tag - Tag name
+ * @returns {Array} Tasks of the tag
+ */
+function getTagTasks(projectRoot, tag) {
+	const tagged = readTaggedTasks(projectRoot);
+	if (!tagged[tag]) {
+		throw new Error(`Tag "${tag}" not found`);
+	}
+	return tagged[tag].tasks;
+}
+
+/**
+ * Path of the complexity report of a tag: master uses the plain file name,
+ * other tags add a _<tag> suffix
+ * @param {string} projectRoot - Project root directory
+ * @param {string} tag - Tag name
+ * @returns {string} Absolute report path
+ */
+export function getComplexityReportPath(projectRoot, tag) {
+	const file =
+		tag === 'master'
+			? COMPLEXITY_REPORT_FILE
+			: COMPLEXITY_REPORT_FILE.replace('.json', `_${tag}.json`);
+	return path.join(projectRoot, file);
+}
+
+/**
+ * Load the tag list with task counts
+ * @param {string} projectRoot - Project root directory
+ * @returns {Object} Current tag and the tags with their counts
+ */
+export function loadTags(projectRoot) {
+	const tagged = readTaggedTasks(projectRoot);
+	return {
+		currentTag: getCurrentTag(projectRoot) || 'master',
+		tags: Object.entries(tagged).map(([name, { tasks, metadata }]) => ({
+			name,
+			description: metadata?.description || null,
+			taskCount: tasks.length,
+			completedTasks: tasks.filter((task) => task.status === 'done').length,
+			uri: `${RESOURCE_SCHEME}tags/${encodeURIComponent(name)}/tasks`
+		}))
+	};
+}
+
+/**
+ * Load the tasks of a tag
+ * @param {string} projectRoot - Project root directory
+ * @param {string} tag - Tag name
+ * @returns {Object} Tag name and its tasks
+ */
+export function loadTagTasks(projectRoot, tag) {
+	return { tag, tasks: getTagTasks(projectRoot, tag) };
+}
+
+/**
+ * Load a task or subtask (e.g. "3" or "3.2") from the current tag
+ * @param {string} projectRoot - Project root directory
+ * @param {string} id - Task or subtask ID
+ * @returns {Object} Tag name and the task
+ */
+export function loadTask(projectRoot, id) {
+	const tag = getCurrentTag(projectRoot) || 'master';
+	const tasks = getTagTasks(projectRoot, tag);
+	const [parentId, subtaskId] = String(id).split('.');
+	const parent = tasks.find((task) => String(task.id) === parentId);
+	const task =
+		subtaskId === undefined
+			? parent
+			: parent?.subtasks?.find((subtask) => String(subtask.id) === subtaskId);
+	if (!task) {
+		throw new Error(`Task ${id} not found in tag "${tag}"`);
+	}
+	return {
+		tag,
+		task: subtaskId === undefined ? task : { ...task, parentTaskId: parent.id }
+	};
+}
+
+/**
+ * Load the complexity report of a tag
+ * @param {string} projectRoot - Project root directory
+ * @param {string} tag - Tag name
+ * @returns {Object} The complexity report
+ */
+export function loadComplexityReport(projectRoot, tag) {
+	const reportPath = getComplexityReportPath(projectRoot, tag);
+	if (!fs.existsSync(reportPath)) {
+		throw new Error(
+			`No complexity report for tag "${tag}". Run analyze_project_complexity first.`
+		);
+	}
+	return JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+}
+
+const URI_PATTERNS = [
+	[/^taskmaster:\/\/tags$/, (root) => loadTags(root)],
+	[
+		/^taskmaster:\/\/tags\/([^/]+)\/tasks$/,
+		(root, tag) => loadTagTasks(root, tag)
+	],
+	[/^taskmaster:\/\/tasks\/([^/]+)$/, (root, id) => loadTask(root, id)],
+	[
+		/^taskmaster:\/\/reports\/complexity\/([^/]+)$/,
+		(root, tag) => loadComplexityReport(root, tag)
+	]
+];
+
+/**
+ * Load any taskmaster:// resource by URI
+ * @param {string} uri - Resource URI
+ * @param {string} projectRoot - Project root directory
+ * @returns {Object} Resource data
+ * @throws {Error} If the URI is not a taskmaster resource or its target is missing
+ */
+export function readResource(uri, projectRoot) {
+	for (const [pattern, load] of URI_PATTERNS) {
+		const match = uri.match(pattern);
+		if (match) {
+			return load(projectRoot, ...match.slice(1).map(decodeURIComponent));
+		}
+	}
+	throw new Error(`Unknown Task Master resource: ${uri}`);
+}
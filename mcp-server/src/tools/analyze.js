@@ -9,7 +9,8 @@ import fs from 'fs'; // Import fs for directory check/creation
 import {
 	handleApiResult,
 	createErrorResponse,
-	withNormalizedProjectRoot
+	withNormalizedProjectRoot,
+	startBackgroundOperation
 } from './utils.js';
 import { analyzeTaskComplexityDirect } from '../core/task-master-core.js'; // Assuming core functions are exported via task-master-core.js
 import { findTasksPath } from '../core/utils/path-utils.js';
@@ -18,8 +19,9 @@ import { COMPLEXITY_REPORT_FILE } from '../../../src/constants/paths.js';
 /**
  * Register the analyze_project_complexity tool
  * @param {Object} server - FastMCP server instance
+ * @param {Object} [asyncManager] - Operation manager for background runs
  */
-export function registerAnalyzeProjectComplexityTool(server) {
+export function registerAnalyzeProjectComplexityTool(server, asyncManager) {
 	server.addTool({
 		name: 'analyze_project_complexity',
 		description:
@@ -70,7 +72,13 @@ export function registerAnalyzeProjectComplexityTool(server) {
 				.describe('Ending task ID in a range to analyze.'),
 			projectRoot: z
 				.string()
-				.describe('The directory of the project. Must be an absolute path.')
+				.describe('The directory of the project. Must be an absolute path.'),
+			async: z
+				.boolean()
+				.optional()
+				.describe(
+					'Run in the background and return an operationId to poll with get_operation_status'
+				)
 		}),
 		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
 			const toolName = 'analyze_project_complexity'; // Define tool name for logging
@@ -116,20 +124,30 @@ export function registerAnalyzeProjectComplexityTool(server) {
 				}
 
 				// 3. Call Direct Function - Pass projectRoot in first arg object
-				const result = await analyzeTaskComplexityDirect(
-					{
-						tasksJsonPath: tasksJsonPath,
-						outputPath: outputPath,
-						threshold: args.threshold,
-						research: args.research,
-						projectRoot: args.projectRoot,
-						ids: args.ids,
-						from: args.from,
-						to: args.to
-					},
-					log,
-					{ session }
-				);
+				const directArgs = {
+					tasksJsonPath: tasksJsonPath,
+					outputPath: outputPath,
+					threshold: args.threshold,
+					research: args.research,
+					projectRoot: args.projectRoot,
+					ids: args.ids,
+					from: args.from,
+					to: args.to
+				};
+
+				if (args.async) {
+					return startBackgroundOperation(
+						asyncManager,
+						toolName,
+						analyzeTaskComplexityDirect,
+						directArgs,
+						{ log, session }
+					);
+				}
+
+				const result = await analyzeTaskComplexityDirect(directArgs, log, {
+					session
+				});
 
 				// 4. Handle Result
 				log.info(
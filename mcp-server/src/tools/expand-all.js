@@ -7,7 +7,8 @@ import { z } from 'zod';
 import {
 	handleApiResult,
 	createErrorResponse,
-	withNormalizedProjectRoot
+	withNormalizedProjectRoot,
+	startBackgroundOperation
 } from './utils.js';
 import { expandAllTasksDirect } from '../core/task-master-core.js';
 import { findTasksPath } from '../core/utils/path-utils.js';
@@ -15,8 +16,9 @@ import { findTasksPath } from '../core/utils/path-utils.js';
 /**
  * Register the expandAll tool with the MCP server
  * @param {Object} server - FastMCP server instance
+ * @param {Object} [asyncManager] - Operation manager for background runs
  */
-export function registerExpandAllTool(server) {
+export function registerExpandAllTool(server, asyncManager) {
 	server.addTool({
 		name: 'expand_all',
 		description:
@@ -57,6 +59,12 @@ export function registerExpandAllTool(server) {
 				.optional()
 				.describe(
 					'Absolute path to the project root directory (derived from session if possible)'
+				),
+			async: z
+				.boolean()
+				.optional()
+				.describe(
+					'Run in the background and return an operationId to poll with get_operation_status'
 				)
 		}),
 		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
@@ -79,18 +87,28 @@ export function registerExpandAllTool(server) {
 					);
 				}
 
-				const result = await expandAllTasksDirect(
-					{
-						tasksJsonPath: tasksJsonPath,
-						num: args.num,
-						research: args.research,
-						prompt: args.prompt,
-						force: args.force,
-						projectRoot: args.projectRoot
-					},
-					log,
-					{ session }
-				);
+				const directArgs = {
+					tasksJsonPath: tasksJsonPath,
+					num: args.num,
+					research: args.research,
+					prompt: args.prompt,
+					force: args.force,
+					projectRoot: args.projectRoot
+				};
+
+				if (args.async) {
+					return startBackgroundOperation(
+						asyncManager,
+						'expand_all',
+						expandAllTasksDirect,
+						directArgs,
+						{ log, session }
+					);
+				}
+
+				const result = await expandAllTasksDirect(directArgs, log, {
+					session
+				});
 
 				return handleApiResult(
 					result,
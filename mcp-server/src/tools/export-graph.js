@@ -0,0 +1,107 @@
+/**
+ * tools/export-graph.js
+ * Tool to export the dependency graph of a tag
+ */
+
+import { z } from 'zod';
+import {
+	createErrorResponse,
+	handleApiResult,
+	withNormalizedProjectRoot
+} from './utils.js';
+import { exportGraphDirect } from '../core/task-master-core.js';
+import { findTasksPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the exportGraph tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerExportGraphTool(server) {
+	server.addTool({
+		name: 'export_graph',
+		description:
+			"Export a tag's tasks and subtasks as a dependency graph in Mermaid, Graphviz DOT or JSON. Nodes are colored by status and bordered by priority; dependency cycles are highlighted and listed.",
+		parameters: z.object({
+			format: z
+				.enum(['mermaid', 'dot', 'json'])
+				.optional()
+				.describe('Graph format (default: mermaid)'),
+			status: z
+				.string()
+				.optional()
+				.describe(
+					"Only tasks and subtasks with these statuses, comma-separated (e.g. 'pending,in-progress')"
+				),
+			id: z
+				.string()
+				.optional()
+				.describe(
+					"Only the subtree rooted at this task or subtask (e.g. '5' or '5.2'): it, its subtasks and everything they depend on"
+				),
+			output: z
+				.string()
+				.optional()
+				.describe(
+					'File to also write the graph to, relative to the project root; paths outside the project root are rejected'
+				),
+			file: z
+				.string()
+				.optional()
+				.describe(
+					'Absolute path to the tasks file (default: tasks/tasks.json)'
+				),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag to export (default: current tag)'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				log.info(
+					`Exporting dependency graph with args: ${JSON.stringify(args)}`
+				);
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksPath(
+						{ projectRoot: args.projectRoot, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await exportGraphDirect(
+					{
+						tasksJsonPath,
+						projectRoot: args.projectRoot,
+						format: args.format,
+						status: args.status,
+						id: args.id,
+						output: args.output,
+						tag: args.tag
+					},
+					log,
+					{ session }
+				);
+
+				return handleApiResult(
+					result,
+					log,
+					'Error exporting dependency graph',
+					undefined,
+					args.projectRoot
+				);
+			} catch (error) {
+				log.error(`Error in export-graph tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
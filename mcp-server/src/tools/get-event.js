@@ -0,0 +1,52 @@
+/**
+ * tools/get-event.js
+ * Tool to show a failed integration event from the dead letter queue
+ */
+
+import { z } from 'zod';
+import {
+	createErrorResponse,
+	handleApiResult,
+	withNormalizedProjectRoot
+} from './utils.js';
+import { showEventDirect } from '../core/task-master-core.js';
+
+/**
+ * Register the getEvent tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerGetEventTool(server) {
+	server.addTool({
+		name: 'get_event',
+		description:
+			'Show the payload and error history of a failed integration event in the dead letter queue',
+		parameters: z.object({
+			id: z.string().describe('Event ID (or a unique prefix) from list_events'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				log.info(`Starting get-event with args: ${JSON.stringify(args)}`);
+
+				const result = await showEventDirect(
+					{ projectRoot: args.projectRoot, id: args.id },
+					log,
+					{ session }
+				);
+
+				return handleApiResult(
+					result,
+					log,
+					'Error getting event',
+					undefined,
+					args.projectRoot
+				);
+			} catch (error) {
+				log.error(`Error in get-event tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
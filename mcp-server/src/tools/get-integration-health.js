@@ -0,0 +1,58 @@
+/**
+ * tools/get-integration-health.js
+ * Tool to report event system health, integration status and circuit breakers
+ */
+
+import { z } from 'zod';
+import {
+	createErrorResponse,
+	handleApiResult,
+	withNormalizedProjectRoot
+} from './utils.js';
+import { integrationHealthDirect } from '../core/task-master-core.js';
+
+/**
+ * Register the getIntegrationHealth tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerGetIntegrationHealthTool(server) {
+	server.addTool({
+		name: 'get_integration_health',
+		description:
+			'Show the health of the integration event system: overall status and issues, the status of each integration (e.g. linear) and the state of every circuit breaker. Can reset a tripped circuit breaker.',
+		parameters: z.object({
+			resetCircuitBreaker: z
+				.string()
+				.optional()
+				.describe(
+					'Reset this circuit breaker to closed before reporting, or "all" to reset every breaker'
+				),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log }) => {
+			try {
+				log.info(
+					`Starting get-integration-health with args: ${JSON.stringify(args)}`
+				);
+
+				const result = await integrationHealthDirect(
+					{ resetCircuitBreaker: args.resetCircuitBreaker },
+					log
+				);
+
+				return handleApiResult(
+					result,
+					log,
+					'Error getting integration health',
+					undefined,
+					args.projectRoot
+				);
+			} catch (error) {
+				log.error(`Error in get-integration-health tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
@@ -1,6 +1,6 @@
 // mcp-server/src/tools/get-operation-status.js
 import { z } from 'zod';
-import { createErrorResponse, createContentResponse } from './utils.js'; // Assuming these utils exist
+import { createErrorResponse, createContentResponse } from './utils.js';
 
 /**
  * Register the get_operation_status tool.
@@ -11,16 +11,22 @@ export function registerGetOperationStatusTool(server, asyncManager) {
 	server.addTool({
 		name: 'get_operation_status',
 		description:
-			'Retrieves the status and result/error of a background operation.',
+			'Retrieves the status, progress and result/error of a background operation started with async: true (parse_prd, expand_all, analyze_project_complexity). Set cancel to stop it.',
 		parameters: z.object({
-			operationId: z.string().describe('The ID of the operation to check.')
+			operationId: z.string().describe('The ID of the operation to check.'),
+			cancel: z
+				.boolean()
+				.optional()
+				.describe('Cancel the operation if it is still pending or running.')
 		}),
 		execute: async (args, { log }) => {
 			try {
-				const { operationId } = args;
+				const { operationId, cancel } = args;
 				log.info(`Checking status for operation ID: ${operationId}`);
 
-				const status = asyncManager.getStatus(operationId);
+				const status = cancel
+					? asyncManager.cancelOperation(operationId)
+					: asyncManager.getStatus(operationId);
 
 				// Status will now always return an object, but it might have status='not_found'
 				if (status.status === 'not_found') {
@@ -0,0 +1,91 @@
+/**
+ * tools/get-task-history.js
+ * Tool to show the recorded changes to tasks in a tag
+ */
+
+import { z } from 'zod';
+import {
+	createErrorResponse,
+	handleApiResult,
+	withNormalizedProjectRoot
+} from './utils.js';
+import { taskHistoryDirect } from '../core/task-master-core.js';
+import { findTasksPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the getTaskHistory tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerGetTaskHistoryTool(server) {
+	server.addTool({
+		name: 'get_task_history',
+		description:
+			'Show the recorded changes to tasks in a tag, newest first: who made each change (CLI or MCP), the command, and a field-level before/after diff per task',
+		parameters: z.object({
+			id: z
+				.string()
+				.optional()
+				.describe("Only changes to this task or subtask (e.g. '5' or '5.2')"),
+			limit: z
+				.number()
+				.int()
+				.positive()
+				.optional()
+				.describe('Maximum number of changes to return (default: 20)'),
+			file: z
+				.string()
+				.optional()
+				.describe(
+					'Absolute path to the tasks file (default: tasks/tasks.json)'
+				),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag to show the history of (default: current tag)'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				log.info(`Getting task history with args: ${JSON.stringify(args)}`);
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksPath(
+						{ projectRoot: args.projectRoot, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await taskHistoryDirect(
+					{
+						tasksJsonPath,
+						projectRoot: args.projectRoot,
+						id: args.id,
+						limit: args.limit,
+						tag: args.tag
+					},
+					log,
+					{ session }
+				);
+
+				return handleApiResult(
+					result,
+					log,
+					'Error getting task history',
+					undefined,
+					args.projectRoot
+				);
+			} catch (error) {
+				log.error(`Error in get-task-history tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
@@ -23,6 +23,7 @@ import { registerExpandAllTool } from './expand-all.js';
 import { registerRemoveDependencyTool } from './remove-dependency.js';
 import { registerValidateDependenciesTool } from './validate-dependencies.js';
 import { registerFixDependenciesTool } from './fix-dependencies.js';
+import { registerExportGraphTool } from './export-graph.js';
 import { registerComplexityReportTool } from './complexity-report.js';
 import { registerAddDependencyTool } from './add-dependency.js';
 import { registerRemoveTaskTool } from './remove-task.js';
@@ -36,24 +37,57 @@ import { registerUseTagTool } from './use-tag.js';
 import { registerRenameTagTool } from './rename-tag.js';
 import { registerCopyTagTool } from './copy-tag.js';
 import { registerResearchTool } from './research.js';
+import { registerListEventsTool } from './list-events.js';
+import { registerGetEventTool } from './get-event.js';
+import { registerRetryEventsTool } from './retry-events.js';
+import { registerPurgeEventsTool } from './purge-events.js';
+import { registerLinearSyncLabelsTool } from './linear-sync-labels.js';
+import { registerLinearSyncAllTool } from './linear-sync-all.js';
+import { registerGetIntegrationHealthTool } from './get-integration-health.js';
+import { registerUsageReportTool } from './usage-report.js';
+import { registerGetOperationStatusTool } from './get-operation-status.js';
+import { registerGetTaskHistoryTool } from './get-task-history.js';
+import { registerUndoChangesTool } from './undo-changes.js';
+import { runWithChangeContext } from '../../../scripts/modules/utils/changeJournal.js';
 
 /**
- * Register all Task Master tools with the MCP server
+ * Wrap the server so that every tool runs with its name as the change
+ * context, and the task changes it writes are journaled as made over MCP
  * @param {Object} server - FastMCP server instance
+ * @returns {Object} Server whose addTool wraps each tool's execute
+ */
+function withToolChangeContext(server) {
+	return {
+		addTool: (tool) =>
+			server.addTool({
+				...tool,
+				execute: (args, context) =>
+					runWithChangeContext({ source: 'mcp', command: tool.name }, () =>
+						tool.execute(args, context)
+					)
+			})
+	};
+}
+
+/**
+ * Register all Task Master tools with the MCP server
+ * @param {Object} mcpServer - FastMCP server instance
+ * @param {Object} [asyncManager] - Operation manager for tools that can run in the background
  */
-export function registerTaskMasterTools(server) {
+export function registerTaskMasterTools(mcpServer, asyncManager) {
+	const server = withToolChangeContext(mcpServer);
 	try {
 		// Register each tool in a logical workflow order
 
 		// Group 1: Initialization & Setup
 		registerInitializeProjectTool(server);
 		registerModelsTool(server);
-		registerParsePRDTool(server);
+		registerParsePRDTool(server, asyncManager);
 
 		// Group 2: Task Analysis & Expansion
-		registerAnalyzeProjectComplexityTool(server);
+		registerAnalyzeProjectComplexityTool(server, asyncManager);
 		registerExpandTaskTool(server);
-		registerExpandAllTool(server);
+		registerExpandAllTool(server, asyncManager);
 
 		// Group 3: Task Listing & Viewing
 		registerListTasksTool(server);
@@ -81,6 +115,7 @@ export function registerTaskMasterTools(server) {
 		registerRemoveDependencyTool(server);
 		registerValidateDependenciesTool(server);
 		registerFixDependenciesTool(server);
+		registerExportGraphTool(server);
 
 		// Group 7: Tag Management
 		registerListTagsTool(server);
@@ -92,6 +127,27 @@ export function registerTaskMasterTools(server) {
 
 		// Group 8: Research Features
 		registerResearchTool(server);
+
+		// Group 9: Integration Events
+		registerListEventsTool(server);
+		registerGetEventTool(server);
+		registerRetryEventsTool(server);
+		registerPurgeEventsTool(server);
+		registerGetIntegrationHealthTool(server);
+		registerLinearSyncLabelsTool(server);
+		registerLinearSyncAllTool(server);
+
+		// Group 10: AI Usage
+		registerUsageReportTool(server);
+
+		// Group 11: Change History
+		registerGetTaskHistoryTool(server);
+		registerUndoChangesTool(server);
+
+		// Group 12: Background Operations
+		if (asyncManager) {
+			registerGetOperationStatusTool(server, asyncManager);
+		}
 	} catch (error) {
 		logger.error(`Error registering Task Master tools: ${error.message}`);
 		throw error;
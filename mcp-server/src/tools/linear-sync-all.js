@@ -0,0 +1,81 @@
+/**
+ * tools/linear-sync-all.js
+ * Tool to run the full Linear sync: labels and issue pull
+ */
+
+import { z } from 'zod';
+import {
+	createErrorResponse,
+	handleApiResult,
+	withNormalizedProjectRoot
+} from './utils.js';
+import { linearSyncAllDirect } from '../core/task-master-core.js';
+
+/**
+ * Register the linearSyncAll tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerLinearSyncAllTool(server) {
+	server.addTool({
+		name: 'linear_sync_all',
+		description:
+			'Run the full Linear sync: sync labels, then pull issue changes (status, title, priority, comments) into linked tasks. Reports a result per component. Use dryRun to see what would change first.',
+		parameters: z.object({
+			dryRun: z
+				.boolean()
+				.optional()
+				.describe('Report what would change without writing anything'),
+			resolveConflicts: z
+				.boolean()
+				.optional()
+				.describe(
+					'Update local labels whose color or description differ from Linear'
+				),
+			conflictPolicy: z
+				.enum(['local-wins', 'remote-wins', 'newest-wins'])
+				.optional()
+				.describe(
+					'How to resolve fields changed on both sides (default: integrations.linear.sync.conflictPolicy)'
+				),
+			labelsOnly: z.boolean().optional().describe('Only sync labels'),
+			pull: z.boolean().optional().describe('Only pull issue changes'),
+			teamId: z
+				.string()
+				.optional()
+				.describe('Linear team for new labels (default: the configured team)'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				log.info(`Starting linear-sync-all with args: ${JSON.stringify(args)}`);
+
+				const result = await linearSyncAllDirect(
+					{
+						projectRoot: args.projectRoot,
+						teamId: args.teamId,
+						dryRun: args.dryRun,
+						resolveConflicts: args.resolveConflicts,
+						conflictPolicy: args.conflictPolicy,
+						labelsOnly: args.labelsOnly,
+						pull: args.pull
+					},
+					log,
+					{ session }
+				);
+
+				return handleApiResult(
+					result,
+					log,
+					'Error running Linear sync',
+					undefined,
+					args.projectRoot
+				);
+			} catch (error) {
+				log.error(`Error in linear-sync-all tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
@@ -0,0 +1,72 @@
+/**
+ * tools/linear-sync-labels.js
+ * Tool to sync the configured label sets with Linear
+ */
+
+import { z } from 'zod';
+import {
+	createErrorResponse,
+	handleApiResult,
+	withNormalizedProjectRoot
+} from './utils.js';
+import { linearSyncLabelsDirect } from '../core/task-master-core.js';
+
+/**
+ * Register the linearSyncLabels tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerLinearSyncLabelsTool(server) {
+	server.addTool({
+		name: 'linear_sync_labels',
+		description:
+			'Sync the configured label sets with Linear: create missing labels, store Linear IDs and optionally resolve conflicts. Use dryRun to see what would change first.',
+		parameters: z.object({
+			dryRun: z
+				.boolean()
+				.optional()
+				.describe('Only analyze and report what would change'),
+			resolveConflicts: z
+				.boolean()
+				.optional()
+				.describe(
+					'Update local labels whose color or description differ from Linear'
+				),
+			teamId: z
+				.string()
+				.optional()
+				.describe('Linear team for new labels (default: the configured team)'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				log.info(
+					`Starting linear-sync-labels with args: ${JSON.stringify(args)}`
+				);
+
+				const result = await linearSyncLabelsDirect(
+					{
+						projectRoot: args.projectRoot,
+						teamId: args.teamId,
+						dryRun: args.dryRun,
+						resolveConflicts: args.resolveConflicts
+					},
+					log,
+					{ session }
+				);
+
+				return handleApiResult(
+					result,
+					log,
+					'Error syncing Linear labels',
+					undefined,
+					args.projectRoot
+				);
+			} catch (error) {
+				log.error(`Error in linear-sync-labels tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
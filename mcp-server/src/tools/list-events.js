@@ -0,0 +1,68 @@
+/**
+ * tools/list-events.js
+ * Tool to list failed integration events in the dead letter queue
+ */
+
+import { z } from 'zod';
+import {
+	createErrorResponse,
+	handleApiResult,
+	withNormalizedProjectRoot
+} from './utils.js';
+import { listEventsDirect } from '../core/task-master-core.js';
+
+/**
+ * Register the listEvents tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerListEventsTool(server) {
+	server.addTool({
+		name: 'list_events',
+		description:
+			'List integration events (e.g. Linear sync) that failed and are waiting in the dead letter queue, with their last error',
+		parameters: z.object({
+			eventType: z
+				.string()
+				.optional()
+				.describe('Only list events of this type (e.g. task:status:changed)'),
+			integration: z
+				.string()
+				.optional()
+				.describe('Only list events for this integration (e.g. linear)'),
+			limit: z
+				.number()
+				.optional()
+				.describe('Maximum number of events to return'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				log.info(`Starting list-events with args: ${JSON.stringify(args)}`);
+
+				const result = await listEventsDirect(
+					{
+						projectRoot: args.projectRoot,
+						eventType: args.eventType,
+						integration: args.integration,
+						limit: args.limit
+					},
+					log,
+					{ session }
+				);
+
+				return handleApiResult(
+					result,
+					log,
+					'Error listing events',
+					undefined,
+					args.projectRoot
+				);
+			} catch (error) {
+				log.error(`Error in list-events tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
@@ -7,7 +7,8 @@ import { z } from 'zod';
 import {
 	handleApiResult,
 	withNormalizedProjectRoot,
-	createErrorResponse
+	createErrorResponse,
+	startBackgroundOperation
 } from './utils.js';
 import { parsePRDDirect } from '../core/task-master-core.js';
 import {
@@ -19,8 +20,9 @@ import {
 /**
  * Register the parse_prd tool
  * @param {Object} server - FastMCP server instance
+ * @param {Object} [asyncManager] - Operation manager for background runs
  */
-export function registerParsePRDTool(server) {
+export function registerParsePRDTool(server, asyncManager) {
 	server.addTool({
 		name: 'parse_prd',
 		description: `Parse a Product Requirements Document (PRD) text file to automatically generate initial tasks. Reinitializing the project is not necessary to run this tool. It is recommended to run parse-prd after initializing the project and creating/importing a prd.txt file in the project root's ${TASKMASTER_DOCS_DIR} directory.`,
@@ -59,10 +61,25 @@ export function registerParsePRDTool(server) {
 			append: z
 				.boolean()
 				.optional()
-				.describe('Append generated tasks to existing file.')
+				.describe('Append generated tasks to existing file.'),
+			async: z
+				.boolean()
+				.optional()
+				.describe(
+					'Run in the background and return an operationId to poll with get_operation_status'
+				)
 		}),
 		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
 			try {
+				if (args.async) {
+					return startBackgroundOperation(
+						asyncManager,
+						'parse_prd',
+						parsePRDDirect,
+						args,
+						{ log, session }
+					);
+				}
 				const result = await parsePRDDirect(args, log, { session });
 				return handleApiResult(
 					result,
@@ -0,0 +1,59 @@
+/**
+ * tools/purge-events.js
+ * Tool to delete failed integration events from the dead letter queue
+ */
+
+import { z } from 'zod';
+import {
+	createErrorResponse,
+	handleApiResult,
+	withNormalizedProjectRoot
+} from './utils.js';
+import { purgeEventsDirect } from '../core/task-master-core.js';
+
+/**
+ * Register the purgeEvents tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerPurgeEventsTool(server) {
+	server.addTool({
+		name: 'purge_events',
+		description:
+			'Permanently delete failed integration events from the dead letter queue',
+		parameters: z.object({
+			ids: z
+				.array(z.string())
+				.optional()
+				.describe('Event IDs (or unique prefixes) to purge'),
+			all: z
+				.boolean()
+				.optional()
+				.describe('Purge every event in the dead letter queue'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				log.info(`Starting purge-events with args: ${JSON.stringify(args)}`);
+
+				const result = await purgeEventsDirect(
+					{ projectRoot: args.projectRoot, ids: args.ids, all: args.all },
+					log,
+					{ session }
+				);
+
+				return handleApiResult(
+					result,
+					log,
+					'Error purging events',
+					undefined,
+					args.projectRoot
+				);
+			} catch (error) {
+				log.error(`Error in purge-events tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
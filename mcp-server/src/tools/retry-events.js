@@ -0,0 +1,59 @@
+/**
+ * tools/retry-events.js
+ * Tool to re-deliver failed integration events from the dead letter queue
+ */
+
+import { z } from 'zod';
+import {
+	createErrorResponse,
+	handleApiResult,
+	withNormalizedProjectRoot
+} from './utils.js';
+import { retryEventsDirect } from '../core/task-master-core.js';
+
+/**
+ * Register the retryEvents tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerRetryEventsTool(server) {
+	server.addTool({
+		name: 'retry_events',
+		description:
+			'Re-deliver failed integration events to their integration, e.g. after fixing Linear credentials or config. Events that fail again stay in the dead letter queue.',
+		parameters: z.object({
+			ids: z
+				.array(z.string())
+				.optional()
+				.describe('Event IDs (or unique prefixes) to retry'),
+			all: z
+				.boolean()
+				.optional()
+				.describe('Retry every event in the dead letter queue'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				log.info(`Starting retry-events with args: ${JSON.stringify(args)}`);
+
+				const result = await retryEventsDirect(
+					{ projectRoot: args.projectRoot, ids: args.ids, all: args.all },
+					log,
+					{ session }
+				);
+
+				return handleApiResult(
+					result,
+					log,
+					'Error retrying events',
+					undefined,
+					args.projectRoot
+				);
+			} catch (error) {
+				log.error(`Error in retry-events tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
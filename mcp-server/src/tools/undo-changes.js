@@ -0,0 +1,86 @@
+/**
+ * tools/undo-changes.js
+ * Tool to undo the latest recorded changes to tasks in a tag
+ */
+
+import { z } from 'zod';
+import {
+	createErrorResponse,
+	handleApiResult,
+	withNormalizedProjectRoot
+} from './utils.js';
+import { undoChangesDirect } from '../core/task-master-core.js';
+import { findTasksPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the undoChanges tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerUndoChangesTool(server) {
+	server.addTool({
+		name: 'undo_changes',
+		description:
+			'Undo the latest recorded changes to tasks in a tag (e.g. a bad update or expand), restoring the previous version of every task they touched. Use get_task_history to see what will be undone.',
+		parameters: z.object({
+			steps: z
+				.number()
+				.int()
+				.positive()
+				.optional()
+				.describe('Number of changes to undo (default: 1)'),
+			file: z
+				.string()
+				.optional()
+				.describe(
+					'Absolute path to the tasks file (default: tasks/tasks.json)'
+				),
+			tag: z
+				.string()
+				.optional()
+				.describe('Tag to undo changes in (default: current tag)'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				log.info(`Undoing changes with args: ${JSON.stringify(args)}`);
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksPath(
+						{ projectRoot: args.projectRoot, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await undoChangesDirect(
+					{
+						tasksJsonPath,
+						projectRoot: args.projectRoot,
+						steps: args.steps,
+						tag: args.tag
+					},
+					log,
+					{ session }
+				);
+
+				return handleApiResult(
+					result,
+					log,
+					'Error undoing changes',
+					undefined,
+					args.projectRoot
+				);
+			} catch (error) {
+				log.error(`Error in undo-changes tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
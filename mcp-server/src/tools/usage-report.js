@@ -0,0 +1,73 @@
+/**
+ * tools/usage-report.js
+ * Tool to report AI token usage and cost for the project
+ */
+
+import { z } from 'zod';
+import {
+	createErrorResponse,
+	handleApiResult,
+	withNormalizedProjectRoot
+} from './utils.js';
+import { usageReportDirect } from '../core/task-master-core.js';
+
+/**
+ * Register the usageReport tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerUsageReportTool(server) {
+	server.addTool({
+		name: 'usage_report',
+		description:
+			'Report AI token usage and cost recorded for the project, broken down by command, role, provider, model and tag, with daily/monthly budget status',
+		parameters: z.object({
+			period: z
+				.enum(['day', 'month', 'all'])
+				.optional()
+				.describe('Reporting period (default: month)'),
+			since: z
+				.string()
+				.optional()
+				.describe('Only include calls since this date (overrides period)'),
+			tag: z
+				.string()
+				.optional()
+				.describe('Only include calls made for this tag'),
+			by: z
+				.enum(['command', 'role', 'provider', 'model', 'tag'])
+				.optional()
+				.describe('Only return the breakdown for this dimension'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				log.info(`Starting usage-report with args: ${JSON.stringify(args)}`);
+
+				const result = await usageReportDirect(
+					{
+						projectRoot: args.projectRoot,
+						period: args.period,
+						since: args.since,
+						tag: args.tag,
+						by: args.by
+					},
+					log,
+					{ session }
+				);
+
+				return handleApiResult(
+					result,
+					log,
+					'Error reporting AI usage',
+					undefined,
+					args.projectRoot
+				);
+			} catch (error) {
+				log.error(`Error in usage-report tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
@@ -9,6 +9,7 @@ import fs from 'fs';
 import { contextManager } from '../core/context-manager.js'; // Import the singleton
 import { fileURLToPath } from 'url';
 import { getCurrentTag } from '../../../scripts/modules/utils.js';
+import { readTaskFile } from '../../../scripts/modules/utils/taskStorage.js';
 
 // Import path utilities to ensure consistent path resolution
 import {
@@ -85,7 +86,7 @@ function getTagInfo(projectRoot, log) {
 				'tasks.json'
 			);
 			if (fs.existsSync(tasksJsonPath)) {
-				const tasksData = JSON.parse(fs.readFileSync(tasksJsonPath, 'utf-8'));
+				const tasksData = readTaskFile(tasksJsonPath);
 
 				// If it's the new tagged format, extract tag keys
 				if (
@@ -779,6 +780,41 @@ function withNormalizedProjectRoot(executeFn) {
 	};
 }
 
+/**
+ * Starts a direct function as a background operation and returns its ID.
+ * Used by long-running tools when called with `async: true`.
+ * @param {Object} asyncManager - The AsyncOperationManager instance.
+ * @param {string} toolName - Tool name, used as the operation name.
+ * @param {Function} directFn - Direct function to run.
+ * @param {Object} directArgs - Arguments for the direct function.
+ * @param {Object} context - Tool context with log and session.
+ * @returns {Object} - Content response with the operation ID.
+ */
+function startBackgroundOperation(
+	asyncManager,
+	toolName,
+	directFn,
+	directArgs,
+	{ log, session }
+) {
+	if (!asyncManager) {
+		return createErrorResponse(
+			`${toolName} cannot run in the background: no operation manager is available`
+		);
+	}
+	const operationId = asyncManager.addOperation(directFn, directArgs, {
+		name: toolName,
+		log,
+		session
+	});
+	log.info(`${toolName} started as background operation ${operationId}`);
+	return createContentResponse({
+		operationId,
+		status: 'pending',
+		message: `${toolName} is running in the background. Poll get_operation_status with this operationId for progress and the result.`
+	});
+}
+
 // Ensure all functions are exported
 export {
 	getProjectRoot,
@@ -793,5 +829,6 @@ export {
 	createLogWrapper,
 	normalizeProjectRoot,
 	getRawProjectRootFromSession,
-	withNormalizedProjectRoot
+	withNormalizedProjectRoot,
+	startBackgroundOperation
 };
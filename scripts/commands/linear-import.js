@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+/**
+ * @fileoverview Linear Import Command
+ *
+ * Imports the issues of an existing Linear project into a TaskMaster tag.
+ * Team and project are picked with the same selectors as the setup wizard
+ * unless passed as options. Re-running the command only adds issues,
+ * sub-issues and blocking relations that are not imported yet.
+ *
+ * INTEGRATION COMMAND NAMING PATTERN:
+ * ====================================
+ * Following the pattern: {integration}-{command-name}
+ * Example: linear-import
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import { join } from 'path';
+import { config } from 'dotenv';
+import { selectLinearTeam } from '../modules/linear-team-selection.js';
+import { selectLinearProject } from '../modules/linear-project-selection.js';
+import { importLinearProject } from '../modules/linear-import.js';
+import { log, findProjectRoot, getCurrentTag } from '../modules/utils.js';
+
+/**
+ * Run a Linear project import
+ *
+ * @param {Object} options - Command line options
+ * @param {string} [options.teamId] - Linear team ID (prompted when omitted)
+ * @param {string} [options.projectId] - Linear project ID (prompted when omitted)
+ * @param {string} [options.tag] - Target tag (default: current tag)
+ * @param {boolean} [options.dryRun] - Show what would be imported without writing tasks.json
+ * @param {string} [options.projectRoot] - Project root directory
+ * @returns {Promise<Object>} Import result
+ */
+export async function runLinearImport(options = {}) {
+	const { dryRun = false, projectRoot = findProjectRoot() } = options;
+	let spinner;
+
+	try {
+		const envResult = config({ path: join(projectRoot, '.env') });
+		if (envResult.error) {
+			log('debug', 'No .env file found, using system environment variables');
+		}
+
+		const apiKey = process.env.LINEAR_API_KEY;
+		if (!apiKey) {
+			throw new Error(
+				'LINEAR_API_KEY is not set. Run linear-sync-setup or add it to your .env file.'
+			);
+		}
+
+		let projectId = options.projectId;
+		if (!projectId) {
+			let teamId = options.teamId;
+			if (!teamId) {
+				spinner = ora('Fetching available teams...').start();
+				const team = await selectLinearTeam(apiKey, { spinner });
+				if (!team?.id) {
+					throw new Error('No team selected');
+				}
+				teamId = team.id;
+			}
+
+			spinner = ora('Fetching projects for selected team...').start();
+			const project = await selectLinearProject(apiKey, teamId, { spinner });
+			if (!project?.id) {
+				throw new Error('No project selected');
+			}
+			projectId = project.id;
+		}
+
+		const tag = options.tag || getCurrentTag(projectRoot);
+
+		spinner = ora('Fetching project issues from Linear...').start();
+		const result = await importLinearProject(apiKey, projectRoot, {
+			projectId,
+			tag,
+			dryRun
+		});
+		spinner.stop();
+
+		displayImportResult(result);
+		return result;
+	} catch (error) {
+		if (spinner) spinner.stop();
+		throw error;
+	}
+}
+
+/**
+ * Display the outcome of an import
+ *
+ * @param {Object} result - Import result
+ */
+function displayImportResult(result) {
+	console.log(
+		chalk.bold(
+			`\n📥 Linear project ${result.project.name} → tag "${result.tag}"${result.tagCreated ? chalk.green(' (new tag)') : ''}`
+		)
+	);
+
+	for (const entry of result.created) {
+		console.log(
+			`  ${chalk.green('+')} ${chalk.bold(entry.id.padEnd(6))} ${chalk.gray(entry.identifier.padEnd(10))} ${entry.title}`
+		);
+	}
+
+	console.log();
+	console.log(
+		`${result.dryRun ? 'Would import' : 'Imported'}: ${result.created.length}, already imported: ${result.existing}, dependencies added: ${result.dependenciesAdded}`
+	);
+	if (result.dryRun) {
+		console.log(chalk.gray('Dry run - tasks.json was not modified.'));
+	}
+}
+
+/**
+ * Command line interface for linear-import
+ *
+ * Following the integration command pattern: {integration}-{command-name}
+ */
+export async function linearImportCommand(options) {
+	try {
+		await runLinearImport(options);
+	} catch (error) {
+		console.error(chalk.red(`Linear import failed: ${error.message}`));
+		process.exit(1);
+	}
+}
+
+// Export for CLI registration
+// Following integration command naming pattern: {integration}-{command-name}
+export default {
+	command: 'linear-import',
+	description: 'Import the issues of a Linear project into a TaskMaster tag',
+	options: [
+		{
+			flags: '--team-id <id>',
+			description: 'Linear team ID (prompted when omitted)'
+		},
+		{
+			flags: '--project-id <id>',
+			description: 'Linear project ID (prompted when omitted)'
+		},
+		{
+			flags: '--tag <tag>',
+			description: 'Tag to import into (default: current tag)'
+		},
+		{
+			flags: '--dry-run',
+			description: 'Show what would be imported without writing tasks.json'
+		},
+		{
+			flags: '--project-root <path>',
+			description: 'Project root directory (defaults to current directory)'
+		}
+	],
+	action: linearImportCommand
+};
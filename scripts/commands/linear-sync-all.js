@@ -56,6 +56,16 @@ export default {
 			flags: '--labels-only',
 			description: 'Sync only labels (equivalent to linear-sync-labels)'
 		},
+		{
+			flags: '--pull',
+			description:
+				'Pull issue state, title, priority and comments from Linear into tasks.json'
+		},
+		{
+			flags: '--conflict-policy <policy>',
+			description:
+				'How --pull settles fields changed on both sides: local-wins, remote-wins, newest-wins or interactive'
+		},
 		{
 			flags: '-f, --force',
 			description: 'Skip confirmation prompts'
@@ -4,14 +4,18 @@
  * @fileoverview Linear Sync All Command
  *
  * Orchestrates comprehensive synchronization between TaskMaster and Linear.
- * Currently handles label sync, with extensibility for future team/project sync.
+ * Currently handles label sync and pulling issue changes back into tasks.json,
+ * with extensibility for future team/project sync.
  */
 
 import { fileURLToPath } from 'url';
-import { dirname } from 'path';
+import { dirname, join } from 'path';
+import { config } from 'dotenv';
 import { linearSyncLabels } from './linear-sync-labels.js';
+import { pullLinearChanges } from './modules/linear-pull-sync.js';
 import { log } from './modules/utils.js';
 import chalk from 'chalk';
+import inquirer from 'inquirer';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -29,7 +33,9 @@ function parseArgs() {
 		verbose: false,
 		teamId: null,
 		force: false,
-		labelsOnly: false
+		labelsOnly: false,
+		pull: false,
+		conflictPolicy: null
 	};
 
 	for (let i = 0; i < args.length; i++) {
@@ -66,6 +72,15 @@ function parseArgs() {
 			case '--labels-only':
 				options.labelsOnly = true;
 				break;
+			case '--pull':
+				options.pull = true;
+				break;
+			case '--conflict-policy':
+				if (i + 1 >= args.length) {
+					throw new Error('--conflict-policy requires a value');
+				}
+				options.conflictPolicy = args[++i];
+				break;
 			case '--help':
 			case '-h':
 				options.help = true;
@@ -99,12 +114,18 @@ ${chalk.bold('OPTIONS:')}
   --project-root <path>      TaskMaster project root (default: /app)
   --team-id <id>             Specific Linear team ID to sync with
   --labels-only              Sync only labels (same as linear-sync-labels)
+  --pull                     Pull issue state, title, priority and comments
+                             from Linear into tasks.json
+  --conflict-policy <policy> How --pull settles fields changed on both sides:
+                             local-wins, remote-wins, newest-wins, interactive
+                             (default: integrations.linear.sync.conflictPolicy)
   -f, --force                Skip confirmation prompts
   -v, --verbose              Enable verbose logging
   -h, --help                 Show this help message
 
 ${chalk.bold('COMPONENTS SYNCED:')}
   ✓ Labels                   Sync TaskMaster labels with Linear (create/update/track)
+  ✓ Issues (--pull)          Pull Linear issue changes into linked tasks
   ○ Teams                    Team synchronization (future enhancement)  
   ○ Projects                 Project synchronization (future enhancement)
 
@@ -121,6 +142,15 @@ ${chalk.bold('EXAMPLES:')}
   # Sync only labels (equivalent to linear-sync-labels)
   linear-sync-all --labels-only
 
+  # Preview the per-task diff of pulling Linear changes into tasks.json
+  linear-sync-all --pull --dry-run
+
+  # Apply Linear state, title, priority and new comments to linked tasks
+  linear-sync-all --pull
+
+  # Pull and decide each conflicting field by hand
+  linear-sync-all --pull --conflict-policy interactive
+
 ${chalk.bold('WORKFLOW:')}
   1. 🏷️  LABELS: Comprehensive label sync (create missing, store IDs, resolve conflicts)
   2. 👥 TEAMS: Team metadata sync (planned)
@@ -145,6 +175,7 @@ function displaySyncHeader() {
 
 	console.log('Sync Components:');
 	console.log(`  🏷️  Labels:   ${chalk.green('✓ Active')}`);
+	console.log(`  📥 Issues:   ${chalk.green('✓ Active (--pull)')}`);
 	console.log(`  👥 Teams:    ${chalk.gray('○ Planned (read-only)')}`);
 	console.log(`  📁 Projects: ${chalk.gray('○ Planned (read-only)')}`);
 	console.log();
@@ -171,6 +202,144 @@ async function syncLabels(options) {
 	}
 }
 
+/**
+ * Execute issue pull component
+ */
+async function syncIssues(options) {
+	console.log(chalk.bold.blue('\n📥 PULLING ISSUES'));
+	console.log('─'.repeat(40));
+
+	try {
+		const envResult = config({ path: join(options.projectRoot, '.env') });
+		if (envResult.error) {
+			log('debug', 'No .env file found, using system environment variables');
+		}
+
+		const apiKey = process.env.LINEAR_API_KEY;
+		if (!apiKey) {
+			throw new Error(
+				'LINEAR_API_KEY is not set. Add it to your .env file or environment variables.'
+			);
+		}
+
+		const result = await pullLinearChanges(apiKey, options.projectRoot, {
+			dryRun: options.dryRun,
+			...(options.conflictPolicy && {
+				conflictPolicy: options.conflictPolicy
+			}),
+			prompt: promptConflict
+		});
+
+		displayPullDiff(result);
+
+		return {
+			success: result.errors.length === 0,
+			component: 'issues',
+			...(result.errors.length > 0 && {
+				error: `${result.errors.length} issue(s) could not be pulled`
+			})
+		};
+	} catch (error) {
+		console.error(chalk.red(`❌ Issue pull failed: ${error.message}`));
+		if (options.verbose) {
+			console.error(error.stack);
+		}
+		return { success: false, component: 'issues', error: error.message };
+	}
+}
+
+/**
+ * Ask which side wins a sync conflict (interactive conflict policy)
+ */
+async function promptConflict(conflict) {
+	const { resolution } = await inquirer.prompt([
+		{
+			type: 'list',
+			name: 'resolution',
+			message: `Task #${conflict.taskId} (${conflict.identifier}) ${conflict.field} changed on both sides:`,
+			choices: [
+				{
+					name: `Keep local  ${formatDiffValue(conflict.local)}`,
+					value: 'local'
+				},
+				{
+					name: `Use Linear  ${formatDiffValue(conflict.remote)}`,
+					value: 'remote'
+				},
+				{ name: 'Skip (ask again next pull)', value: 'skip' }
+			]
+		}
+	]);
+	return resolution;
+}
+
+/**
+ * Display the per-task diff of an issue pull
+ */
+function displayPullDiff(result) {
+	for (const task of result.tasks) {
+		console.log(
+			`\n  ${chalk.bold(`Task #${task.id}`)} ${chalk.gray(`(${task.identifier}, tag: ${task.tag})`)}`
+		);
+		for (const change of task.changes) {
+			console.log(
+				`    ${change.field}: ${chalk.red(formatDiffValue(change.from))} → ${chalk.green(formatDiffValue(change.to))}`
+			);
+		}
+		for (const conflict of task.conflicts) {
+			const outcome =
+				conflict.resolution === 'skipped'
+					? chalk.yellow('skipped')
+					: chalk.green(`kept ${conflict.resolution}`);
+			console.log(
+				`    ${conflict.field}: ${chalk.yellow('conflict')} (local ${formatDiffValue(conflict.local)} / Linear ${formatDiffValue(conflict.remote)}) → ${outcome}`
+			);
+		}
+		for (const field of task.pushed || []) {
+			console.log(
+				`    ${field}: ${chalk.cyan('local value pushed to Linear')}`
+			);
+		}
+		if (task.pushError) {
+			console.log(
+				`    ${chalk.red(`✗ could not push local changes: ${task.pushError}`)}`
+			);
+		}
+		for (const comment of task.comments) {
+			const firstLine = comment.body.trim().split('\n')[0];
+			console.log(
+				`    ${chalk.green('+ comment')} ${chalk.gray(`by ${comment.author}:`)} ${firstLine}`
+			);
+		}
+	}
+
+	for (const failure of result.errors) {
+		console.log(
+			`\n  ${chalk.bold(`Task #${failure.id}`)} ${chalk.red(`✗ ${failure.error}`)}`
+		);
+	}
+
+	console.log();
+	console.log(
+		`${result.dryRun ? 'Would update' : 'Updated'}: ${result.updated}, unchanged: ${result.unchanged}, conflicts: ${result.conflicts}, failed: ${result.errors.length}`
+	);
+	if (result.auditPath) {
+		console.log(
+			chalk.gray(`Conflict resolutions logged to ${result.auditPath}`)
+		);
+	}
+	if (result.dryRun) {
+		console.log(chalk.gray('Dry run - tasks.json was not modified.'));
+	}
+}
+
+/**
+ * Format a field value for diff output
+ */
+function formatDiffValue(value) {
+	return value === undefined || value === null ? '(none)' : `"${value}"`;
+}
+
 /**
  * Execute team sync component (placeholder)
  */
@@ -275,7 +444,8 @@ function getComponentIcon(component) {
 	const icons = {
 		labels: '🏷️ ',
 		teams: '👥',
-		projects: '📁'
+		projects: '📁',
+		issues: '📥'
 	};
 	return icons[component] || '○';
 }
@@ -301,8 +471,14 @@ async function main(providedOptions = null) {
 	const results = [];
 
 	try {
-		// If labels-only flag is set, just run label sync
-		if (options.labelsOnly) {
+		// If pull flag is set, only pull issue changes from Linear
+		if (options.pull) {
+			console.log(
+				chalk.blue('Pulling Linear issue changes into linked tasks...')
+			);
+			const issueResult = await syncIssues(options);
+			results.push(issueResult);
+		} else if (options.labelsOnly) {
 			console.log(
 				chalk.blue(
 					'Running labels-only sync (equivalent to linear-sync-labels)'
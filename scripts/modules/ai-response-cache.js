@@ -0,0 +1,236 @@
+/**
+ * @fileoverview AI Response Cache
+ *
+ * Opt-in on-disk cache for AI service responses, enabled through
+ * `global.aiCache` in the config. Entries live in `.taskmaster/cache/ai/`,
+ * one JSON file per response, named by a hash of everything that determines
+ * the response: call type, role, provider, model, system prompt, prompt and
+ * schema. Re-running a command on unchanged input is served from the cache.
+ * Entries expire after the configured TTL and the oldest ones are evicted
+ * once the cache grows past its size limit.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { log } from './utils.js';
+import { TASKMASTER_DIR, AI_CACHE_DIR } from '../../src/constants/paths.js';
+
+/**
+ * Serialize a Zod schema for hashing. Object shapes are stored behind a
+ * getter function in the schema definition, so they are expanded here.
+ *
+ * @param {Object} schema - Zod schema
+ * @returns {string|null} Stable description, or null if it cannot be serialized
+ */
+function describeSchema(schema) {
+	if (!schema) {
+		return null;
+	}
+	try {
+		return JSON.stringify(schema._def ?? schema, (key, value) => {
+			if (typeof value === 'function') {
+				return key === 'shape' ? value() : undefined;
+			}
+			return value;
+		});
+	} catch (error) {
+		log('debug', `AI cache: schema cannot be serialized: ${error.message}`);
+		return null;
+	}
+}
+
+/**
+ * Compute the cache key of an AI call
+ *
+ * @param {Object} request - Call inputs
+ * @param {string} request.serviceType - generateText or generateObject
+ * @param {string} request.role - Role the call is made with
+ * @param {string} request.providerName - Provider name
+ * @param {string} request.modelId - Model ID
+ * @param {string} [request.systemPrompt] - System prompt
+ * @param {string} request.prompt - User prompt
+ * @param {Object} [request.schema] - Zod schema for object generation
+ * @param {string} [request.objectName] - Object name for object generation
+ * @returns {string|null} Cache key, or null if the call cannot be cached
+ */
+export function getCacheKey({
+	serviceType,
+	role,
+	providerName,
+	modelId,
+	systemPrompt,
+	prompt,
+	schema,
+	objectName
+}) {
+	const schemaDescription = describeSchema(schema);
+	if (schema && schemaDescription === null) {
+		return null;
+	}
+
+	return crypto
+		.createHash('sha256')
+		.update(
+			JSON.stringify({
+				serviceType,
+				role,
+				providerName,
+				modelId,
+				systemPrompt: systemPrompt || null,
+				prompt,
+				schema: schemaDescription,
+				objectName: objectName || null
+			})
+		)
+		.digest('hex');
+}
+
+/**
+ * Resolve the cache directory, or null outside an initialized project
+ *
+ * @param {string|null} projectRoot - Project root directory
+ * @returns {string|null} Cache directory
+ */
+function getCacheDir(projectRoot) {
+	if (!projectRoot || !fs.existsSync(path.join(projectRoot, TASKMASTER_DIR))) {
+		return null;
+	}
+	return path.join(projectRoot, AI_CACHE_DIR);
+}
+
+/**
+ * Read a cached response. Expired entries are removed.
+ *
+ * @param {string|null} projectRoot - Project root directory
+ * @param {string} key - Cache key
+ * @param {Object} settings - Cache settings from getAiCacheSettings
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Object|null} Cached provider response, or null on a miss
+ */
+export function readCachedResponse(
+	projectRoot,
+	key,
+	settings,
+	now = Date.now()
+) {
+	const cacheDir = getCacheDir(projectRoot);
+	if (!cacheDir || !key) {
+		return null;
+	}
+
+	const entryPath = path.join(cacheDir, `${key}.json`);
+	if (!fs.existsSync(entryPath)) {
+		return null;
+	}
+
+	try {
+		const entry = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+		if (now - Date.parse(entry.createdAt) > settings.ttlMs) {
+			fs.rmSync(entryPath, { force: true });
+			return null;
+		}
+		// Touch the entry so size-based eviction removes the least recently used
+		const accessed = new Date(now);
+		fs.utimesSync(entryPath, accessed, accessed);
+		return entry.response;
+	} catch (error) {
+		log('warn', `Ignoring unreadable AI cache entry ${key}: ${error.message}`);
+		return null;
+	}
+}
+
+/**
+ * Store a provider response, then evict entries to stay within the limits
+ *
+ * @param {string|null} projectRoot - Project root directory
+ * @param {string} key - Cache key
+ * @param {Object} entry - What to store
+ * @param {string} entry.providerName - Provider that produced the response
+ * @param {string} entry.modelId - Model that produced the response
+ * @param {Object} entry.response - Provider response ({ text | object, usage })
+ * @param {Object} settings - Cache settings from getAiCacheSettings
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {string|null} Path of the entry, or null if nothing was written
+ */
+export function writeCachedResponse(
+	projectRoot,
+	key,
+	{ providerName, modelId, response },
+	settings,
+	now = Date.now()
+) {
+	const cacheDir = getCacheDir(projectRoot);
+	if (!cacheDir || !key) {
+		return null;
+	}
+
+	try {
+		fs.mkdirSync(cacheDir, { recursive: true });
+		const entryPath = path.join(cacheDir, `${key}.json`);
+		fs.writeFileSync(
+			entryPath,
+			JSON.stringify({
+				key,
+				providerName,
+				modelId,
+				createdAt: new Date(now).toISOString(),
+				response
+			})
+		);
+		const written = new Date(now);
+		fs.utimesSync(entryPath, written, written);
+		pruneCache(projectRoot, settings, now);
+		return entryPath;
+	} catch (error) {
+		log('warn', `Could not write AI cache entry ${key}: ${error.message}`);
+		return null;
+	}
+}
+
+/**
+ * Remove expired entries, then the least recently used ones until the cache
+ * fits in its size limit
+ *
+ * @param {string|null} projectRoot - Project root directory
+ * @param {Object} settings - Cache settings from getAiCacheSettings
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {{removed: number, entries: number, sizeBytes: number}} Result of the pruning
+ */
+export function pruneCache(projectRoot, settings, now = Date.now()) {
+	const cacheDir = getCacheDir(projectRoot);
+	if (!cacheDir || !fs.existsSync(cacheDir)) {
+		return { removed: 0, entries: 0, sizeBytes: 0 };
+	}
+
+	let removed = 0;
+	const entries = [];
+	for (const file of fs.readdirSync(cacheDir)) {
+		if (!file.endsWith('.json')) continue;
+		const entryPath = path.join(cacheDir, file);
+		const stats = fs.statSync(entryPath);
+		// The mtime is the last write or read, never earlier than creation, so
+		// an mtime older than the TTL means the entry has expired. Expired
+		// entries that were read recently are removed on their next read.
+		if (now - stats.mtimeMs > settings.ttlMs) {
+			fs.rmSync(entryPath, { force: true });
+			removed++;
+			continue;
+		}
+		entries.push({ entryPath, size: stats.size, usedAt: stats.mtimeMs });
+	}
+
+	let sizeBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+	entries.sort((a, b) => a.usedAt - b.usedAt);
+	while (sizeBytes > settings.maxSizeBytes && entries.length > 0) {
+		const oldest = entries.shift();
+		fs.rmSync(oldest.entryPath, { force: true });
+		sizeBytes -= oldest.size;
+		removed++;
+	}
+
+	if (removed > 0) {
+		log('debug', `AI cache: removed ${removed} entries`);
+	}
+	return { removed, entries: entries.length, sizeBytes };
+}
@@ -0,0 +1,216 @@
+/**
+ * @fileoverview AI Role Routing
+ *
+ * Decides which roles the unified AI service tries, in which order, and what
+ * happens when a call fails. Everything is configured in the `routing`
+ * section of `.taskmaster/config.json`:
+ *
+ * - `routing.chains` maps a role to its ordered fallback chain. Roles are the
+ *   keys of the `models` section, so named roles such as `cheap` or `strong`
+ *   can be defined next to `main`, `research` and `fallback`.
+ * - `routing.commands` routes a command to other roles, either as a role name
+ *   (used instead of `main`) or as a map from the requested role to a role or
+ *   explicit chain.
+ * - `routing.errors` maps an error category to `retry` (retry the same model,
+ *   then move on), `next` (move on to the next role at once) or `fail` (stop).
+ */
+
+import { log } from './utils.js';
+import { getRoutingConfig } from './config-manager.js';
+
+/**
+ * Fallback chains used when `routing.chains` does not define one
+ */
+export const DEFAULT_ROLE_CHAINS = {
+	main: ['main', 'fallback', 'research'],
+	research: ['research', 'fallback', 'main'],
+	fallback: ['fallback', 'main', 'research']
+};
+
+/**
+ * What to do after a failed call
+ */
+export const ERROR_ACTIONS = ['retry', 'next', 'fail'];
+
+/**
+ * Error categories with their default action: rate limits move on to the
+ * next role at once, other transient errors are retried, schema validation
+ * and tool support errors stop the call and everything else moves on
+ */
+export const DEFAULT_ERROR_RULES = {
+	rateLimit: 'next',
+	serverError: 'retry',
+	network: 'retry',
+	auth: 'next',
+	schemaValidation: 'fail',
+	toolSupport: 'fail',
+	other: 'next'
+};
+
+const TOOL_SUPPORT_MESSAGES = [
+	'no endpoints found that support tool use',
+	'does not support tool_use',
+	'tool use is not supported',
+	'tools are not supported',
+	'function calling is not supported'
+];
+
+const SCHEMA_ERROR_NAMES = [
+	'AI_TypeValidationError',
+	'AI_NoObjectGeneratedError',
+	'AI_JSONParseError',
+	'ZodError'
+];
+
+/**
+ * Normalize a role or chain value to a list of role names
+ *
+ * @param {string|string[]} value - Role name or chain
+ * @returns {string[]|null} Role names, or null if the value is not usable
+ */
+function toChain(value) {
+	if (typeof value === 'string' && value.trim() !== '') {
+		return [value.trim()];
+	}
+	if (Array.isArray(value)) {
+		const roles = value.filter(
+			(role) => typeof role === 'string' && role.trim() !== ''
+		);
+		return roles.length > 0 ? roles.map((role) => role.trim()) : null;
+	}
+	return null;
+}
+
+/**
+ * Resolve the ordered list of roles to try for a call
+ *
+ * @param {string} requestedRole - Role the caller asked for (e.g. 'main')
+ * @param {string} [commandName] - Command making the call, for per-command routing
+ * @param {string|null} [projectRoot] - Project root directory
+ * @returns {string[]} Roles to try, in order, without duplicates
+ */
+export function resolveRoleChain(requestedRole, commandName, projectRoot) {
+	const { chains, commands } = getRoutingConfig(projectRoot);
+	let role = requestedRole;
+	let explicitChain = null;
+
+	// A command route given as a plain role name replaces the main role only,
+	// so flags such as --research still select the research role
+	const commandRoute = commandName ? commands[commandName] : undefined;
+	const routed =
+		typeof commandRoute === 'string' || Array.isArray(commandRoute)
+			? requestedRole === 'main'
+				? toChain(commandRoute)
+				: null
+			: toChain(commandRoute?.[requestedRole]);
+	if (routed) {
+		if (routed.length === 1) {
+			role = routed[0];
+		} else {
+			explicitChain = routed;
+		}
+		log(
+			'debug',
+			`Routing ${commandName} (${requestedRole}) to ${routed.join(' -> ')}`
+		);
+	}
+
+	let chain = explicitChain || toChain(chains[role]);
+	if (!chain) {
+		// A named role falls back to the chain of the role it replaces
+		chain =
+			DEFAULT_ROLE_CHAINS[role] ||
+			DEFAULT_ROLE_CHAINS[requestedRole] ||
+			DEFAULT_ROLE_CHAINS.main;
+	}
+
+	// A chain always starts with the role it belongs to
+	if (!explicitChain && chain[0] !== role) {
+		chain = [role, ...chain];
+	}
+	return [...new Set(chain)];
+}
+
+/**
+ * Classify a failed AI call into one of the error rule categories
+ *
+ * @param {Error} error - Error thrown by the provider
+ * @returns {string} Category key of DEFAULT_ERROR_RULES
+ */
+export function classifyAiError(error) {
+	const cause = error?.cause || {};
+	const message = [error?.message, cause.message]
+		.filter(Boolean)
+		.join(' ')
+		.toLowerCase();
+	const status = error?.status ?? error?.statusCode ?? cause.statusCode;
+	const names = [error?.name, cause.name];
+
+	if (TOOL_SUPPORT_MESSAGES.some((text) => message.includes(text))) {
+		return 'toolSupport';
+	}
+	if (
+		names.some((name) => SCHEMA_ERROR_NAMES.includes(name)) ||
+		message.includes('type validation failed') ||
+		message.includes('no object generated') ||
+		message.includes('did not match schema')
+	) {
+		return 'schemaValidation';
+	}
+	if (
+		status === 429 ||
+		message.includes('rate limit') ||
+		message.includes('too many requests')
+	) {
+		return 'rateLimit';
+	}
+	if (
+		status >= 500 ||
+		message.includes('overloaded') ||
+		message.includes('service temporarily unavailable')
+	) {
+		return 'serverError';
+	}
+	if (
+		message.includes('timeout') ||
+		message.includes('network error') ||
+		['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT'].includes(
+			error?.code ?? cause.code
+		)
+	) {
+		return 'network';
+	}
+	if (
+		status === 401 ||
+		status === 403 ||
+		message.includes('invalid api key') ||
+		message.includes('unauthorized')
+	) {
+		return 'auth';
+	}
+	return 'other';
+}
+
+/**
+ * Get the error rules: the defaults with `routing.errors` applied
+ *
+ * @param {string|null} [projectRoot] - Project root directory
+ * @returns {Object<string, string>} Action per error category
+ */
+export function getErrorRules(projectRoot) {
+	const { errors } = getRoutingConfig(projectRoot);
+	const rules = { ...DEFAULT_ERROR_RULES };
+	for (const [category, action] of Object.entries(errors)) {
+		if (!(category in DEFAULT_ERROR_RULES)) {
+			log('warn', `Ignoring unknown routing error category "${category}"`);
+		} else if (!ERROR_ACTIONS.includes(action)) {
+			log(
+				'warn',
+				`Ignoring routing.errors.${category}: "${action}" is not one of ${ERROR_ACTIONS.join(', ')}`
+			);
+		} else {
+			rules[category] = action;
+		}
+	}
+	return rules;
+}
@@ -7,6 +7,7 @@
 // import { generateText, streamText, generateObject } from 'ai';
 
 // --- Core Dependencies ---
+import path from 'path';
 import {
 	getMainProvider,
 	getMainModelId,
@@ -19,12 +20,17 @@ import {
 	MODEL_MAP,
 	getDebugFlag,
 	getBaseUrlForRole,
+	getHeadersForRole,
+	getCostForRole,
 	isApiKeySet,
 	getOllamaBaseURL,
 	getAzureBaseURL,
 	getBedrockBaseURL,
 	getVertexProjectId,
-	getVertexLocation
+	getVertexLocation,
+	getReplaySettings,
+	getAiCacheSettings,
+	getModelConfigForRole
 } from './config-manager.js';
 import {
 	log,
@@ -32,6 +38,19 @@ import {
 	resolveEnvVariable,
 	getCurrentTag
 } from './utils.js';
+import { recordUsage, assertWithinBudget } from './ai-usage-ledger.js';
+import {
+	getCacheKey,
+	readCachedResponse,
+	writeCachedResponse
+} from './ai-response-cache.js';
+import {
+	resolveRoleChain,
+	classifyAiError,
+	getErrorRules,
+	DEFAULT_ERROR_RULES
+} from './ai-routing.js';
+import { readTaskFile } from './utils/taskStorage.js';
 
 // Import provider classes
 import {
@@ -44,7 +63,9 @@ import {
 	OllamaAIProvider,
 	BedrockAIProvider,
 	AzureProvider,
-	VertexAIProvider
+	VertexAIProvider,
+	ReplayAIProvider,
+	OpenAICompatibleProvider
 } from '../../src/ai-providers/index.js';
 
 // Create provider instances
@@ -58,11 +79,23 @@ const PROVIDERS = {
 	ollama: new OllamaAIProvider(),
 	bedrock: new BedrockAIProvider(),
 	azure: new AzureProvider(),
-	vertex: new VertexAIProvider()
+	vertex: new VertexAIProvider(),
+	replay: new ReplayAIProvider(),
+	'openai-compatible': new OpenAICompatibleProvider()
 };
 
-// Helper function to get cost for a specific model
-function _getCostForModel(providerName, modelId) {
+// Helper function to get cost for a specific model. Cost metadata set on the
+// role in config.json takes precedence over supported-models.json.
+function _getCostForModel(providerName, modelId, role, projectRoot) {
+	const roleCost = role ? getCostForRole(role, projectRoot) : null;
+	if (roleCost) {
+		return {
+			inputCost: roleCost.input,
+			outputCost: roleCost.output,
+			currency: roleCost.currency
+		};
+	}
+
 	if (!MODEL_MAP || !MODEL_MAP[providerName]) {
 		log(
 			'warn',
@@ -113,7 +146,7 @@ function _getTagInfo(projectRoot) {
 			);
 
 			if (fs.existsSync(tasksPath)) {
-				const tasksData = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+				const tasksData = readTaskFile(tasksPath);
 				if (tasksData && typeof tasksData === 'object') {
 					// Check if it's tagged format (has tag-like keys with tasks arrays)
 					const potentialTags = Object.keys(tasksData).filter(
@@ -154,20 +187,6 @@ function _getTagInfo(projectRoot) {
 const MAX_RETRIES = 2;
 const INITIAL_RETRY_DELAY_MS = 1000;
 
-// Helper function to check if an error is retryable
-function isRetryableError(error) {
-	const errorMessage = error.message?.toLowerCase() || '';
-	return (
-		errorMessage.includes('rate limit') ||
-		errorMessage.includes('overloaded') ||
-		errorMessage.includes('service temporarily unavailable') ||
-		errorMessage.includes('timeout') ||
-		errorMessage.includes('network error') ||
-		error.status === 429 ||
-		error.status >= 500
-	);
-}
-
 /**
  * Extracts a user-friendly error message from a potentially complex AI error object.
  * Prioritizes nested messages and falls back to the top-level message.
@@ -225,6 +244,12 @@ function _extractErrorMessage(error) {
  * @throws {Error} If a required API key is missing.
  */
 function _resolveApiKey(providerName, session, projectRoot = null) {
+	// The replay provider needs no key; _getReplayParams resolves the key of
+	// the provider it records from
+	if (providerName === 'replay') {
+		return null;
+	}
+
 	const keyMap = {
 		openai: 'OPENAI_API_KEY',
 		anthropic: 'ANTHROPIC_API_KEY',
@@ -236,7 +261,8 @@ function _resolveApiKey(providerName, session, projectRoot = null) {
 		xai: 'XAI_API_KEY',
 		ollama: 'OLLAMA_API_KEY',
 		bedrock: 'AWS_ACCESS_KEY_ID',
-		vertex: 'GOOGLE_API_KEY'
+		vertex: 'GOOGLE_API_KEY',
+		'openai-compatible': 'OPENAI_COMPATIBLE_API_KEY'
 	};
 
 	const envVarName = keyMap[providerName];
@@ -249,7 +275,11 @@ function _resolveApiKey(providerName, session, projectRoot = null) {
 	const apiKey = resolveEnvVariable(envVarName, session, projectRoot);
 
 	// Special handling for providers that can use alternative auth
-	if (providerName === 'ollama' || providerName === 'bedrock') {
+	if (
+		providerName === 'ollama' ||
+		providerName === 'bedrock' ||
+		providerName === 'openai-compatible'
+	) {
 		return apiKey || null;
 	}
 
@@ -261,6 +291,50 @@ function _resolveApiKey(providerName, session, projectRoot = null) {
 	return apiKey;
 }
 
+/**
+ * Internal helper to build the replay provider parameters: where fixtures
+ * live, the replay mode and, unless only replaying, the upstream provider
+ * named by a `<provider>/<model>` model ID to record from.
+ * @param {string} modelId - Replay model ID (e.g. 'anthropic/claude-3-7-sonnet-20250219').
+ * @param {object|null} session - Optional MCP session object.
+ * @param {string|null} projectRoot - Project root path.
+ * @returns {object} Parameters for ReplayAIProvider.
+ */
+function _getReplayParams(modelId, session, projectRoot) {
+	const { mode, fixturesDir } = getReplaySettings(projectRoot);
+	const [upstreamName, ...modelParts] = modelId.split('/');
+	const providerName = upstreamName.toLowerCase();
+	let upstream = null;
+
+	if (
+		mode !== 'replay' &&
+		providerName !== 'replay' &&
+		PROVIDERS[providerName] &&
+		modelParts.length > 0
+	) {
+		const baseURLGetters = {
+			azure: getAzureBaseURL,
+			ollama: getOllamaBaseURL,
+			bedrock: getBedrockBaseURL
+		};
+		upstream = {
+			provider: PROVIDERS[providerName],
+			providerName,
+			modelId: modelParts.join('/'),
+			apiKey: isApiKeySet(providerName, session, projectRoot)
+				? _resolveApiKey(providerName, session, projectRoot)
+				: null,
+			baseURL: baseURLGetters[providerName]?.(projectRoot)
+		};
+	}
+
+	return {
+		replayMode: mode,
+		fixturesDir: path.resolve(projectRoot || process.cwd(), fixturesDir),
+		upstream
+	};
+}
+
 /**
  * Internal helper to attempt a provider-specific AI API call with retries.
  *
@@ -269,6 +343,7 @@ function _resolveApiKey(providerName, session, projectRoot = null) {
  * @param {string} providerName - Name of the provider (for logging).
  * @param {string} modelId - Specific model ID (for logging).
  * @param {string} attemptRole - The role being attempted (for logging).
+ * @param {object} [errorRules=DEFAULT_ERROR_RULES] - Action per error category; only 'retry' errors are retried.
  * @returns {Promise<object>} The result from the successful API call.
  * @throws {Error} If the call fails after all retries.
  */
@@ -278,7 +353,8 @@ async function _attemptProviderCallWithRetries(
 	callParams,
 	providerName,
 	modelId,
-	attemptRole
+	attemptRole,
+	errorRules = DEFAULT_ERROR_RULES
 ) {
 	let retries = 0;
 	const fnName = serviceType;
@@ -308,7 +384,10 @@ async function _attemptProviderCallWithRetries(
 				`Attempt ${retries + 1} failed for role ${attemptRole} (${fnName} / ${providerName}): ${error.message}`
 			);
 
-			if (isRetryableError(error) && retries < MAX_RETRIES) {
+			if (
+				errorRules[classifyAiError(error)] === 'retry' &&
+				retries < MAX_RETRIES
+			) {
 				retries++;
 				const delay = INITIAL_RETRY_DELAY_MS * 2 ** (retries - 1);
 				log(
@@ -340,6 +419,8 @@ async function _attemptProviderCallWithRetries(
  * @param {string} [params.projectRoot] - Optional project root path.
  * @param {string} params.commandName - Name of the command invoking the service.
  * @param {string} params.outputType - 'cli' or 'mcp'.
+ * @param {string} [params.tag] - Tag the call is made for (defaults to the current tag).
+ * @param {boolean} [params.noCache=false] - Bypass the AI response cache for this call.
  * @param {string} [params.systemPrompt] - Optional system prompt.
  * @param {string} [params.prompt] - The prompt for the AI.
  * @param {string} [params.schema] - The Zod schema for the expected object.
@@ -357,6 +438,8 @@ async function _unifiedServiceRunner(serviceType, params) {
 		objectName,
 		commandName,
 		outputType,
+		tag,
+		noCache = false,
 		...restApiParams
 	} = params;
 	if (getDebugFlag()) {
@@ -370,21 +453,23 @@ async function _unifiedServiceRunner(serviceType, params) {
 
 	const effectiveProjectRoot = projectRoot || findProjectRoot();
 	const userId = getUserId(effectiveProjectRoot);
+	const usageTag = tag || getCurrentTag(effectiveProjectRoot) || 'master';
 
-	let sequence;
-	if (initialRole === 'main') {
-		sequence = ['main', 'fallback', 'research'];
-	} else if (initialRole === 'research') {
-		sequence = ['research', 'fallback', 'main'];
-	} else if (initialRole === 'fallback') {
-		sequence = ['fallback', 'main', 'research'];
-	} else {
-		log(
-			'warn',
-			`Unknown initial role: ${initialRole}. Defaulting to main -> fallback -> research sequence.`
-		);
-		sequence = ['main', 'fallback', 'research'];
-	}
+	// Refuse to start a provider call once a usage budget is used up
+	assertWithinBudget(effectiveProjectRoot);
+
+	// Streams are never cached; their consumers read the response incrementally
+	const cacheSettings = getAiCacheSettings(effectiveProjectRoot);
+	const useCache =
+		cacheSettings.enabled && !noCache && serviceType !== 'streamText';
+
+	// Roles to try in order, from routing.chains and routing.commands
+	const sequence = resolveRoleChain(
+		initialRole,
+		commandName,
+		effectiveProjectRoot
+	);
+	const errorRules = getErrorRules(effectiveProjectRoot);
 
 	let lastError = null;
 	let lastCleanErrorMessage =
@@ -413,13 +498,13 @@ async function _unifiedServiceRunner(serviceType, params) {
 				providerName = getFallbackProvider(effectiveProjectRoot);
 				modelId = getFallbackModelId(effectiveProjectRoot);
 			} else {
-				log(
-					'error',
-					`Unknown role encountered in _unifiedServiceRunner: ${currentRole}`
+				// Named role defined in the models section (e.g. 'cheap')
+				const roleConfig = getModelConfigForRole(
+					currentRole,
+					effectiveProjectRoot
 				);
-				lastError =
-					lastError || new Error(`Unknown AI role specified: ${currentRole}`);
-				continue;
+				providerName = roleConfig.provider;
+				modelId = roleConfig.modelId;
 			}
 
 			if (!providerName || !modelId) {
@@ -532,6 +617,30 @@ async function _unifiedServiceRunner(serviceType, params) {
 				);
 			}
 
+			// Handle OpenAI-compatible endpoint configuration
+			if (providerName?.toLowerCase() === 'openai-compatible') {
+				const headers = getHeadersForRole(
+					currentRole,
+					effectiveProjectRoot,
+					session
+				);
+				providerSpecificParams = { ...(headers && { headers }) };
+
+				log(
+					'debug',
+					`Using OpenAI-compatible endpoint ${baseURL} with ${Object.keys(headers || {}).length} extra header(s)`
+				);
+			}
+
+			// Handle replay provider configuration
+			if (providerName?.toLowerCase() === 'replay') {
+				providerSpecificParams = _getReplayParams(
+					modelId,
+					session,
+					effectiveProjectRoot
+				);
+			}
+
 			const messages = [];
 			if (systemPrompt) {
 				messages.push({ role: 'system', content: systemPrompt });
@@ -573,25 +682,65 @@ async function _unifiedServiceRunner(serviceType, params) {
 				...restApiParams
 			};
 
-			providerResponse = await _attemptProviderCallWithRetries(
-				provider,
-				serviceType,
-				callParams,
-				providerName,
-				modelId,
-				currentRole
-			);
+			const cacheKey = useCache
+				? getCacheKey({
+						serviceType,
+						role: currentRole,
+						providerName,
+						modelId,
+						systemPrompt,
+						prompt,
+						schema,
+						objectName
+					})
+				: null;
+			const cachedResponse = cacheKey
+				? readCachedResponse(effectiveProjectRoot, cacheKey, cacheSettings)
+				: null;
+			const cacheHit = !!cachedResponse;
+
+			if (cacheHit) {
+				log(
+					'info',
+					`Using cached ${serviceType} response for role ${currentRole} (${providerName}/${modelId})`
+				);
+				providerResponse = cachedResponse;
+			} else {
+				providerResponse = await _attemptProviderCallWithRetries(
+					provider,
+					serviceType,
+					callParams,
+					providerName,
+					modelId,
+					currentRole,
+					errorRules
+				);
+
+				if (cacheKey && providerResponse) {
+					writeCachedResponse(
+						effectiveProjectRoot,
+						cacheKey,
+						{ providerName, modelId, response: providerResponse },
+						cacheSettings
+					);
+				}
+			}
 
 			if (userId && providerResponse && providerResponse.usage) {
 				try {
+					// A cache hit uses no tokens, so it is recorded at zero cost
 					telemetryData = await logAiUsage({
 						userId,
 						commandName,
 						providerName,
 						modelId,
-						inputTokens: providerResponse.usage.inputTokens,
-						outputTokens: providerResponse.usage.outputTokens,
-						outputType
+						inputTokens: cacheHit ? 0 : providerResponse.usage.inputTokens,
+						outputTokens: cacheHit ? 0 : providerResponse.usage.outputTokens,
+						outputType,
+						role: currentRole,
+						tag: usageTag,
+						projectRoot: effectiveProjectRoot,
+						cacheHit
 					});
 				} catch (telemetryError) {
 					// logAiUsage already logs its own errors and returns null on failure
@@ -636,23 +785,22 @@ async function _unifiedServiceRunner(serviceType, params) {
 			lastError = error;
 			lastCleanErrorMessage = cleanMessage;
 
-			if (serviceType === 'generateObject') {
-				const lowerCaseMessage = cleanMessage.toLowerCase();
-				if (
-					lowerCaseMessage.includes(
-						'no endpoints found that support tool use'
-					) ||
-					lowerCaseMessage.includes('does not support tool_use') ||
-					lowerCaseMessage.includes('tool use is not supported') ||
-					lowerCaseMessage.includes('tools are not supported') ||
-					lowerCaseMessage.includes('function calling is not supported') ||
-					lowerCaseMessage.includes('tool use is not supported')
-				) {
-					const specificErrorMsg = `Model '${modelId || 'unknown'}' via provider '${providerName || 'unknown'}' does not support the 'tool use' required by generateObjectService. Please configure a model that supports tool/function calling for the '${currentRole}' role, or use generateTextService if structured output is not strictly required.`;
-					log('error', `[Tool Support Error] ${specificErrorMsg}`);
-					throw new Error(specificErrorMsg);
-				}
+			const errorCategory = classifyAiError(error);
+			if (errorRules[errorCategory] !== 'fail') {
+				// 'next', or 'retry' once the retries are used up
+				continue;
 			}
+
+			if (errorCategory === 'toolSupport' && serviceType === 'generateObject') {
+				const specificErrorMsg = `Model '${modelId || 'unknown'}' via provider '${providerName || 'unknown'}' does not support the 'tool use' required by generateObjectService. Please configure a model that supports tool/function calling for the '${currentRole}' role, or use generateTextService if structured output is not strictly required.`;
+				log('error', `[Tool Support Error] ${specificErrorMsg}`);
+				throw new Error(specificErrorMsg);
+			}
+			log(
+				'error',
+				`Not trying other roles: routing.errors.${errorCategory} is set to 'fail'.`
+			);
+			throw error;
 		}
 	}
 
@@ -665,13 +813,14 @@ async function _unifiedServiceRunner(serviceType, params) {
  * Handles client retrieval, retries, and fallback sequence.
  *
  * @param {object} params - Parameters for the service call.
- * @param {string} params.role - The initial client role ('main', 'research', 'fallback').
+ * @param {string} params.role - The initial client role ('main', 'research', 'fallback' or a named role).
  * @param {object} [params.session=null] - Optional MCP session object.
  * @param {string} [params.projectRoot=null] - Optional project root path for .env fallback.
  * @param {string} params.prompt - The prompt for the AI.
  * @param {string} [params.systemPrompt] - Optional system prompt.
  * @param {string} params.commandName - Name of the command invoking the service.
  * @param {string} [params.outputType='cli'] - 'cli' or 'mcp'.
+ * @param {boolean} [params.noCache=false] - Bypass the AI response cache (global.aiCache) for this call.
  * @returns {Promise<object>} Result object containing generated text and usage data.
  */
 async function generateTextService(params) {
@@ -687,7 +836,7 @@ async function generateTextService(params) {
  * Handles client retrieval, retries, and fallback sequence.
  *
  * @param {object} params - Parameters for the service call.
- * @param {string} params.role - The initial client role ('main', 'research', 'fallback').
+ * @param {string} params.role - The initial client role ('main', 'research', 'fallback' or a named role).
  * @param {object} [params.session=null] - Optional MCP session object.
  * @param {string} [params.projectRoot=null] - Optional project root path for .env fallback.
  * @param {string} params.prompt - The prompt for the AI.
@@ -711,7 +860,7 @@ async function streamTextService(params) {
  * Handles client retrieval, retries, and fallback sequence.
  *
  * @param {object} params - Parameters for the service call.
- * @param {string} params.role - The initial client role ('main', 'research', 'fallback').
+ * @param {string} params.role - The initial client role ('main', 'research', 'fallback' or a named role).
  * @param {object} [params.session=null] - Optional MCP session object.
  * @param {string} [params.projectRoot=null] - Optional project root path for .env fallback.
  * @param {import('zod').ZodSchema} params.schema - The Zod schema for the expected object.
@@ -721,6 +870,7 @@ async function streamTextService(params) {
  * @param {number} [params.maxRetries=3] - Max retries for object generation.
  * @param {string} params.commandName - Name of the command invoking the service.
  * @param {string} [params.outputType='cli'] - 'cli' or 'mcp'.
+ * @param {boolean} [params.noCache=false] - Bypass the AI response cache (global.aiCache) for this call.
  * @returns {Promise<object>} Result object containing the generated object and usage data.
  */
 async function generateObjectService(params) {
@@ -736,8 +886,7 @@ async function generateObjectService(params) {
 
 // --- Telemetry Function ---
 /**
- * Logs AI usage telemetry data.
- * For now, it just logs to the console. Sending will be implemented later.
+ * Logs AI usage telemetry data and appends it to the project's usage ledger.
  * @param {object} params - Telemetry parameters.
  * @param {string} params.userId - Unique user identifier.
  * @param {string} params.commandName - The command that triggered the AI call.
@@ -745,6 +894,11 @@ async function generateObjectService(params) {
  * @param {string} params.modelId - The specific AI model ID used.
  * @param {number} params.inputTokens - Number of input tokens.
  * @param {number} params.outputTokens - Number of output tokens.
+ * @param {string} [params.outputType] - 'cli' or 'mcp'.
+ * @param {string} [params.role] - The role the call was made with.
+ * @param {string} [params.tag] - The tag the call was made for.
+ * @param {string} [params.projectRoot] - Project whose usage ledger records the call.
+ * @param {boolean} [params.cacheHit=false] - Whether the response came from the AI response cache.
  */
 async function logAiUsage({
 	userId,
@@ -753,7 +907,11 @@ async function logAiUsage({
 	modelId,
 	inputTokens,
 	outputTokens,
-	outputType
+	outputType,
+	role,
+	tag,
+	projectRoot,
+	cacheHit = false
 }) {
 	try {
 		const isMCP = outputType === 'mcp';
@@ -763,7 +921,9 @@ async function logAiUsage({
 		// Destructure currency along with costs
 		const { inputCost, outputCost, currency } = _getCostForModel(
 			providerName,
-			modelId
+			modelId,
+			role,
+			projectRoot
 		);
 
 		const totalCost =
@@ -780,14 +940,29 @@ async function logAiUsage({
 			outputTokens: outputTokens || 0,
 			totalTokens,
 			totalCost: parseFloat(totalCost.toFixed(6)),
-			currency // Add currency to the telemetry data
+			currency, // Add currency to the telemetry data
+			cacheHit
 		};
 
 		if (getDebugFlag()) {
 			log('info', 'AI Usage Telemetry:', telemetryData);
 		}
 
-		// TODO (Subtask 77.2): Send telemetryData securely to the external endpoint.
+		recordUsage(projectRoot, {
+			timestamp,
+			commandName,
+			role,
+			providerName,
+			modelId,
+			tag,
+			outputType,
+			inputTokens: telemetryData.inputTokens,
+			outputTokens: telemetryData.outputTokens,
+			totalTokens,
+			totalCost: telemetryData.totalCost,
+			currency,
+			cacheHit
+		});
 
 		return telemetryData;
 	} catch (error) {
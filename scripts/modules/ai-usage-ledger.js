@@ -0,0 +1,232 @@
+/**
+ * @fileoverview AI Usage Ledger
+ *
+ * Every AI service call is appended to a JSONL ledger in `.taskmaster/reports/`
+ * with its token counts and cost. The ledger backs the `usage` report, broken
+ * down by command, role, provider, model and tag, and the daily and monthly
+ * budgets configured in `global.usageBudget`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { log } from './utils.js';
+import { getUsageBudget } from './config-manager.js';
+import {
+	TASKMASTER_DIR,
+	AI_USAGE_LEDGER_FILE
+} from '../../src/constants/paths.js';
+
+/**
+ * Report dimensions mapped to the ledger entry field they group by
+ */
+export const USAGE_DIMENSIONS = {
+	command: 'commandName',
+	role: 'role',
+	provider: 'providerName',
+	model: 'modelId',
+	tag: 'tag'
+};
+
+/**
+ * Reporting periods
+ */
+export const USAGE_PERIODS = ['day', 'month', 'all'];
+
+/**
+ * Thrown before a provider call when a usage budget is used up
+ */
+export class UsageBudgetExceededError extends Error {
+	constructor(message, { period, limit, spent }) {
+		super(message);
+		this.name = 'UsageBudgetExceededError';
+		this.code = 'USAGE_BUDGET_EXCEEDED';
+		this.period = period;
+		this.limit = limit;
+		this.spent = spent;
+	}
+}
+
+/**
+ * Append an AI call to the usage ledger. Nothing is written outside an
+ * initialized project (no `.taskmaster` directory).
+ *
+ * @param {string|null} projectRoot - Project root directory
+ * @param {Object} entry - Usage entry
+ * @returns {string|null} Path of the ledger, or null if nothing was written
+ */
+export function recordUsage(projectRoot, entry) {
+	if (!projectRoot || !fs.existsSync(path.join(projectRoot, TASKMASTER_DIR))) {
+		return null;
+	}
+
+	const ledgerPath = path.join(projectRoot, AI_USAGE_LEDGER_FILE);
+	try {
+		fs.mkdirSync(path.dirname(ledgerPath), { recursive: true });
+		fs.appendFileSync(ledgerPath, `${JSON.stringify(entry)}\n`);
+		return ledgerPath;
+	} catch (error) {
+		log('warn', `Failed to write AI usage ledger: ${error.message}`);
+		return null;
+	}
+}
+
+/**
+ * Read the usage ledger
+ *
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} [filters]
+ * @param {Date|null} [filters.since] - Only entries at or after this time
+ * @param {string} [filters.tag] - Only entries recorded for this tag
+ * @returns {Array<Object>} Ledger entries, oldest first
+ */
+export function readUsage(projectRoot, { since = null, tag } = {}) {
+	const ledgerPath = path.join(projectRoot, AI_USAGE_LEDGER_FILE);
+	if (!fs.existsSync(ledgerPath)) {
+		return [];
+	}
+
+	const sinceTime = since ? since.getTime() : null;
+
+	return fs
+		.readFileSync(ledgerPath, 'utf8')
+		.split('\n')
+		.filter((line) => line.trim())
+		.flatMap((line) => {
+			try {
+				return [JSON.parse(line)];
+			} catch {
+				return [];
+			}
+		})
+		.filter(
+			(entry) =>
+				(sinceTime === null || Date.parse(entry.timestamp) >= sinceTime) &&
+				(!tag || entry.tag === tag)
+		);
+}
+
+/**
+ * Get the start of a reporting period in local time
+ *
+ * @param {string} period - One of USAGE_PERIODS
+ * @param {Date} [now] - Reference time
+ * @returns {Date|null} Start of the period, or null for 'all'
+ */
+export function getPeriodStart(period, now = new Date()) {
+	switch (period) {
+		case 'day':
+			return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+		case 'month':
+			return new Date(now.getFullYear(), now.getMonth(), 1);
+		case 'all':
+			return null;
+		default:
+			throw new Error(
+				`Invalid usage period "${period}". Use one of: ${USAGE_PERIODS.join(', ')}`
+			);
+	}
+}
+
+/**
+ * Add up tokens and cost for a list of ledger entries
+ *
+ * @param {Array<Object>} entries - Ledger entries
+ * @returns {Object} Totals ({ calls, inputTokens, outputTokens, totalTokens, totalCost })
+ */
+function sumEntries(entries) {
+	const totals = entries.reduce(
+		(sum, entry) => ({
+			calls: sum.calls + 1,
+			inputTokens: sum.inputTokens + (entry.inputTokens || 0),
+			outputTokens: sum.outputTokens + (entry.outputTokens || 0),
+			totalTokens: sum.totalTokens + (entry.totalTokens || 0),
+			totalCost: sum.totalCost + (entry.totalCost || 0)
+		}),
+		{ calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, totalCost: 0 }
+	);
+	return { ...totals, totalCost: parseFloat(totals.totalCost.toFixed(6)) };
+}
+
+/**
+ * Summarize ledger entries overall and per dimension
+ *
+ * @param {Array<Object>} entries - Ledger entries
+ * @returns {{totals: Object, breakdown: Object<string, Array<Object>>}} Totals and, per dimension, rows sorted by cost
+ */
+export function summarizeUsage(entries) {
+	const breakdown = {};
+
+	for (const [dimension, field] of Object.entries(USAGE_DIMENSIONS)) {
+		const groups = new Map();
+		for (const entry of entries) {
+			const key = entry[field] || 'unknown';
+			if (!groups.has(key)) {
+				groups.set(key, []);
+			}
+			groups.get(key).push(entry);
+		}
+
+		breakdown[dimension] = [...groups.entries()]
+			.map(([key, group]) => ({ key, ...sumEntries(group) }))
+			.sort((a, b) => b.totalCost - a.totalCost || b.calls - a.calls);
+	}
+
+	return { totals: sumEntries(entries), breakdown };
+}
+
+/**
+ * Compare this period's spending with the configured budgets
+ *
+ * @param {string} projectRoot - Project root directory
+ * @param {Date} [now] - Reference time
+ * @returns {{daily: Object|null, monthly: Object|null}} `{ limit, spent }` per configured budget
+ */
+export function getBudgetStatus(projectRoot, now = new Date()) {
+	const budget = getUsageBudget(projectRoot);
+	if (!budget.daily && !budget.monthly) {
+		return { daily: null, monthly: null };
+	}
+
+	const dayStart = getPeriodStart('day', now).getTime();
+	const monthEntries = readUsage(projectRoot, {
+		since: getPeriodStart('month', now)
+	});
+	const spentToday = sumEntries(
+		monthEntries.filter((entry) => Date.parse(entry.timestamp) >= dayStart)
+	).totalCost;
+	const spentThisMonth = sumEntries(monthEntries).totalCost;
+
+	return {
+		daily: budget.daily ? { limit: budget.daily, spent: spentToday } : null,
+		monthly: budget.monthly
+			? { limit: budget.monthly, spent: spentThisMonth }
+			: null
+	};
+}
+
+/**
+ * Throw if the daily or monthly budget is already used up
+ *
+ * @param {string|null} projectRoot - Project root directory
+ * @param {Date} [now] - Reference time
+ * @throws {UsageBudgetExceededError} If a budget is used up
+ */
+export function assertWithinBudget(projectRoot, now = new Date()) {
+	if (!projectRoot) {
+		return;
+	}
+
+	const status = getBudgetStatus(projectRoot, now);
+	for (const [period, label] of [
+		['daily', 'today'],
+		['monthly', 'this month']
+	]) {
+		const { limit, spent } = status[period] || {};
+		if (limit && spent >= limit) {
+			throw new UsageBudgetExceededError(
+				`${period === 'daily' ? 'Daily' : 'Monthly'} AI usage budget of $${limit.toFixed(2)} reached ($${spent.toFixed(2)} spent ${label}). Raise global.usageBudget.${period} in .taskmaster/config.json to continue.`,
+				{ period, limit, spent }
+			);
+		}
+	}
+}
@@ -20,7 +20,8 @@ import {
 	findProjectRoot,
 	getCurrentTag,
 	detectCamelCaseFlags,
-	toKebabCase
+	toKebabCase,
+	truncate
 } from './utils.js';
 import {
 	parsePRD,
@@ -41,7 +42,8 @@ import {
 	findTaskById,
 	taskExists,
 	moveTask,
-	migrateProject
+	migrateProject,
+	migrateTaskStorage
 } from './task-manager.js';
 
 import {
@@ -53,6 +55,30 @@ import {
 	copyTag
 } from './task-manager/tag-management.js';
 
+import {
+	listDeadLetterEvents,
+	showDeadLetterEvent,
+	retryDeadLetterEvents,
+	purgeDeadLetterEvents
+} from './task-manager/dead-letter-management.js';
+
+import { reportAiUsage } from './task-manager/usage-report.js';
+import { getTaskHistory, undoChanges } from './task-manager/task-history.js';
+import {
+	exportDependencyGraph,
+	GRAPH_FORMATS
+} from './task-manager/export-graph.js';
+import {
+	displayMergeResult,
+	installMergeDriver,
+	runMergeDriver
+} from './task-manager/merge-driver.js';
+import { setDefaultChangeContext } from './utils/changeJournal.js';
+import { CodeIndex } from './utils/codeIndex.js';
+import { readTaskFile } from './utils/taskStorage.js';
+import { shutdownEventSystem } from './events/index.js';
+import { ensureEventSystem } from './integrations/index.js';
+
 import {
 	addDependency,
 	removeDependency,
@@ -68,7 +94,8 @@ import {
 	ConfigurationError,
 	isConfigFilePresent,
 	getAvailableModels,
-	getBaseUrlForRole
+	getBaseUrlForRole,
+	getCodeIndexSettings
 } from './config-manager.js';
 
 import {
@@ -113,6 +140,27 @@ import { syncTasksToReadme } from './sync-readme.js';
 import { linearSyncSetupCommand } from '../commands/linear-sync-setup.js';
 import { linearSyncLabelsCommand } from '../commands/linear-sync-labels.js';
 import { linearSyncAllCommand } from '../commands/linear-sync-all.js';
+import { linearImportCommand } from '../commands/linear-import.js';
+
+/**
+ * Commands whose task changes are emitted as task events
+ */
+const EVENT_COMMANDS = new Set([
+	'add-task',
+	'update-task',
+	'update-subtask',
+	'set-status',
+	'add-subtask',
+	'remove-subtask',
+	'remove-task',
+	'add-dependency',
+	'remove-dependency',
+	'move',
+	'add-tag',
+	'delete-tag',
+	'use-tag',
+	'copy-tag'
+]);
 
 /**
  * Runs the interactive setup process for model configuration.
@@ -693,6 +741,7 @@ function registerCommands(programInstance) {
 			'Use Perplexity AI for research-backed task generation, providing more comprehensive and accurate task breakdown'
 		)
 		.option('--tag <tag>', 'Specify tag context for task operations')
+		.option('--no-cache', 'Bypass the AI response cache for this run')
 		.action(async (file, options) => {
 			// Use input option if file argument not provided
 			const inputFile = file || options.input;
@@ -772,7 +821,8 @@ function registerCommands(programInstance) {
 							force: useForce, // Changed key from useForce to force
 							research: research,
 							projectRoot: projectRoot,
-							tag: tag
+							tag: tag,
+							noCache: options.cache === false
 						});
 						spinner.succeed('Tasks generated successfully!');
 						return;
@@ -820,7 +870,8 @@ function registerCommands(programInstance) {
 					force: useForce,
 					research: research,
 					projectRoot: projectRoot,
-					tag: tag
+					tag: tag,
+					noCache: options.cache === false
 				});
 				spinner.succeed('Tasks generated successfully!');
 			} catch (error) {
@@ -858,6 +909,7 @@ function registerCommands(programInstance) {
 			'Use Perplexity AI for research-backed task updates'
 		)
 		.option('--tag <tag>', 'Specify tag context for task operations')
+		.option('--no-cache', 'Bypass the AI response cache for this run')
 		.action(async (options) => {
 			const tasksPath = options.file || TASKMASTER_TASKS_FILE;
 			const fromId = parseInt(options.from, 10); // Validation happens here
@@ -927,7 +979,7 @@ function registerCommands(programInstance) {
 				fromId,
 				prompt,
 				useResearch,
-				{ projectRoot, tag } // Pass context with projectRoot and tag
+				{ projectRoot, tag, noCache: options.cache === false } // Pass context with projectRoot and tag
 			);
 		});
 
@@ -956,6 +1008,7 @@ function registerCommands(programInstance) {
 			'Append timestamped information to task details instead of full update'
 		)
 		.option('--tag <tag>', 'Specify tag context for task operations')
+		.option('--no-cache', 'Bypass the AI response cache for this run')
 		.action(async (options) => {
 			try {
 				const tasksPath = options.file || TASKMASTER_TASKS_FILE;
@@ -1065,7 +1118,7 @@ function registerCommands(programInstance) {
 					taskId,
 					prompt,
 					useResearch,
-					{ projectRoot, tag },
+					{ projectRoot, tag, noCache: options.cache === false },
 					'text',
 					options.append || false
 				);
@@ -1129,6 +1182,7 @@ function registerCommands(programInstance) {
 		)
 		.option('-r, --research', 'Use Perplexity AI for research-backed updates')
 		.option('--tag <tag>', 'Specify tag context for task operations')
+		.option('--no-cache', 'Bypass the AI response cache for this run')
 		.action(async (options) => {
 			try {
 				const tasksPath = options.file || TASKMASTER_TASKS_FILE;
@@ -1240,7 +1294,7 @@ function registerCommands(programInstance) {
 					subtaskId,
 					prompt,
 					useResearch,
-					{ projectRoot, tag }
+					{ projectRoot, tag, noCache: options.cache === false }
 				);
 
 				if (!result) {
@@ -1451,6 +1505,7 @@ function registerCommands(programInstance) {
 			TASKMASTER_TASKS_FILE // Allow file override
 		) // Allow file override
 		.option('--tag <tag>', 'Specify tag context for task operations')
+		.option('--no-cache', 'Bypass the AI response cache for this run')
 		.action(async (options) => {
 			const projectRoot = findProjectRoot();
 			if (!projectRoot) {
@@ -1474,7 +1529,7 @@ function registerCommands(programInstance) {
 						options.research, // Pass research flag
 						options.prompt, // Pass additional context
 						options.force, // Pass force flag
-						{ projectRoot, tag } // Pass context with projectRoot and tag
+						{ projectRoot, tag, noCache: options.cache === false } // Pass context with projectRoot and tag
 						// outputFormat defaults to 'text' in expandAllTasks for CLI
 					);
 				} catch (error) {
@@ -1501,7 +1556,7 @@ function registerCommands(programInstance) {
 						options.num,
 						options.research,
 						options.prompt,
-						{ projectRoot, tag }, // Pass context with projectRoot and tag
+						{ projectRoot, tag, noCache: options.cache === false }, // Pass context with projectRoot and tag
 						options.force // Pass the force flag down
 					);
 					// expandTask logs its own success/failure for single task
@@ -1555,6 +1610,7 @@ function registerCommands(programInstance) {
 		.option('--from <id>', 'Starting task ID in a range to analyze')
 		.option('--to <id>', 'Ending task ID in a range to analyze')
 		.option('--tag <tag>', 'Specify tag context for task operations')
+		.option('--no-cache', 'Bypass the AI response cache for this run')
 		.action(async (options) => {
 			const tasksPath = options.file || TASKMASTER_TASKS_FILE;
 			const tag = options.tag;
@@ -1606,7 +1662,8 @@ function registerCommands(programInstance) {
 				...options,
 				output: outputPath,
 				tag: targetTag,
-				projectRoot: projectRoot
+				projectRoot: projectRoot,
+				noCache: options.cache === false
 			};
 
 			await analyzeTaskComplexity(updatedOptions);
@@ -1652,6 +1709,7 @@ function registerCommands(programInstance) {
 			'Save research results to .taskmaster/docs/research/ directory'
 		)
 		.option('--tag <tag>', 'Specify tag context for task operations')
+		.option('--no-cache', 'Bypass the AI response cache for this run')
 		.action(async (prompt, options) => {
 			// Parameter validation
 			if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
@@ -1861,7 +1919,8 @@ function registerCommands(programInstance) {
 					{
 						commandName: 'research',
 						outputType: 'cli',
-						tag: tag
+						tag: tag,
+						noCache: options.cache === false
 					},
 					'text',
 					validatedParams.allowFollowUp // Pass follow-up flag
@@ -2056,6 +2115,7 @@ ${result.result}
 			'Whether to use research capabilities for task creation'
 		)
 		.option('--tag <tag>', 'Specify tag context for task operations')
+		.option('--no-cache', 'Bypass the AI response cache for this run')
 		.action(async (options) => {
 			const isManualCreation = options.title && options.description;
 
@@ -2126,7 +2186,8 @@ ${result.result}
 				projectRoot,
 				tag: options.tag,
 				commandName: 'add-task',
-				outputType: 'cli'
+				outputType: 'cli',
+				noCache: options.cache === false
 			};
 
 			try {
@@ -2967,6 +3028,10 @@ ${result.result}
 			TASKMASTER_TASKS_FILE
 		)
 		.option('-y, --yes', 'Skip confirmation prompt', false)
+		.option(
+			'--keep-linear',
+			'Leave the linked Linear issues untouched instead of applying the configured removal action'
+		)
 		.option('--tag <tag>', 'Specify tag context for task operations')
 		.action(async (options) => {
 			const tasksPath = options.file || TASKMASTER_TASKS_FILE;
@@ -3146,9 +3211,11 @@ ${result.result}
 				const existingIdsString = existingTasksToRemove
 					.map(({ id }) => id)
 					.join(',');
+
 				const result = await removeTask(tasksPath, existingIdsString, {
 					projectRoot,
-					tag
+					tag,
+					keepLinear: options.keepLinear === true
 				});
 
 				stopLoadingIndicator(indicator);
@@ -3260,6 +3327,10 @@ ${result.result}
 			'--bedrock',
 			'Allow setting a custom Bedrock model ID (use with --set-*) '
 		)
+		.option(
+			'--openai-compatible',
+			'Allow setting a model ID served by an OpenAI-compatible endpoint (use with --set-*) '
+		)
 		.addHelpText(
 			'after',
 			`
@@ -3271,6 +3342,7 @@ Examples:
   $ task-master models --set-main my-custom-model --ollama  # Set custom Ollama model for main role
   $ task-master models --set-main anthropic.claude-3-sonnet-20240229-v1:0 --bedrock # Set custom Bedrock model for main role
   $ task-master models --set-main some/other-model --openrouter # Set custom OpenRouter model for main role
+  $ task-master models --set-main llama-3.1-70b --openai-compatible # Set model served by an OpenAI-compatible endpoint
   $ task-master models --setup                            # Run interactive setup`
 		)
 		.action(async (options) => {
@@ -3283,12 +3355,13 @@ Examples:
 			const providerFlags = [
 				options.openrouter,
 				options.ollama,
-				options.bedrock
+				options.bedrock,
+				options.openaiCompatible
 			].filter(Boolean).length;
 			if (providerFlags > 1) {
 				console.error(
 					chalk.red(
-						'Error: Cannot use multiple provider flags (--openrouter, --ollama, --bedrock) simultaneously.'
+						'Error: Cannot use multiple provider flags (--openrouter, --ollama, --bedrock, --openai-compatible) simultaneously.'
 					)
 				);
 				process.exit(1);
@@ -3330,7 +3403,9 @@ Examples:
 								? 'ollama'
 								: options.bedrock
 									? 'bedrock'
-									: undefined
+									: options.openaiCompatible
+										? 'openai-compatible'
+										: undefined
 					});
 					if (result.success) {
 						console.log(chalk.green(`✅ ${result.data.message}`));
@@ -3352,7 +3427,9 @@ Examples:
 								? 'ollama'
 								: options.bedrock
 									? 'bedrock'
-									: undefined
+									: options.openaiCompatible
+										? 'openai-compatible'
+										: undefined
 					});
 					if (result.success) {
 						console.log(chalk.green(`✅ ${result.data.message}`));
@@ -3376,7 +3453,9 @@ Examples:
 								? 'ollama'
 								: options.bedrock
 									? 'bedrock'
-									: undefined
+									: options.openaiCompatible
+										? 'openai-compatible'
+										: undefined
 					});
 					if (result.success) {
 						console.log(chalk.green(`✅ ${result.data.message}`));
@@ -3640,8 +3719,16 @@ Examples:
 			'--dry-run',
 			'Show what would be migrated without actually moving files'
 		)
+		.option(
+			'--storage <type>',
+			'Convert the tasks to another storage backend instead: file (one tasks.json) or directory (one file per tag)'
+		)
 		.action(async (options) => {
 			try {
+				if (options.storage) {
+					await migrateTaskStorage(options);
+					return;
+				}
 				await migrateProject(options);
 			} catch (error) {
 				console.error(chalk.red('Error during migration:'), error.message);
@@ -4099,6 +4186,474 @@ Examples:
 			process.exit(1);
 		});
 
+	// events command
+	programInstance
+		.command('events')
+		.description(
+			'Inspect and replay integration events in the dead letter queue'
+		)
+		.argument('[action]', 'One of: list, show, retry, purge', 'list')
+		.argument('[ids...]', 'Event IDs (or unique prefixes)')
+		.option('-t, --type <eventType>', 'Only list events of this type')
+		.option(
+			'-i, --integration <name>',
+			'Only list events for this integration (e.g. linear)'
+		)
+		.option('-l, --limit <number>', 'Maximum number of events to list')
+		.option('-a, --all', 'Retry or purge every event in the queue')
+		.option('-y, --yes', 'Skip confirmation prompt when purging')
+		.option('--json', 'Output list/show results as JSON')
+		.option('--project-root <path>', 'Project root directory')
+		.action(async (action, ids, options) => {
+			try {
+				const projectRoot = options.projectRoot
+					? path.resolve(options.projectRoot)
+					: findProjectRoot();
+				if (!projectRoot) {
+					console.error(chalk.red('Error: Could not find project root.'));
+					process.exit(1);
+				}
+
+				const context = {
+					projectRoot,
+					commandName: `events-${action}`,
+					outputType: 'cli'
+				};
+				const outputFormat = options.json ? 'json' : 'text';
+
+				switch (action) {
+					case 'list': {
+						const result = await listDeadLetterEvents(
+							projectRoot,
+							{
+								eventType: options.type,
+								integration: options.integration,
+								limit: options.limit ? parseInt(options.limit, 10) : undefined
+							},
+							context,
+							outputFormat
+						);
+						if (options.json) {
+							console.log(JSON.stringify(result, null, 2));
+						}
+						break;
+					}
+					case 'show': {
+						if (ids.length !== 1) {
+							console.error(
+								chalk.red('Error: Provide exactly one event ID to show')
+							);
+							process.exit(1);
+						}
+						const result = await showDeadLetterEvent(
+							projectRoot,
+							ids[0],
+							context,
+							outputFormat
+						);
+						if (options.json) {
+							console.log(JSON.stringify(result, null, 2));
+						}
+						break;
+					}
+					case 'retry': {
+						if (ids.length === 0 && !options.all) {
+							console.error(
+								chalk.red('Error: Provide event IDs to retry or use --all')
+							);
+							process.exit(1);
+						}
+						const result = await retryDeadLetterEvents(
+							projectRoot,
+							options.all ? null : ids,
+							context,
+							'text'
+						);
+						if (result.failed.length > 0) {
+							process.exit(1);
+						}
+						break;
+					}
+					case 'purge': {
+						if (ids.length === 0 && !options.all) {
+							console.error(
+								chalk.red('Error: Provide event IDs to purge or use --all')
+							);
+							process.exit(1);
+						}
+						if (options.all && !options.yes) {
+							const { confirm } = await inquirer.prompt([
+								{
+									type: 'confirm',
+									name: 'confirm',
+									message: 'Delete every event in the dead letter queue?',
+									default: false
+								}
+							]);
+							if (!confirm) {
+								console.log(chalk.yellow('Purge cancelled.'));
+								return;
+							}
+						}
+						await purgeDeadLetterEvents(
+							projectRoot,
+							options.all ? null : ids,
+							context,
+							'text'
+						);
+						break;
+					}
+					default:
+						console.error(
+							chalk.red(
+								`Error: Unknown events action "${action}". Use list, show, retry or purge.`
+							)
+						);
+						process.exit(1);
+				}
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		})
+		.on('error', function (err) {
+			console.error(chalk.red(`Error: ${err.message}`));
+			process.exit(1);
+		});
+
+	// usage command
+	programInstance
+		.command('usage')
+		.description(
+			'Report AI token usage and cost recorded for this project, with budget status'
+		)
+		.option(
+			'-p, --period <period>',
+			'Reporting period: day, month or all',
+			'month'
+		)
+		.option('--since <date>', 'Only include calls since this date')
+		.option('--tag <tag>', 'Only include calls made for this tag')
+		.option(
+			'--by <dimension>',
+			'Only break down by command, role, provider, model or tag'
+		)
+		.option('--json', 'Output the report as JSON')
+		.option('--project-root <path>', 'Project root directory')
+		.action(async (options) => {
+			try {
+				const projectRoot = options.projectRoot
+					? path.resolve(options.projectRoot)
+					: findProjectRoot();
+				if (!projectRoot) {
+					console.error(chalk.red('Error: Could not find project root.'));
+					process.exit(1);
+				}
+
+				const result = await reportAiUsage(
+					projectRoot,
+					{
+						period: options.period,
+						since: options.since,
+						tag: options.tag,
+						by: options.by
+					},
+					{ projectRoot, commandName: 'usage', outputType: 'cli' },
+					options.json ? 'json' : 'text'
+				);
+				if (options.json) {
+					console.log(JSON.stringify(result, null, 2));
+				}
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		})
+		.on('error', function (err) {
+			console.error(chalk.red(`Error: ${err.message}`));
+			process.exit(1);
+		});
+
+	// history command
+	programInstance
+		.command('history')
+		.description('Show the recorded changes to tasks in a tag, newest first')
+		.option(
+			'-f, --file <file>',
+			'Path to the tasks file',
+			TASKMASTER_TASKS_FILE
+		)
+		.option('-i, --id <id>', 'Only show changes to this task or subtask')
+		.option('-n, --limit <number>', 'Maximum number of changes to show', '20')
+		.option('--tag <tag>', 'Specify tag context for task operations')
+		.option('--json', 'Output the history as JSON')
+		.action(async (options) => {
+			try {
+				const projectRoot = findProjectRoot();
+				if (!projectRoot) {
+					console.error(chalk.red('Error: Could not find project root.'));
+					process.exit(1);
+				}
+
+				const limit = parseInt(options.limit, 10);
+				if (Number.isNaN(limit) || limit < 1) {
+					console.error(chalk.red('Error: --limit must be a positive number.'));
+					process.exit(1);
+				}
+
+				const tag = options.tag || getCurrentTag(projectRoot) || 'master';
+				if (!options.json) {
+					displayCurrentTagIndicator(tag);
+				}
+
+				const result = await getTaskHistory(
+					options.file || TASKMASTER_TASKS_FILE,
+					{ id: options.id, limit },
+					{ projectRoot, tag },
+					options.json ? 'json' : 'text'
+				);
+				if (options.json) {
+					console.log(JSON.stringify(result, null, 2));
+				}
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// undo command
+	programInstance
+		.command('undo')
+		.description(
+			'Undo the latest recorded changes to tasks in a tag (default: the last one)'
+		)
+		.argument('[n]', 'Number of changes to undo', '1')
+		.option(
+			'-f, --file <file>',
+			'Path to the tasks file',
+			TASKMASTER_TASKS_FILE
+		)
+		.option('--tag <tag>', 'Specify tag context for task operations')
+		.action(async (n, options) => {
+			try {
+				const projectRoot = findProjectRoot();
+				if (!projectRoot) {
+					console.error(chalk.red('Error: Could not find project root.'));
+					process.exit(1);
+				}
+
+				const steps = parseInt(n, 10);
+				if (Number.isNaN(steps) || steps < 1) {
+					console.error(
+						chalk.red(
+							'Error: The number of changes to undo must be a positive number.'
+						)
+					);
+					process.exit(1);
+				}
+
+				const tag = options.tag || getCurrentTag(projectRoot) || 'master';
+				displayCurrentTagIndicator(tag);
+
+				await undoChanges(
+					options.file || TASKMASTER_TASKS_FILE,
+					steps,
+					{ projectRoot, tag },
+					'text'
+				);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// graph command
+	programInstance
+		.command('graph')
+		.description(
+			'Export the dependency graph of a tag as Mermaid, Graphviz DOT or JSON'
+		)
+		.option(
+			'-f, --file <file>',
+			'Path to the tasks file',
+			TASKMASTER_TASKS_FILE
+		)
+		.option(
+			'--format <format>',
+			`Graph format (${GRAPH_FORMATS.join(', ')})`,
+			'mermaid'
+		)
+		.option(
+			'-s, --status <status>',
+			'Only tasks and subtasks with these statuses (comma-separated)'
+		)
+		.option(
+			'-i, --id <id>',
+			'Only the subtree rooted at this task or subtask: it, its subtasks and everything they depend on'
+		)
+		.option(
+			'-o, --output <file>',
+			'Write the graph to a file instead of stdout'
+		)
+		.option('--tag <tag>', 'Specify tag context for task operations')
+		.action(async (options) => {
+			try {
+				const projectRoot = findProjectRoot();
+				if (!projectRoot) {
+					console.error(chalk.red('Error: Could not find project root.'));
+					process.exit(1);
+				}
+
+				const tag = options.tag || getCurrentTag(projectRoot) || 'master';
+				// Keep stdout to the graph itself when it is not written to a file
+				if (options.output) {
+					displayCurrentTagIndicator(tag);
+				}
+
+				await exportDependencyGraph(
+					options.file || TASKMASTER_TASKS_FILE,
+					{
+						format: options.format,
+						status: options.status,
+						id: options.id,
+						output: options.output
+					},
+					{ projectRoot, tag },
+					'text'
+				);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// merge-driver command
+	programInstance
+		.command('merge-driver')
+		.description(
+			'Git merge driver that merges task files by task ID (use --install to register it)'
+		)
+		.argument('[base]', 'Common ancestor version (%O)')
+		.argument('[ours]', 'Our version, receives the merge result (%A)')
+		.argument('[theirs]', 'Their version (%B)')
+		.argument('[path]', 'Path of the merged file in the repository (%P)')
+		.option(
+			'--install',
+			'Register the driver in the git config and .gitattributes of this repository'
+		)
+		.action((base, ours, theirs, filePath, options) => {
+			try {
+				const projectRoot = findProjectRoot() || process.cwd();
+
+				if (options.install) {
+					const { driver, attributes } = installMergeDriver(projectRoot);
+					console.log(chalk.green(`Registered merge driver: ${driver}`));
+					if (attributes.length > 0) {
+						console.log(
+							chalk.white(
+								`Added to .gitattributes:\n  ${attributes.join('\n  ')}`
+							)
+						);
+					}
+					console.log(
+						chalk.gray('Commit .gitattributes so that others can use it too.')
+					);
+					return;
+				}
+
+				if (!base || !ours || !theirs) {
+					console.error(
+						chalk.red(
+							'Error: Expected the base, ours and theirs files (%O %A %B), or --install.'
+						)
+					);
+					process.exit(1);
+				}
+
+				const result = runMergeDriver({
+					basePath: base,
+					oursPath: ours,
+					theirsPath: theirs,
+					filePath: filePath || undefined,
+					projectRoot
+				});
+				displayMergeResult(filePath || ours, result);
+				// A non-zero exit tells git the file still has conflicts
+				process.exit(result.conflicts.length > 0 ? 1 : 0);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// code-index command
+	programInstance
+		.command('code-index')
+		.description(
+			'Build or refresh the local code index used to add relevant code to AI prompts'
+		)
+		.option('--rebuild', 'Discard the stored index and index every file again')
+		.option('-s, --search <query>', 'Show the snippets that match a query')
+		.option('-n, --limit <number>', 'Maximum snippets to show with --search')
+		.option('--json', 'Output the result as JSON')
+		.option('--project-root <path>', 'Project root directory')
+		.action(async (options) => {
+			try {
+				const projectRoot = options.projectRoot
+					? path.resolve(options.projectRoot)
+					: findProjectRoot();
+				if (!projectRoot) {
+					console.error(chalk.red('Error: Could not find project root.'));
+					process.exit(1);
+				}
+
+				const settings = getCodeIndexSettings(projectRoot);
+				const index = new CodeIndex(projectRoot, settings);
+				const summary = index.update({ rebuild: options.rebuild });
+				const results = options.search
+					? index.search(options.search, {
+							maxResults: parseInt(options.limit, 10) || settings.maxResults
+						})
+					: null;
+
+				if (options.json) {
+					console.log(JSON.stringify({ ...summary, results }, null, 2));
+					return;
+				}
+
+				console.log(
+					chalk.green(
+						`Indexed ${summary.files} files in ${summary.chunks} chunks (${summary.indexed} read, ${summary.reused} unchanged, ${summary.removed} removed)`
+					)
+				);
+				if (!settings.enabled) {
+					console.log(
+						chalk.yellow(
+							'global.codeIndex.enabled is false, so AI commands do not use the index.'
+						)
+					);
+				}
+				if (results) {
+					if (results.length === 0) {
+						console.log(chalk.gray('No matching code found.'));
+					}
+					for (const result of results) {
+						console.log(
+							`\n${chalk.cyan(`${result.path}:${result.startLine}-${result.endLine}`)} ${chalk.gray(`score ${result.score}`)}${result.symbols.length > 0 ? chalk.gray(` (${result.symbols.join(', ')})`) : ''}`
+						);
+						console.log(chalk.gray(truncate(result.content, 400)));
+					}
+				}
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		})
+		.on('error', function (err) {
+			console.error(chalk.red(`Error: ${err.message}`));
+			process.exit(1);
+		});
+
 	// linear-sync-setup command
 	// Following integration command naming pattern: {integration}-{command-name}
 	programInstance
@@ -4176,6 +4731,14 @@ Examples:
 			'--labels-only',
 			'Sync only labels (equivalent to linear-sync-labels)'
 		)
+		.option(
+			'--pull',
+			'Pull issue state, title, priority and comments from Linear into tasks.json'
+		)
+		.option(
+			'--conflict-policy <policy>',
+			'How --pull settles fields changed on both sides: local-wins, remote-wins, newest-wins or interactive'
+		)
 		.option('-f, --force', 'Skip confirmation prompts')
 		.option('-v, --verbose', 'Enable verbose logging')
 		.action(async (options) => {
@@ -4194,6 +4757,30 @@ Examples:
 			process.exit(1);
 		});
 
+	// linear-import command
+	// Following integration command naming pattern: {integration}-{command-name}
+	programInstance
+		.command('linear-import')
+		.description('Import the issues of a Linear project into a TaskMaster tag')
+		.option('--team-id <id>', 'Linear team ID (prompted when omitted)')
+		.option('--project-id <id>', 'Linear project ID (prompted when omitted)')
+		.option('--tag <tag>', 'Tag to import into (default: current tag)')
+		.option(
+			'--dry-run',
+			'Show what would be imported without writing tasks.json'
+		)
+		.option(
+			'--project-root <path>',
+			'Project root directory (defaults to current directory)'
+		)
+		.action(async (options) => {
+			await linearImportCommand(options);
+		})
+		.on('error', function (err) {
+			console.error(chalk.red(`Error: ${err.message}`));
+			process.exit(1);
+		});
+
 	return programInstance;
 }
 
@@ -4241,6 +4828,34 @@ function setupCLI() {
 		return '';
 	};
 
+	// Record which command made the task changes it writes
+	programInstance.hook('preAction', (thisCommand, actionCommand) => {
+		setDefaultChangeContext({ source: 'cli', command: actionCommand.name() });
+	});
+
+	// Let configured integrations (e.g. Linear) act on the task events of
+	// mutating commands. Events are journaled, so the ones a command emits
+	// before exiting early are delivered on a later run.
+	let startedEventSystem = false;
+	programInstance.hook('preAction', async (thisCommand, actionCommand) => {
+		if (!EVENT_COMMANDS.has(actionCommand.name())) {
+			return;
+		}
+		const projectRoot = findProjectRoot();
+		if (projectRoot) {
+			startedEventSystem = await ensureEventSystem(
+				{ enableDeadLetterQueue: true, enablePersistence: true, projectRoot },
+				{ requireIntegrations: true }
+			);
+		}
+	});
+	programInstance.hook('postAction', async () => {
+		if (startedEventSystem) {
+			startedEventSystem = false;
+			await shutdownEventSystem();
+		}
+	});
+
 	// Register commands
 	registerCommands(programInstance);
 
@@ -4411,8 +5026,7 @@ async function runCLI(argv = process.argv) {
 
 			if (fs.existsSync(tasksPath)) {
 				// Read raw file to check if it has master key (bypassing tag resolution)
-				const rawData = fs.readFileSync(tasksPath, 'utf8');
-				const parsedData = JSON.parse(rawData);
+				const parsedData = readTaskFile(tasksPath);
 
 				if (parsedData && parsedData.master) {
 					// Migration has occurred, check if we've shown the notice
@@ -3,7 +3,10 @@ import path from 'path';
 import chalk from 'chalk';
 import { fileURLToPath } from 'url';
 import { log, findProjectRoot, resolveEnvVariable } from './utils.js';
-import { LEGACY_CONFIG_FILE } from '../../src/constants/paths.js';
+import {
+	LEGACY_CONFIG_FILE,
+	AI_FIXTURES_DIR
+} from '../../src/constants/paths.js';
 import { findConfigPath } from '../../src/utils/path-utils.js';
 
 // Calculate __dirname in ESM
@@ -32,6 +35,9 @@ try {
 // Define valid providers dynamically from the loaded MODEL_MAP
 const VALID_PROVIDERS = Object.keys(MODEL_MAP || {});
 
+// Context window assumed for models without a known context_window
+const DEFAULT_CONTEXT_WINDOW = 32768;
+
 // Default configuration values (used if config file is missing or incomplete)
 const DEFAULTS = {
 	models: {
@@ -123,6 +129,41 @@ class ConfigurationError extends Error {
 	}
 }
 
+/**
+ * Picks the named roles from a parsed `models` section: every role other
+ * than main, research and fallback with a valid provider and a model ID.
+ * @param {object|undefined} models - Parsed `models` section
+ * @param {string} configPath - Config file path, for warnings
+ * @returns {object} Named role configurations keyed by role name
+ */
+function _getNamedRoles(models, configPath) {
+	const namedRoles = {};
+	for (const [role, roleConfig] of Object.entries(models || {})) {
+		if (['main', 'research', 'fallback'].includes(role)) continue;
+		if (!roleConfig?.provider || !roleConfig?.modelId) {
+			console.warn(
+				chalk.yellow(
+					`Warning: Role "${role}" in ${configPath} needs a provider and modelId. It will be ignored.`
+				)
+			);
+		} else if (!validateProvider(roleConfig.provider)) {
+			console.warn(
+				chalk.yellow(
+					`Warning: Invalid ${role} provider "${roleConfig.provider}" in ${configPath}. It will be ignored.`
+				)
+			);
+		} else {
+			// Named roles have no defaults of their own; use the main role's
+			namedRoles[role] = {
+				maxTokens: DEFAULTS.models.main.maxTokens,
+				temperature: DEFAULTS.models.main.temperature,
+				...roleConfig
+			};
+		}
+	}
+	return namedRoles;
+}
+
 function _loadAndValidateConfig(explicitRoot = null) {
 	const defaults = DEFAULTS; // Use the defined defaults
 	let rootToUse = explicitRoot;
@@ -167,9 +208,12 @@ function _loadAndValidateConfig(explicitRoot = null) {
 						parsedConfig?.models?.fallback?.provider &&
 						parsedConfig?.models?.fallback?.modelId
 							? { ...defaults.models.fallback, ...parsedConfig.models.fallback }
-							: { ...defaults.models.fallback }
+							: { ...defaults.models.fallback },
+					// Named roles (e.g. "cheap", "strong") used by routing chains
+					..._getNamedRoles(parsedConfig?.models, configPath)
 				},
 				global: { ...defaults.global, ...parsedConfig?.global },
+				...(parsedConfig?.routing && { routing: parsedConfig.routing }),
 				integrations: {
 					linear: {
 						...defaults.integrations.linear,
@@ -335,6 +379,10 @@ function validateProvider(providerName) {
  * @returns {boolean} True if the modelId is in the map for the provider, false otherwise.
  */
 function validateProviderModelCombination(providerName, modelId) {
+	// OpenAI-compatible endpoints serve whatever models the gateway exposes
+	if (providerName === 'openai-compatible') {
+		return typeof modelId === 'string' && modelId.trim() !== '';
+	}
 	// If provider isn't even in our map, we can't validate the model
 	if (!MODEL_MAP[providerName]) {
 		return true; // Allow unknown providers or those without specific model lists
@@ -494,6 +542,100 @@ function getVertexLocation(explicitRoot = null) {
 	return getGlobalConfig(explicitRoot).vertexLocation || 'us-central1';
 }
 
+/**
+ * Gets the AI usage budget from global.usageBudget
+ * @param {string|null} explicitRoot - Optional explicit path to the project root.
+ * @returns {{daily: number|null, monthly: number|null}} Spending limits in USD, null when not set
+ */
+function getUsageBudget(explicitRoot = null) {
+	const budget = getGlobalConfig(explicitRoot).usageBudget || {};
+	const toLimit = (value) =>
+		typeof value === 'number' && value > 0 ? value : null;
+	return { daily: toLimit(budget.daily), monthly: toLimit(budget.monthly) };
+}
+
+/**
+ * Gets the AI role routing settings from the `routing` section: fallback
+ * chains per role, per-command role overrides and error rules.
+ * @param {string|null} explicitRoot - Optional explicit path to the project root.
+ * @returns {{chains: object, commands: object, errors: object}} Routing settings, empty objects when not set
+ */
+function getRoutingConfig(explicitRoot = null) {
+	const routing = getConfig(explicitRoot)?.routing || {};
+	const toObject = (value) =>
+		value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+	return {
+		chains: toObject(routing.chains),
+		commands: toObject(routing.commands),
+		errors: toObject(routing.errors)
+	};
+}
+
+/**
+ * Gets the AI response cache settings from global.aiCache. The cache is off
+ * unless `enabled` is true.
+ * @param {string|null} explicitRoot - Optional explicit path to the project root.
+ * @returns {{enabled: boolean, ttlMs: number, maxSizeBytes: number}} Cache settings
+ */
+function getAiCacheSettings(explicitRoot = null) {
+	const cache = getGlobalConfig(explicitRoot).aiCache || {};
+	const toPositive = (value, fallback) =>
+		typeof value === 'number' && value > 0 ? value : fallback;
+	return {
+		enabled: cache.enabled === true,
+		ttlMs: toPositive(cache.ttlHours, 24 * 7) * 60 * 60 * 1000,
+		maxSizeBytes: toPositive(cache.maxSizeMB, 50) * 1024 * 1024
+	};
+}
+
+/**
+ * Gets the code index settings from global.codeIndex. Relevant code snippets
+ * are added to AI prompts unless `enabled` is false.
+ * @param {string|null} explicitRoot - Optional explicit path to the project root.
+ * @returns {{enabled: boolean, maxResults: number, maxFileSizeBytes: number, chunkLines: number}} Code index settings
+ */
+function getCodeIndexSettings(explicitRoot = null) {
+	const codeIndex = getGlobalConfig(explicitRoot).codeIndex || {};
+	const toPositive = (value, fallback) =>
+		typeof value === 'number' && value > 0 ? value : fallback;
+	return {
+		enabled: codeIndex.enabled !== false,
+		maxResults: toPositive(codeIndex.maxResults, 8),
+		maxFileSizeBytes: toPositive(codeIndex.maxFileSizeKB, 512) * 1024,
+		chunkLines: toPositive(codeIndex.chunkLines, 40)
+	};
+}
+
+/**
+ * Gets the context budget settings from global.contextBudget. Gathered AI
+ * context is packed to `share` of the active model's input window (capped at
+ * `maxTokens` when set) unless `enabled` is false.
+ * @param {string|null} explicitRoot - Optional explicit path to the project root.
+ * @returns {{enabled: boolean, share: number, maxTokens: number|null}} Context budget settings
+ */
+function getContextBudgetSettings(explicitRoot = null) {
+	const contextBudget = getGlobalConfig(explicitRoot).contextBudget || {};
+	const { share, maxTokens } = contextBudget;
+	return {
+		enabled: contextBudget.enabled !== false,
+		share: typeof share === 'number' && share > 0 && share <= 1 ? share : 0.5,
+		maxTokens: typeof maxTokens === 'number' && maxTokens > 0 ? maxTokens : null
+	};
+}
+
+/**
+ * Gets the replay provider settings from global.replayMode and global.replayFixturesDir
+ * @param {string|null} explicitRoot - Optional explicit path to the project root.
+ * @returns {{mode: string, fixturesDir: string}} Replay mode and fixtures directory (relative to the project root unless absolute)
+ */
+function getReplaySettings(explicitRoot = null) {
+	const globalConfig = getGlobalConfig(explicitRoot);
+	return {
+		mode: globalConfig.replayMode || 'replay',
+		fixturesDir: globalConfig.replayFixturesDir || AI_FIXTURES_DIR
+	};
+}
+
 /**
  * Gets model parameters (maxTokens, temperature) for a specific role,
  * considering model-specific overrides from supported-models.json.
@@ -556,6 +698,40 @@ function getParametersForRole(role, explicitRoot = null) {
 	};
 }
 
+/**
+ * Gets the context window (maximum input tokens) of the model configured for a
+ * role. A `contextWindow` set on the role takes precedence over the
+ * `context_window` from supported-models.json.
+ * @param {string} role - The model role ('main', 'research', 'fallback')
+ * @param {string|null} explicitRoot - Optional explicit path to the project root
+ * @returns {number} Context window in tokens
+ */
+function getContextWindowForRole(role, explicitRoot = null) {
+	const roleConfig = getModelConfigForRole(role, explicitRoot);
+	if (
+		typeof roleConfig.contextWindow === 'number' &&
+		roleConfig.contextWindow > 0
+	) {
+		return roleConfig.contextWindow;
+	}
+
+	const modelDefinition = MODEL_MAP[roleConfig.provider]?.find(
+		(m) => m.id === roleConfig.modelId
+	);
+	if (
+		typeof modelDefinition?.context_window === 'number' &&
+		modelDefinition.context_window > 0
+	) {
+		return modelDefinition.context_window;
+	}
+
+	log(
+		'debug',
+		`No context window known for ${roleConfig.modelId}. Using default: ${DEFAULT_CONTEXT_WINDOW}`
+	);
+	return DEFAULT_CONTEXT_WINDOW;
+}
+
 /**
  * Checks if the API key for a given provider is set in the environment.
  * Checks process.env first, then session.env if session is provided, then .env file if projectRoot provided.
@@ -566,7 +742,11 @@ function getParametersForRole(role, explicitRoot = null) {
  */
 function isApiKeySet(providerName, session = null, projectRoot = null) {
 	// Define the expected environment variable name for each provider
-	if (providerName?.toLowerCase() === 'ollama') {
+	if (
+		providerName?.toLowerCase() === 'ollama' ||
+		providerName?.toLowerCase() === 'replay' ||
+		providerName?.toLowerCase() === 'openai-compatible'
+	) {
 		return true; // Indicate key status is effectively "OK"
 	}
 
@@ -662,6 +842,8 @@ function getMcpApiKeyStatus(providerName, projectRoot = null) {
 				placeholderValue = 'YOUR_XAI_API_KEY_HERE';
 				break;
 			case 'ollama':
+			case 'replay':
+			case 'openai-compatible':
 				return true; // No key needed
 			case 'mistral':
 				apiKeyToCheck = mcpEnv.MISTRAL_API_KEY;
@@ -689,11 +871,32 @@ function getMcpApiKeyStatus(providerName, projectRoot = null) {
 }
 
 /**
- * Gets a list of available models based on the MODEL_MAP.
+ * Gets a list of available models based on the MODEL_MAP, plus the models
+ * configured for roles using the openai-compatible provider.
+ * @param {string|null} explicitRoot - Optional explicit path to the project root.
  * @returns {Array<{id: string, name: string, provider: string, swe_score: number|null, cost_per_1m_tokens: {input: number|null, output: number|null}|null, allowed_roles: string[]}>}
  */
-function getAvailableModels() {
+function getAvailableModels(explicitRoot = null) {
 	const available = [];
+	const config = getConfig(explicitRoot);
+	for (const role of Object.keys(config?.models || {})) {
+		const roleConfig = config.models[role];
+		if (
+			roleConfig?.provider !== 'openai-compatible' ||
+			!roleConfig.modelId ||
+			available.some((m) => m.id === roleConfig.modelId)
+		) {
+			continue;
+		}
+		available.push({
+			id: roleConfig.modelId,
+			name: roleConfig.modelId,
+			provider: 'openai-compatible',
+			swe_score: null,
+			cost_per_1m_tokens: getCostForRole(role, explicitRoot),
+			allowed_roles: ['main', 'research', 'fallback']
+		});
+	}
 	for (const [provider, models] of Object.entries(MODEL_MAP)) {
 		if (models.length > 0) {
 			models.forEach((modelObj) => {
@@ -836,6 +1039,56 @@ function getBaseUrlForRole(role, explicitRoot = null) {
 		: undefined;
 }
 
+/**
+ * Gets the extra HTTP headers configured for a role. Values written as
+ * `${VAR}` are resolved from the environment.
+ * @param {string} role - The model role ('main', 'research', 'fallback')
+ * @param {string|null} explicitRoot - Optional explicit path to the project root
+ * @param {object|null} [session=null] - Optional MCP session for env resolution
+ * @returns {object|undefined} Header map, or undefined if none are configured
+ */
+function getHeadersForRole(role, explicitRoot = null, session = null) {
+	const roleConfig = getModelConfigForRole(role, explicitRoot);
+	const headers = roleConfig?.headers;
+	if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+		return undefined;
+	}
+
+	const resolved = {};
+	for (const [name, value] of Object.entries(headers)) {
+		if (typeof value !== 'string') continue;
+		const envMatch = value.match(/^\$\{(.+)\}$/);
+		const headerValue = envMatch
+			? resolveEnvVariable(envMatch[1], session, explicitRoot)
+			: value;
+		if (headerValue) {
+			resolved[name] = headerValue;
+		}
+	}
+	return Object.keys(resolved).length > 0 ? resolved : undefined;
+}
+
+/**
+ * Gets the cost metadata configured for a role, for models that have no
+ * entry in supported-models.json (e.g. openai-compatible endpoints).
+ * @param {string} role - The model role ('main', 'research', 'fallback')
+ * @param {string|null} explicitRoot - Optional explicit path to the project root
+ * @returns {{input: number, output: number, currency: string}|null} Cost per 1M tokens, or null if not configured
+ */
+function getCostForRole(role, explicitRoot = null) {
+	const cost = getModelConfigForRole(role, explicitRoot)?.cost;
+	if (!cost || typeof cost !== 'object') {
+		return null;
+	}
+	const toCost = (value) =>
+		typeof value === 'number' && value >= 0 ? value : 0;
+	return {
+		input: toCost(cost.input),
+		output: toCost(cost.output),
+		currency: typeof cost.currency === 'string' ? cost.currency : 'USD'
+	};
+}
+
 // --- Linear Integration Configuration Getters ---
 
 /**
@@ -1062,7 +1315,13 @@ function validateLinearConfig(linearConfig) {
 
 	// Validate sync settings
 	if (linearConfig.sync) {
-		const { batchSize, retryAttempts, retryDelay } = linearConfig.sync;
+		const {
+			batchSize,
+			retryAttempts,
+			retryDelay,
+			conflictPolicy,
+			onTaskRemoved
+		} = linearConfig.sync;
 
 		if (
 			batchSize !== undefined &&
@@ -1090,6 +1349,28 @@ function validateLinearConfig(linearConfig) {
 				'Linear sync retryDelay must be a number between 100 and 5000 milliseconds'
 			);
 		}
+
+		const conflictPolicies = [
+			'local-wins',
+			'remote-wins',
+			'newest-wins',
+			'interactive'
+		];
+		if (
+			conflictPolicy !== undefined &&
+			!conflictPolicies.includes(conflictPolicy)
+		) {
+			errors.push(
+				`Linear sync conflictPolicy must be one of: ${conflictPolicies.join(', ')}`
+			);
+		}
+
+		const removeActions = ['archive', 'cancel', 'comment'];
+		if (onTaskRemoved !== undefined && !removeActions.includes(onTaskRemoved)) {
+			errors.push(
+				`Linear sync onTaskRemoved must be one of: ${removeActions.join(', ')}`
+			);
+		}
 	}
 
 	return { valid: errors.length === 0, errors };
@@ -1350,7 +1631,10 @@ export {
 	getFallbackModelId,
 	getFallbackMaxTokens,
 	getFallbackTemperature,
+	getModelConfigForRole,
 	getBaseUrlForRole,
+	getHeadersForRole,
+	getCostForRole,
 	// Global setting getters (No env var overrides)
 	getLogLevel,
 	getDebugFlag,
@@ -1370,6 +1654,13 @@ export {
 	getAllProviders,
 	getVertexProjectId,
 	getVertexLocation,
+	getUsageBudget,
+	getReplaySettings,
+	getAiCacheSettings,
+	getCodeIndexSettings,
+	getContextBudgetSettings,
+	getContextWindowForRole,
+	getRoutingConfig,
 	// Linear Integration Configuration
 	getLinearConfig,
 	getLinearApiKey,
@@ -20,6 +20,7 @@ import {
 import { displayBanner } from './ui.js';
 
 import { generateTaskFiles } from './task-manager.js';
+import { emitTaskEvent, EVENT_TYPES } from './events/index.js';
 
 /**
  * Add a dependency to a task
@@ -179,6 +180,14 @@ async function addDependency(tasksPath, taskId, dependencyId, context = {}) {
 			`Added dependency ${formattedDependencyId} to task ${formattedTaskId}`
 		);
 
+		await emitDependencyEvent(
+			EVENT_TYPES.DEPENDENCY_ADDED,
+			data,
+			formattedTaskId,
+			formattedDependencyId,
+			{ ...context, commandName: context.commandName || 'add-dependency' }
+		);
+
 		// Display a more visually appealing success message
 		if (!isSilentMode()) {
 			console.log(
@@ -313,6 +322,14 @@ async function removeDependency(tasksPath, taskId, dependencyId, context = {}) {
 	// Save the updated tasks
 	writeJSON(tasksPath, data, context.projectRoot, context.tag);
 
+	await emitDependencyEvent(
+		EVENT_TYPES.DEPENDENCY_REMOVED,
+		data,
+		formattedTaskId,
+		formattedDependencyId,
+		{ ...context, commandName: context.commandName || 'remove-dependency' }
+	);
+
 	// Success message
 	log(
 		'success',
@@ -339,6 +356,62 @@ async function removeDependency(tasksPath, taskId, dependencyId, context = {}) {
 	// await generateTaskFiles(tasksPath, path.dirname(tasksPath));
 }
 
+/**
+ * Emit a dependency lifecycle event for a saved dependency change
+ * @param {string} eventType - DEPENDENCY_ADDED or DEPENDENCY_REMOVED
+ * @param {Object} data - Tasks data for the active tag
+ * @param {number|string} taskId - ID of the dependent task or subtask
+ * @param {number|string} dependencyId - ID of the task or subtask depended on
+ * @param {Object} context - Core function context
+ */
+async function emitDependencyEvent(
+	eventType,
+	data,
+	taskId,
+	dependencyId,
+	context
+) {
+	const task = findEventTask(data.tasks, taskId);
+	const dependsOnTask = findEventTask(data.tasks, dependencyId);
+	if (!task || !dependsOnTask) {
+		return;
+	}
+
+	await emitTaskEvent(
+		eventType,
+		{
+			taskId: String(taskId),
+			dependsOnTaskId: String(dependencyId),
+			task,
+			dependsOnTask,
+			tag: context.tag || data.tag || 'master'
+		},
+		context
+	);
+}
+
+/**
+ * Find a task or subtask for an event payload. Subtasks have no priority of
+ * their own, so they inherit their parent's.
+ * @param {Array} tasks - Array of all tasks
+ * @param {number|string} id - Task ID or "parentId.subtaskId"
+ * @returns {Object|null} Task-shaped object, or null if not found
+ */
+function findEventTask(tasks, id) {
+	const [parentId, subtaskId] = String(id)
+		.split('.')
+		.map((part) => parseInt(part, 10));
+	const parentTask = tasks.find((t) => t.id === parentId);
+	if (!parentTask || subtaskId === undefined) {
+		return parentTask || null;
+	}
+
+	const subtask = parentTask.subtasks?.find((st) => st.id === subtaskId);
+	return subtask
+		? { priority: parentTask.priority || 'medium', ...subtask }
+		: null;
+}
+
 /**
  * Check if adding a dependency would create a circular dependency
  * @param {Array} tasks - Array of all tasks
@@ -79,7 +79,8 @@ export class EnhancedIntegrationManager {
 			handlersExecuted: 0,
 			handlersFailed: 0,
 			busMessagesPublished: 0,
-			queueItemsProcessed: 0
+			queueItemsProcessed: 0,
+			recoveredEvents: 0
 		};
 
 		// Event processing modes
@@ -140,8 +141,9 @@ export class EnhancedIntegrationManager {
 
 			await Promise.allSettled(initPromises);
 
-			// Start event queue processing
+			// Replay events persisted by earlier processes, then start processing
 			if (this.eventQueue) {
+				await this._recoverQueuedEvents();
 				this.eventQueue.startProcessing();
 			}
 
@@ -706,32 +708,67 @@ export class EnhancedIntegrationManager {
 
 		const itemId = await this.eventQueue.push(queueData, {
 			priority: options.priority,
-			processor: async (data) => {
-				// Find integrations with queue processors for this event
-				const results = [];
-
-				for (const integration of this.integrations.values()) {
-					if (integration._queueProcessor) {
-						try {
-							const result = await integration._queueProcessor(data);
-							results.push({ integration: integration.getName(), result });
-						} catch (error) {
-							results.push({
-								integration: integration.getName(),
-								error: error.message
-							});
-						}
-					}
-				}
-
-				return results;
-			},
+			processor: (data) => this._processQueuedEvent(data),
 			...options.queueOptions
 		});
 
 		return { queueItemId: itemId, mode: 'queued' };
 	}
 
+	/**
+	 * Replay queued events left behind by a crashed or exited process
+	 *
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async _recoverQueuedEvents() {
+		if (!this.eventQueue.store) {
+			return;
+		}
+
+		try {
+			const { requeued, deadLetter } = await this.eventQueue.recover((data) =>
+				this._processQueuedEvent(data)
+			);
+			this.stats.recoveredEvents = requeued;
+			if (requeued > 0 || deadLetter > 0) {
+				log(
+					'info',
+					`Recovered ${requeued} queued events and ${deadLetter} dead letter events`
+				);
+			}
+		} catch (error) {
+			log('error', 'Failed to recover persisted events:', error.message);
+		}
+	}
+
+	/**
+	 * Deliver a queued event to integrations registered for queued processing
+	 *
+	 * @param {Object} data - Queued data ({ eventType, payload })
+	 * @returns {Promise<Array>} Per-integration results
+	 * @private
+	 */
+	async _processQueuedEvent(data) {
+		const results = [];
+
+		for (const integration of this.integrations.values()) {
+			if (integration._queueProcessor) {
+				try {
+					const result = await integration._queueProcessor(data);
+					results.push({ integration: integration.getName(), result });
+				} catch (error) {
+					results.push({
+						integration: integration.getName(),
+						error: error.message
+					});
+				}
+			}
+		}
+
+		return results;
+	}
+
 	/**
 	 * Emit event to bus
 	 *
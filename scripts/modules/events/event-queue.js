@@ -6,6 +6,7 @@
  */
 
 import { log } from '../utils.js';
+import { QueueStore, ITEM_STATE } from './queue-store.js';
 
 /**
  * Priority levels for queue items
@@ -52,6 +53,8 @@ export class EventQueue {
 			deadLetterMaxSize: 1000,
 			enableMetrics: true,
 			processingTimeout: 30000,
+			processor: null, // Default processor for items queued without one
+			persistence: null, // { enabled, projectRoot, filePath } or a QueueStore
 			...config
 		};
 
@@ -64,6 +67,9 @@ export class EventQueue {
 		// Dead letter queue for failed items
 		this.deadLetterQueue = [];
 
+		// Optional on-disk journal for crash recovery
+		this.store = this._createStore(this.config.persistence);
+
 		// Processing state
 		this.state = QUEUE_STATE.IDLE;
 		this.processingTimer = null;
@@ -122,6 +128,7 @@ export class EventQueue {
 			metadata: {},
 			guaranteed: false,
 			batchable: true,
+			persist: true,
 			...options
 		};
 
@@ -141,6 +148,11 @@ export class EventQueue {
 			errors: []
 		};
 
+		// Journal before queuing so a crash cannot lose an accepted item
+		await this._journal(item, (store) =>
+			store.enqueue(this._serializeItem(item))
+		);
+
 		// Add to appropriate priority queue
 		const priorityQueue = this.queues.get(itemOptions.priority);
 		priorityQueue.push(item);
@@ -248,6 +260,10 @@ export class EventQueue {
 			await new Promise((resolve) => setTimeout(resolve, 100));
 		}
 
+		if (this.store) {
+			await this.store.flush();
+		}
+
 		this.state = QUEUE_STATE.IDLE;
 		log('debug', 'Queue drained');
 	}
@@ -300,27 +316,31 @@ export class EventQueue {
 			item.attempts++;
 			item.lastAttemptAt = Date.now();
 
+			await this._journal(item, (store) =>
+				store.markInFlight(item.id, item.attempts)
+			);
+
 			this._emitEvent('item:processing', { item });
 
 			const startTime = Date.now();
 			let result;
 
-			// Use custom processor if provided, otherwise use default
-			if (
-				item.options.processor &&
-				typeof item.options.processor === 'function'
-			) {
+			// Use custom processor if provided, then the queue default, otherwise
+			// just return the data
+			const processor = item.options.processor || this.config.processor;
+			if (processor && typeof processor === 'function') {
 				result = await this._executeWithTimeout(
-					() => item.options.processor(item.data, item),
+					() => processor(item.data, item),
 					item.options.timeout
 				);
 			} else {
-				// Default processing - just return the data
 				result = item.data;
 			}
 
 			const processingTime = Date.now() - startTime;
 
+			await this._journal(item, (store) => store.markCompleted(item.id));
+
 			// Update stats
 			this.stats.itemsProcessed++;
 			this.stats.totalProcessingTime += processingTime;
@@ -514,6 +534,7 @@ export class EventQueue {
 				if (dlqIndex !== -1) {
 					this.deadLetterQueue.splice(dlqIndex, 1);
 				}
+				await this._journal(item, (store) => store.remove([item.id]));
 
 				retriedCount++;
 			} catch (error) {
@@ -529,6 +550,54 @@ export class EventQueue {
 		return retriedCount;
 	}
 
+	/**
+	 * Replay items persisted by earlier processes. Pending and in-flight items
+	 * that no running process owns are queued again (keeping their attempt
+	 * counts), and persisted dead letter items are loaded into the dead letter
+	 * queue. Processor functions are not persisted, so recovered items use the
+	 * given processor or the queue's default one.
+	 *
+	 * @param {Function} [processor] - Processor for recovered items
+	 * @returns {Promise<{requeued: number, deadLetter: number}>} Recovered counts
+	 */
+	async recover(processor = null) {
+		if (!this.store) {
+			return { requeued: 0, deadLetter: 0 };
+		}
+
+		const { requeue, deadLetter } = await this.store.claimRecoverable();
+		const knownIds = new Set(this.deadLetterQueue.map((item) => item.id));
+
+		for (const entry of requeue) {
+			const item = this._deserializeEntry(entry, processor);
+			const priorityQueue =
+				this.queues.get(item.options.priority) ||
+				this.queues.get(PRIORITY.NORMAL);
+			priorityQueue.push(item);
+			this.stats.itemsQueued++;
+		}
+
+		let deadLetterCount = 0;
+		for (const entry of deadLetter) {
+			if (!knownIds.has(entry.id)) {
+				this.deadLetterQueue.push(this._deserializeEntry(entry, processor));
+				deadLetterCount++;
+			}
+		}
+
+		this.stats.queueSize = this._getTotalQueueSize();
+		this.stats.deadLetterSize = this.deadLetterQueue.length;
+
+		if (requeue.length > 0) {
+			log('info', `Recovered ${requeue.length} persisted queue items`);
+			if (this.state === QUEUE_STATE.IDLE) {
+				this.startProcessing();
+			}
+		}
+
+		return { requeued: requeue.length, deadLetter: deadLetterCount };
+	}
+
 	/**
 	 * Clear the queue
 	 *
@@ -536,15 +605,25 @@ export class EventQueue {
 	 * @returns {void}
 	 */
 	clear(includeDLQ = false) {
+		const clearedIds = [];
+
 		// Clear all priority queues
 		for (const queue of this.queues.values()) {
+			clearedIds.push(...queue.map((item) => item.id));
 			queue.length = 0;
 		}
 
 		if (includeDLQ) {
+			clearedIds.push(...this.deadLetterQueue.map((item) => item.id));
 			this.deadLetterQueue.length = 0;
 		}
 
+		if (this.store) {
+			this.store.remove(clearedIds).catch((error) => {
+				log('warn', `Failed to journal cleared queue items: ${error.message}`);
+			});
+		}
+
 		// Reset stats
 		this.stats.queueSize = 0;
 		this.stats.deadLetterSize = this.deadLetterQueue.length;
@@ -552,6 +631,93 @@ export class EventQueue {
 		log('debug', 'Queue cleared');
 	}
 
+	/**
+	 * Create the journal store from the persistence config
+	 *
+	 * @param {Object|QueueStore|null} persistence - Persistence configuration
+	 * @returns {QueueStore|null} Store, or null when persistence is disabled
+	 * @private
+	 */
+	_createStore(persistence) {
+		if (!persistence) {
+			return null;
+		}
+
+		if (persistence instanceof QueueStore) {
+			return persistence;
+		}
+
+		return persistence.enabled ? new QueueStore(persistence) : null;
+	}
+
+	/**
+	 * Write an item state change to the journal. Journal failures are logged
+	 * and never interrupt processing.
+	 *
+	 * @param {Object} item - Queue item
+	 * @param {Function} write - Receives the store and returns a write promise
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async _journal(item, write) {
+		if (!this.store || item.options.persist === false) {
+			return;
+		}
+
+		try {
+			await write(this.store);
+		} catch (error) {
+			log('warn', `Failed to journal queue item ${item.id}: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Convert a queue item into its persisted form
+	 *
+	 * @param {Object} item - Queue item
+	 * @returns {Object} Serializable item
+	 * @private
+	 */
+	_serializeItem(item) {
+		const { processor, ...options } = item.options;
+
+		return {
+			id: item.id,
+			data: item.data,
+			options,
+			queuedAt: item.queuedAt,
+			attempts: item.attempts,
+			errors: item.errors
+		};
+	}
+
+	/**
+	 * Rebuild a queue item from a persisted entry
+	 *
+	 * @param {Object} entry - Persisted entry
+	 * @param {Function|null} processor - Processor for the item
+	 * @returns {Object} Queue item
+	 * @private
+	 */
+	_deserializeEntry(entry, processor) {
+		return {
+			id: entry.id,
+			data: entry.data,
+			options: {
+				...entry.options,
+				processor: processor || this.config.processor
+			},
+			queuedAt: entry.queuedAt,
+			attempts: entry.attempts || 0,
+			lastAttemptAt: entry.lastAttemptAt || null,
+			errors: entry.errors || [],
+			...(entry.state === ITEM_STATE.DEAD && {
+				deadLetterAt: entry.deadLetterAt
+			}),
+			recovered: true
+		};
+	}
+
 	/**
 	 * Schedule next processing cycle
 	 *
@@ -679,6 +845,10 @@ export class EventQueue {
 				);
 			}
 
+			await this._journal(item, (store) =>
+				store.markRetry(item.id, item.attempts, item.errors)
+			);
+
 			// Re-queue for retry
 			const priorityQueue = this.queues.get(item.options.priority);
 			priorityQueue.unshift(item); // Add to front for priority
@@ -691,6 +861,11 @@ export class EventQueue {
 			// Move to dead letter queue
 			if (this.config.enableDeadLetterQueue) {
 				this._moveToDeadLetterQueue(item);
+				await this._journal(item, (store) =>
+					store.markDead(item.id, item.attempts, item.errors)
+				);
+			} else {
+				await this._journal(item, (store) => store.remove([item.id]));
 			}
 
 			this._emitEvent('item:failed', { item, error, finalAttempt: true });
@@ -719,7 +894,8 @@ export class EventQueue {
 
 		// Trim DLQ if it exceeds size limit
 		if (this.deadLetterQueue.length > this.config.deadLetterMaxSize) {
-			this.deadLetterQueue.shift();
+			const [trimmed] = this.deadLetterQueue.splice(0, 1);
+			this._journal(trimmed, (store) => store.remove([trimmed.id]));
 		}
 
 		this.stats.deadLetterSize = this.deadLetterQueue.length;
@@ -13,7 +13,7 @@ import {
 	validateEventPayload,
 	createEventPayload
 } from './types.js';
-import { log } from '../utils.js';
+import { log, isSilentMode } from '../utils.js';
 
 // Global event system instance
 let globalEventManager = null;
@@ -45,6 +45,12 @@ export async function initializeEventSystem(config = {}) {
 	if (!eventManager.initialized) {
 		await eventManager.initialize(config);
 		log('info', 'Global event system initialized');
+
+		// Replay events an earlier process journaled but did not deliver
+		const { enablePersistence, projectRoot } = eventManager.config;
+		if (enablePersistence && projectRoot) {
+			await eventManager.recover(projectRoot);
+		}
 	}
 
 	return eventManager;
@@ -97,6 +103,73 @@ export async function emitEvent(eventType, data, context) {
 	await eventManager.emit(eventType, data, context);
 }
 
+/**
+ * Emit a task lifecycle event from a task-manager mutation
+ *
+ * Builds the operation context from the core function's context object and
+ * never throws, so integration problems cannot fail the mutation itself.
+ * Emission is skipped when the event system has not been initialized (e.g.
+ * short-lived CLI invocations without registered integrations).
+ *
+ * @param {string} eventType - Event type
+ * @param {Object} data - Event data
+ * @param {Object} [context] - Core function context
+ * @param {string} [context.projectRoot] - Project root directory
+ * @param {Object} [context.session] - MCP session object
+ * @param {Object} [context.mcpLog] - MCP logger (marks the source as MCP)
+ * @param {string} [context.source] - Explicit operation source
+ * @param {string} [context.commandName] - Command that triggered the event
+ * @returns {Promise<boolean>} True if the event was emitted
+ */
+export async function emitTaskEvent(eventType, data, context = {}) {
+	if (!globalEventManager || !globalEventManager.initialized) {
+		return false;
+	}
+
+	try {
+		// Direct functions run core logic in silent mode, which marks MCP calls
+		const source =
+			context.source || (context.mcpLog || isSilentMode() ? 'mcp' : 'cli');
+		const operationContext = createOperationContext(
+			context.projectRoot || process.cwd(),
+			context.session || {},
+			source,
+			{
+				...(context.commandName && { commandName: context.commandName }),
+				outputType: context.outputType || source
+			}
+		);
+
+		await emitEvent(eventType, data, operationContext);
+		return true;
+	} catch (error) {
+		log('debug', `Failed to emit ${eventType} event: ${error.message}`);
+		return false;
+	}
+}
+
+/**
+ * Compute the changed top-level fields between two task snapshots
+ *
+ * @param {Object} before - Task before the mutation
+ * @param {Object} after - Task after the mutation
+ * @returns {{changes: Object, oldValues: Object}} New and previous values of changed fields
+ */
+export function diffTaskFields(before = {}, after = {}) {
+	const changes = {};
+	const oldValues = {};
+	const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+	for (const field of fields) {
+		if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+			changes[field] = after[field];
+			oldValues[field] = before[field];
+		}
+	}
+
+	return { changes, oldValues };
+}
+
 /**
  * Check if an integration is enabled
  *
@@ -340,6 +413,7 @@ export {
 export { EventEmitter } from './event-emitter.js';
 export { EventBus } from './event-bus.js';
 export { EventQueue, PRIORITY, QUEUE_STATE } from './event-queue.js';
+export { QueueStore, ITEM_STATE } from './queue-store.js';
 export { EnhancedIntegrationManager } from './enhanced-integration-manager.js';
 
 // Export for testing
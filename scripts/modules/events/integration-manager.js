@@ -17,6 +17,7 @@ import { errorBoundaryRegistry } from './error-boundary.js';
 import { circuitBreakerRegistry } from './circuit-breaker.js';
 import { healthMonitor } from './health-monitor.js';
 import { recoveryManager } from './recovery-manager.js';
+import { QueueStore } from './queue-store.js';
 
 /**
  * Main integration manager that handles event emission and handler coordination
@@ -32,6 +33,9 @@ export class IntegrationManager {
 			enableCircuitBreakers: true,
 			enableHealthMonitoring: true,
 			enableAutoRecovery: true,
+			enableDeadLetterQueue: false, // Persist failed handler runs under .taskmaster/events
+			enablePersistence: false, // Journal emitted events under .taskmaster/events until delivered
+			projectRoot: null, // Project whose undelivered events are replayed on startup
 			isolationLevel: 'integration',
 			...config
 		};
@@ -67,6 +71,10 @@ export class IntegrationManager {
 		// Error boundaries for integrations
 		this.errorBoundaries = new Map();
 
+		// Event journal stores by project root
+		this.eventStores = new Map();
+		this.recoveredProjects = new Set();
+
 		// Bind methods to preserve context
 		this.emit = this.emit.bind(this);
 		this.on = this.on.bind(this);
@@ -177,6 +185,21 @@ export class IntegrationManager {
 
 			await Promise.allSettled(shutdownPromises);
 
+			// Stop the monitoring loops started by initialize, so short-lived
+			// processes such as CLI commands can exit
+			if (this.config.enableHealthMonitoring) {
+				healthMonitor.stop();
+			}
+			if (this.config.enableAutoRecovery) {
+				recoveryManager.stop();
+			}
+
+			for (const store of this.eventStores.values()) {
+				await store.close();
+			}
+			this.eventStores.clear();
+			this.recoveredProjects.clear();
+
 			this.initialized = false;
 			log('info', 'IntegrationManager shutdown completed');
 		} catch (error) {
@@ -476,6 +499,9 @@ export class IntegrationManager {
 
 			log('debug', `Emitting event: ${eventType}`);
 
+			// Journal before delivery so a crash cannot lose the event
+			await this._journalEvent(eventPayload);
+
 			// Use error boundary for event processing if enabled
 			if (this.config.enableErrorBoundaries) {
 				const boundary = this._getEventErrorBoundary(eventType);
@@ -487,7 +513,7 @@ export class IntegrationManager {
 							this._addToBatch(eventPayload);
 						} else {
 							// Process immediately
-							await this._processEvent(eventPayload);
+							await this._deliverEvent(eventPayload);
 						}
 					},
 					[],
@@ -503,7 +529,7 @@ export class IntegrationManager {
 					this._addToBatch(eventPayload);
 				} else {
 					// Process immediately
-					await this._processEvent(eventPayload);
+					await this._deliverEvent(eventPayload);
 				}
 			}
 		} catch (error) {
@@ -867,29 +893,43 @@ export class IntegrationManager {
 				const results = await Promise.allSettled(promises);
 
 				// Log any handler failures
-				results.forEach((result, index) => {
-					if (result.status === 'rejected') {
+				for (const [index, result] of results.entries()) {
+					const handler = batch[index];
+					const error =
+						result.status === 'rejected'
+							? result.reason
+							: this._getResultError(result.value);
+
+					if (error) {
 						this.stats.handlersFailed++;
-						const handler = batch[index];
 						const integrationName = handler.integration
 							? handler.integration.getName()
 							: 'unknown';
 						log(
 							'error',
 							`Handler failed for ${eventType} (${integrationName}):`,
-							result.reason.message
+							error.message
 						);
+						await this._recordDeadLetter(eventType, payload, handler, error);
 					} else {
 						this.stats.handlersExecuted++;
 					}
-				});
+				}
 			}
 		}
 
 		// Execute sequential handlers one by one
 		for (const handlerWrapper of sequentialHandlers) {
 			try {
-				await this._executeHandler(eventType, payload, handlerWrapper);
+				const result = await this._executeHandler(
+					eventType,
+					payload,
+					handlerWrapper
+				);
+				const resultError = this._getResultError(result);
+				if (resultError) {
+					throw resultError;
+				}
 				this.stats.handlersExecuted++;
 			} catch (error) {
 				this.stats.handlersFailed++;
@@ -901,10 +941,219 @@ export class IntegrationManager {
 					`Sequential handler failed for ${eventType} (${integrationName}):`,
 					error.message
 				);
+				await this._recordDeadLetter(eventType, payload, handlerWrapper, error);
 			}
 		}
 	}
 
+	/**
+	 * Turn a handler result that reports a failure into an error. Integrations
+	 * such as Linear catch API errors and return `{ action: 'error' }` instead
+	 * of throwing.
+	 *
+	 * @param {any} result - Handler result
+	 * @returns {Error|null} Error for failed results, otherwise null
+	 * @private
+	 */
+	_getResultError(result) {
+		if (result && result.action === 'error') {
+			return new Error(result.error || 'Integration reported an error');
+		}
+		return null;
+	}
+
+	/**
+	 * Get the event journal of a project. It holds emitted events that are
+	 * not delivered yet and the dead letter entries of failed handler runs.
+	 *
+	 * @param {string} projectRoot - Project root directory
+	 * @returns {QueueStore} Event journal store
+	 */
+	getEventStore(projectRoot) {
+		if (!this.eventStores.has(projectRoot)) {
+			this.eventStores.set(projectRoot, new QueueStore({ projectRoot }));
+		}
+		return this.eventStores.get(projectRoot);
+	}
+
+	/**
+	 * Replay the events of a project that no running process owns, i.e. events
+	 * journaled by a process that crashed or exited before delivering them
+	 *
+	 * @param {string} projectRoot - Project root directory
+	 * @returns {Promise<{replayed: number, failed: number}>} Replay counts
+	 */
+	async recover(projectRoot) {
+		this.recoveredProjects.add(projectRoot);
+
+		const store = this.getEventStore(projectRoot);
+		const { requeue } = await store.claimRecoverable();
+		let replayed = 0;
+		let failed = 0;
+
+		for (const entry of requeue) {
+			const { eventType, payload } = entry.data || {};
+			if (!eventType) {
+				continue;
+			}
+
+			try {
+				await this._processEvent({ type: eventType, payload });
+				await store.markCompleted(entry.id);
+				replayed++;
+			} catch (error) {
+				failed++;
+				log('warn', `Failed to replay event ${eventType}: ${error.message}`);
+			}
+		}
+
+		this.stats.recoveredEvents += replayed;
+		if (replayed > 0 || failed > 0) {
+			log(
+				'info',
+				`Replayed ${replayed} undelivered events (${failed} failed) for ${projectRoot}`
+			);
+		}
+
+		return { replayed, failed };
+	}
+
+	/**
+	 * Journal an emitted event until it is delivered. The first event of a
+	 * project also replays what earlier processes left undelivered there.
+	 *
+	 * @param {Object} eventPayload - Event payload
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async _journalEvent(eventPayload) {
+		const { projectRoot } = eventPayload.payload?.context || {};
+		const eventId = eventPayload.payload?.eventId;
+		if (!this.config.enablePersistence || !projectRoot || !eventId) {
+			return;
+		}
+
+		try {
+			if (!this.recoveredProjects.has(projectRoot)) {
+				await this.recover(projectRoot);
+			}
+
+			await this.getEventStore(projectRoot).enqueue({
+				id: eventId,
+				data: { eventType: eventPayload.type, payload: eventPayload.payload },
+				options: {},
+				queuedAt: Date.now(),
+				attempts: 0,
+				errors: []
+			});
+		} catch (error) {
+			log(
+				'warn',
+				`Failed to journal event ${eventPayload.type}: ${error.message}`
+			);
+		}
+	}
+
+	/**
+	 * Process an emitted event and clear it from the journal. Events that
+	 * fail stay journaled and are replayed by the next process.
+	 *
+	 * @param {Object} eventPayload - Event payload
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async _deliverEvent(eventPayload) {
+		await this._processEvent(eventPayload);
+
+		const { projectRoot } = eventPayload.payload?.context || {};
+		const eventId = eventPayload.payload?.eventId;
+		if (!this.config.enablePersistence || !projectRoot || !eventId) {
+			return;
+		}
+
+		try {
+			await this.getEventStore(projectRoot).markCompleted(eventId);
+		} catch (error) {
+			log(
+				'warn',
+				`Failed to clear delivered event ${eventPayload.type}: ${error.message}`
+			);
+		}
+	}
+
+	/**
+	 * Persist a failed integration handler run to the dead letter queue
+	 *
+	 * @param {string} eventType - Event type
+	 * @param {Object} payload - Event payload
+	 * @param {Object} handlerWrapper - Handler wrapper that failed
+	 * @param {Error} error - Failure
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async _recordDeadLetter(eventType, payload, handlerWrapper, error) {
+		const projectRoot = payload?.context?.projectRoot;
+		if (
+			!this.config.enableDeadLetterQueue ||
+			!handlerWrapper.integration ||
+			!projectRoot
+		) {
+			return;
+		}
+
+		const integrationName = handlerWrapper.integration.getName();
+		const now = Date.now();
+
+		try {
+			await this.getEventStore(projectRoot).addDeadLetter({
+				// One entry per event and integration, even if the integration
+				// is registered for the event more than once
+				id: `dlq_${payload.eventId || now}_${integrationName}`,
+				data: { eventType, payload, integration: integrationName },
+				options: { integration: integrationName },
+				queuedAt: now,
+				attempts: 1,
+				errors: [{ error: error.message, timestamp: now, attempt: 1 }]
+			});
+		} catch (storeError) {
+			log(
+				'warn',
+				`Failed to record dead letter event ${eventType}: ${storeError.message}`
+			);
+		}
+	}
+
+	/**
+	 * Deliver a dead letter event to the integration that originally failed
+	 *
+	 * @param {Object} entry - Dead letter entry from a QueueStore
+	 * @returns {Promise<any>} Integration result
+	 */
+	async redeliver(entry) {
+		const {
+			eventType,
+			payload,
+			integration: integrationName
+		} = entry.data || {};
+		const integration = this.integrations.get(integrationName);
+
+		if (!integration) {
+			throw new Error(`Integration ${integrationName} is not registered`);
+		}
+
+		if (!integration.initialized) {
+			await integration.initialize(this.config);
+		}
+
+		const result = await integration.handleEvent(eventType, payload);
+		const resultError = this._getResultError(result);
+		if (resultError) {
+			throw resultError;
+		}
+
+		return result;
+	}
+
 	/**
 	 * Execute a single handler with timeout
 	 *
@@ -994,7 +1243,7 @@ export class IntegrationManager {
 
 		// Process events in parallel
 		const promises = events.map((eventPayload) =>
-			this._processEvent(eventPayload)
+			this._deliverEvent(eventPayload)
 		);
 		await Promise.allSettled(promises);
 	}
@@ -1222,7 +1471,7 @@ export class IntegrationManager {
 		setTimeout(async () => {
 			try {
 				log('debug', `Retrying event: ${eventPayload.eventType}`);
-				await this._processEvent(eventPayload);
+				await this._deliverEvent(eventPayload);
 			} catch (error) {
 				log(
 					'error',
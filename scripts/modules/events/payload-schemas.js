@@ -173,7 +173,11 @@ export const TaskRemovedPayloadSchema = BaseEventPayloadSchema.extend({
 	removalType: z
 		.enum(['user_initiated', 'cascade_delete', 'cleanup'])
 		.default('user_initiated')
-		.describe('Type of removal')
+		.describe('Type of removal'),
+	keepLinear: z
+		.boolean()
+		.optional()
+		.describe('Leave the linked Linear issues untouched')
 });
 
 /**
@@ -233,7 +237,11 @@ export const SubtaskRemovedPayloadSchema = BaseEventPayloadSchema.extend({
 		.describe('ID of the removed subtask'),
 	subtask: SubtaskSchema.describe('The removed subtask object'),
 	parentTask: TaskSchema.describe('The parent task object'),
-	tag: z.string().describe('Tag context')
+	tag: z.string().describe('Tag context'),
+	keepLinear: z
+		.boolean()
+		.optional()
+		.describe('Leave the linked Linear issue untouched')
 });
 
 /**
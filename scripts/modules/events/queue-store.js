@@ -0,0 +1,552 @@
+/**
+ * @fileoverview Journaled on-disk store for EventQueue items
+ *
+ * Persists queued items, in-flight state and dead-letter entries to an
+ * append-only JSON-lines journal under `.taskmaster/events/`, so work queued
+ * by one process survives a crash and can be replayed by the next one. The
+ * journal is shared between processes (CLI invocations and the MCP server);
+ * every write happens under a lock file and each item records the process
+ * that owns it, so live work is never replayed twice.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { log } from '../utils.js';
+import { EVENT_QUEUE_JOURNAL_FILE } from '../../../src/constants/paths.js';
+
+/**
+ * Persisted item states
+ */
+export const ITEM_STATE = {
+	PENDING: 'pending',
+	IN_FLIGHT: 'in-flight',
+	DEAD: 'dead'
+};
+
+// Owner IDs of stores that are open in this process
+const activeOwners = new Set();
+
+/**
+ * Append-only journal of queue item state transitions
+ */
+export class QueueStore {
+	/**
+	 * @param {Object} config - Configuration options
+	 * @param {string} [config.projectRoot] - Project root used to locate the journal
+	 * @param {string} [config.filePath] - Explicit journal path (overrides projectRoot)
+	 * @param {number} [config.compactThreshold=500] - Journal records before compaction
+	 */
+	constructor(config = {}) {
+		this.config = {
+			projectRoot: null,
+			filePath: null,
+			compactThreshold: 500,
+			lockRetries: 20,
+			lockRetryDelay: 50,
+			staleLockAge: 30000,
+			...config
+		};
+
+		this.filePath =
+			this.config.filePath ||
+			path.join(
+				this.config.projectRoot || process.cwd(),
+				EVENT_QUEUE_JOURNAL_FILE
+			);
+		this.lockPath = `${this.filePath}.lock`;
+		this.ownerId = `${process.pid}:${Math.random().toString(36).substring(2, 11)}`;
+		this.recordsSinceCompaction = 0;
+
+		// Serializes this store's writes so journal order matches call order
+		this.writeChain = Promise.resolve();
+
+		activeOwners.add(this.ownerId);
+	}
+
+	/**
+	 * Record a newly queued item
+	 *
+	 * @param {Object} item - Serializable queue item
+	 * @returns {Promise<void>}
+	 */
+	async enqueue(item) {
+		return this._write([{ op: 'enqueue', item, owner: this.ownerId }]);
+	}
+
+	/**
+	 * Record that an item is being processed
+	 *
+	 * @param {string} id - Item ID
+	 * @param {number} attempts - Attempt number being started
+	 * @returns {Promise<void>}
+	 */
+	async markInFlight(id, attempts) {
+		return this._write([{ op: 'start', id, attempts, owner: this.ownerId }]);
+	}
+
+	/**
+	 * Record that an item will be retried
+	 *
+	 * @param {string} id - Item ID
+	 * @param {number} attempts - Attempts made so far
+	 * @param {Array} errors - Errors recorded for the item
+	 * @returns {Promise<void>}
+	 */
+	async markRetry(id, attempts, errors) {
+		return this._write([{ op: 'retry', id, attempts, errors }]);
+	}
+
+	/**
+	 * Record that an item finished successfully
+	 *
+	 * @param {string} id - Item ID
+	 * @returns {Promise<void>}
+	 */
+	async markCompleted(id) {
+		return this._write([{ op: 'complete', id }]);
+	}
+
+	/**
+	 * Record that an item was moved to the dead letter queue
+	 *
+	 * @param {string} id - Item ID
+	 * @param {number} attempts - Attempts made
+	 * @param {Array} errors - Errors recorded for the item
+	 * @returns {Promise<void>}
+	 */
+	async markDead(id, attempts, errors) {
+		return this._write([
+			{ op: 'dead', id, attempts, errors, deadLetterAt: Date.now() }
+		]);
+	}
+
+	/**
+	 * Record an item that failed outside of a queue directly as dead. Writing
+	 * an existing ID again replaces the earlier entry.
+	 *
+	 * @param {Object} item - Serializable queue item
+	 * @returns {Promise<void>}
+	 */
+	async addDeadLetter(item) {
+		return this._write([
+			{ op: 'enqueue', item, owner: null },
+			{
+				op: 'dead',
+				id: item.id,
+				attempts: item.attempts,
+				errors: item.errors,
+				deadLetterAt: Date.now()
+			}
+		]);
+	}
+
+	/**
+	 * Remove items from the store regardless of their state
+	 *
+	 * @param {Array<string>} ids - Item IDs
+	 * @returns {Promise<void>}
+	 */
+	async remove(ids) {
+		if (ids.length === 0) {
+			return;
+		}
+		return this._write(ids.map((id) => ({ op: 'remove', id })));
+	}
+
+	/**
+	 * Move dead letter items back to pending so the next process to recover
+	 * the queue picks them up. Attempts and errors are reset.
+	 *
+	 * @param {Array<string>|null} ids - Item IDs, or null for every dead item
+	 * @returns {Promise<Array<string>>} IDs that were requeued
+	 */
+	async requeueDeadLetter(ids = null) {
+		let requeued = [];
+
+		await this._withLock(() => {
+			const entries = this._readEntries();
+			requeued = [...entries.values()]
+				.filter(
+					(entry) =>
+						entry.state === ITEM_STATE.DEAD &&
+						(ids === null || ids.includes(entry.id))
+				)
+				.map((entry) => entry.id);
+
+			this._appendRecords(
+				requeued.map((id) => ({
+					op: 'retry',
+					id,
+					attempts: 0,
+					errors: [],
+					owner: null
+				}))
+			);
+		});
+
+		return requeued;
+	}
+
+	/**
+	 * Claim every item that no live process owns. Claimed items are owned by
+	 * this store from then on; items owned by another running process are
+	 * left alone.
+	 *
+	 * @returns {Promise<{requeue: Array<Object>, deadLetter: Array<Object>}>} Claimed entries
+	 */
+	async claimRecoverable() {
+		const requeue = [];
+		const deadLetter = [];
+
+		await this._withLock(() => {
+			for (const entry of this._readEntries().values()) {
+				if (entry.state === ITEM_STATE.DEAD) {
+					deadLetter.push(entry);
+				} else if (entry.owner !== this.ownerId && !isOwnerAlive(entry.owner)) {
+					requeue.push(entry);
+				}
+			}
+
+			this._appendRecords(
+				requeue.map((entry) => ({
+					op: 'claim',
+					id: entry.id,
+					owner: this.ownerId
+				}))
+			);
+		});
+
+		return { requeue, deadLetter };
+	}
+
+	/**
+	 * Read the current state of every persisted item
+	 *
+	 * @returns {Array<Object>} Persisted items with state, owner and timestamps
+	 */
+	getEntries() {
+		return [...this._readEntries().values()];
+	}
+
+	/**
+	 * Read the persisted dead letter items
+	 *
+	 * @returns {Array<Object>} Dead letter entries
+	 */
+	getDeadLetterEntries() {
+		return this.getEntries().filter((entry) => entry.state === ITEM_STATE.DEAD);
+	}
+
+	/**
+	 * Rewrite the journal with one record per live item
+	 *
+	 * @returns {Promise<void>}
+	 */
+	async compact() {
+		await this._withLock(() => this._compactUnlocked());
+	}
+
+	/**
+	 * Wait for pending writes to reach the journal
+	 *
+	 * @returns {Promise<void>}
+	 */
+	async flush() {
+		await this.writeChain;
+	}
+
+	/**
+	 * Flush pending writes and release ownership. Items still owned by this
+	 * store become recoverable by other stores.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	async close() {
+		await this.flush();
+		activeOwners.delete(this.ownerId);
+	}
+
+	/**
+	 * Queue journal records for writing
+	 *
+	 * @param {Array<Object>} records - Journal records
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	_write(records) {
+		const write = this.writeChain.then(() =>
+			this._withLock(() => {
+				this._appendRecords(records);
+
+				if (this.recordsSinceCompaction >= this.config.compactThreshold) {
+					this._compactUnlocked();
+				}
+			})
+		);
+
+		// Keep the chain alive after a failed write
+		this.writeChain = write.catch(() => {});
+		return write;
+	}
+
+	/**
+	 * Append records to the journal. Caller must hold the lock.
+	 *
+	 * @param {Array<Object>} records - Journal records
+	 * @private
+	 */
+	_appendRecords(records) {
+		if (records.length === 0) {
+			return;
+		}
+
+		const at = Date.now();
+		const lines = records
+			.map((record) => `${JSON.stringify({ ...record, at })}\n`)
+			.join('');
+
+		fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+		fs.appendFileSync(this.filePath, lines, 'utf8');
+		this.recordsSinceCompaction += records.length;
+	}
+
+	/**
+	 * Replay the journal into a map of item ID to current entry
+	 *
+	 * @returns {Map<string, Object>} Current entries
+	 * @private
+	 */
+	_readEntries() {
+		const entries = new Map();
+
+		let content;
+		try {
+			content = fs.readFileSync(this.filePath, 'utf8');
+		} catch (error) {
+			if (error.code === 'ENOENT') {
+				return entries;
+			}
+			throw error;
+		}
+
+		for (const line of content.split('\n')) {
+			if (!line.trim()) {
+				continue;
+			}
+
+			let record;
+			try {
+				record = JSON.parse(line);
+			} catch (error) {
+				// A torn final line is expected after a crash mid-write
+				log('debug', `Skipping unreadable queue journal record: ${line}`);
+				continue;
+			}
+
+			applyRecord(entries, record);
+		}
+
+		return entries;
+	}
+
+	/**
+	 * Rewrite the journal from its replayed state. Caller must hold the lock.
+	 *
+	 * @private
+	 */
+	_compactUnlocked() {
+		const entries = this._readEntries();
+		const lines = [...entries.values()]
+			.map((entry) => `${JSON.stringify({ op: 'put', entry })}\n`)
+			.join('');
+		const tempPath = `${this.filePath}.${process.pid}.tmp`;
+
+		fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+		fs.writeFileSync(tempPath, lines, 'utf8');
+		fs.renameSync(tempPath, this.filePath);
+		this.recordsSinceCompaction = 0;
+
+		log('debug', `Compacted queue journal to ${entries.size} items`);
+	}
+
+	/**
+	 * Run a synchronous function while holding the journal lock
+	 *
+	 * @param {Function} fn - Function to run
+	 * @returns {Promise<any>} Function result
+	 * @private
+	 */
+	async _withLock(fn) {
+		await this._acquireLock();
+		try {
+			return fn();
+		} finally {
+			try {
+				fs.unlinkSync(this.lockPath);
+			} catch (error) {
+				// Lock already gone
+			}
+		}
+	}
+
+	/**
+	 * Acquire the journal lock file
+	 *
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async _acquireLock() {
+		fs.mkdirSync(path.dirname(this.lockPath), { recursive: true });
+
+		for (let attempt = 1; attempt <= this.config.lockRetries; attempt++) {
+			try {
+				fs.writeFileSync(
+					this.lockPath,
+					JSON.stringify({ pid: process.pid, timestamp: Date.now() }),
+					{ flag: 'wx' }
+				);
+				return;
+			} catch (error) {
+				if (error.code !== 'EEXIST') {
+					throw error;
+				}
+
+				if (this._isLockStale()) {
+					log('warn', `Removing stale queue journal lock: ${this.lockPath}`);
+					try {
+						fs.unlinkSync(this.lockPath);
+					} catch (unlinkError) {
+						// Another process removed it first
+					}
+					continue;
+				}
+
+				await new Promise((resolve) =>
+					setTimeout(resolve, this.config.lockRetryDelay * attempt)
+				);
+			}
+		}
+
+		throw new Error(`Could not acquire queue journal lock: ${this.lockPath}`);
+	}
+
+	/**
+	 * Check whether the lock file was left behind by a dead or stuck process
+	 *
+	 * @returns {boolean} True if the lock is stale
+	 * @private
+	 */
+	_isLockStale() {
+		try {
+			const lockData = JSON.parse(fs.readFileSync(this.lockPath, 'utf8'));
+			if (Date.now() - lockData.timestamp > this.config.staleLockAge) {
+				return true;
+			}
+			return lockData.pid !== process.pid && !isProcessAlive(lockData.pid);
+		} catch (error) {
+			// Unreadable lock files are treated as stale
+			return true;
+		}
+	}
+}
+
+/**
+ * Apply one journal record to the replayed entries
+ *
+ * @param {Map<string, Object>} entries - Entries being replayed
+ * @param {Object} record - Journal record
+ */
+function applyRecord(entries, record) {
+	if (record.op === 'put') {
+		entries.set(record.entry.id, record.entry);
+		return;
+	}
+
+	if (record.op === 'enqueue') {
+		entries.set(record.item.id, {
+			...record.item,
+			state: ITEM_STATE.PENDING,
+			owner: record.owner,
+			updatedAt: record.at
+		});
+		return;
+	}
+
+	const entry = entries.get(record.id);
+	if (!entry) {
+		return;
+	}
+
+	switch (record.op) {
+		case 'start':
+			entry.state = ITEM_STATE.IN_FLIGHT;
+			entry.attempts = record.attempts;
+			entry.owner = record.owner;
+			entry.lastAttemptAt = record.at;
+			break;
+		case 'retry':
+			entry.state = ITEM_STATE.PENDING;
+			entry.attempts = record.attempts;
+			entry.errors = record.errors;
+			if (record.owner !== undefined) {
+				entry.owner = record.owner;
+			}
+			break;
+		case 'dead':
+			entry.state = ITEM_STATE.DEAD;
+			entry.attempts = record.attempts;
+			entry.errors = record.errors;
+			entry.deadLetterAt = record.deadLetterAt;
+			break;
+		case 'claim':
+			entry.owner = record.owner;
+			break;
+		case 'complete':
+		case 'remove':
+			entries.delete(record.id);
+			return;
+		default:
+			return;
+	}
+
+	entry.updatedAt = record.at;
+}
+
+/**
+ * Check whether the process that owns an item is still running
+ *
+ * @param {string|null} owner - Owner ID in "pid:suffix" form
+ * @returns {boolean} True if the owner is alive
+ */
+function isOwnerAlive(owner) {
+	if (!owner) {
+		return false;
+	}
+
+	const pid = parseInt(owner.split(':')[0], 10);
+	if (pid === process.pid) {
+		return activeOwners.has(owner);
+	}
+
+	return isProcessAlive(pid);
+}
+
+/**
+ * Check whether a process exists
+ *
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if the process exists
+ */
+function isProcessAlive(pid) {
+	if (!Number.isInteger(pid)) {
+		return false;
+	}
+
+	try {
+		process.kill(pid, 0); // Signal 0 checks existence without killing
+		return true;
+	} catch (error) {
+		// EPERM means the process exists but belongs to another user
+		return error.code === 'EPERM';
+	}
+}
@@ -2,4 +2,62 @@
  * @fileoverview Integration handlers exports
  */
 
-export { LinearIntegrationHandler } from './linear-integration-handler.js';
+import { LinearIntegrationHandler } from './linear-integration-handler.js';
+import {
+	getEventManager,
+	initializeEventSystem,
+	registerIntegration
+} from '../events/index.js';
+
+export { LinearIntegrationHandler };
+
+/**
+ * Create the integration handlers enabled by the environment
+ *
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Array<BaseIntegrationHandler>} Configured integration handlers
+ */
+export function createConfiguredIntegrations(env = process.env) {
+	const integrations = [];
+
+	if (env.LINEAR_API_KEY) {
+		integrations.push(
+			new LinearIntegrationHandler({
+				apiKey: env.LINEAR_API_KEY,
+				teamId: env.LINEAR_TEAM_ID,
+				defaultProjectId: env.LINEAR_PROJECT_ID,
+				createIssues: env.LINEAR_CREATE_ISSUES !== 'false'
+			})
+		);
+	}
+
+	return integrations;
+}
+
+/**
+ * Make sure the global event system is running with the configured
+ * integrations registered. CLI commands call this before a mutation whose
+ * events integrations act on, and shut the event system down afterwards.
+ *
+ * @param {Object} [config] - Event system configuration
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.requireIntegrations=false] - Skip starting when no integration is configured
+ * @returns {Promise<boolean>} True if the event system was started here
+ */
+export async function ensureEventSystem(config = {}, options = {}) {
+	const manager = getEventManager();
+	if (manager.initialized) {
+		return false;
+	}
+
+	const integrations = createConfiguredIntegrations();
+	if (options.requireIntegrations && integrations.length === 0) {
+		return false;
+	}
+
+	for (const integration of integrations) {
+		registerIntegration(integration);
+	}
+	await initializeEventSystem(config);
+	return true;
+}
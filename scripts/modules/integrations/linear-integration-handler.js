@@ -20,10 +20,32 @@ import {
 	getLinearPriorityMapping,
 	getLinearStatusMapping
 } from '../config-manager.js';
+import { getLinkedIssueId, getStatusMapping } from './linear-utils.js';
+import { createSyncSnapshot, SYNCED_FIELDS } from '../linear-sync-conflicts.js';
+import { withFileLockSync } from '../utils/fileStorage.js';
 import path from 'path';
-import fs from 'fs';
-import { randomBytes } from 'crypto';
-import { tmpdir } from 'os';
+
+/**
+ * Task fields rendered into the Linear issue description by _formatTaskDescription
+ */
+const DESCRIPTION_SOURCE_FIELDS = [
+	'description',
+	'details',
+	'testStrategy',
+	'dependencies',
+	'priority',
+	'status'
+];
+
+/**
+ * What happens to the Linear issue of a removed task, configured in
+ * integrations.linear.sync.onTaskRemoved: `archive` archives the issue,
+ * `cancel` moves it to the canceled workflow state and `comment` leaves it
+ * open with a comment saying the task is gone
+ */
+export const REMOVED_TASK_ACTIONS = ['archive', 'cancel', 'comment'];
+
+const DEFAULT_REMOVED_TASK_ACTION = 'cancel';
 
 /**
  * Escapes HTML characters to prevent XSS
@@ -50,6 +72,7 @@ export class LinearIntegrationHandler extends BaseIntegrationHandler {
 	 * @param {string} config.teamId - Linear team ID
 	 * @param {boolean} config.createIssues - Whether to create Linear issues for tasks
 	 * @param {string} config.defaultProjectId - Default Linear project ID
+	 * @param {boolean} [config.statusChangeComments] - Comment on issues when their status is synced (default true)
 	 */
 	constructor(config = {}) {
 		super('linear', '1.0.0', {
@@ -82,6 +105,7 @@ export class LinearIntegrationHandler extends BaseIntegrationHandler {
 		this.linear = null;
 		this.team = null;
 		this.project = null;
+		this.workflowStates = null;
 	}
 
 	/**
@@ -164,6 +188,7 @@ export class LinearIntegrationHandler extends BaseIntegrationHandler {
 		this.linear = null;
 		this.team = null;
 		this.project = null;
+		this.workflowStates = null;
 		log('info', 'Linear integration shut down');
 	}
 
@@ -181,6 +206,15 @@ export class LinearIntegrationHandler extends BaseIntegrationHandler {
 
 		const { task, tag, context } = payload;
 
+		// Subtasks moved to tasks keep the issue they already have
+		if (getLinkedIssueId(task)) {
+			return {
+				action: 'skipped',
+				reason: 'already_linked',
+				task: { id: task.id, title: task.title }
+			};
+		}
+
 		// Create progress message for operation start
 		const progressMessage = this.createProgressMessage(
 			'create',
@@ -249,7 +283,8 @@ export class LinearIntegrationHandler extends BaseIntegrationHandler {
 			const updatedTask = await this._updateTaskWithLinearIssue(
 				task.id,
 				linearIssueInfo,
-				context?.projectRoot
+				context?.projectRoot,
+				tag
 			);
 
 			// Create and log success message
@@ -297,40 +332,106 @@ export class LinearIntegrationHandler extends BaseIntegrationHandler {
 	/**
 	 * Handle task status change events
 	 *
+	 * Resolves the Linear issue linked through `task.integrations.linear`, moves it
+	 * to the workflow state mapped from the new TaskMaster status and records the
+	 * transition as a comment on the issue.
+	 *
 	 * @param {Object} payload - Event payload
 	 * @returns {Promise<Object>} Result with update information
 	 */
 	async handleTaskStatusChanged(payload) {
-		const { task, oldStatus, newStatus } = payload;
+		const { task, oldStatus, newStatus, tag, context } = payload;
+		const projectRoot = context?.projectRoot || null;
+
+		const issueId = getLinkedIssueId(task);
+		if (!issueId) {
+			log(
+				'debug',
+				`Task #${task.id} has no linked Linear issue, skipping status sync`
+			);
+			return {
+				action: 'skipped',
+				reason: 'no_linear_issue',
+				task: { id: task.id, oldStatus, newStatus }
+			};
+		}
+
+		const syncSettings = getLinearConfig(projectRoot)?.sync;
+		if (syncSettings?.syncOnStatusChange === false) {
+			log('debug', 'Linear status sync is disabled');
+			return {
+				action: 'skipped',
+				reason: 'status_sync_disabled',
+				task: { id: task.id, oldStatus, newStatus }
+			};
+		}
 
 		// Create progress message for status sync
 		const progressMessage = this.createProgressMessage('sync', task, 'syncing');
 		this.logFormattedMessage(progressMessage);
 
 		try {
-			// In a real implementation, we would:
-			// 1. Find the Linear issue associated with this task
-			// 2. Update the Linear issue state based on the new status
-			// 3. Add a comment about the status change
-
-			// For now, simulate successful status sync
-			const mockLinearData = {
-				identifier: task.integrations?.linear?.identifier || `TM-${task.id}`,
-				url:
-					task.integrations?.linear?.url ||
-					`https://linear.app/issue/TM-${task.id}`,
-				state: { name: newStatus }
-			};
+			if (!this.linear) {
+				throw new Error(
+					'Linear client not initialized - authentication may have failed'
+				);
+			}
 
-			// Create success message for status sync
-			const successMessage = this.createSuccessMessage(
-				'sync',
-				task,
-				mockLinearData,
-				{
-					changes: [`status: ${oldStatus} → ${newStatus}`]
-				}
+			// Resolve the team workflow state for the new status
+			const workflowState = await this._resolveWorkflowState(
+				newStatus,
+				projectRoot
+			);
+			if (!workflowState) {
+				throw new Error(
+					`No Linear workflow state mapped for status "${newStatus}"`
+				);
+			}
+
+			// Move the issue to the resolved state
+			const updatePayload = await this._performLinearRequest(
+				() => this.linear.updateIssue(issueId, { stateId: workflowState.id }),
+				'update issue state'
 			);
+			if (updatePayload.success === false) {
+				throw new Error('Linear rejected the issue state update');
+			}
+
+			const issue = this._parseLinearResponse(
+				(await updatePayload.issue) || updatePayload,
+				'updateIssue'
+			);
+			issue.state = issue.state || workflowState;
+
+			// Record the transition on the issue; a failed comment is not fatal
+			if (this.config.statusChangeComments !== false) {
+				await this._addIssueComment(
+					issueId,
+					`**TaskMaster status change:** \`${oldStatus}\` → \`${newStatus}\``
+				);
+			}
+
+			// Keep the locally stored link in step with Linear
+			try {
+				await this._performAtomicFileUpdate(
+					task.id,
+					{ state: issue.state, snapshot: { status: newStatus } },
+					projectRoot,
+					'mergeLinearLink',
+					tag
+				);
+			} catch (error) {
+				log(
+					'warn',
+					`Failed to store synced Linear state for task #${task.id}:`,
+					error.message
+				);
+			}
+
+			// Create success message for status sync
+			const successMessage = this.createSuccessMessage('sync', task, issue, {
+				changes: [`status: ${oldStatus} → ${newStatus}`]
+			});
 			this.logFormattedMessage(successMessage);
 
 			return {
@@ -340,6 +441,12 @@ export class LinearIntegrationHandler extends BaseIntegrationHandler {
 					oldStatus,
 					newStatus
 				},
+				linearIssue: {
+					id: issue.id,
+					identifier: issue.identifier,
+					url: issue.url,
+					state: issue.state
+				},
 				message: `Status change synced for task #${task.id}`,
 				formattedMessage: successMessage
 			};
@@ -364,11 +471,30 @@ export class LinearIntegrationHandler extends BaseIntegrationHandler {
 	/**
 	 * Handle task update events
 	 *
+	 * Turns the changed fields of the payload into a minimal Linear issueUpdate.
+	 * No request is made when none of the changed fields map to Linear.
+	 *
 	 * @param {Object} payload - Event payload
 	 * @returns {Promise<Object>} Result with update information
 	 */
 	async handleTaskUpdated(payload) {
-		const { task, changes } = payload;
+		const { task, changes = {}, oldValues = {}, tag, context } = payload;
+		const projectRoot = context?.projectRoot || null;
+		const changedFields = Object.keys(changes);
+
+		const issueId = getLinkedIssueId(task);
+		if (!issueId) {
+			log(
+				'debug',
+				`Task #${task.id} has no linked Linear issue, skipping update sync`
+			);
+			return {
+				action: 'skipped',
+				reason: 'no_linear_issue',
+				task: { id: task.id, title: task.title },
+				changes: changedFields
+			};
+		}
 
 		// Create progress message for update sync
 		const progressMessage = this.createProgressMessage(
@@ -379,25 +505,80 @@ export class LinearIntegrationHandler extends BaseIntegrationHandler {
 		this.logFormattedMessage(progressMessage);
 
 		try {
-			// In a real implementation, we would update the Linear issue with the changes
-
-			// For now, simulate successful update sync
-			const mockLinearData = {
-				identifier: task.integrations?.linear?.identifier || `TM-${task.id}`,
-				url:
-					task.integrations?.linear?.url ||
-					`https://linear.app/issue/TM-${task.id}`
-			};
+			if (!this.linear) {
+				throw new Error(
+					'Linear client not initialized - authentication may have failed'
+				);
+			}
 
-			// Create success message for update sync
-			const successMessage = this.createSuccessMessage(
-				'update',
+			const { updateData, linearFields } = await this._buildIssueUpdateData(
 				task,
-				mockLinearData,
-				{
-					changes: Object.keys(changes)
-				}
+				changes,
+				oldValues,
+				projectRoot
+			);
+
+			if (linearFields.length === 0) {
+				log(
+					'debug',
+					`No Linear-mapped fields changed for task #${task.id}, skipping update`
+				);
+				return {
+					action: 'skipped',
+					reason: 'no_linear_changes',
+					task: { id: task.id, title: task.title },
+					changes: changedFields
+				};
+			}
+
+			log(
+				'debug',
+				`Updating Linear issue ${issueId} with data:`,
+				JSON.stringify(updateData, null, 2)
+			);
+
+			const updatePayload = await this._performLinearRequest(
+				() => this.linear.updateIssue(issueId, updateData),
+				'update issue'
 			);
+			if (updatePayload.success === false) {
+				throw new Error('Linear rejected the issue update');
+			}
+
+			const issue = this._parseLinearResponse(
+				(await updatePayload.issue) || updatePayload,
+				'updateIssue'
+			);
+
+			// Keep the locally stored link in step with Linear
+			try {
+				await this._performAtomicFileUpdate(
+					task.id,
+					{
+						title: issue.title,
+						...(issue.priority && { priority: issue.priority }),
+						...(issue.labels.length > 0 && { labels: issue.labels }),
+						snapshot: createSyncSnapshot(
+							task,
+							linearFields.filter((field) => SYNCED_FIELDS.includes(field))
+						)
+					},
+					projectRoot,
+					'mergeLinearLink',
+					tag
+				);
+			} catch (error) {
+				log(
+					'warn',
+					`Failed to store synced Linear fields for task #${task.id}:`,
+					error.message
+				);
+			}
+
+			// Create success message for update sync
+			const successMessage = this.createSuccessMessage('update', task, issue, {
+				changes: linearFields
+			});
 			this.logFormattedMessage(successMessage);
 
 			return {
@@ -406,7 +587,13 @@ export class LinearIntegrationHandler extends BaseIntegrationHandler {
 					id: task.id,
 					title: task.title
 				},
-				changes: Object.keys(changes),
+				changes: changedFields,
+				linearFields,
+				linearIssue: {
+					id: issue.id,
+					identifier: issue.identifier,
+					url: issue.url
+				},
 				message: `Update synced for task #${task.id}`,
 				formattedMessage: successMessage
 			};
@@ -421,13 +608,486 @@ export class LinearIntegrationHandler extends BaseIntegrationHandler {
 					id: task.id,
 					title: task.title
 				},
-				changes: Object.keys(changes),
+				changes: changedFields,
 				error: error.message,
 				formattedMessage: errorMessage
 			};
 		}
 	}
 
+	/**
+	 * Handle subtask creation events
+	 *
+	 * Creates a Linear sub-issue under the issue linked to the parent task and
+	 * links it back through `subtask.integrations.linear`. Subtasks carry no
+	 * priority of their own, so the sub-issue takes the parent's.
+	 *
+	 * @param {Object} payload - Event payload
+	 * @returns {Promise<Object>} Result with Linear issue information
+	 */
+	async handleSubtaskCreated(payload) {
+		const { parentTask, subtask, subtaskId, tag, context } = payload;
+		const projectRoot = context?.projectRoot || null;
+		const subtaskInfo = { id: subtaskId, title: subtask.title };
+
+		if (!this.config.createIssues) {
+			log('debug', 'Linear issue creation is disabled');
+			return {
+				action: 'skipped',
+				reason: 'issue_creation_disabled',
+				subtask: subtaskInfo
+			};
+		}
+
+		const syncSettings = getLinearConfig(projectRoot)?.sync;
+		if (syncSettings?.syncSubtasks === false) {
+			log('debug', 'Linear subtask sync is disabled');
+			return {
+				action: 'skipped',
+				reason: 'subtask_sync_disabled',
+				subtask: subtaskInfo
+			};
+		}
+
+		// Subtasks moved between tasks keep the issue they already have
+		if (getLinkedIssueId(subtask)) {
+			return {
+				action: 'skipped',
+				reason: 'already_linked',
+				subtask: subtaskInfo
+			};
+		}
+
+		const parentIssueId = getLinkedIssueId(parentTask);
+		if (!parentIssueId) {
+			log(
+				'debug',
+				`Parent task #${parentTask?.id} has no linked Linear issue, skipping subtask ${subtaskId}`
+			);
+			return {
+				action: 'skipped',
+				reason: 'parent_not_linked',
+				subtask: subtaskInfo
+			};
+		}
+
+		const issueTask = {
+			...subtask,
+			id: subtaskId,
+			priority: subtask.priority || parentTask.priority || 'medium'
+		};
+
+		try {
+			const issue = await this._createLinearIssue(issueTask, projectRoot, {
+				parentId: parentIssueId
+			});
+			if (!issue) {
+				throw new Error('Failed to create Linear issue - no issue returned');
+			}
+
+			await this._performAtomicFileUpdate(
+				subtaskId,
+				{
+					id: issue.id,
+					identifier: issue.identifier,
+					url: issue.url,
+					...(issue.branchName && { branchName: issue.branchName }),
+					title: issue.title,
+					state: issue.state,
+					priority: issue.priority,
+					team: issue.team,
+					project: issue.project,
+					number: issue.number,
+					createdAt: issue.createdAt,
+					updatedAt: issue.updatedAt
+				},
+				projectRoot,
+				'updateLinearIssue',
+				tag
+			);
+
+			const successMessage = this.createSuccessMessage(
+				'create',
+				issueTask,
+				issue
+			);
+			this.logFormattedMessage(successMessage, true);
+
+			return {
+				...this._createStandardizedResponse(issue, 'createIssue'),
+				action: 'created',
+				subtask: subtaskInfo,
+				parentIssueId,
+				formattedMessage: successMessage
+			};
+		} catch (error) {
+			const errorMessage = this.createErrorMessage('create', issueTask, error);
+			this.logFormattedMessage(errorMessage, true);
+
+			return {
+				action: 'error',
+				subtask: subtaskInfo,
+				error: error.message,
+				formattedMessage: errorMessage
+			};
+		}
+	}
+
+	/**
+	 * Handle dependency added events
+	 *
+	 * Creates a "blocks" relation from the dependency's Linear issue to the
+	 * dependent task's issue.
+	 *
+	 * @param {Object} payload - Event payload
+	 * @returns {Promise<Object>} Result with relation information
+	 */
+	async handleDependencyAdded(payload) {
+		return this._syncDependencyRelation(payload, 'add');
+	}
+
+	/**
+	 * Handle dependency removed events
+	 *
+	 * Deletes the "blocks" relation between the two linked Linear issues.
+	 *
+	 * @param {Object} payload - Event payload
+	 * @returns {Promise<Object>} Result with relation information
+	 */
+	async handleDependencyRemoved(payload) {
+		return this._syncDependencyRelation(payload, 'remove');
+	}
+
+	/**
+	 * Create or delete the Linear "blocks" relation for a task dependency.
+	 * Existing relations are looked up on the blocking issue first, so adding
+	 * an already mirrored dependency does not create a duplicate.
+	 *
+	 * @param {Object} payload - Dependency event payload
+	 * @param {'add'|'remove'} operation - Whether the dependency was added or removed
+	 * @returns {Promise<Object>} Result with relation information
+	 * @private
+	 */
+	async _syncDependencyRelation(payload, operation) {
+		const { taskId, dependsOnTaskId, task, dependsOnTask, context } = payload;
+		const projectRoot = context?.projectRoot || null;
+		const dependency = { taskId, dependsOnTaskId };
+
+		const syncSettings = getLinearConfig(projectRoot)?.sync;
+		if (syncSettings?.syncDependencies === false) {
+			log('debug', 'Linear dependency sync is disabled');
+			return {
+				action: 'skipped',
+				reason: 'dependency_sync_disabled',
+				dependency
+			};
+		}
+
+		const blockedIssueId = getLinkedIssueId(task);
+		const blockingIssueId = getLinkedIssueId(dependsOnTask);
+		if (!blockedIssueId || !blockingIssueId) {
+			log(
+				'debug',
+				`Dependency ${taskId} → ${dependsOnTaskId} is not between linked Linear issues, skipping`
+			);
+			return { action: 'skipped', reason: 'no_linear_issue', dependency };
+		}
+
+		try {
+			if (!this.linear) {
+				throw new Error(
+					'Linear client not initialized - authentication may have failed'
+				);
+			}
+
+			const existing = await this._findBlockingRelations(
+				blockingIssueId,
+				blockedIssueId
+			);
+
+			if (operation === 'add') {
+				if (existing.length > 0) {
+					return {
+						action: 'skipped',
+						reason: 'relation_exists',
+						dependency,
+						relationId: existing[0].id
+					};
+				}
+
+				const relationPayload = await this._performLinearRequest(
+					() =>
+						this.linear.createIssueRelation({
+							issueId: blockingIssueId,
+							relatedIssueId: blockedIssueId,
+							type: 'blocks'
+						}),
+					'create issue relation'
+				);
+				if (relationPayload.success === false) {
+					throw new Error('Linear rejected the issue relation');
+				}
+				const relation = await relationPayload.issueRelation;
+
+				log(
+					'info',
+					`Linear issue ${blockingIssueId} now blocks ${blockedIssueId} (task ${taskId} depends on ${dependsOnTaskId})`
+				);
+				return {
+					action: 'created',
+					dependency,
+					relation: {
+						id: relation?.id || null,
+						issueId: blockingIssueId,
+						relatedIssueId: blockedIssueId,
+						type: 'blocks'
+					}
+				};
+			}
+
+			if (existing.length === 0) {
+				return { action: 'skipped', reason: 'relation_not_found', dependency };
+			}
+
+			for (const relation of existing) {
+				await this._performLinearRequest(
+					() => this.linear.deleteIssueRelation(relation.id),
+					'delete issue relation'
+				);
+			}
+
+			log(
+				'info',
+				`Removed Linear blocking relation ${blockingIssueId} → ${blockedIssueId}`
+			);
+			return {
+				action: 'deleted',
+				dependency,
+				relationIds: existing.map((relation) => relation.id)
+			};
+		} catch (error) {
+			log(
+				'warn',
+				`Failed to sync dependency ${taskId} → ${dependsOnTaskId} to Linear:`,
+				error.message
+			);
+			return { action: 'error', dependency, error: error.message };
+		}
+	}
+
+	/**
+	 * Handle task removal events
+	 *
+	 * Applies the configured removal action to the Linear issues of the removed
+	 * task and of the subtasks removed with it.
+	 *
+	 * @param {Object} payload - Event payload
+	 * @returns {Promise<Object>} Result with per-issue outcomes
+	 */
+	async handleTaskRemoved(payload) {
+		const { task } = payload;
+		const removed = [
+			{ taskId: String(task.id), issueId: getLinkedIssueId(task) },
+			...(task.subtasks || []).map((subtask) => ({
+				taskId: `${task.id}.${subtask.id}`,
+				issueId: getLinkedIssueId(subtask)
+			}))
+		];
+
+		return this._handleIssueRemoval(
+			removed.filter((entry) => entry.issueId),
+			payload
+		);
+	}
+
+	/**
+	 * Handle subtask removal events
+	 *
+	 * @param {Object} payload - Event payload
+	 * @returns {Promise<Object>} Result with per-issue outcomes
+	 */
+	async handleSubtaskRemoved(payload) {
+		const { subtask, subtaskId } = payload;
+		const issueId = getLinkedIssueId(subtask);
+
+		return this._handleIssueRemoval(
+			issueId ? [{ taskId: String(subtaskId), issueId }] : [],
+			payload
+		);
+	}
+
+	/**
+	 * Archive, cancel or comment on the Linear issues of removed tasks.
+	 * `payload.keepLinear` (remove-task --keep-linear) leaves them untouched.
+	 * Moves set it too: the moved item keeps its links, so the creation event
+	 * that follows the removal skips it instead of opening a new issue.
+	 *
+	 * @param {Array<{taskId: string, issueId: string}>} linkedIssues - Removed tasks with a linked issue
+	 * @param {Object} payload - Removal event payload
+	 * @returns {Promise<Object>} Result with per-issue outcomes
+	 * @private
+	 */
+	async _handleIssueRemoval(linkedIssues, payload) {
+		const projectRoot = payload.context?.projectRoot || null;
+		const taskId = String(payload.taskId ?? payload.subtaskId);
+
+		if (payload.keepLinear) {
+			log('debug', `Keeping Linear issues of removed task ${taskId}`);
+			return { action: 'skipped', reason: 'keep_linear', taskId };
+		}
+
+		if (linkedIssues.length === 0) {
+			return { action: 'skipped', reason: 'no_linear_issue', taskId };
+		}
+
+		const removeAction = this._getRemovedTaskAction(projectRoot);
+		const issues = [];
+
+		for (const { taskId: removedId, issueId } of linkedIssues) {
+			try {
+				if (!this.linear) {
+					throw new Error(
+						'Linear client not initialized - authentication may have failed'
+					);
+				}
+
+				await this._applyRemovalAction(
+					removeAction,
+					removedId,
+					issueId,
+					projectRoot
+				);
+				issues.push({ taskId: removedId, issueId, action: removeAction });
+			} catch (error) {
+				log(
+					'warn',
+					`Failed to ${removeAction} Linear issue ${issueId} of removed task ${removedId}:`,
+					error.message
+				);
+				issues.push({
+					taskId: removedId,
+					issueId,
+					action: 'error',
+					error: error.message
+				});
+			}
+		}
+
+		const failed = issues.filter((issue) => issue.action === 'error');
+		if (failed.length > 0) {
+			return {
+				action: 'error',
+				removeAction,
+				taskId,
+				issues,
+				error: failed.map((issue) => issue.error).join('; ')
+			};
+		}
+
+		log(
+			'info',
+			`Applied "${removeAction}" to ${issues.length} Linear issue(s) of removed task ${taskId}`
+		);
+		return { action: 'removed', removeAction, taskId, issues };
+	}
+
+	/**
+	 * Apply a removal action to one Linear issue
+	 *
+	 * @param {string} removeAction - One of REMOVED_TASK_ACTIONS
+	 * @param {string} taskId - ID of the removed task or subtask
+	 * @param {string} issueId - Linear issue ID
+	 * @param {string|null} projectRoot - Project root directory
+	 * @returns {Promise<void>}
+	 * @private
+	 */
+	async _applyRemovalAction(removeAction, taskId, issueId, projectRoot) {
+		const comment = `**TaskMaster task removed:** task #${taskId} was deleted in TaskMaster and is no longer tracked.`;
+
+		switch (removeAction) {
+			case 'archive': {
+				const archivePayload = await this._performLinearRequest(
+					() => this.linear.archiveIssue(issueId),
+					'archive issue'
+				);
+				if (archivePayload?.success === false) {
+					throw new Error('Linear rejected the issue archive');
+				}
+				break;
+			}
+			case 'cancel': {
+				// Prefer the state mapped for "cancelled", then any canceled state
+				const state =
+					(await this._resolveWorkflowState('cancelled', projectRoot)) ||
+					(await this._getTeamWorkflowStates(projectRoot)).find(
+						(candidate) => candidate.type === 'canceled'
+					);
+				if (!state) {
+					throw new Error('No canceled workflow state found for the team');
+				}
+
+				const updatePayload = await this._performLinearRequest(
+					() => this.linear.updateIssue(issueId, { stateId: state.id }),
+					'cancel issue'
+				);
+				if (updatePayload?.success === false) {
+					throw new Error('Linear rejected the issue state update');
+				}
+				if (this.config.statusChangeComments !== false) {
+					await this._addIssueComment(issueId, comment);
+				}
+				break;
+			}
+			case 'comment':
+				await this._performLinearRequest(
+					() => this.linear.createComment({ issueId, body: comment }),
+					'create comment'
+				);
+				break;
+		}
+	}
+
+	/**
+	 * Get the configured action for the Linear issues of removed tasks
+	 *
+	 * @param {string|null} [projectRoot] - Project root directory
+	 * @returns {string} One of REMOVED_TASK_ACTIONS
+	 * @private
+	 */
+	_getRemovedTaskAction(projectRoot = null) {
+		const configured = getLinearConfig(projectRoot)?.sync?.onTaskRemoved;
+		if (configured && !REMOVED_TASK_ACTIONS.includes(configured)) {
+			log(
+				'warn',
+				`Unknown Linear onTaskRemoved action "${configured}", using "${DEFAULT_REMOVED_TASK_ACTION}"`
+			);
+		}
+		return REMOVED_TASK_ACTIONS.includes(configured)
+			? configured
+			: DEFAULT_REMOVED_TASK_ACTION;
+	}
+
+	/**
+	 * Find the "blocks" relations from one issue to another
+	 *
+	 * @param {string} blockingIssueId - Issue that blocks
+	 * @param {string} blockedIssueId - Issue that is blocked
+	 * @returns {Promise<Array<Object>>} Matching relations
+	 * @private
+	 */
+	async _findBlockingRelations(blockingIssueId, blockedIssueId) {
+		const issue = await this._performLinearRequest(
+			() => this.linear.issue(blockingIssueId),
+			'fetch issue relations'
+		);
+		const relations = await issue.relations({ first: 100 });
+
+		return (relations?.nodes || []).filter(
+			(relation) =>
+				relation.type === 'blocks' && relation.relatedIssueId === blockedIssueId
+		);
+	}
+
 	/**
 	 * Handle generic events that don't have specific handlers
 	 *
@@ -482,10 +1142,12 @@ export class LinearIntegrationHandler extends BaseIntegrationHandler {
 	 *
 	 * @param {Object} task - Task object from TaskMaster
 	 * @param {string} [projectRoot] - Project root directory for configuration
+	 * @param {Object} [options] - Creation options
+	 * @param {string} [options.parentId] - Linear issue to create the issue under
 	 * @returns {Promise<Object>} Linear issue object
 	 * @private
 	 */
-	async _createLinearIssue(task, projectRoot = null) {
+	async _createLinearIssue(task, projectRoot = null, options = {}) {
 		try {
 			// Ensure Linear client is authenticated
 			if (!this.linear) {
@@ -499,6 +1161,9 @@ export class LinearIntegrationHandler extends BaseIntegrationHandler {
 
 			// Build the issue data with comprehensive field mapping
 			const issueData = this._buildIssueData(task, linearConfig, projectRoot);
+			if (options.parentId) {
+				issueData.parentId = options.parentId;
+			}
 
 			// Validate issue data before sending
 			this._validateIssueData(issueData);
@@ -1081,6 +1746,83 @@ export class LinearIntegrationHandler extends BaseIntegrationHandler {
 		return `[TM-${task.id}] ${task.title}`;
 	}
 
+	/**
+	 * Build a minimal Linear issueUpdate input from a task's changed fields
+	 *
+	 * @param {Object} task - Updated task object
+	 * @param {Object} changes - Changed fields with their new values
+	 * @param {Object} oldValues - Previous values of the changed fields
+	 * @param {string} [projectRoot] - Project root directory
+	 * @returns {Promise<{updateData: Object, linearFields: string[]}>} Update input and the Linear fields it touches
+	 * @private
+	 */
+	async _buildIssueUpdateData(task, changes, oldValues, projectRoot = null) {
+		const changed = (field) =>
+			Object.hasOwn(changes, field) &&
+			JSON.stringify(changes[field]) !== JSON.stringify(oldValues[field]);
+
+		const linearConfig = getLinearConfig(projectRoot);
+		const updateData = {};
+
+		if (changed('title')) {
+			updateData.title = this._mapTaskTitle(task);
+		}
+
+		if (DESCRIPTION_SOURCE_FIELDS.some(changed)) {
+			updateData.description = this._formatTaskDescription(task);
+		}
+
+		if (changed('priority')) {
+			updateData.priority = this._mapTaskPriorityToLinear(
+				task.priority,
+				linearConfig,
+				projectRoot
+			);
+		}
+
+		// Swap mapped labels without touching labels managed elsewhere
+		if (
+			(changed('priority') || changed('status')) &&
+			linearConfig?.labels?.enabled
+		) {
+			const newLabels = {};
+			const oldLabels = {};
+			await this._addLabelsToIssueData(
+				newLabels,
+				task,
+				linearConfig,
+				projectRoot
+			);
+			await this._addLabelsToIssueData(
+				oldLabels,
+				{ ...task, ...oldValues },
+				linearConfig,
+				projectRoot
+			);
+
+			const newIds = newLabels.labelIds || [];
+			const oldIds = oldLabels.labelIds || [];
+			const addedLabelIds = newIds.filter((id) => !oldIds.includes(id));
+			const removedLabelIds = oldIds.filter((id) => !newIds.includes(id));
+
+			if (addedLabelIds.length > 0) {
+				updateData.addedLabelIds = addedLabelIds;
+			}
+			if (removedLabelIds.length > 0) {
+				updateData.removedLabelIds = removedLabelIds;
+			}
+		}
+
+		const linearFields = Object.keys(updateData).map((field) =>
+			field.endsWith('LabelIds') ? 'labels' : field
+		);
+
+		return {
+			updateData,
+			linearFields: [...new Set(linearFields)]
+		};
+	}
+
 	/**
 	 * Add labels to issue data based on configuration
 	 *
@@ -1229,6 +1971,99 @@ export class LinearIntegrationHandler extends BaseIntegrationHandler {
 		}
 	}
 
+	/**
+	 * Get the TaskMaster status → Linear state name mapping
+	 *
+	 * @param {string} [projectRoot] - Project root directory
+	 * @returns {Object} Status mapping object
+	 * @private
+	 */
+	_getStatusMapping(projectRoot = null) {
+		return getStatusMapping(projectRoot);
+	}
+
+	/**
+	 * Fetch the workflow states of the configured team (cached per handler)
+	 *
+	 * @param {string} [projectRoot] - Project root directory
+	 * @returns {Promise<Array>} Array of workflow states ({ id, name, type })
+	 * @private
+	 */
+	async _getTeamWorkflowStates(projectRoot = null) {
+		const teamId =
+			this.config.teamId || getLinearConfig(projectRoot)?.team?.id || null;
+		if (!teamId) {
+			throw new Error('Linear team ID is required to resolve workflow states');
+		}
+
+		if (this.workflowStates?.teamId === teamId) {
+			return this.workflowStates.states;
+		}
+
+		const response = await this._performLinearRequest(
+			() =>
+				this.linear.workflowStates({
+					filter: { team: { id: { eq: teamId } } }
+				}),
+			'fetch workflow states'
+		);
+
+		const states = (response.nodes || []).map((state) => ({
+			id: state.id,
+			name: state.name,
+			type: state.type
+		}));
+
+		this.workflowStates = { teamId, states };
+		return states;
+	}
+
+	/**
+	 * Resolve the Linear workflow state for a TaskMaster status
+	 *
+	 * @param {string} taskStatus - TaskMaster status
+	 * @param {string} [projectRoot] - Project root directory
+	 * @returns {Promise<Object|null>} Workflow state ({ id, name, type }) or null
+	 * @private
+	 */
+	async _resolveWorkflowState(taskStatus, projectRoot = null) {
+		const stateName = this._getStatusMapping(projectRoot)[taskStatus];
+		if (!stateName) {
+			return null;
+		}
+
+		const states = await this._getTeamWorkflowStates(projectRoot);
+		const wanted = stateName.toLowerCase();
+
+		// The mapping may hold a state ID instead of a state name
+		return (
+			states.find((state) => state.id === stateName) ||
+			states.find((state) => state.name?.toLowerCase() === wanted) ||
+			null
+		);
+	}
+
+	/**
+	 * Post a comment on a Linear issue
+	 *
+	 * @param {string} issueId - Linear issue ID
+	 * @param {string} body - Markdown comment body
+	 * @returns {Promise<boolean>} True if the comment was created
+	 * @private
+	 */
+	async _addIssueComment(issueId, body) {
+		try {
+			await this._performLinearRequest(
+				() => this.linear.createComment({ issueId, body }),
+				'create comment'
+			);
+			return true;
+		} catch (error) {
+			log('warn', 'Failed to add comment to Linear issue:', error.message);
+			return false;
+		}
+	}
+
 	/**
 	 * Atomically update task with Linear issue information using safe file operations
 	 *
@@ -1239,26 +2074,35 @@ export class LinearIntegrationHandler extends BaseIntegrationHandler {
 	 * @param {string} linearIssue.url - Linear issue URL
 	 * @param {string} [linearIssue.branchName] - Associated git branch name
 	 * @param {string} [projectRoot] - Project root directory
+	 * @param {string} [tag] - Tag the task belongs to, defaults to the current tag
 	 * @returns {Promise<Object>} Updated task
 	 * @private
 	 */
-	async _updateTaskWithLinearIssue(taskId, linearIssue, projectRoot = null) {
+	async _updateTaskWithLinearIssue(
+		taskId,
+		linearIssue,
+		projectRoot = null,
+		tag = null
+	) {
 		// Use the enhanced atomic file update mechanism
 		return await this._performAtomicFileUpdate(
 			taskId,
 			linearIssue,
 			projectRoot,
-			'updateLinearIssue'
+			'updateLinearIssue',
+			tag
 		);
 	}
 
 	/**
-	 * Perform atomic file update with comprehensive safety mechanisms
+	 * Update one task under the tasks file lock: the read, the change and the
+	 * atomic write happen without another process writing in between
 	 *
-	 * @param {number|string} taskId - Task ID to update
+	 * @param {number|string} taskId - Task ID or "parentId.subtaskId" to update
 	 * @param {Object} updateData - Data to update the task with
 	 * @param {string} [projectRoot] - Project root directory
 	 * @param {string} operationType - Type of operation for logging
+	 * @param {string} [tag] - Tag the task belongs to, defaults to the current tag
 	 * @returns {Promise<Object>} Updated task
 	 * @private
 	 */
@@ -1266,12 +2110,9 @@ export class LinearIntegrationHandler extends BaseIntegrationHandler {
 		taskId,
 		updateData,
 		projectRoot = null,
-		operationType = 'updateTask'
+		operationType = 'updateTask',
+		tag = null
 	) {
-		let lockFile = null;
-		let backupFile = null;
-		let tempFile = null;
-
 		try {
 			// Determine project root if not provided
 			const actualProjectRoot = projectRoot || findProjectRoot();
@@ -1279,65 +2120,60 @@ export class LinearIntegrationHandler extends BaseIntegrationHandler {
 				throw new Error('Could not determine project root directory');
 			}
 
-			// Construct tasks file path
 			const tasksPath = path.join(
 				actualProjectRoot,
 				'.taskmaster',
 				'tasks',
 				'tasks.json'
 			);
+			// The event's tag, which may not be the current one by the time the
+			// event is handled
+			const targetTag = tag || getCurrentTag(actualProjectRoot);
 
-			// Get current tag
-			const currentTag = getCurrentTag(actualProjectRoot);
-
-			// Step 1: Acquire file lock
-			lockFile = await this._acquireFileLock(tasksPath);
-			log('debug', `Acquired file lock for atomic update: ${lockFile}`);
-
-			// Step 2: Create backup
-			backupFile = await this._createBackupFile(tasksPath);
-			log('debug', `Created backup file: ${backupFile}`);
-
-			// Step 3: Read current data with tag resolution
-			const data = readJSON(tasksPath, actualProjectRoot, currentTag);
-			if (!data || !data.tasks) {
-				throw new Error('No valid tasks found in tasks.json');
-			}
+			const updatedTask = withFileLockSync(
+				tasksPath,
+				() => {
+					const data = readJSON(tasksPath, actualProjectRoot, targetTag);
+					if (!data || !data.tasks) {
+						throw new Error('No valid tasks found in tasks.json');
+					}
 
-			// Step 4: Find the task to update
-			const taskIndex = data.tasks.findIndex(
-				(task) => task.id === taskId || task.id === parseInt(taskId)
-			);
+					// Find the task (or subtask) to update
+					const [parentId, subtaskId] = String(taskId).split('.');
+					const taskIndex = data.tasks.findIndex(
+						(task) => String(task.id) === parentId
+					);
 
-			if (taskIndex === -1) {
-				throw new Error(`Task ${taskId} not found in tasks.json`);
-			}
+					if (taskIndex === -1) {
+						throw new Error(`Task ${taskId} not found in tasks.json`);
+					}
 
-			// Step 5: Apply update based on operation type
-			const updatedTask = this._applyTaskUpdate(
-				data.tasks[taskIndex],
-				updateData,
-				operationType
-			);
+					const container =
+						subtaskId === undefined
+							? data.tasks
+							: data.tasks[taskIndex].subtasks;
+					const index =
+						subtaskId === undefined
+							? taskIndex
+							: (container || []).findIndex(
+									(subtask) => String(subtask.id) === subtaskId
+								);
+
+					if (index === -1) {
+						throw new Error(`Subtask ${taskId} not found in tasks.json`);
+					}
 
-			// Step 6: Update the tasks array
-			data.tasks[taskIndex] = updatedTask;
+					container[index] = this._applyTaskUpdate(
+						container[index],
+						updateData,
+						operationType
+					);
 
-			// Step 7: Write to temporary file first
-			tempFile = await this._writeToTempFile(
-				tasksPath,
-				data,
-				actualProjectRoot,
-				currentTag
+					writeJSON(tasksPath, data, actualProjectRoot, targetTag);
+					return container[index];
+				},
+				{ operation: `linear-${operationType}` }
 			);
-			log('debug', `Wrote data to temporary file: ${tempFile}`);
-
-			// Step 8: Atomically move temp file to final location
-			await this._atomicMove(tempFile, tasksPath);
-			log('debug', 'Atomically moved temp file to final location');
-
-			// Step 9: Clean up backup file (operation successful)
-			await this._cleanupBackupFile(backupFile);
 
 			log('info', `Task #${taskId} atomically updated via ${operationType}`);
 
@@ -1348,16 +2184,7 @@ export class LinearIntegrationHandler extends BaseIntegrationHandler {
 				`Atomic file update failed for task #${taskId} (${operationType}):`,
 				error.message
 			);
-
-			// Rollback: Restore from backup if available
-			if (backupFile) {
-				await this._rollbackFromBackup(backupFile, tasksPath);
-			}
-
 			throw error;
-		} finally {
-			// Always clean up resources
-			await this._cleanupAtomicOperation(lockFile, backupFile, tempFile);
 		}
 	}
 
@@ -1394,281 +2221,34 @@ export class LinearIntegrationHandler extends BaseIntegrationHandler {
 							...(updateData.number && { number: updateData.number }),
 							...(updateData.createdAt && { createdAt: updateData.createdAt }),
 							...(updateData.updatedAt && { updatedAt: updateData.updatedAt }),
+							// The issue was just built from the task, so both sides agree
+							snapshot: createSyncSnapshot(task),
 							syncedAt: new Date().toISOString(),
 							status: 'synced'
 						}
 					}
 				};
-			default:
-				throw new Error(`Unknown operation type: ${operationType}`);
-		}
-	}
-
-	/**
-	 * Acquire file lock to prevent concurrent access
-	 *
-	 * @param {string} filePath - Path to the file to lock
-	 * @returns {Promise<string>} Lock file path
-	 * @private
-	 */
-	async _acquireFileLock(filePath) {
-		const lockPath = `${filePath}.lock`;
-		const maxRetries = 10;
-		const retryDelay = 100; // milliseconds
-		const lockTimeout = 10000; // 10 seconds
-
-		for (let attempt = 1; attempt <= maxRetries; attempt++) {
-			try {
-				// Try to create lock file exclusively
-				const lockData = {
-					pid: process.pid,
-					timestamp: new Date().toISOString(),
-					operation: 'linear-integration-update'
-				};
-
-				fs.writeFileSync(lockPath, JSON.stringify(lockData), { flag: 'wx' });
-
-				// Set up cleanup timeout
-				setTimeout(() => {
-					this._forceCleanupLock(lockPath);
-				}, lockTimeout);
-
-				return lockPath;
-			} catch (error) {
-				if (error.code === 'EEXIST') {
-					// Lock file exists, check if it's stale
-					if (await this._isLockStale(lockPath)) {
-						log('warn', `Removing stale lock file: ${lockPath}`);
-						// Try to atomically remove and recreate
-						try {
-							const lockData = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
-							// Double-check staleness before removal
-							if (await this._isLockStale(lockPath)) {
-								fs.unlinkSync(lockPath);
-								continue;
-							}
-						} catch (e) {
-							// Lock was already removed, continue
-							continue;
+			case 'mergeLinearLink':
+				return {
+					...task,
+					integrations: {
+						...task.integrations,
+						linear: {
+							...task.integrations?.linear,
+							...updateData,
+							...(updateData.snapshot && {
+								snapshot: {
+									...task.integrations?.linear?.snapshot,
+									...updateData.snapshot
+								}
+							}),
+							syncedAt: new Date().toISOString(),
+							status: 'synced'
 						}
 					}
-
-					if (attempt === maxRetries) {
-						throw new Error(
-							`Could not acquire file lock after ${maxRetries} attempts`
-						);
-					}
-
-					// Wait before retry
-					await new Promise((resolve) =>
-						setTimeout(resolve, retryDelay * attempt)
-					);
-				} else {
-					throw new Error(`Failed to create lock file: ${error.message}`);
-				}
-			}
-		}
-
-		throw new Error('Failed to acquire file lock');
-	}
-
-	/**
-	 * Check if a lock file is stale (process no longer exists or too old)
-	 *
-	 * @param {string} lockPath - Path to lock file
-	 * @returns {Promise<boolean>} True if lock is stale
-	 * @private
-	 */
-	async _isLockStale(lockPath) {
-		try {
-			const lockData = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
-			const lockAge = Date.now() - new Date(lockData.timestamp).getTime();
-
-			// Lock is stale if older than 30 seconds
-			if (lockAge > 30000) {
-				return true;
-			}
-
-			// Check if process still exists (Unix/Linux)
-			if (process.platform !== 'win32') {
-				try {
-					process.kill(lockData.pid, 0); // Signal 0 checks existence without killing
-					return false; // Process exists, lock is not stale
-				} catch (error) {
-					return true; // Process doesn't exist, lock is stale
-				}
-			}
-
-			return false;
-		} catch (error) {
-			// If we can't read the lock file, consider it stale
-			return true;
-		}
-	}
-
-	/**
-	 * Force cleanup of lock file
-	 *
-	 * @param {string} lockPath - Path to lock file
-	 * @private
-	 */
-	async _forceCleanupLock(lockPath) {
-		try {
-			fs.unlinkSync(lockPath);
-		} catch (error) {
-			// Ignore errors during force cleanup
-		}
-	}
-
-	/**
-	 * Create backup file before modification
-	 *
-	 * @param {string} filePath - Original file path
-	 * @returns {Promise<string>} Backup file path
-	 * @private
-	 */
-	async _createBackupFile(filePath) {
-		const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-		const randomSuffix = randomBytes(4).toString('hex');
-		const backupPath = `${filePath}.backup-${timestamp}-${randomSuffix}`;
-
-		try {
-			fs.copyFileSync(filePath, backupPath);
-			return backupPath;
-		} catch (error) {
-			throw new Error(`Failed to create backup file: ${error.message}`);
-		}
-	}
-
-	/**
-	 * Write data to temporary file
-	 *
-	 * @param {string} originalPath - Original file path
-	 * @param {Object} data - Data to write
-	 * @param {string} projectRoot - Project root directory
-	 * @param {string} currentTag - Current tag
-	 * @returns {Promise<string>} Temporary file path
-	 * @private
-	 */
-	async _writeToTempFile(originalPath, data, projectRoot, currentTag) {
-		// Create temp file in OS temp directory
-		const tempDir = await fs.promises.mkdtemp(
-			path.join(tmpdir(), 'taskmaster-')
-		);
-		const tempPath = path.join(tempDir, 'tasks.json');
-
-		try {
-			// Use the same writeJSON logic but write to temp file
-			const { _rawTaggedData, tag: _, ...cleanResolvedData } = data;
-
-			let finalData = data;
-			if (data && data._rawTaggedData && projectRoot) {
-				// Handle tagged data structure
-				const originalTaggedData = data._rawTaggedData;
-				finalData = {
-					...originalTaggedData,
-					[currentTag]: cleanResolvedData
 				};
-			}
-
-			// Clean up any internal properties
-			if (finalData && typeof finalData === 'object') {
-				const { _rawTaggedData, tag: tagProp, ...rootCleanData } = finalData;
-				finalData = rootCleanData;
-			}
-
-			fs.writeFileSync(tempPath, JSON.stringify(finalData, null, 2), 'utf8');
-			return tempPath;
-		} catch (error) {
-			// Clean up temp directory on error
-			try {
-				await fs.promises.rmdir(tempDir, { recursive: true });
-			} catch (e) {}
-			throw new Error(`Failed to write to temporary file: ${error.message}`);
-		}
-	}
-
-	/**
-	 * Atomically move temporary file to final location
-	 *
-	 * @param {string} tempPath - Temporary file path
-	 * @param {string} finalPath - Final file path
-	 * @private
-	 */
-	async _atomicMove(tempPath, finalPath) {
-		try {
-			fs.renameSync(tempPath, finalPath);
-		} catch (error) {
-			throw new Error(`Failed to atomically move file: ${error.message}`);
-		}
-	}
-
-	/**
-	 * Rollback from backup file
-	 *
-	 * @param {string} backupPath - Backup file path
-	 * @param {string} originalPath - Original file path
-	 * @private
-	 */
-	async _rollbackFromBackup(backupPath, originalPath) {
-		try {
-			if (fs.existsSync(backupPath)) {
-				fs.copyFileSync(backupPath, originalPath);
-				log('info', `Rolled back from backup: ${backupPath}`);
-			}
-		} catch (error) {
-			log('error', `Failed to rollback from backup: ${error.message}`);
-		}
-	}
-
-	/**
-	 * Clean up backup file after successful operation
-	 *
-	 * @param {string} backupPath - Backup file path
-	 * @private
-	 */
-	async _cleanupBackupFile(backupPath) {
-		try {
-			if (backupPath && fs.existsSync(backupPath)) {
-				fs.unlinkSync(backupPath);
-			}
-		} catch (error) {
-			log('warn', `Failed to cleanup backup file: ${error.message}`);
-		}
-	}
-
-	/**
-	 * Clean up all atomic operation resources
-	 *
-	 * @param {string} lockFile - Lock file path
-	 * @param {string} backupFile - Backup file path
-	 * @param {string} tempFile - Temporary file path
-	 * @private
-	 */
-	async _cleanupAtomicOperation(lockFile, backupFile, tempFile) {
-		// Clean up lock file
-		if (lockFile) {
-			try {
-				fs.unlinkSync(lockFile);
-			} catch (error) {
-				log('warn', `Failed to cleanup lock file: ${error.message}`);
-			}
-		}
-
-		// Clean up backup file (in case of error)
-		if (backupFile) {
-			await this._cleanupBackupFile(backupFile);
-		}
-
-		// Clean up temp file (in case of error)
-		if (tempFile) {
-			try {
-				if (fs.existsSync(tempFile)) {
-					fs.unlinkSync(tempFile);
-				}
-			} catch (error) {
-				log('warn', `Failed to cleanup temp file: ${error.message}`);
-			}
+			default:
+				throw new Error(`Unknown operation type: ${operationType}`);
 		}
 	}
 
@@ -1682,7 +2262,11 @@ export class LinearIntegrationHandler extends BaseIntegrationHandler {
 			EVENT_TYPES.TASK_CREATED,
 			EVENT_TYPES.TASK_UPDATED,
 			EVENT_TYPES.TASK_STATUS_CHANGED,
-			EVENT_TYPES.TASK_REMOVED
+			EVENT_TYPES.TASK_REMOVED,
+			EVENT_TYPES.SUBTASK_CREATED,
+			EVENT_TYPES.SUBTASK_REMOVED,
+			EVENT_TYPES.DEPENDENCY_ADDED,
+			EVENT_TYPES.DEPENDENCY_REMOVED
 		];
 	}
 
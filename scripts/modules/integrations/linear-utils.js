@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Linear helpers shared by the integration handler and pull sync
+ */
+
+import { log, findProjectRoot } from '../utils.js';
+import { getLinearStatusMapping } from '../config-manager.js';
+import {
+	readLinearConfig,
+	getLinearConfigPath
+} from '../linear-config-manager.js';
+
+/**
+ * Get the Linear issue ID linked to a task
+ *
+ * @param {Object} task - Task or subtask
+ * @returns {string|null} Linear issue ID or null if the task is not linked
+ */
+export function getLinkedIssueId(task) {
+	const link = task?.integrations?.linear;
+	return link?.issueId || link?.id || task?.linearIssueId || null;
+}
+
+/**
+ * Get the TaskMaster status → Linear state name mapping
+ *
+ * Prefers the mapping captured by the setup wizard in linear-config.json and
+ * falls back to the statusMapping in config.json.
+ *
+ * @param {string} [projectRoot] - Project root directory
+ * @returns {Object} Status mapping object
+ */
+export function getStatusMapping(projectRoot = null) {
+	const root = projectRoot || findProjectRoot();
+	if (root) {
+		try {
+			const wizardConfig = readLinearConfig(getLinearConfigPath(root));
+			const wizardMapping = wizardConfig?.mappings?.status;
+			if (wizardMapping && typeof wizardMapping === 'object') {
+				return wizardMapping;
+			}
+		} catch (error) {
+			log('debug', 'Could not read linear-config.json:', error.message);
+		}
+	}
+
+	return getLinearStatusMapping(projectRoot) || {};
+}
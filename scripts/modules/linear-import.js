@@ -0,0 +1,523 @@
+/**
+ * @fileoverview Linear Project Import
+ *
+ * Imports the issues of an existing Linear project into a TaskMaster tag.
+ * Top-level issues become tasks, sub-issues become subtasks of their top-level
+ * ancestor and "blocks" relations become `dependencies`. Every imported task
+ * is linked through `task.integrations.linear`, and issues that are already
+ * linked in the tag are left alone, so re-running the import only adds what
+ * is new in Linear. Field changes on imported issues are brought in with
+ * `linear-sync-all --pull`.
+ */
+
+import { LinearClient } from '@linear/sdk';
+import fs from 'fs';
+import path from 'path';
+import { log, readJSON, writeJSON } from './utils.js';
+import { getStatusMapping } from './integrations/linear-utils.js';
+import {
+	mapStateToStatus,
+	mapPriorityToTask,
+	toISOString,
+	TITLE_PREFIX_PATTERN
+} from './linear-pull-sync.js';
+import { createSyncSnapshot } from './linear-sync-conflicts.js';
+import { TASKMASTER_TASKS_FILE } from '../../src/constants/paths.js';
+
+/**
+ * Imports Linear project issues into a TaskMaster tag
+ */
+export class LinearImporter {
+	/**
+	 * @param {Object} config - Configuration object
+	 * @param {string} config.apiKey - Linear API key
+	 * @param {string} config.projectRoot - TaskMaster project root directory
+	 * @param {string} [config.tasksPath] - Path to tasks.json (defaults to the project's)
+	 * @param {number} [config.maxRetries] - Maximum retry attempts (default: 3)
+	 * @param {number} [config.retryDelay] - Base retry delay in ms (default: 1000)
+	 * @param {number} [config.pageSize] - Issues fetched per page (default: 50)
+	 */
+	constructor(config = {}) {
+		this.config = {
+			maxRetries: 3,
+			retryDelay: 1000,
+			pageSize: 50,
+			...config
+		};
+
+		if (!this.config.apiKey) {
+			throw new Error('Linear API key is required');
+		}
+
+		if (!this.config.projectRoot) {
+			throw new Error('Project root directory is required');
+		}
+
+		this.linear = new LinearClient({
+			apiKey: this.config.apiKey
+		});
+
+		this.tasksPath =
+			this.config.tasksPath ||
+			path.join(this.config.projectRoot, TASKMASTER_TASKS_FILE);
+	}
+
+	/**
+	 * Import a Linear project into a tag
+	 *
+	 * @param {Object} options - Import options
+	 * @param {string} options.projectId - Linear project ID
+	 * @param {string} options.tag - Target tag (created if it does not exist)
+	 * @param {boolean} [options.dryRun=false] - Compute the import without writing tasks.json
+	 * @returns {Promise<Object>} Import result
+	 */
+	async import(options = {}) {
+		const { projectId, tag, dryRun = false } = options;
+		if (!projectId) {
+			throw new Error('Linear project ID is required');
+		}
+		if (!tag) {
+			throw new Error('Target tag is required');
+		}
+
+		const { project, issues } = await this.fetchProjectIssues(projectId);
+		log(
+			'info',
+			`Importing ${issues.length} issues from Linear project ${project.name} into tag "${tag}"...`
+		);
+
+		const rawData = this._readRawData();
+		const tagCreated = !rawData[tag];
+		if (tagCreated) {
+			rawData[tag] = {
+				tasks: [],
+				metadata: {
+					created: new Date().toISOString(),
+					updated: new Date().toISOString(),
+					description: `Imported from Linear project ${project.name}`
+				}
+			};
+		}
+
+		rawData[tag].tasks = rawData[tag].tasks || [];
+		const result = this.mergeIssues(
+			rawData[tag].tasks,
+			issues,
+			getStatusMapping(this.config.projectRoot)
+		);
+
+		const changed =
+			tagCreated || result.created.length > 0 || result.dependenciesAdded > 0;
+		if (changed && !dryRun) {
+			rawData[tag].metadata = {
+				...rawData[tag].metadata,
+				updated: new Date().toISOString()
+			};
+			writeJSON(this.tasksPath, rawData);
+		}
+
+		return {
+			dryRun,
+			tag,
+			tagCreated,
+			project: { id: project.id, name: project.name },
+			...result
+		};
+	}
+
+	/**
+	 * Fetch every issue of a project with its state, parent and blocking relations
+	 *
+	 * @param {string} projectId - Linear project ID
+	 * @returns {Promise<{project: Object, issues: Array<Object>}>} Project and issue snapshots ordered by issue number
+	 */
+	async fetchProjectIssues(projectId) {
+		const project = await this._retryOperation(async () => {
+			const found = await this.linear.project(projectId);
+			if (!found) {
+				throw new Error(`Linear project ${projectId} not found`);
+			}
+			return found;
+		}, `fetch project ${projectId}`);
+
+		const nodes = [];
+		let after;
+		do {
+			const connection = await this._retryOperation(
+				() => project.issues({ first: this.config.pageSize, after }),
+				'fetch project issues'
+			);
+			nodes.push(...(connection?.nodes || []));
+			after = connection?.pageInfo?.hasNextPage
+				? connection.pageInfo.endCursor
+				: undefined;
+		} while (after);
+
+		const issues = [];
+		for (const node of nodes) {
+			issues.push(
+				await this._retryOperation(
+					() => this._toIssueSnapshot(node),
+					`fetch issue ${node.identifier}`
+				)
+			);
+		}
+
+		issues.sort((a, b) => (a.number ?? 0) - (b.number ?? 0));
+		return { project, issues };
+	}
+
+	/**
+	 * Merge issues into a tag's tasks in place. Issues already linked in the tag
+	 * keep their task; new issues are appended as tasks or subtasks. Blocking
+	 * relations are added as dependencies unless already present.
+	 *
+	 * @param {Array<Object>} tasks - Tasks of the target tag
+	 * @param {Array<Object>} issues - Issue snapshots from fetchProjectIssues
+	 * @param {Object} statusMapping - TaskMaster status → Linear state name/ID
+	 * @returns {{tasks: Array<Object>, created: Array<Object>, existing: number, dependenciesAdded: number}} Per-issue outcome
+	 */
+	mergeIssues(tasks, issues, statusMapping) {
+		const byId = new Map(issues.map((issue) => [issue.id, issue]));
+		const locations = indexLinkedTasks(tasks);
+		const outcome = [];
+		const created = [];
+		let existing = 0;
+
+		// Parents before children so every subtask has its task to land in
+		const ordered = [...issues].sort(
+			(a, b) => depthOf(a, byId) - depthOf(b, byId)
+		);
+
+		let nextTaskId = tasks.reduce((max, task) => Math.max(max, task.id), 0);
+		for (const issue of ordered) {
+			const known = locations.get(issue.id);
+			if (known) {
+				existing++;
+				outcome.push({
+					id: formatLocation(known),
+					identifier: issue.identifier,
+					title: known.subtask?.title ?? known.task.title,
+					action: 'existing'
+				});
+				continue;
+			}
+
+			const root = rootOf(issue, byId);
+			const parentLocation = root === issue ? null : locations.get(root.id);
+			let location;
+
+			if (parentLocation) {
+				const parent = parentLocation.task;
+				parent.subtasks = parent.subtasks || [];
+				const subtask = {
+					id:
+						parent.subtasks.reduce((max, sub) => Math.max(max, sub.id), 0) + 1,
+					...buildTaskFields(issue, statusMapping, false),
+					dependencies: [],
+					parentTaskId: parent.id
+				};
+				subtask.integrations = { linear: buildLink(issue, subtask) };
+				parent.subtasks.push(subtask);
+				location = { task: parent, subtask };
+			} else {
+				const task = {
+					id: ++nextTaskId,
+					...buildTaskFields(issue, statusMapping, true),
+					dependencies: [],
+					subtasks: []
+				};
+				task.integrations = { linear: buildLink(issue, task) };
+				tasks.push(task);
+				location = { task };
+			}
+
+			locations.set(issue.id, location);
+			const entry = {
+				id: formatLocation(location),
+				identifier: issue.identifier,
+				title: location.subtask?.title ?? location.task.title,
+				action: 'created'
+			};
+			created.push(entry);
+			outcome.push(entry);
+		}
+
+		let dependenciesAdded = 0;
+		for (const issue of issues) {
+			for (const blockedId of issue.blocks) {
+				if (addDependency(locations.get(blockedId), locations.get(issue.id))) {
+					dependenciesAdded++;
+				}
+			}
+		}
+
+		return { tasks: outcome, created, existing, dependenciesAdded };
+	}
+
+	/**
+	 * Resolve the lazy fields of a Linear SDK issue
+	 *
+	 * @param {Object} issue - Linear SDK issue
+	 * @returns {Promise<Object>} Issue snapshot
+	 * @private
+	 */
+	async _toIssueSnapshot(issue) {
+		const state = await issue.state;
+		const relations = await issue.relations({ first: this.config.pageSize });
+
+		return {
+			id: issue.id,
+			identifier: issue.identifier,
+			number: issue.number,
+			url: issue.url,
+			title: issue.title,
+			description: issue.description || '',
+			priority: issue.priority,
+			parentId: issue.parentId || null,
+			state: state
+				? { id: state.id, name: state.name, type: state.type }
+				: null,
+			updatedAt: toISOString(issue.updatedAt),
+			blocks: (relations?.nodes || [])
+				.filter((relation) => relation.type === 'blocks')
+				.map((relation) => relation.relatedIssueId)
+				.filter(Boolean)
+		};
+	}
+
+	/**
+	 * Read tasks.json without tag resolution. A missing file is an empty project.
+	 *
+	 * @returns {Object} Tagged tasks data
+	 * @private
+	 */
+	_readRawData() {
+		if (!fs.existsSync(this.tasksPath)) {
+			return {};
+		}
+
+		const data = readJSON(this.tasksPath, this.config.projectRoot);
+		const rawData = data?._rawTaggedData || data;
+		if (!rawData) {
+			throw new Error(`No valid tasks found in ${this.tasksPath}`);
+		}
+		return rawData;
+	}
+
+	/**
+	 * Retry operation with exponential backoff
+	 *
+	 * @param {Function} operation - Operation to retry
+	 * @param {string} operationName - Name for logging
+	 * @returns {Promise<any>} Operation result
+	 * @private
+	 */
+	async _retryOperation(operation, operationName) {
+		let lastError;
+
+		for (let attempt = 1; attempt <= this.config.maxRetries; attempt++) {
+			try {
+				return await operation();
+			} catch (error) {
+				lastError = error;
+
+				// Authentication and missing projects will not succeed on retry
+				if (
+					error.status === 401 ||
+					error.message?.includes('Authentication') ||
+					error.message?.includes('not found')
+				) {
+					break;
+				}
+
+				if (attempt < this.config.maxRetries) {
+					const delay = this.config.retryDelay * 2 ** (attempt - 1);
+					log(
+						'warn',
+						`${operationName} attempt ${attempt} failed, retrying in ${delay}ms: ${error.message}`
+					);
+					await new Promise((resolve) => setTimeout(resolve, delay));
+				}
+			}
+		}
+
+		throw lastError;
+	}
+}
+
+/**
+ * Map tasks and subtasks of a tag by the Linear issue they are linked to
+ *
+ * @param {Array<Object>} tasks - Tasks of a tag
+ * @returns {Map<string, {task: Object, subtask?: Object}>} Issue ID → location
+ */
+function indexLinkedTasks(tasks) {
+	const locations = new Map();
+	for (const task of tasks) {
+		const issueId = task.integrations?.linear?.issueId;
+		if (issueId) {
+			locations.set(issueId, { task });
+		}
+		for (const subtask of task.subtasks || []) {
+			const subtaskIssueId = subtask.integrations?.linear?.issueId;
+			if (subtaskIssueId) {
+				locations.set(subtaskIssueId, { task, subtask });
+			}
+		}
+	}
+	return locations;
+}
+
+/**
+ * Find the top-level ancestor of an issue within the imported project.
+ * Parents outside the project are ignored, so their children become tasks.
+ *
+ * @param {Object} issue - Issue snapshot
+ * @param {Map<string, Object>} byId - Project issues by ID
+ * @returns {Object} Top-level issue
+ */
+function rootOf(issue, byId) {
+	let current = issue;
+	const seen = new Set([issue.id]);
+	while (
+		current.parentId &&
+		byId.has(current.parentId) &&
+		!seen.has(current.parentId)
+	) {
+		current = byId.get(current.parentId);
+		seen.add(current.id);
+	}
+	return current;
+}
+
+/**
+ * Number of ancestors of an issue within the imported project
+ *
+ * @param {Object} issue - Issue snapshot
+ * @param {Map<string, Object>} byId - Project issues by ID
+ * @returns {number} Depth (0 for top-level issues)
+ */
+function depthOf(issue, byId) {
+	let depth = 0;
+	let current = issue;
+	while (current.parentId && byId.has(current.parentId) && depth < byId.size) {
+		current = byId.get(current.parentId);
+		depth++;
+	}
+	return depth;
+}
+
+/**
+ * Build the task fields of an imported issue. The first paragraph of the
+ * issue description becomes the task description, the full text its details.
+ *
+ * @param {Object} issue - Issue snapshot
+ * @param {Object} statusMapping - TaskMaster status → Linear state name/ID
+ * @param {boolean} isTask - Whether the issue becomes a task rather than a subtask
+ * @returns {Object} Task fields
+ */
+function buildTaskFields(issue, statusMapping, isTask) {
+	const title = issue.title.replace(TITLE_PREFIX_PATTERN, '').trim();
+	const summary = issue.description
+		.trim()
+		.split(/\n\s*\n/)[0]
+		.trim();
+
+	return {
+		title,
+		description: summary || title,
+		details: issue.description.trim(),
+		...(isTask && { testStrategy: '' }),
+		status: mapStateToStatus(issue.state, null, statusMapping) || 'pending',
+		// Subtasks carry no priority of their own
+		...(isTask && {
+			priority: mapPriorityToTask(issue.priority) || 'medium'
+		})
+	};
+}
+
+/**
+ * Build the `integrations.linear` link of an imported task
+ *
+ * @param {Object} issue - Issue snapshot
+ * @param {Object} task - Task or subtask built from the issue
+ * @returns {Object} Linear link
+ */
+function buildLink(issue, task) {
+	return {
+		issueId: issue.id,
+		identifier: issue.identifier,
+		url: issue.url,
+		priority: issue.priority,
+		...(issue.state && { state: issue.state }),
+		...(issue.updatedAt && { updatedAt: issue.updatedAt }),
+		// Both sides agree right after the import
+		snapshot: createSyncSnapshot(task),
+		importedAt: new Date().toISOString()
+	};
+}
+
+/**
+ * Record that `blocked` depends on `blocker`. Subtasks of the same task
+ * depend on each other directly; any other pair is lifted to the tasks that
+ * contain them, since subtask dependencies can only name siblings.
+ *
+ * @param {Object|undefined} blocked - Location of the blocked issue
+ * @param {Object|undefined} blocker - Location of the blocking issue
+ * @returns {boolean} Whether a dependency was added
+ */
+function addDependency(blocked, blocker) {
+	if (!blocked || !blocker) {
+		return false;
+	}
+
+	let holder;
+	let dependencyId;
+	if (blocked.subtask && blocker.subtask && blocked.task === blocker.task) {
+		holder = blocked.subtask;
+		dependencyId = blocker.subtask.id;
+	} else if (blocked.task !== blocker.task) {
+		holder = blocked.task;
+		dependencyId = blocker.task.id;
+	} else {
+		// A task and one of its own subtasks
+		return false;
+	}
+
+	holder.dependencies = holder.dependencies || [];
+	if (
+		holder === blocker.subtask ||
+		holder.dependencies.includes(dependencyId)
+	) {
+		return false;
+	}
+	holder.dependencies.push(dependencyId);
+	return true;
+}
+
+/**
+ * Format a task location as a TaskMaster ID
+ *
+ * @param {{task: Object, subtask?: Object}} location - Task location
+ * @returns {string} Task ID ("3") or subtask ID ("3.1")
+ */
+function formatLocation(location) {
+	return location.subtask
+		? `${location.task.id}.${location.subtask.id}`
+		: String(location.task.id);
+}
+
+/**
+ * Convenience function to import a Linear project into a tag
+ *
+ * @param {string} apiKey - Linear API key
+ * @param {string} projectRoot - TaskMaster project root directory
+ * @param {Object} options - Import options (projectId, tag, dryRun, tasksPath)
+ * @returns {Promise<Object>} Import result
+ */
+export async function importLinearProject(apiKey, projectRoot, options = {}) {
+	const { tasksPath, ...importOptions } = options;
+	const importer = new LinearImporter({ apiKey, projectRoot, tasksPath });
+	return importer.import(importOptions);
+}
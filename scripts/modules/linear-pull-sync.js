@@ -0,0 +1,648 @@
+/**
+ * @fileoverview Linear Pull Sync Module
+ *
+ * Brings changes made in Linear back into tasks.json. For every task or
+ * subtask linked through `task.integrations.linear` it fetches the issue and
+ * applies the remote workflow state, title, priority and new comments to the
+ * local task. Fields changed on both sides since the last sync are conflicts
+ * settled by the configured policy (see linear-sync-conflicts.js). Changes are
+ * applied directly to the tasks file and are not emitted as task events, so
+ * they are never pushed back to Linear. Local values that Linear does not
+ * have yet (local-only changes, and conflicts settled in favour of the local
+ * value) are pushed to the issue instead.
+ */
+
+import { LinearClient } from '@linear/sdk';
+import fs from 'fs';
+import path from 'path';
+import { log, readJSON, writeJSON } from './utils.js';
+import {
+	getLinkedIssueId,
+	getStatusMapping
+} from './integrations/linear-utils.js';
+import {
+	detectFieldConflicts,
+	resolveConflicts,
+	recordConflictAudit,
+	getConflictPolicy,
+	validateConflictPolicy
+} from './linear-sync-conflicts.js';
+import { getLinearConfig } from './config-manager.js';
+import { LinearIntegrationHandler } from './integrations/linear-integration-handler.js';
+import { TASKMASTER_TASKS_FILE } from '../../src/constants/paths.js';
+
+/**
+ * Linear workflow state types → TaskMaster status, used when a state has no
+ * entry in the status mapping
+ */
+const STATE_TYPE_STATUS = {
+	triage: 'pending',
+	backlog: 'deferred',
+	unstarted: 'pending',
+	started: 'in-progress',
+	completed: 'done',
+	canceled: 'cancelled'
+};
+
+/**
+ * Linear priority (0 = none, 1 = urgent … 4 = low) → TaskMaster priority.
+ * Inverse of LinearIntegrationHandler._mapTaskPriorityToLinear.
+ */
+const LINEAR_PRIORITY_TASK_PRIORITY = {
+	1: 'high',
+	2: 'medium',
+	3: 'low',
+	4: 'low'
+};
+
+/**
+ * Title prefix added by LinearIntegrationHandler._mapTaskTitle
+ */
+export const TITLE_PREFIX_PATTERN = /^\[TM-[\d.]+\]\s*/;
+
+/**
+ * Comments TaskMaster posts itself start with this marker and are not pulled
+ */
+const TASKMASTER_COMMENT_MARKER = '**TaskMaster';
+
+/**
+ * Pulls Linear issue changes into linked TaskMaster tasks
+ */
+export class LinearPullSync {
+	/**
+	 * @param {Object} config - Configuration object
+	 * @param {string} config.apiKey - Linear API key
+	 * @param {string} config.projectRoot - TaskMaster project root directory
+	 * @param {string} [config.tasksPath] - Path to tasks.json (defaults to the project's)
+	 * @param {number} [config.maxRetries] - Maximum retry attempts (default: 3)
+	 * @param {number} [config.retryDelay] - Base retry delay in ms (default: 1000)
+	 * @param {number} [config.commentPageSize] - Comments fetched per issue (default: 50)
+	 */
+	constructor(config = {}) {
+		this.config = {
+			maxRetries: 3,
+			retryDelay: 1000,
+			commentPageSize: 50,
+			...config
+		};
+
+		if (!this.config.apiKey) {
+			throw new Error('Linear API key is required');
+		}
+
+		if (!this.config.projectRoot) {
+			throw new Error('Project root directory is required');
+		}
+
+		this.linear = new LinearClient({
+			apiKey: this.config.apiKey
+		});
+
+		this.tasksPath =
+			this.config.tasksPath ||
+			path.join(this.config.projectRoot, TASKMASTER_TASKS_FILE);
+	}
+
+	/**
+	 * Pull remote changes for every linked task
+	 *
+	 * @param {Object} [options] - Pull options
+	 * @param {boolean} [options.dryRun=false] - Compute the diff without writing tasks.json
+	 * @param {string} [options.tag] - Only pull tasks in this tag (default: all tags)
+	 * @param {string} [options.conflictPolicy] - Conflict policy (default: from config)
+	 * @param {Function} [options.prompt] - Conflict prompt for the interactive policy
+	 * @returns {Promise<Object>} Pull result with a per-task diff
+	 */
+	async pull(options = {}) {
+		const { dryRun = false, tag = null, prompt } = options;
+		const policy =
+			options.conflictPolicy || getConflictPolicy(this.config.projectRoot);
+		validateConflictPolicy(policy);
+
+		const rawData = this._readRawData();
+		const linked = this.collectLinkedTasks(rawData, tag);
+		const statusMapping = this.getStatusMapping();
+		const fileUpdatedAt = fs.statSync(this.tasksPath).mtime.toISOString();
+
+		const result = {
+			dryRun,
+			policy,
+			tasks: [],
+			updated: 0,
+			unchanged: 0,
+			conflicts: 0,
+			errors: []
+		};
+		const auditEntries = [];
+
+		log('info', `Pulling ${linked.length} linked Linear issues...`);
+
+		for (const entry of linked) {
+			try {
+				const issue = await this.fetchIssue(entry.issueId);
+				const diff = this.diffTask(entry.task, issue, statusMapping);
+
+				diff.conflicts = await resolveConflicts(diff.conflicts, {
+					policy,
+					localUpdatedAt: entry.task.updatedAt || fileUpdatedAt,
+					remoteUpdatedAt: issue.updatedAt,
+					prompt: prompt
+						? (conflict) =>
+								prompt({
+									...conflict,
+									taskId: entry.id,
+									identifier: issue.identifier
+								})
+						: undefined
+				});
+
+				const localFields = getLocalFields(diff);
+				let pushed = [];
+				let pushError = null;
+				if (!dryRun && localFields.length > 0) {
+					try {
+						pushed = await this.pushLocalChanges(
+							entry,
+							localFields,
+							diff.remote
+						);
+					} catch (error) {
+						pushError = error.message;
+						log(
+							'warn',
+							`Failed to push local changes of task #${entry.id} to Linear: ${error.message}`
+						);
+					}
+				}
+
+				const changes = [
+					...diff.changes,
+					...diff.conflicts
+						.filter((conflict) => conflict.resolution === 'remote')
+						.map(({ field, local, remote }) => ({
+							field,
+							from: local,
+							to: remote
+						}))
+				];
+
+				if (
+					changes.length === 0 &&
+					diff.comments.length === 0 &&
+					diff.conflicts.length === 0 &&
+					pushed.length === 0 &&
+					!pushError
+				) {
+					result.unchanged++;
+				} else {
+					result.updated++;
+					result.conflicts += diff.conflicts.length;
+					result.tasks.push({
+						id: entry.id,
+						tag: entry.tag,
+						identifier: issue.identifier,
+						changes,
+						conflicts: diff.conflicts,
+						comments: diff.comments,
+						pushed,
+						...(pushError && { pushError })
+					});
+				}
+
+				for (const conflict of diff.conflicts) {
+					auditEntries.push({
+						timestamp: new Date().toISOString(),
+						taskId: entry.id,
+						tag: entry.tag,
+						issueId: issue.id,
+						identifier: issue.identifier,
+						policy,
+						...conflict
+					});
+				}
+
+				if (!dryRun) {
+					this.applyDiff(entry.task, issue, { ...diff, changes, pushed });
+				}
+			} catch (error) {
+				log(
+					'warn',
+					`Failed to pull Linear issue for task #${entry.id}: ${error.message}`
+				);
+				result.errors.push({
+					id: entry.id,
+					tag: entry.tag,
+					issueId: entry.issueId,
+					error: error.message
+				});
+			}
+		}
+
+		if (!dryRun && linked.length > result.errors.length) {
+			writeJSON(this.tasksPath, rawData);
+			result.auditPath = recordConflictAudit(
+				this.config.projectRoot,
+				auditEntries
+			);
+		}
+
+		return result;
+	}
+
+	/**
+	 * Find every task and subtask linked to a Linear issue
+	 *
+	 * @param {Object} rawData - Tagged tasks data
+	 * @param {string|null} [tag] - Only include this tag
+	 * @returns {Array<{id: string, tag: string, issueId: string, task: Object}>} Linked tasks
+	 */
+	collectLinkedTasks(rawData, tag = null) {
+		const linked = [];
+
+		for (const [tagName, tagData] of Object.entries(rawData)) {
+			if ((tag && tagName !== tag) || !Array.isArray(tagData?.tasks)) {
+				continue;
+			}
+
+			for (const task of tagData.tasks) {
+				const issueId = getLinkedIssueId(task);
+				if (issueId) {
+					linked.push({ id: String(task.id), tag: tagName, issueId, task });
+				}
+
+				for (const subtask of task.subtasks || []) {
+					const subtaskIssueId = getLinkedIssueId(subtask);
+					if (subtaskIssueId) {
+						linked.push({
+							id: `${task.id}.${subtask.id}`,
+							tag: tagName,
+							issueId: subtaskIssueId,
+							task: subtask
+						});
+					}
+				}
+			}
+		}
+
+		return linked;
+	}
+
+	/**
+	 * Fetch the fields of a Linear issue that are pulled into tasks
+	 *
+	 * @param {string} issueId - Linear issue ID or identifier
+	 * @returns {Promise<Object>} Issue snapshot
+	 */
+	async fetchIssue(issueId) {
+		return this._retryOperation(async () => {
+			const issue = await this.linear.issue(issueId);
+			if (!issue) {
+				throw new Error(`Linear issue ${issueId} not found`);
+			}
+
+			const state = await issue.state;
+			const commentsConnection = await issue.comments({
+				first: this.config.commentPageSize
+			});
+
+			const comments = [];
+			for (const comment of commentsConnection?.nodes || []) {
+				const user = await comment.user;
+				comments.push({
+					id: comment.id,
+					body: comment.body,
+					createdAt: toISOString(comment.createdAt),
+					author: user?.displayName || user?.name || 'Unknown'
+				});
+			}
+
+			return {
+				id: issue.id,
+				identifier: issue.identifier,
+				url: issue.url,
+				title: issue.title,
+				priority: issue.priority,
+				state: state
+					? { id: state.id, name: state.name, type: state.type }
+					: null,
+				updatedAt: toISOString(issue.updatedAt),
+				comments
+			};
+		}, `fetch issue ${issueId}`);
+	}
+
+	/**
+	 * Compute the local changes implied by a Linear issue. Fields are compared
+	 * with the last-synced snapshot: remote-only changes are returned as
+	 * changes, fields changed on both sides as conflicts.
+	 *
+	 * @param {Object} task - Local task or subtask
+	 * @param {Object} issue - Issue snapshot from fetchIssue
+	 * @param {Object} statusMapping - TaskMaster status → Linear state name/ID
+	 * @returns {{remote: Object, changes: Array<Object>, localChanges: Array<Object>, conflicts: Array<Object>, comments: Array<Object>}} Field changes, conflicts and new comments
+	 */
+	diffTask(task, issue, statusMapping) {
+		const remote = {
+			title: issue.title?.replace(TITLE_PREFIX_PATTERN, '').trim() || null,
+			status: mapStateToStatus(issue.state, task.status, statusMapping)
+		};
+		// Subtasks carry no priority of their own
+		if (task.priority !== undefined) {
+			remote.priority = mapPriorityToTask(issue.priority);
+		}
+
+		const { remoteChanges, localChanges, conflicts } = detectFieldConflicts({
+			base: task.integrations?.linear?.snapshot || null,
+			local: task,
+			remote
+		});
+
+		const lastCommentAt = task.integrations?.linear?.lastCommentAt || null;
+		const comments = issue.comments
+			.filter(
+				(comment) =>
+					!comment.body?.startsWith(TASKMASTER_COMMENT_MARKER) &&
+					(!lastCommentAt || comment.createdAt > lastCommentAt)
+			)
+			.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+		return {
+			remote,
+			changes: remoteChanges,
+			localChanges,
+			conflicts,
+			comments
+		};
+	}
+
+	/**
+	 * Push local values to the linked Linear issue, mapped the way the
+	 * integration handler maps task updates
+	 *
+	 * @param {Object} entry - Linked task from collectLinkedTasks
+	 * @param {Array<string>} fields - Fields whose local value Linear should take
+	 * @param {Object} remote - Current remote values of the fields
+	 * @returns {Promise<Array<string>>} Fields that were pushed
+	 */
+	async pushLocalChanges(entry, fields, remote = {}) {
+		const projectRoot = this.config.projectRoot;
+		const handler = this._getIssueHandler();
+		// Subtask issues are titled with the full subtask ID
+		const task = { ...entry.task, id: entry.id };
+		const changes = Object.fromEntries(
+			fields.map((field) => [field, task[field]])
+		);
+		const oldValues = Object.fromEntries(
+			fields.map((field) => [field, remote[field] ?? null])
+		);
+
+		const { updateData } = await handler._buildIssueUpdateData(
+			task,
+			changes,
+			oldValues,
+			projectRoot
+		);
+		const pushed = fields.filter((field) => field in updateData);
+		if (fields.includes('status')) {
+			const state = await handler._resolveWorkflowState(
+				task.status,
+				projectRoot
+			);
+			if (state) {
+				updateData.stateId = state.id;
+				pushed.push('status');
+			}
+		}
+		if (pushed.length === 0) {
+			return [];
+		}
+
+		await this._retryOperation(async () => {
+			const response = await this.linear.updateIssue(entry.issueId, updateData);
+			if (response?.success === false) {
+				throw new Error('Linear rejected the issue update');
+			}
+		}, `update issue ${entry.issueId}`);
+		return pushed;
+	}
+
+	/**
+	 * Apply a diff to a local task in place and record the pulled issue state.
+	 * The snapshot takes the remote values, or the local ones that were pushed
+	 * to Linear. Skipped conflicts and local values that could not be pushed
+	 * keep their previous snapshot, so they come up again on the next pull.
+	 *
+	 * @param {Object} task - Local task or subtask
+	 * @param {Object} issue - Issue snapshot from fetchIssue
+	 * @param {Object} diff - Diff from diffTask with the changes to apply and the pushed fields
+	 * @returns {Object} The updated task
+	 */
+	applyDiff(task, issue, diff) {
+		for (const { field, to } of diff.changes) {
+			task[field] = to;
+		}
+
+		for (const comment of diff.comments) {
+			const block = `<info added on ${comment.createdAt}>\nLinear comment by ${comment.author}:\n${comment.body.trim()}\n</info added on ${comment.createdAt}>`;
+			task.details = task.details ? `${task.details}\n\n${block}` : block;
+		}
+
+		const link = task.integrations.linear;
+		const snapshot = { ...link.snapshot };
+		const pushed = new Set(diff.pushed || []);
+		const kept = new Set([
+			...(diff.conflicts || [])
+				.filter((conflict) => conflict.resolution === 'skipped')
+				.map((conflict) => conflict.field),
+			...getLocalFields(diff).filter((field) => !pushed.has(field))
+		]);
+		for (const [field, value] of Object.entries(diff.remote || {})) {
+			if (pushed.has(field)) {
+				snapshot[field] = task[field];
+			} else if (value !== null && value !== undefined && !kept.has(field)) {
+				snapshot[field] = value;
+			}
+		}
+
+		const lastComment = diff.comments[diff.comments.length - 1];
+		task.integrations.linear = {
+			...link,
+			title: issue.title,
+			priority: issue.priority,
+			...(issue.state && { state: issue.state }),
+			...(issue.updatedAt && { updatedAt: issue.updatedAt }),
+			snapshot,
+			lastCommentAt: lastComment?.createdAt || link.lastCommentAt || null,
+			pulledAt: new Date().toISOString()
+		};
+
+		return task;
+	}
+
+	/**
+	 * Get the TaskMaster status → Linear state mapping, preferring the mapping
+	 * captured by the setup wizard in linear-config.json
+	 *
+	 * @returns {Object} Status mapping object
+	 */
+	getStatusMapping() {
+		return getStatusMapping(this.config.projectRoot);
+	}
+
+	/**
+	 * Integration handler used for its Linear field mapping, sharing this
+	 * sync's client
+	 *
+	 * @returns {LinearIntegrationHandler} Handler
+	 * @private
+	 */
+	_getIssueHandler() {
+		if (!this.issueHandler) {
+			this.issueHandler = new LinearIntegrationHandler({
+				apiKey: this.config.apiKey,
+				teamId: getLinearConfig(this.config.projectRoot)?.team?.id || null,
+				createIssues: false
+			});
+			this.issueHandler.linear = this.linear;
+		}
+		return this.issueHandler;
+	}
+
+	/**
+	 * Read tasks.json without tag resolution
+	 *
+	 * @returns {Object} Tagged tasks data
+	 * @private
+	 */
+	_readRawData() {
+		const data = readJSON(this.tasksPath, this.config.projectRoot);
+		const rawData = data?._rawTaggedData || data;
+		if (!rawData) {
+			throw new Error(`No valid tasks found in ${this.tasksPath}`);
+		}
+		return rawData;
+	}
+
+	/**
+	 * Retry operation with exponential backoff
+	 *
+	 * @param {Function} operation - Operation to retry
+	 * @param {string} operationName - Name for logging
+	 * @returns {Promise<any>} Operation result
+	 * @private
+	 */
+	async _retryOperation(operation, operationName) {
+		let lastError;
+
+		for (let attempt = 1; attempt <= this.config.maxRetries; attempt++) {
+			try {
+				return await operation();
+			} catch (error) {
+				lastError = error;
+
+				// Authentication and missing issues will not succeed on retry
+				if (
+					error.status === 401 ||
+					error.message?.includes('Authentication') ||
+					error.message?.includes('not found')
+				) {
+					break;
+				}
+
+				if (attempt < this.config.maxRetries) {
+					const delay = this.config.retryDelay * 2 ** (attempt - 1);
+					log(
+						'warn',
+						`${operationName} attempt ${attempt} failed, retrying in ${delay}ms: ${error.message}`
+					);
+					await new Promise((resolve) => setTimeout(resolve, delay));
+				}
+			}
+		}
+
+		throw lastError;
+	}
+}
+
+/**
+ * Map a Linear workflow state to a TaskMaster status. The current status is
+ * kept whenever it already maps to the remote state, so statuses that share a
+ * Linear state do not flap.
+ *
+ * @param {Object|null} state - Linear workflow state ({ id, name, type })
+ * @param {string} currentStatus - Current TaskMaster status
+ * @param {Object} statusMapping - TaskMaster status → Linear state name/ID
+ * @returns {string|null} TaskMaster status or null if unknown
+ */
+export function mapStateToStatus(state, currentStatus, statusMapping) {
+	if (!state) {
+		return null;
+	}
+
+	const matches = (mapped) =>
+		typeof mapped === 'string' &&
+		(mapped === state.id || mapped.toLowerCase() === state.name?.toLowerCase());
+
+	if (matches(statusMapping[currentStatus])) {
+		return currentStatus;
+	}
+
+	const mappedStatus = Object.keys(statusMapping).find((status) =>
+		matches(statusMapping[status])
+	);
+
+	return mappedStatus || STATE_TYPE_STATUS[state.type] || null;
+}
+
+/**
+ * Fields of a diff whose local value Linear should take: local-only changes
+ * and conflicts settled in favour of the local value
+ *
+ * @param {Object} diff - Diff from diffTask, with resolved conflicts
+ * @returns {Array<string>} Field names
+ */
+function getLocalFields(diff) {
+	return [
+		...(diff.localChanges || []).map((change) => change.field),
+		...(diff.conflicts || [])
+			.filter((conflict) => conflict.resolution === 'local')
+			.map((conflict) => conflict.field)
+	];
+}
+
+/**
+ * Map a Linear priority number to a TaskMaster priority
+ *
+ * @param {number} linearPriority - Linear priority (0-4)
+ * @returns {string|null} TaskMaster priority or null when Linear has none
+ */
+export function mapPriorityToTask(linearPriority) {
+	return LINEAR_PRIORITY_TASK_PRIORITY[linearPriority] || null;
+}
+
+/**
+ * Normalize a date value from the Linear SDK to an ISO string
+ *
+ * @param {Date|string|null} value - Date value
+ * @returns {string|null} ISO string
+ */
+export function toISOString(value) {
+	if (!value) {
+		return null;
+	}
+	return new Date(value).toISOString();
+}
+
+/**
+ * Convenience function to pull Linear changes into tasks.json
+ *
+ * @param {string} apiKey - Linear API key
+ * @param {string} projectRoot - TaskMaster project root directory
+ * @param {Object} options - Pull options (dryRun, tag, tasksPath)
+ * @returns {Promise<Object>} Pull result with a per-task diff
+ */
+export async function pullLinearChanges(apiKey, projectRoot, options = {}) {
+	const { tasksPath, ...pullOptions } = options;
+	const sync = new LinearPullSync({ apiKey, projectRoot, tasksPath });
+	return sync.pull(pullOptions);
+}
@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Linear Sync Conflict Detection
+ *
+ * Each linked task keeps a snapshot of its Linear-mapped fields as of the last
+ * successful sync in `task.integrations.linear.snapshot`. Comparing the local
+ * and remote values against that snapshot tells which side changed a field:
+ * changes on one side are applied, changes on both sides are conflicts that
+ * are settled by the configured policy and recorded in an audit log.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { log } from './utils.js';
+import { getLinearSyncSettings } from './config-manager.js';
+import { LINEAR_SYNC_AUDIT_FILE } from '../../src/constants/paths.js';
+
+/**
+ * Conflict resolution policies
+ */
+export const CONFLICT_POLICIES = {
+	LOCAL_WINS: 'local-wins',
+	REMOTE_WINS: 'remote-wins',
+	NEWEST_WINS: 'newest-wins',
+	INTERACTIVE: 'interactive'
+};
+
+/**
+ * Policy used when none is configured. TaskMaster is the source of truth.
+ */
+export const DEFAULT_CONFLICT_POLICY = CONFLICT_POLICIES.LOCAL_WINS;
+
+/**
+ * Task fields that map to Linear issue fields
+ */
+export const SYNCED_FIELDS = ['title', 'status', 'priority'];
+
+/**
+ * Build a sync snapshot from a task's Linear-mapped fields
+ *
+ * @param {Object} task - Task or subtask
+ * @param {Array<string>} [fields] - Fields to include (default: all synced fields)
+ * @returns {Object} Snapshot of the fields that are set on the task
+ */
+export function createSyncSnapshot(task, fields = SYNCED_FIELDS) {
+	const snapshot = {};
+	for (const field of fields) {
+		if (task?.[field] !== undefined) {
+			snapshot[field] = task[field];
+		}
+	}
+	return snapshot;
+}
+
+/**
+ * Classify the differences between local and remote values against the
+ * last-synced snapshot. Without a snapshot value neither side can be shown to
+ * be unchanged, so any difference is a conflict.
+ *
+ * @param {Object} params
+ * @param {Object|null} params.base - Last-synced snapshot
+ * @param {Object} params.local - Local field values
+ * @param {Object} params.remote - Remote field values mapped to TaskMaster values
+ * @returns {{remoteChanges: Array<Object>, localChanges: Array<Object>, conflicts: Array<Object>}} Classified fields
+ */
+export function detectFieldConflicts({ base, local, remote }) {
+	const remoteChanges = [];
+	const localChanges = [];
+	const conflicts = [];
+
+	for (const field of Object.keys(remote)) {
+		const remoteValue = remote[field];
+		const localValue = local[field];
+		if (
+			remoteValue === undefined ||
+			remoteValue === null ||
+			remoteValue === localValue
+		) {
+			continue;
+		}
+
+		const hasBase = base && Object.hasOwn(base, field);
+		const localChanged = !hasBase || localValue !== base[field];
+		const remoteChanged = !hasBase || remoteValue !== base[field];
+
+		if (remoteChanged && !localChanged) {
+			remoteChanges.push({ field, from: localValue, to: remoteValue });
+		} else if (localChanged && !remoteChanged) {
+			localChanges.push({ field, value: localValue });
+		} else {
+			conflicts.push({
+				field,
+				base: hasBase ? base[field] : null,
+				local: localValue,
+				remote: remoteValue
+			});
+		}
+	}
+
+	return { remoteChanges, localChanges, conflicts };
+}
+
+/**
+ * Settle conflicts according to a policy
+ *
+ * @param {Array<Object>} conflicts - Conflicts from detectFieldConflicts
+ * @param {Object} options
+ * @param {string} options.policy - One of CONFLICT_POLICIES
+ * @param {string|Date|null} [options.localUpdatedAt] - When the local task last changed
+ * @param {string|Date|null} [options.remoteUpdatedAt] - When the remote issue last changed
+ * @param {Function} [options.prompt] - `async (conflict) => 'local' | 'remote' | 'skip'`, required for the interactive policy
+ * @returns {Promise<Array<Object>>} Conflicts with `resolution` ('local', 'remote' or 'skipped')
+ */
+export async function resolveConflicts(conflicts, options) {
+	const {
+		policy,
+		localUpdatedAt = null,
+		remoteUpdatedAt = null,
+		prompt
+	} = options;
+	validateConflictPolicy(policy);
+
+	const resolved = [];
+	for (const conflict of conflicts) {
+		let resolution;
+
+		switch (policy) {
+			case CONFLICT_POLICIES.LOCAL_WINS:
+				resolution = 'local';
+				break;
+			case CONFLICT_POLICIES.REMOTE_WINS:
+				resolution = 'remote';
+				break;
+			case CONFLICT_POLICIES.NEWEST_WINS: {
+				// Ties and unknown remote timestamps keep the local value
+				const remoteTime = Date.parse(remoteUpdatedAt);
+				const localTime = Date.parse(localUpdatedAt);
+				resolution =
+					!Number.isNaN(remoteTime) &&
+					(Number.isNaN(localTime) || remoteTime > localTime)
+						? 'remote'
+						: 'local';
+				break;
+			}
+			case CONFLICT_POLICIES.INTERACTIVE: {
+				if (typeof prompt !== 'function') {
+					throw new Error(
+						'The interactive conflict policy requires a prompt function'
+					);
+				}
+				const choice = await prompt(conflict);
+				resolution = choice === 'skip' ? 'skipped' : choice;
+				break;
+			}
+		}
+
+		resolved.push({ ...conflict, resolution });
+	}
+
+	return resolved;
+}
+
+/**
+ * Validate a conflict policy name
+ *
+ * @param {string} policy - Policy name
+ * @throws {Error} If the policy is unknown
+ */
+export function validateConflictPolicy(policy) {
+	const policies = Object.values(CONFLICT_POLICIES);
+	if (!policies.includes(policy)) {
+		throw new Error(
+			`Invalid conflict policy "${policy}". Use one of: ${policies.join(', ')}`
+		);
+	}
+}
+
+/**
+ * Get the conflict policy configured in integrations.linear.sync.conflictPolicy
+ *
+ * @param {string|null} [projectRoot] - Project root directory
+ * @returns {string} Conflict policy
+ */
+export function getConflictPolicy(projectRoot = null) {
+	return (
+		getLinearSyncSettings(projectRoot)?.conflictPolicy ||
+		DEFAULT_CONFLICT_POLICY
+	);
+}
+
+/**
+ * Append conflict resolutions to the sync audit log
+ *
+ * @param {string} projectRoot - Project root directory
+ * @param {Array<Object>} entries - Audit entries
+ * @returns {string|null} Path of the audit log, or null if nothing was written
+ */
+export function recordConflictAudit(projectRoot, entries) {
+	if (entries.length === 0) {
+		return null;
+	}
+
+	const auditPath = path.join(projectRoot, LINEAR_SYNC_AUDIT_FILE);
+	try {
+		fs.mkdirSync(path.dirname(auditPath), { recursive: true });
+		fs.appendFileSync(
+			auditPath,
+			entries.map((entry) => `${JSON.stringify(entry)}\n`).join('')
+		);
+		return auditPath;
+	} catch (error) {
+		log('warn', `Failed to write Linear sync audit log: ${error.message}`);
+		return null;
+	}
+}
+
+/**
+ * Read the sync audit log
+ *
+ * @param {string} projectRoot - Project root directory
+ * @returns {Array<Object>} Audit entries, oldest first
+ */
+export function readConflictAudit(projectRoot) {
+	const auditPath = path.join(projectRoot, LINEAR_SYNC_AUDIT_FILE);
+	if (!fs.existsSync(auditPath)) {
+		return [];
+	}
+
+	return fs
+		.readFileSync(auditPath, 'utf8')
+		.split('\n')
+		.filter((line) => line.trim())
+		.flatMap((line) => {
+			try {
+				return [JSON.parse(line)];
+			} catch {
+				return [];
+			}
+		});
+}
@@ -24,7 +24,7 @@ import removeTask from './task-manager/remove-task.js';
 import taskExists from './task-manager/task-exists.js';
 import isTaskDependentOn from './task-manager/is-task-dependent.js';
 import moveTask from './task-manager/move-task.js';
-import { migrateProject } from './task-manager/migrate.js';
+import { migrateProject, migrateTaskStorage } from './task-manager/migrate.js';
 import { performResearch } from './task-manager/research.js';
 import { readComplexityReport } from './utils.js';
 // Export task manager functions
@@ -52,5 +52,6 @@ export {
 	moveTask,
 	readComplexityReport,
 	migrateProject,
+	migrateTaskStorage,
 	performResearch
 };
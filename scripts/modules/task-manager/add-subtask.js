@@ -3,6 +3,7 @@ import path from 'path';
 import { log, readJSON, writeJSON } from '../utils.js';
 import { isTaskDependentOn } from '../task-manager.js';
 import generateTaskFiles from './generate-task-files.js';
+import { emitTaskEvent, EVENT_TYPES } from '../events/index.js';
 
 /**
  * Add a subtask to a parent task
@@ -139,6 +140,18 @@ async function addSubtask(
 		// Write the updated tasks back to the file with proper context
 		writeJSON(tasksPath, data, context.projectRoot, context.tag);
 
+		await emitTaskEvent(
+			EVENT_TYPES.SUBTASK_CREATED,
+			{
+				parentTaskId: String(parentIdNum),
+				subtaskId: `${parentIdNum}.${newSubtask.id}`,
+				subtask: newSubtask,
+				parentTask,
+				tag: context.tag || data.tag || 'master'
+			},
+			{ ...context, commandName: context.commandName || 'add-subtask' }
+		);
+
 		// Generate task files if requested
 		if (generateFiles) {
 			log('info', 'Regenerating task files...');
@@ -91,6 +91,7 @@ function getAllTasks(rawData) {
  * @param {string} [context.projectRoot] - Project root path (for MCP/env fallback)
  * @param {string} [context.commandName] - The name of the command being executed (for telemetry)
  * @param {string} [context.outputType] - The output type ('cli' or 'mcp', for telemetry)
+ * @param {boolean} [context.noCache] - Bypass the AI response cache
  * @param {string} [tag] - Tag for the task (optional)
  * @returns {Promise<object>} An object containing newTaskId and telemetryData
  */
@@ -105,7 +106,8 @@ async function addTask(
 	useResearch = false,
 	tag = null
 ) {
-	const { session, mcpLog, projectRoot, commandName, outputType } = context;
+	const { session, mcpLog, projectRoot, commandName, outputType, noCache } =
+		context;
 	const isMCP = !!mcpLog;
 
 	// Create a consistent logFn object regardless of context
@@ -371,10 +373,15 @@ async function addTask(
 			const gatherResult = await contextGatherer.gather({
 				semanticQuery: prompt,
 				dependencyTasks: numericDependencies,
-				format: 'research'
+				codeQuery: prompt,
+				format: 'research',
+				role: useResearch ? 'research' : 'main'
 			});
 
 			const gatheredContext = gatherResult.context;
+			if (gatherResult.packingSummary) {
+				report(gatherResult.packingSummary, 'info');
+			}
 			const analysisData = gatherResult.analysisData;
 
 			// Display context analysis if not in silent mode
@@ -450,7 +457,9 @@ async function addTask(
 					systemPrompt: systemPrompt,
 					prompt: userPrompt,
 					commandName: commandName || 'add-task', // Use passed commandName or default
-					outputType: outputType || (isMCP ? 'mcp' : 'cli') // Use passed outputType or derive
+					tag: targetTag,
+					outputType: outputType || (isMCP ? 'mcp' : 'cli'), // Use passed outputType or derive
+					noCache
 				});
 
 				if (!aiServiceResponse || !aiServiceResponse.mainResult) {
@@ -69,6 +69,7 @@ Do not include any explanatory text, markdown formatting, or code block markers
  * @param {string} options.output - Path to report output file
  * @param {string|number} [options.threshold] - Complexity threshold
  * @param {boolean} [options.research] - Use research role
+ * @param {boolean} [options.noCache] - Bypass the AI response cache
  * @param {string} [options.projectRoot] - Project root path (for MCP/env fallback).
  * @param {string} [options.id] - Comma-separated list of task IDs to analyze specifically
  * @param {number} [options.from] - Starting task ID in a range to analyze
@@ -79,15 +80,17 @@ Do not include any explanatory text, markdown formatting, or code block markers
  * @param {Object} [context.session] - Session object from MCP server (optional)
  * @param {Object} [context.mcpLog] - MCP logger object (optional)
  * @param {function} [context.reportProgress] - Deprecated: Function to report progress (ignored)
+ * @param {AbortSignal} [context.signal] - Stops the analysis before the AI call and before the report is written once aborted
  */
 async function analyzeTaskComplexity(options, context = {}) {
-	const { session, mcpLog } = context;
+	const { session, mcpLog, signal } = context;
 	const tasksPath = options.file || LEGACY_TASKS_FILE;
 	const outputPath = options.output || COMPLEXITY_REPORT_FILE;
 	const thresholdScore = parseFloat(options.threshold || '5');
 	const useResearch = options.research || false;
 	const projectRoot = options.projectRoot;
 	const tag = options.tag;
+	const noCache = options.noCache || false;
 	// New parameters for task ID filtering
 	const specificIds = options.id
 		? options.id
@@ -237,9 +240,13 @@ async function analyzeTaskComplexity(options, context = {}) {
 				if (relevantTaskIds.length > 0) {
 					const contextResult = await contextGatherer.gather({
 						tasks: relevantTaskIds,
-						format: 'research'
+						format: 'research',
+						role: useResearch ? 'research' : 'main'
 					});
-					gatheredContext = contextResult;
+					gatheredContext = contextResult.context;
+					if (contextResult.packingSummary) {
+						reportLog(contextResult.packingSummary, 'info');
+					}
 				}
 			} catch (contextError) {
 				reportLog(
@@ -416,6 +423,7 @@ async function analyzeTaskComplexity(options, context = {}) {
 		try {
 			const role = useResearch ? 'research' : 'main';
 
+			signal?.throwIfAborted();
 			aiServiceResponse = await generateTextService({
 				prompt,
 				systemPrompt,
@@ -423,7 +431,9 @@ async function analyzeTaskComplexity(options, context = {}) {
 				session,
 				projectRoot,
 				commandName: 'analyze-complexity',
-				outputType: mcpLog ? 'mcp' : 'cli'
+				tag,
+				outputType: mcpLog ? 'mcp' : 'cli',
+				noCache
 			});
 
 			if (loadingIndicator) {
@@ -568,6 +578,7 @@ async function analyzeTaskComplexity(options, context = {}) {
 				},
 				complexityAnalysis: finalComplexityAnalysis
 			};
+			signal?.throwIfAborted();
 			reportLog(`Writing complexity report to ${outputPath}...`, 'info');
 			fs.writeFileSync(outputPath, JSON.stringify(report, null, '\t'), 'utf8');
 
@@ -0,0 +1,388 @@
+import chalk from 'chalk';
+import boxen from 'boxen';
+import Table from 'cli-table3';
+
+import { log, truncate } from '../utils.js';
+import { getEventManager, shutdownEventSystem } from '../events/index.js';
+import { QueueStore } from '../events/queue-store.js';
+import { ensureEventSystem } from '../integrations/index.js';
+
+/**
+ * List failed integration events in the dead letter queue
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} options - Options object
+ * @param {string} [options.eventType] - Only list events of this type
+ * @param {string} [options.integration] - Only list events for this integration
+ * @param {number} [options.limit] - Maximum number of events to return
+ * @param {Object} context - Context object
+ * @param {Object} [context.mcpLog] - MCP logger object (optional)
+ * @param {string} outputFormat - Output format (text or json)
+ * @returns {Promise<Object>} Result object with the dead letter events
+ */
+async function listDeadLetterEvents(
+	projectRoot,
+	options = {},
+	context = {},
+	outputFormat = 'text'
+) {
+	const logFn = createLogFn(context.mcpLog);
+	const store = new QueueStore({ projectRoot });
+
+	try {
+		let events = store
+			.getDeadLetterEntries()
+			.map(summarizeEntry)
+			.filter(
+				(event) =>
+					(!options.eventType || event.eventType === options.eventType) &&
+					(!options.integration || event.integration === options.integration)
+			)
+			.sort((a, b) => b.failedAt.localeCompare(a.failedAt));
+		const total = events.length;
+
+		if (options.limit) {
+			events = events.slice(0, options.limit);
+		}
+
+		logFn.debug(`Found ${total} dead letter events`);
+
+		if (outputFormat === 'text') {
+			if (events.length === 0) {
+				console.log(
+					boxen(chalk.green('No failed events in the dead letter queue'), {
+						padding: 1,
+						borderColor: 'green',
+						borderStyle: 'round',
+						margin: { top: 1, bottom: 1 }
+					})
+				);
+			} else {
+				const table = new Table({
+					head: [
+						chalk.cyan.bold('ID'),
+						chalk.cyan.bold('Event'),
+						chalk.cyan.bold('Integration'),
+						chalk.cyan.bold('Task'),
+						chalk.cyan.bold('Attempts'),
+						chalk.cyan.bold('Failed At'),
+						chalk.cyan.bold('Last Error')
+					],
+					colWidths: [24, 24, 13, 8, 10, 22, 40]
+				});
+
+				for (const event of events) {
+					table.push([
+						event.id,
+						event.eventType || chalk.gray('unknown'),
+						event.integration || chalk.gray('-'),
+						event.taskId || chalk.gray('-'),
+						event.attempts.toString(),
+						chalk.gray(new Date(event.failedAt).toLocaleString()),
+						chalk.red(truncate(event.lastError || '', 38))
+					]);
+				}
+
+				console.log(table.toString());
+				if (total > events.length) {
+					console.log(
+						chalk.gray(`Showing ${events.length} of ${total} events`)
+					);
+				}
+			}
+		}
+
+		return { events, total };
+	} catch (error) {
+		logFn.error(`Error listing dead letter events: ${error.message}`);
+		throw error;
+	} finally {
+		await store.close();
+	}
+}
+
+/**
+ * Show a single dead letter event with its payload and error history
+ * @param {string} projectRoot - Project root directory
+ * @param {string} eventId - Event ID or unique ID prefix
+ * @param {Object} context - Context object
+ * @param {Object} [context.mcpLog] - MCP logger object (optional)
+ * @param {string} outputFormat - Output format (text or json)
+ * @returns {Promise<Object>} Result object with the event
+ */
+async function showDeadLetterEvent(
+	projectRoot,
+	eventId,
+	context = {},
+	outputFormat = 'text'
+) {
+	const logFn = createLogFn(context.mcpLog);
+	const store = new QueueStore({ projectRoot });
+
+	try {
+		const [entry] = resolveEntries(store.getDeadLetterEntries(), [eventId]);
+		const event = {
+			...summarizeEntry(entry),
+			errors: entry.errors || [],
+			payload: entry.data?.payload ?? entry.data
+		};
+
+		if (outputFormat === 'text') {
+			const errorLines = event.errors
+				.map(
+					(err) =>
+						`  #${err.attempt} ${chalk.gray(new Date(err.timestamp).toLocaleString())} ${chalk.red(err.error)}`
+				)
+				.join('\n');
+
+			console.log(
+				boxen(
+					chalk.white.bold(`Dead Letter Event ${event.id}`) +
+						`\n\nEvent: ${chalk.cyan(event.eventType || 'unknown')}` +
+						`\nIntegration: ${chalk.cyan(event.integration || '-')}` +
+						`\nTask: ${chalk.cyan(event.taskId || '-')}` +
+						`\nAttempts: ${chalk.yellow(event.attempts)}` +
+						`\nFailed At: ${chalk.gray(new Date(event.failedAt).toLocaleString())}` +
+						`\n\n${chalk.white.bold('Errors:')}\n${errorLines || chalk.gray('  none recorded')}`,
+					{
+						padding: 1,
+						borderColor: 'red',
+						borderStyle: 'round',
+						margin: { top: 1, bottom: 1 }
+					}
+				)
+			);
+			console.log(chalk.white.bold('Payload:'));
+			console.log(JSON.stringify(event.payload, null, 2));
+		}
+
+		return { event };
+	} catch (error) {
+		logFn.error(`Error showing dead letter event: ${error.message}`);
+		throw error;
+	} finally {
+		await store.close();
+	}
+}
+
+/**
+ * Re-drive dead letter events. Events recorded by the integration manager are
+ * delivered again to the integration that failed. Other queue items name no
+ * integration to deliver to, so they stay in the dead letter queue and are
+ * reported as not retryable.
+ * @param {string} projectRoot - Project root directory
+ * @param {Array<string>|null} eventIds - Event IDs or prefixes, or null for all
+ * @param {Object} context - Context object
+ * @param {Object} [context.mcpLog] - MCP logger object (optional)
+ * @param {string} outputFormat - Output format (text or json)
+ * @returns {Promise<Object>} Result object with retried, not retryable and failed events
+ */
+async function retryDeadLetterEvents(
+	projectRoot,
+	eventIds = null,
+	context = {},
+	outputFormat = 'text'
+) {
+	const logFn = createLogFn(context.mcpLog);
+	const store = new QueueStore({ projectRoot });
+	let startedEventSystem = false;
+
+	try {
+		const entries = resolveEntries(store.getDeadLetterEntries(), eventIds);
+		const redeliverable = entries.filter((entry) => entry.data?.integration);
+		const notRetryable = entries
+			.filter((entry) => !entry.data?.integration)
+			.map((entry) => entry.id);
+
+		const retried = [];
+		const failed = [];
+
+		if (redeliverable.length > 0) {
+			startedEventSystem = await ensureEventSystem({
+				enableDeadLetterQueue: false
+			});
+			const manager = getEventManager();
+
+			for (const entry of redeliverable) {
+				try {
+					await manager.redeliver(entry);
+					await store.remove([entry.id]);
+					retried.push(entry.id);
+					logFn.info(`Re-delivered dead letter event ${entry.id}`);
+				} catch (error) {
+					const attempts = (entry.attempts || 0) + 1;
+					await store.addDeadLetter({
+						id: entry.id,
+						data: entry.data,
+						options: entry.options,
+						queuedAt: entry.queuedAt,
+						attempts,
+						errors: [
+							...(entry.errors || []),
+							{ error: error.message, timestamp: Date.now(), attempt: attempts }
+						]
+					});
+					failed.push({ id: entry.id, error: error.message });
+					logFn.warn(`Retry failed for ${entry.id}: ${error.message}`);
+				}
+			}
+		}
+
+		if (notRetryable.length > 0) {
+			logFn.warn(
+				`${notRetryable.length} dead letter event(s) have no integration to deliver to and were left in the queue`
+			);
+		}
+
+		if (outputFormat === 'text') {
+			const failureLines = failed
+				.map((f) => `\n  ${f.id}: ${chalk.red(f.error)}`)
+				.join('');
+			console.log(
+				boxen(
+					chalk.white.bold('Dead Letter Retry') +
+						`\n\nRe-delivered: ${chalk.green(retried.length)}` +
+						`\nNot retryable: ${chalk.yellow(notRetryable.length)}` +
+						`\nFailed: ${chalk.red(failed.length)}` +
+						failureLines,
+					{
+						padding: 1,
+						borderColor:
+							failed.length > 0 || notRetryable.length > 0 ? 'yellow' : 'green',
+						borderStyle: 'round',
+						margin: { top: 1, bottom: 1 }
+					}
+				)
+			);
+		}
+
+		return { retried, notRetryable, failed, total: entries.length };
+	} catch (error) {
+		logFn.error(`Error retrying dead letter events: ${error.message}`);
+		throw error;
+	} finally {
+		await store.close();
+		if (startedEventSystem) {
+			await shutdownEventSystem();
+		}
+	}
+}
+
+/**
+ * Permanently delete dead letter events
+ * @param {string} projectRoot - Project root directory
+ * @param {Array<string>|null} eventIds - Event IDs or prefixes, or null for all
+ * @param {Object} context - Context object
+ * @param {Object} [context.mcpLog] - MCP logger object (optional)
+ * @param {string} outputFormat - Output format (text or json)
+ * @returns {Promise<Object>} Result object with the purged event IDs
+ */
+async function purgeDeadLetterEvents(
+	projectRoot,
+	eventIds = null,
+	context = {},
+	outputFormat = 'text'
+) {
+	const logFn = createLogFn(context.mcpLog);
+	const store = new QueueStore({ projectRoot });
+
+	try {
+		const purged = resolveEntries(store.getDeadLetterEntries(), eventIds).map(
+			(entry) => entry.id
+		);
+		await store.remove(purged);
+
+		logFn.success(`Purged ${purged.length} dead letter events`);
+
+		if (outputFormat === 'text') {
+			console.log(
+				chalk.green(`✓ Purged ${purged.length} dead letter event(s)`)
+			);
+		}
+
+		return { purged };
+	} catch (error) {
+		logFn.error(`Error purging dead letter events: ${error.message}`);
+		throw error;
+	} finally {
+		await store.close();
+	}
+}
+
+/**
+ * Find the dead letter entries matching IDs or unique ID prefixes
+ * @param {Array<Object>} entries - Dead letter entries
+ * @param {Array<string>|null} ids - IDs or prefixes, or null for all entries
+ * @returns {Array<Object>} Matching entries
+ */
+function resolveEntries(entries, ids) {
+	if (!ids || ids.length === 0) {
+		return entries;
+	}
+
+	return ids.map((id) => {
+		const exact = entries.find((entry) => entry.id === id);
+		if (exact) {
+			return exact;
+		}
+
+		const matches = entries.filter((entry) => entry.id.startsWith(id));
+		if (matches.length === 0) {
+			throw new Error(`Dead letter event "${id}" not found`);
+		}
+		if (matches.length > 1) {
+			throw new Error(
+				`Dead letter event ID "${id}" is ambiguous (${matches.length} matches)`
+			);
+		}
+		return matches[0];
+	});
+}
+
+/**
+ * Summarize a dead letter entry for listing
+ * @param {Object} entry - Dead letter entry
+ * @returns {Object} Event summary
+ */
+function summarizeEntry(entry) {
+	const payload = entry.data?.payload || {};
+	const errors = entry.errors || [];
+
+	return {
+		id: entry.id,
+		eventType: entry.data?.eventType || null,
+		integration: entry.data?.integration || null,
+		taskId:
+			payload.subtaskId != null
+				? String(payload.subtaskId)
+				: payload.taskId != null
+					? String(payload.taskId)
+					: null,
+		attempts: entry.attempts || 0,
+		lastError: errors.length > 0 ? errors[errors.length - 1].error : null,
+		failedAt: new Date(entry.deadLetterAt || entry.updatedAt).toISOString()
+	};
+}
+
+/**
+ * Create a consistent logFn object regardless of context
+ * @param {Object} [mcpLog] - MCP logger object
+ * @returns {Object} Logger with info/warn/error/debug/success methods
+ */
+function createLogFn(mcpLog) {
+	return (
+		mcpLog || {
+			info: (...args) => log('info', ...args),
+			warn: (...args) => log('warn', ...args),
+			error: (...args) => log('error', ...args),
+			debug: (...args) => log('debug', ...args),
+			success: (...args) => log('success', ...args)
+		}
+	);
+}
+
+export {
+	listDeadLetterEvents,
+	showDeadLetterEvent,
+	retryDeadLetterEvents,
+	purgeDeadLetterEvents
+};
@@ -20,6 +20,8 @@ import boxen from 'boxen';
  * @param {Object} context - Context object containing session and mcpLog.
  * @param {Object} [context.session] - Session object from MCP.
  * @param {Object} [context.mcpLog] - MCP logger object.
+ * @param {Function} [context.reportProgress] - Called with { progress, total, message } after each task.
+ * @param {AbortSignal} [context.signal] - Stops the expansion before the next task once aborted.
  * @param {string} [outputFormat='text'] - Output format ('text' or 'json'). MCP calls should use 'json'.
  * @returns {Promise<{success: boolean, expandedCount: number, failedCount: number, skippedCount: number, tasksToExpand: number, telemetryData: Array<Object>}>} - Result summary.
  */
@@ -32,7 +34,13 @@ async function expandAllTasks(
 	context = {},
 	outputFormat = 'text' // Assume text default for CLI
 ) {
-	const { session, mcpLog, projectRoot: providedProjectRoot } = context;
+	const {
+		session,
+		mcpLog,
+		projectRoot: providedProjectRoot,
+		reportProgress,
+		signal
+	} = context;
 	const isMCPCall = !!mcpLog; // Determine if called from MCP
 
 	const projectRoot = providedProjectRoot || findProjectRoot();
@@ -110,6 +118,13 @@ async function expandAllTasks(
 
 		// Iterate over the already filtered tasks
 		for (const task of tasksToExpand) {
+			if (signal?.aborted) {
+				logger.warn(
+					`Expansion cancelled after ${expandedCount + failedCount} of ${tasksToExpandCount} tasks.`
+				);
+				break;
+			}
+
 			// Start indicator for individual task expansion in CLI mode
 			let taskIndicator = null;
 			if (!isMCPCall && outputFormat === 'text') {
@@ -150,6 +165,12 @@ async function expandAllTasks(
 				logger.error(`Failed to expand task ${task.id}: ${error.message}`);
 				// Continue to the next task
 			}
+
+			reportProgress?.({
+				progress: expandedCount + failedCount,
+				total: tasksToExpandCount,
+				message: `Processed task ${task.id}`
+			});
 		}
 
 		// --- AGGREGATION AND DISPLAY ---
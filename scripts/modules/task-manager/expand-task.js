@@ -404,6 +404,7 @@ function parseSubtasksFromText(
  * @param {Object} context - Context object containing session and mcpLog.
  * @param {Object} [context.session] - Session object from MCP.
  * @param {Object} [context.mcpLog] - MCP logger object.
+ * @param {boolean} [context.noCache] - Bypass the AI response cache.
  * @param {boolean} [force=false] - If true, replace existing subtasks; otherwise, append.
  * @returns {Promise<Object>} The updated parent task object with new subtasks.
  * @throws {Error} If task not found, AI service fails, or parsing fails.
@@ -417,7 +418,7 @@ async function expandTask(
 	context = {},
 	force = false
 ) {
-	const { session, mcpLog, projectRoot: contextProjectRoot } = context;
+	const { session, mcpLog, projectRoot: contextProjectRoot, noCache } = context;
 	const outputFormat = mcpLog ? 'json' : 'text';
 
 	// Determine projectRoot: Use from context if available, otherwise derive from tasksPath
@@ -478,12 +479,15 @@ async function expandTask(
 				...new Set([taskId.toString(), ...relevantTaskIds])
 			];
 
-			if (finalTaskIds.length > 0) {
-				const contextResult = await contextGatherer.gather({
-					tasks: finalTaskIds,
-					format: 'research'
-				});
-				gatheredContext = contextResult;
+			const contextResult = await contextGatherer.gather({
+				tasks: finalTaskIds,
+				codeQuery: searchQuery,
+				format: 'research',
+				role: useResearch ? 'research' : 'main'
+			});
+			gatheredContext = contextResult.context;
+			if (contextResult.packingSummary) {
+				logger.info(contextResult.packingSummary);
 			}
 		} catch (contextError) {
 			logger.warn(`Could not gather context: ${contextError.message}`);
@@ -625,7 +629,8 @@ async function expandTask(
 				session,
 				projectRoot,
 				commandName: 'expand-task',
-				outputType: outputFormat
+				outputType: outputFormat,
+				noCache
 			});
 			responseText = aiServiceResponse.mainResult;
 
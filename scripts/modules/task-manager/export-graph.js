@@ -0,0 +1,509 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+
+import {
+	findCycles,
+	findProjectRoot,
+	getCurrentTag,
+	log,
+	readJSON
+} from '../utils.js';
+
+/**
+ * Formats the dependency graph can be exported in
+ */
+export const GRAPH_FORMATS = ['mermaid', 'dot', 'json'];
+
+// Node fill by status
+const STATUS_COLORS = {
+	pending: '#eeeeee',
+	'in-progress': '#90caf9',
+	review: '#ce93d8',
+	done: '#a5d6a7',
+	deferred: '#ffe082',
+	cancelled: '#bdbdbd'
+};
+const DEFAULT_STATUS_COLOR = '#ffffff';
+
+// Node border by priority
+const PRIORITY_STYLES = {
+	high: { color: '#c62828', width: 3 },
+	medium: { color: '#424242', width: 1 },
+	low: { color: '#9e9e9e', width: 1, dashed: true }
+};
+
+// Nodes and edges that are part of a dependency cycle
+const CYCLE_COLOR = '#d32f2f';
+
+/**
+ * Build the dependency graph of a tag's tasks and subtasks. Subtask
+ * dependencies on small numbers refer to sibling subtasks, as in
+ * fix-dependencies.
+ * @param {Array<Object>} tasks - Tasks of the tag
+ * @returns {{nodes: Map<string, Object>, dependencies: Map<string, Array<string>>}} Nodes by ID and the IDs each node depends on
+ */
+function buildGraph(tasks) {
+	const nodes = new Map();
+	const dependencies = new Map();
+
+	for (const task of tasks) {
+		const taskId = String(task.id);
+		nodes.set(taskId, {
+			id: taskId,
+			type: 'task',
+			title: task.title,
+			status: task.status || 'pending',
+			priority: task.priority || 'medium'
+		});
+		dependencies.set(taskId, (task.dependencies || []).map(String));
+
+		for (const subtask of task.subtasks || []) {
+			const subtaskId = `${task.id}.${subtask.id}`;
+			nodes.set(subtaskId, {
+				id: subtaskId,
+				type: 'subtask',
+				parentId: taskId,
+				title: subtask.title,
+				status: subtask.status || 'pending',
+				priority: subtask.priority || task.priority || 'medium'
+			});
+			dependencies.set(
+				subtaskId,
+				(subtask.dependencies || []).map((depId) =>
+					typeof depId === 'number' && depId < 100
+						? `${task.id}.${depId}`
+						: String(depId)
+				)
+			);
+		}
+	}
+
+	// Dependencies on missing tasks are reported by validate-dependencies
+	for (const [id, depIds] of dependencies) {
+		dependencies.set(
+			id,
+			depIds.filter((depId) => nodes.has(depId))
+		);
+	}
+
+	return { nodes, dependencies };
+}
+
+/**
+ * IDs reachable from a node by following dependencies
+ * @param {string} id - Start node
+ * @param {Map<string, Array<string>>} dependencies - Dependency map
+ * @returns {Set<string>} Reachable IDs, including the start node
+ */
+function getReachable(id, dependencies) {
+	const reachable = new Set([id]);
+	const stack = [id];
+	while (stack.length > 0) {
+		for (const depId of dependencies.get(stack.pop()) || []) {
+			if (!reachable.has(depId)) {
+				reachable.add(depId);
+				stack.push(depId);
+			}
+		}
+	}
+	return reachable;
+}
+
+/**
+ * Find the dependency cycles of the graph. A node is on a cycle when
+ * findCycles, started from it, runs back into it; nodes that reach each
+ * other form one cycle.
+ * @param {Map<string, Array<string>>} dependencies - Dependency map
+ * @returns {{cycles: Array<Array<string>>, cycleOf: Map<string, number>}} Cycles as lists of IDs, and the index of the cycle of each node on one
+ */
+function findGraphCycles(dependencies) {
+	const cycles = [];
+	const cycleOf = new Map();
+
+	for (const id of dependencies.keys()) {
+		if (cycleOf.has(id) || !findCycles(id, dependencies).includes(id)) {
+			continue;
+		}
+		const reachable = getReachable(id, dependencies);
+		const cycle = [...reachable].filter((otherId) =>
+			getReachable(otherId, dependencies).has(id)
+		);
+		for (const cycleId of cycle) {
+			cycleOf.set(cycleId, cycles.length);
+		}
+		cycles.push(cycle);
+	}
+
+	return { cycles, cycleOf };
+}
+
+/**
+ * IDs in the subtree rooted at a task or subtask: the node, its subtasks, and
+ * everything they depend on, directly or not
+ * @param {string} rootId - Task or subtask ID
+ * @param {Map<string, Object>} nodes - Nodes by ID
+ * @param {Map<string, Array<string>>} dependencies - Dependency map
+ * @returns {Set<string>} IDs in the subtree
+ */
+function getSubtree(rootId, nodes, dependencies) {
+	const subtasksOf = (id) =>
+		[...nodes.values()]
+			.filter((node) => node.parentId === id)
+			.map((node) => node.id);
+
+	const subtree = new Set();
+	const stack = [rootId];
+	while (stack.length > 0) {
+		const id = stack.pop();
+		if (subtree.has(id)) {
+			continue;
+		}
+		subtree.add(id);
+		stack.push(...dependencies.get(id), ...subtasksOf(id));
+	}
+	return subtree;
+}
+
+/**
+ * Build the exported graph: nodes, dependency and subtask edges, and cycles,
+ * after applying the filters
+ * @param {Array<Object>} tasks - Tasks of the tag
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - Only nodes with these statuses (comma-separated)
+ * @param {string} [filters.id] - Only the subtree rooted at this task or subtask
+ * @returns {{nodes: Array<Object>, edges: Array<Object>, cycles: Array<Array<string>>}} Graph
+ */
+export function buildDependencyGraph(tasks, { status, id } = {}) {
+	const { nodes, dependencies } = buildGraph(tasks);
+	// Cycles are found on the whole tag, so a filter never hides one
+	const { cycles, cycleOf } = findGraphCycles(dependencies);
+
+	let included = new Set(nodes.keys());
+	if (id) {
+		const rootId = String(id).trim();
+		if (!nodes.has(rootId)) {
+			throw new Error(`Task ${rootId} not found`);
+		}
+		included = getSubtree(rootId, nodes, dependencies);
+	}
+	if (status && status.toLowerCase() !== 'all') {
+		const statuses = status
+			.split(',')
+			.map((s) => s.trim().toLowerCase())
+			.filter(Boolean);
+		included = new Set(
+			[...included].filter((nodeId) =>
+				statuses.includes(nodes.get(nodeId).status.toLowerCase())
+			)
+		);
+	}
+
+	const inCycle = (from, to) =>
+		cycleOf.has(from) && cycleOf.get(from) === cycleOf.get(to);
+
+	const graphNodes = [...nodes.values()]
+		.filter((node) => included.has(node.id))
+		.map((node) => ({ ...node, inCycle: cycleOf.has(node.id) }));
+
+	// Edges point from a dependency to the task that waits for it
+	const edges = [];
+	for (const node of graphNodes) {
+		for (const depId of dependencies.get(node.id)) {
+			if (included.has(depId)) {
+				edges.push({
+					from: depId,
+					to: node.id,
+					type: 'dependency',
+					inCycle: inCycle(node.id, depId)
+				});
+			}
+		}
+	}
+	for (const node of graphNodes) {
+		if (node.parentId && included.has(node.parentId)) {
+			edges.push({
+				from: node.parentId,
+				to: node.id,
+				type: 'subtask',
+				inCycle: false
+			});
+		}
+	}
+
+	return {
+		nodes: graphNodes,
+		edges,
+		cycles: cycles.filter((cycle) =>
+			cycle.some((cycleId) => included.has(cycleId))
+		)
+	};
+}
+
+/**
+ * Render the graph as a Mermaid flowchart
+ * @param {Object} graph - Graph from buildDependencyGraph
+ * @returns {string} Mermaid source
+ */
+function renderMermaid({ nodes, edges }) {
+	const nodeId = (id) => `t${id.replace(/\./g, '_')}`;
+	const escape = (text) =>
+		String(text || '')
+			.replace(/"/g, '#quot;')
+			.replace(/</g, '#lt;')
+			.replace(/>/g, '#gt;');
+	const className = (prefix, value) =>
+		`${prefix}_${value.replace(/[^a-zA-Z0-9]/g, '_')}`;
+
+	const lines = ['flowchart TD'];
+	for (const node of nodes) {
+		lines.push(
+			`\t${nodeId(node.id)}["${node.id}: ${escape(node.title)}<br/>${node.status} · ${node.priority}"]`
+		);
+	}
+	for (const edge of edges) {
+		const arrow = edge.type === 'subtask' ? '-.-' : '-->';
+		lines.push(`\t${nodeId(edge.from)} ${arrow} ${nodeId(edge.to)}`);
+	}
+
+	// Later class definitions win, so the cycle border overrides the priority
+	const classes = new Map();
+	const assign = (name, style, id) => {
+		if (!classes.has(name)) {
+			classes.set(name, { style, ids: [] });
+		}
+		classes.get(name).ids.push(nodeId(id));
+	};
+	for (const node of nodes) {
+		assign(
+			className('status', node.status),
+			`fill:${STATUS_COLORS[node.status] || DEFAULT_STATUS_COLOR}`,
+			node.id
+		);
+	}
+	for (const node of nodes) {
+		const priority = PRIORITY_STYLES[node.priority];
+		if (priority) {
+			assign(
+				className('priority', node.priority),
+				`stroke:${priority.color},stroke-width:${priority.width}px${priority.dashed ? ',stroke-dasharray:4 2' : ''}`,
+				node.id
+			);
+		}
+	}
+	for (const node of nodes.filter((n) => n.inCycle)) {
+		assign('cycle', `stroke:${CYCLE_COLOR},stroke-width:4px`, node.id);
+	}
+	for (const [name, { style, ids }] of classes) {
+		lines.push(`\tclassDef ${name} ${style}`);
+		lines.push(`\tclass ${ids.join(',')} ${name}`);
+	}
+
+	const cycleLinks = edges
+		.map((edge, index) => (edge.inCycle ? index : null))
+		.filter((index) => index !== null);
+	if (cycleLinks.length > 0) {
+		lines.push(
+			`\tlinkStyle ${cycleLinks.join(',')} stroke:${CYCLE_COLOR},stroke-width:3px`
+		);
+	}
+
+	return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render the graph as Graphviz DOT
+ * @param {Object} graph - Graph from buildDependencyGraph
+ * @param {string} tag - Tag name, used as the graph name
+ * @returns {string} DOT source
+ */
+function renderDot({ nodes, edges }, tag) {
+	const escape = (text) =>
+		String(text || '')
+			.replace(/\\/g, '\\\\')
+			.replace(/"/g, '\\"');
+	const quote = (text) => `"${escape(text)}"`;
+	const attributes = (attrs) =>
+		`[${Object.entries(attrs)
+			.map(([key, value]) => `${key}=${value}`)
+			.join(', ')}]`;
+
+	const lines = [
+		`digraph ${quote(`tasks: ${tag}`)} {`,
+		'\tnode [shape=box, style="rounded,filled", fontname="Helvetica"];'
+	];
+	for (const node of nodes) {
+		const priority = PRIORITY_STYLES[node.priority] || PRIORITY_STYLES.medium;
+		const attrs = {
+			label: `"${escape(`${node.id}: ${node.title}`)}\\n${node.status} · ${node.priority}"`,
+			fillcolor: quote(STATUS_COLORS[node.status] || DEFAULT_STATUS_COLOR),
+			color: quote(node.inCycle ? CYCLE_COLOR : priority.color),
+			penwidth: node.inCycle ? 3 : priority.width
+		};
+		if (priority.dashed && !node.inCycle) {
+			attrs.style = '"rounded,filled,dashed"';
+		}
+		lines.push(`\t${quote(node.id)} ${attributes(attrs)};`);
+	}
+	for (const edge of edges) {
+		const attrs =
+			edge.type === 'subtask'
+				? { style: 'dashed', arrowhead: 'none' }
+				: edge.inCycle
+					? { color: quote(CYCLE_COLOR), penwidth: 2 }
+					: null;
+		lines.push(
+			`\t${quote(edge.from)} -> ${quote(edge.to)}${attrs ? ` ${attributes(attrs)}` : ''};`
+		);
+	}
+	lines.push('}');
+
+	return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Export a tag's tasks and subtasks as a dependency graph in Mermaid,
+ * Graphviz DOT or JSON. Nodes are colored by status and bordered by priority,
+ * and dependency cycles are highlighted.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} options - Options object
+ * @param {string} [options.format='mermaid'] - mermaid, dot or json
+ * @param {string} [options.status] - Only tasks and subtasks with these statuses (comma-separated)
+ * @param {string} [options.id] - Only the subtree rooted at this task or subtask
+ * @param {string} [options.output] - File to write the graph to, relative to the project root and inside it
+ * @param {Object} context - Context object
+ * @param {string} [context.projectRoot] - Project root directory
+ * @param {string} [context.tag] - Tag to export (defaults to the current tag)
+ * @param {Object} [context.mcpLog] - MCP logger object (optional)
+ * @param {string} outputFormat - Output format (text or json)
+ * @returns {Promise<Object>} The tag, rendered graph, counts, cycles and output path
+ * @throws {Error} INVALID_OUTPUT_PATH when the output file is outside the project root
+ */
+async function exportDependencyGraph(
+	tasksPath,
+	options = {},
+	context = {},
+	outputFormat = 'text'
+) {
+	const logFn = createLogFn(context.mcpLog);
+	const { format = 'mermaid', status, id, output } = options;
+
+	try {
+		if (!GRAPH_FORMATS.includes(format)) {
+			throw new Error(
+				`Unknown graph format "${format}". Use one of: ${GRAPH_FORMATS.join(', ')}`
+			);
+		}
+
+		const projectRoot = context.projectRoot || findProjectRoot();
+		const tag = context.tag || getCurrentTag(projectRoot) || 'master';
+		const data = readJSON(tasksPath, projectRoot, tag);
+		if (!data || !Array.isArray(data.tasks)) {
+			throw new Error(`No valid tasks found in ${tasksPath}`);
+		}
+
+		const graph = buildDependencyGraph(data.tasks, { status, id });
+		const content =
+			format === 'json'
+				? `${JSON.stringify({ tag, ...graph }, null, 2)}\n`
+				: format === 'dot'
+					? renderDot(graph, tag)
+					: renderMermaid(graph);
+
+		let outputPath = null;
+		if (output) {
+			const root = projectRoot || process.cwd();
+			outputPath = path.resolve(root, output);
+			const relative = path.relative(root, outputPath);
+			if (
+				relative === '' ||
+				relative.startsWith('..') ||
+				path.isAbsolute(relative)
+			) {
+				const error = new Error(
+					`Output path "${output}" is outside the project root ${root}`
+				);
+				error.code = 'INVALID_OUTPUT_PATH';
+				throw error;
+			}
+			fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+			fs.writeFileSync(outputPath, content, 'utf8');
+			logFn.info(`Wrote ${format} graph of tag ${tag} to ${outputPath}`);
+		}
+
+		const dependencyCount = graph.edges.filter(
+			(edge) => edge.type === 'dependency'
+		).length;
+
+		if (outputFormat === 'text') {
+			if (outputPath) {
+				displayExportResult(
+					tag,
+					outputPath,
+					graph.nodes.length,
+					dependencyCount,
+					graph.cycles
+				);
+			} else {
+				// Only the graph, so that it can be copied or redirected as is
+				process.stdout.write(content);
+			}
+		}
+
+		return {
+			tag,
+			format,
+			content,
+			nodeCount: graph.nodes.length,
+			dependencyCount,
+			cycles: graph.cycles,
+			outputPath
+		};
+	} catch (error) {
+		logFn.error(`Error exporting dependency graph: ${error.message}`);
+		throw error;
+	}
+}
+
+/**
+ * Show where the graph was written and the cycles it contains
+ * @param {string} tag - Tag name
+ * @param {string} outputPath - Written file
+ * @param {number} nodeCount - Tasks and subtasks in the graph
+ * @param {number} dependencyCount - Dependencies in the graph
+ * @param {Array<Array<string>>} cycles - Dependency cycles
+ */
+function displayExportResult(
+	tag,
+	outputPath,
+	nodeCount,
+	dependencyCount,
+	cycles
+) {
+	console.log(
+		chalk.green(
+			`Exported ${nodeCount} tasks and subtasks with ${dependencyCount} dependencies of tag ${tag} to ${outputPath}`
+		)
+	);
+	for (const cycle of cycles) {
+		console.log(
+			chalk.yellow(
+				`Dependency cycle between ${cycle.join(', ')} (run fix-dependencies to break it)`
+			)
+		);
+	}
+}
+
+function createLogFn(mcpLog) {
+	return (
+		mcpLog || {
+			info: (...args) => log('info', ...args),
+			warn: (...args) => log('warn', ...args),
+			error: (...args) => log('error', ...args),
+			debug: (...args) => log('debug', ...args),
+			success: (...args) => log('success', ...args)
+		}
+	);
+}
+
+export { exportDependencyGraph };
@@ -0,0 +1,614 @@
+/**
+ * merge-driver.js
+ * Git merge driver for task files. Merges the base, ours and theirs versions
+ * of tasks.json (or of one tag file of the directory storage) by task ID
+ * instead of by line, so branches that both add tasks to a tag merge cleanly.
+ *
+ * New tasks that got the same ID on both branches keep their ID on our side;
+ * theirs are renumbered after the highest ID with moveTaskToNewId, which also
+ * rewrites their dependencies. Changes that cannot be combined keep our
+ * version and are listed in a conflict report.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { isDeepStrictEqual } from 'util';
+import chalk from 'chalk';
+
+import { moveTaskToNewId } from './move-task.js';
+import { writeFileAtomicSync } from '../utils/fileStorage.js';
+import { getTaskStorage } from '../utils/taskStorage.js';
+import {
+	MERGE_CONFLICT_REPORT_FILE,
+	TASKMASTER_TAGS_DIR,
+	TASKMASTER_TASKS_FILE
+} from '../../../src/constants/paths.js';
+
+/**
+ * Name of the driver in git config and .gitattributes
+ */
+export const MERGE_DRIVER_NAME = 'taskmaster';
+
+const MERGE_DRIVER_COMMAND = 'task-master merge-driver %O %A %B %P';
+
+/**
+ * Directory of the tag files, relative to the project root and with forward
+ * slashes: the `dir` of a directory storage manifest, or the default tags
+ * directory for a single tasks file (in case it is converted later)
+ * @param {string} projectRoot - Project root
+ * @returns {string} Tag directory
+ * @throws {Error} When the manifest puts the tag files outside the project
+ */
+function getTagFilesDir(projectRoot) {
+	const storage = getTaskStorage(path.join(projectRoot, TASKMASTER_TASKS_FILE));
+	if (storage.type !== 'directory') {
+		return TASKMASTER_TAGS_DIR;
+	}
+	const relative = path.relative(projectRoot, storage.tagsDir);
+	if (relative.startsWith('..') || path.isAbsolute(relative)) {
+		throw new Error(
+			`Tag directory "${storage.dir}" is outside the project; the merge driver only handles tag files inside it`
+		);
+	}
+	return relative.split(path.sep).join('/');
+}
+
+/**
+ * Whether a value is a tag entry ({ tasks: [...], metadata })
+ * @param {*} value - Value to check
+ * @returns {boolean} True for tag objects
+ */
+function isTagObject(value) {
+	return Boolean(
+		value && typeof value === 'object' && Array.isArray(value.tasks)
+	);
+}
+
+/**
+ * Union of the keys of some objects, in the order they are first seen
+ * @param {...Object} objects - Objects, missing ones are skipped
+ * @returns {Array<string>} Keys
+ */
+function unionKeys(...objects) {
+	return [...new Set(objects.flatMap((object) => Object.keys(object || {})))];
+}
+
+/**
+ * Three-way merge of a single value
+ * @param {*} base - Common ancestor value
+ * @param {*} ours - Our value
+ * @param {*} theirs - Their value
+ * @returns {{value: *, conflict: boolean}} Merged value, ours on conflict
+ */
+function mergeValue(base, ours, theirs) {
+	if (isDeepStrictEqual(ours, theirs) || isDeepStrictEqual(base, theirs)) {
+		return { value: ours, conflict: false };
+	}
+	if (isDeepStrictEqual(base, ours)) {
+		return { value: theirs, conflict: false };
+	}
+	return { value: ours, conflict: true };
+}
+
+/**
+ * Three-way merge of an object field by field
+ * @param {Object} base - Common ancestor
+ * @param {Object} ours - Our version
+ * @param {Object} theirs - Their version
+ * @param {Object} [options]
+ * @param {Array<string>} [options.skip] - Fields to leave out of the result
+ * @param {Function} [options.resolve] - (key, ours, theirs) => value for a conflicting field, or undefined to report it
+ * @returns {{value: Object, conflicts: Array<string>}} Merged object and its conflicting fields
+ */
+function mergeFields(base, ours, theirs, { skip = [], resolve } = {}) {
+	const value = {};
+	const conflicts = [];
+	for (const key of unionKeys(ours, theirs)) {
+		if (skip.includes(key)) {
+			continue;
+		}
+		const merged = mergeValue(base?.[key], ours?.[key], theirs?.[key]);
+		let fieldValue = merged.value;
+		if (merged.conflict) {
+			const resolved = resolve?.(key, ours[key], theirs[key]);
+			if (resolved === undefined) {
+				conflicts.push(key);
+			} else {
+				fieldValue = resolved;
+			}
+		}
+		if (fieldValue !== undefined) {
+			value[key] = fieldValue;
+		}
+	}
+	return { value, conflicts };
+}
+
+/**
+ * Highest numeric ID in some lists of tasks or subtasks
+ * @param {...Array<Object>} lists - Lists of items with an id
+ * @returns {number} Highest ID, 0 when there are none
+ */
+function getMaxId(...lists) {
+	return Math.max(
+		0,
+		...lists.flatMap((list) =>
+			(list || []).map((item) => parseInt(item.id, 10)).filter(Number.isFinite)
+		)
+	);
+}
+
+/**
+ * Give a subtask a new ID and rewrite the sibling dependencies on it
+ * @param {Array<Object>} subtasks - Subtasks of the parent, modified in place
+ * @param {Object} subtask - Subtask to renumber
+ * @param {number} newId - New subtask ID
+ * @param {number|string} parentId - ID of the parent task
+ */
+function renumberSubtask(subtasks, subtask, newId, parentId) {
+	const oldId = subtask.id;
+	subtasks.forEach((sibling) => {
+		if (Array.isArray(sibling.dependencies)) {
+			sibling.dependencies = sibling.dependencies.map((dep) => {
+				if (dep === oldId) {
+					return newId;
+				}
+				if (dep === `${parentId}.${oldId}`) {
+					return `${parentId}.${newId}`;
+				}
+				return dep;
+			});
+		}
+	});
+	subtask.id = newId;
+}
+
+/**
+ * Three-way merge of a list of tasks or subtasks by ID. Items added on both
+ * sides with the same ID but different content are renumbered on their side.
+ * @param {Array<Object>} baseItems - Common ancestor items
+ * @param {Array<Object>} ourItems - Our items
+ * @param {Array<Object>} theirItems - Their items
+ * @param {Object} options
+ * @param {Function} options.renumber - (theirItems, item, newId) => void, renumbers an item in place
+ * @param {Function} options.mergeItem - (base, ours, theirs) => { value, conflicts } for items changed on both sides
+ * @param {Function} options.describe - (id) => display ID used in reports
+ * @returns {{items: Array<Object>, conflicts: Array<Object>, renumbered: Array<Object>}} Merge result
+ */
+function mergeItems(baseItems, ourItems, theirItems, options) {
+	const { renumber, mergeItem, describe } = options;
+	const byId = (items) => new Map(items.map((item) => [String(item.id), item]));
+	const base = byId(baseItems);
+	const ours = byId(ourItems);
+
+	// Renumber their side of ID collisions first, so that their dependencies
+	// follow along within their own version of the list
+	const theirsRenumbered = structuredClone(theirItems);
+	const renumbered = [];
+	let nextId = getMaxId(baseItems, ourItems, theirItems) + 1;
+	for (const item of theirItems) {
+		const id = String(item.id);
+		if (
+			base.has(id) ||
+			!ours.has(id) ||
+			isDeepStrictEqual(ours.get(id), item)
+		) {
+			continue;
+		}
+		const current = theirsRenumbered.find(
+			(candidate) => String(candidate.id) === id
+		);
+		renumber(theirsRenumbered, current, nextId);
+		renumbered.push({ from: describe(item.id), to: describe(nextId) });
+		nextId++;
+	}
+	const theirs = byId(theirsRenumbered);
+
+	const items = [];
+	const conflicts = [];
+	for (const ourItem of ourItems) {
+		const id = String(ourItem.id);
+		const baseItem = base.get(id);
+		const theirItem = theirs.get(id);
+
+		if (!baseItem) {
+			// Added on our side (or identically on both)
+			items.push(ourItem);
+		} else if (theirItem) {
+			const merged = mergeValue(baseItem, ourItem, theirItem);
+			if (!merged.conflict) {
+				items.push(merged.value);
+				continue;
+			}
+			const result = mergeItem(baseItem, ourItem, theirItem);
+			items.push(result.value);
+			conflicts.push(...result.conflicts);
+		} else if (!isDeepStrictEqual(baseItem, ourItem)) {
+			items.push(ourItem);
+			conflicts.push({
+				id: describe(ourItem.id),
+				type: 'deleted-by-them',
+				message: `${describe(ourItem.id)} was changed on our side and deleted on theirs; kept our version`,
+				ours: ourItem
+			});
+		}
+	}
+
+	for (const theirItem of theirsRenumbered) {
+		const id = String(theirItem.id);
+		if (ours.has(id)) {
+			continue;
+		}
+		const baseItem = base.get(id);
+		if (!baseItem) {
+			items.push(theirItem);
+		} else if (!isDeepStrictEqual(baseItem, theirItem)) {
+			items.push(theirItem);
+			conflicts.push({
+				id: describe(theirItem.id),
+				type: 'deleted-by-us',
+				message: `${describe(theirItem.id)} was deleted on our side and changed on theirs; kept their version`,
+				theirs: theirItem
+			});
+		}
+	}
+
+	return { items, conflicts, renumbered };
+}
+
+/**
+ * Three-way merge of a task changed on both sides: fields and subtasks are
+ * merged separately, and fields changed differently keep our value
+ * @param {Object} base - Common ancestor task
+ * @param {Object} ours - Our task
+ * @param {Object} theirs - Their task
+ * @returns {{value: Object, conflicts: Array<Object>, renumbered: Array<Object>}} Merged task
+ */
+function mergeTask(base, ours, theirs) {
+	const { value, conflicts: fields } = mergeFields(base, ours, theirs, {
+		skip: ['subtasks']
+	});
+	const conflicts = [];
+	if (fields.length > 0) {
+		conflicts.push({
+			id: `Task ${ours.id}`,
+			type: 'changed-on-both',
+			message: `Task ${ours.id} has different changes to ${fields.join(', ')} on both sides; kept our values`,
+			fields,
+			ours: Object.fromEntries(fields.map((field) => [field, ours[field]])),
+			theirs: Object.fromEntries(fields.map((field) => [field, theirs[field]]))
+		});
+	}
+
+	let renumbered = [];
+	if (ours.subtasks || theirs.subtasks) {
+		const subtasks = mergeItems(
+			base.subtasks || [],
+			ours.subtasks || [],
+			theirs.subtasks || [],
+			{
+				renumber: (items, subtask, newId) =>
+					renumberSubtask(items, subtask, newId, ours.id),
+				mergeItem: (baseSubtask, ourSubtask, theirSubtask) => {
+					const merged = mergeTask(baseSubtask, ourSubtask, theirSubtask);
+					return {
+						value: merged.value,
+						conflicts: merged.conflicts.map((conflict) => ({
+							...conflict,
+							id: `Subtask ${ours.id}.${ourSubtask.id}`,
+							message: conflict.message.replace(
+								`Task ${ourSubtask.id}`,
+								`Subtask ${ours.id}.${ourSubtask.id}`
+							)
+						}))
+					};
+				},
+				describe: (id) => `Subtask ${ours.id}.${id}`
+			}
+		);
+		value.subtasks = subtasks.items;
+		conflicts.push(...subtasks.conflicts);
+		renumbered = subtasks.renumbered;
+	}
+
+	return { value, conflicts, renumbered };
+}
+
+/**
+ * Three-way merge of one tag
+ * @param {Object} base - Common ancestor tag, empty when the tag is new
+ * @param {Object} ours - Our tag
+ * @param {Object} theirs - Their tag
+ * @returns {{value: Object, conflicts: Array<Object>, renumbered: Array<Object>}} Merged tag
+ */
+function mergeTag(base, ours, theirs) {
+	const subtaskRenumbers = [];
+	const tasks = mergeItems(base.tasks || [], ours.tasks, theirs.tasks, {
+		renumber: (items, task, newId) =>
+			moveTaskToNewId(items, items.indexOf(task), task, newId),
+		mergeItem: (baseTask, ourTask, theirTask) => {
+			const merged = mergeTask(baseTask, ourTask, theirTask);
+			subtaskRenumbers.push(...merged.renumbered);
+			return merged;
+		},
+		describe: (id) => `Task ${id}`
+	});
+
+	const { value, conflicts } = mergeFields(base, ours, theirs, {
+		skip: ['tasks'],
+		resolve: (key, ourValue, theirValue) =>
+			key === 'metadata'
+				? mergeMetadata(base.metadata, ourValue, theirValue)
+				: undefined
+	});
+
+	return {
+		value: { tasks: tasks.items, ...value },
+		conflicts: [
+			...tasks.conflicts,
+			...conflicts.map((key) => ({
+				id: key,
+				type: 'changed-on-both',
+				message: `Tag field "${key}" has different changes on both sides; kept our value`,
+				ours: ours[key],
+				theirs: theirs[key]
+			}))
+		],
+		renumbered: [...tasks.renumbered, ...subtaskRenumbers]
+	};
+}
+
+/**
+ * Merge tag metadata, keeping the later timestamp when both sides updated it
+ * @param {Object} base - Common ancestor metadata
+ * @param {Object} ours - Our metadata
+ * @param {Object} theirs - Their metadata
+ * @returns {Object|undefined} Merged metadata, undefined when other fields conflict
+ */
+function mergeMetadata(base, ours, theirs) {
+	if (!ours || !theirs) {
+		return undefined;
+	}
+	const { value, conflicts } = mergeFields(base, ours, theirs, {
+		resolve: (key, ourValue, theirValue) =>
+			key === 'updated' ? [ourValue, theirValue].sort().pop() : undefined
+	});
+	return conflicts.length === 0 ? value : undefined;
+}
+
+/**
+ * Three-way merge of tagged task data
+ * @param {Object|null} base - Common ancestor (null when there is none)
+ * @param {Object} ours - Our version
+ * @param {Object} theirs - Their version
+ * @returns {{data: Object, conflicts: Array<Object>, renumbered: Array<Object>}} Merged data, unresolved conflicts and renumbered tasks, each with its tag
+ */
+export function mergeTaggedTasks(base, ours, theirs) {
+	const data = {};
+	const conflicts = [];
+	const renumbered = [];
+
+	for (const key of unionKeys(ours, theirs)) {
+		const baseValue = base?.[key];
+		const ourValue = ours[key];
+		const theirValue = theirs[key];
+		const isTag = [baseValue, ourValue, theirValue].some(isTagObject);
+
+		if (isTag && ourValue && theirValue) {
+			const merged = mergeTag(baseValue || { tasks: [] }, ourValue, theirValue);
+			data[key] = merged.value;
+			conflicts.push(...merged.conflicts.map((c) => ({ tag: key, ...c })));
+			renumbered.push(...merged.renumbered.map((r) => ({ tag: key, ...r })));
+			continue;
+		}
+
+		const merged = mergeValue(baseValue, ourValue, theirValue);
+		if (merged.conflict) {
+			// Deleted on one side and changed on the other, or a non-tag value
+			// changed on both: keep whichever side still has it
+			const kept = ourValue === undefined ? 'their' : 'our';
+			data[key] = ourValue === undefined ? theirValue : ourValue;
+			conflicts.push({
+				tag: key,
+				type:
+					ourValue === undefined
+						? 'deleted-by-us'
+						: theirValue === undefined
+							? 'deleted-by-them'
+							: 'changed-on-both',
+				message: isTag
+					? `Tag "${key}" was deleted on one side and changed on the other; kept ${kept} version`
+					: `"${key}" has different changes on both sides; kept our value`,
+				ours: ourValue,
+				theirs: theirValue
+			});
+		} else if (merged.value !== undefined) {
+			data[key] = merged.value;
+		}
+	}
+
+	return { data, conflicts, renumbered };
+}
+
+/**
+ * Read one version of a merged file. Git passes an empty file as the base
+ * when the versions have no common ancestor.
+ * @param {string} filePath - Version file
+ * @param {string} label - Which version, for errors
+ * @returns {Object|null} Parsed content, null when empty
+ */
+function readVersion(filePath, label) {
+	const content = fs.readFileSync(filePath, 'utf8');
+	if (content.trim() === '') {
+		return null;
+	}
+	try {
+		return JSON.parse(content);
+	} catch (error) {
+		throw new Error(`The ${label} version is not valid JSON: ${error.message}`);
+	}
+}
+
+/**
+ * Update the conflict report with the result for one file. The report keeps
+ * one entry per merged file, so each file of a merge adds its own, and is
+ * removed once no file has anything left to report.
+ * @param {string} projectRoot - Project root
+ * @param {string} fileName - Merged file, relative to the repository
+ * @param {Object|null} result - Conflicts and renumbered tasks, or null for a clean merge
+ * @returns {string|null} Report path, null when there is no report
+ */
+function updateConflictReport(projectRoot, fileName, result) {
+	const reportPath = path.join(projectRoot, MERGE_CONFLICT_REPORT_FILE);
+	let report = { files: {} };
+	try {
+		report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+	} catch (error) {
+		// No report yet
+	}
+
+	if (result) {
+		report.files[fileName] = { mergedAt: new Date().toISOString(), ...result };
+	} else {
+		delete report.files[fileName];
+	}
+
+	if (Object.keys(report.files).length === 0) {
+		fs.rmSync(reportPath, { force: true });
+		return null;
+	}
+	fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+	writeFileAtomicSync(reportPath, JSON.stringify(report, null, 2));
+	return reportPath;
+}
+
+/**
+ * Run the merge driver: merge the three versions git passes and write the
+ * result over ours
+ * @param {Object} options
+ * @param {string} options.basePath - Common ancestor version (%O)
+ * @param {string} options.oursPath - Our version, receives the result (%A)
+ * @param {string} options.theirsPath - Their version (%B)
+ * @param {string} [options.filePath] - Path of the merged file in the repository (%P)
+ * @param {string} [options.projectRoot] - Project root for the conflict report
+ * @returns {{conflicts: Array<Object>, renumbered: Array<Object>, reportPath: string|null}} Merge result
+ */
+export function runMergeDriver({
+	basePath,
+	oursPath,
+	theirsPath,
+	filePath = TASKMASTER_TASKS_FILE,
+	projectRoot = process.cwd()
+}) {
+	const fileName = filePath.split(path.sep).join('/');
+	let versions;
+	try {
+		versions = [
+			readVersion(basePath, 'common ancestor'),
+			readVersion(oursPath, 'our') || {},
+			readVersion(theirsPath, 'their') || {}
+		];
+	} catch (error) {
+		// Leave our version in place; git keeps all three in the index
+		const conflicts = [
+			{ type: 'unreadable', message: `${error.message}; kept our version` }
+		];
+		return {
+			conflicts,
+			renumbered: [],
+			reportPath: updateConflictReport(projectRoot, fileName, {
+				conflicts,
+				renumbered: []
+			})
+		};
+	}
+
+	// Tag files of the directory storage (and legacy files) hold a single tag
+	const singleTag = versions.some(isTagObject);
+	const tagName = singleTag
+		? path.posix.dirname(fileName).endsWith(getTagFilesDir(projectRoot))
+			? decodeURIComponent(path.basename(fileName, '.json'))
+			: 'master'
+		: null;
+	const [base, ours, theirs] = singleTag
+		? versions.map((version) => version && { [tagName]: version })
+		: versions;
+
+	const { data, conflicts, renumbered } = mergeTaggedTasks(base, ours, theirs);
+	const merged = singleTag ? data[tagName] || {} : data;
+	writeFileAtomicSync(oursPath, JSON.stringify(merged, null, 2));
+
+	const reportPath = updateConflictReport(
+		projectRoot,
+		fileName,
+		conflicts.length > 0 ? { conflicts, renumbered } : null
+	);
+	return { conflicts, renumbered, reportPath };
+}
+
+/**
+ * Register the merge driver for this repository: define it in the local git
+ * config and route the task files to it in .gitattributes. Tag files are
+ * routed from the directory named in the storage manifest.
+ * @param {string} projectRoot - Project root (inside the git repository)
+ * @returns {{driver: string, attributes: Array<string>}} Driver command and the .gitattributes lines that were added
+ * @throws {Error} When the manifest puts the tag files outside the project
+ */
+export function installMergeDriver(projectRoot) {
+	const tagFilesDir = getTagFilesDir(projectRoot);
+	const git = (...args) =>
+		execFileSync('git', args, { cwd: projectRoot, stdio: 'pipe' });
+	git('config', `merge.${MERGE_DRIVER_NAME}.name`, 'Task Master task merge');
+	git('config', `merge.${MERGE_DRIVER_NAME}.driver`, MERGE_DRIVER_COMMAND);
+
+	const attributesPath = path.join(projectRoot, '.gitattributes');
+	const existing = fs.existsSync(attributesPath)
+		? fs.readFileSync(attributesPath, 'utf8')
+		: '';
+	const lines = existing.split(/\r?\n/);
+	const attributes = [
+		`${TASKMASTER_TASKS_FILE} merge=${MERGE_DRIVER_NAME}`,
+		`${tagFilesDir}/*.json merge=${MERGE_DRIVER_NAME}`
+	].filter((line) => !lines.includes(line));
+
+	if (attributes.length > 0) {
+		const separator = existing === '' || existing.endsWith('\n') ? '' : '\n';
+		fs.writeFileSync(
+			attributesPath,
+			`${existing}${separator}${attributes.join('\n')}\n`
+		);
+	}
+	return { driver: MERGE_DRIVER_COMMAND, attributes };
+}
+
+/**
+ * Print the result of a merge for the git output
+ * @param {string} fileName - Merged file
+ * @param {Object} result - Result of runMergeDriver
+ */
+export function displayMergeResult(
+	fileName,
+	{ conflicts, renumbered, reportPath }
+) {
+	for (const { tag, from, to } of renumbered) {
+		console.log(
+			chalk.yellow(
+				`${fileName}: renumbered their ${from} to ${to} in tag "${tag}"`
+			)
+		);
+	}
+	if (conflicts.length === 0) {
+		console.log(chalk.green(`Merged ${fileName} by task ID`));
+		return;
+	}
+	for (const conflict of conflicts) {
+		const where = conflict.tag ? ` (tag "${conflict.tag}")` : '';
+		console.log(chalk.red(`${fileName}${where}: ${conflict.message}`));
+	}
+	console.log(
+		chalk.red(
+			`${conflicts.length} conflict(s) in ${fileName} need review. See ${reportPath}`
+		)
+	);
+}
@@ -3,10 +3,16 @@ import path from 'path';
 import chalk from 'chalk';
 import { fileURLToPath } from 'url';
 import { createLogWrapper } from '../../../mcp-server/src/tools/utils.js';
-import { findProjectRoot } from '../utils.js';
+import { findProjectRoot, readJSON } from '../utils.js';
+import {
+	convertTaskStorage,
+	getTaskStorage,
+	getTaskStorageTypes
+} from '../utils/taskStorage.js';
 import {
 	LEGACY_CONFIG_FILE,
-	TASKMASTER_CONFIG_FILE
+	TASKMASTER_CONFIG_FILE,
+	TASKMASTER_TASKS_FILE
 } from '../../../src/constants/paths.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -97,6 +103,49 @@ export async function migrateProject(options = {}) {
 	}
 }
 
+/**
+ * Convert the project's tasks to another storage backend
+ * @param {Object} options - Migration options
+ * @param {string} options.storage - Target backend (file or directory)
+ * @param {boolean} [options.dryRun] - Only report what would be converted
+ * @returns {Promise<Object|null>} Conversion result, or null when nothing was converted
+ */
+export async function migrateTaskStorage(options = {}) {
+	const projectRoot = findProjectRoot() || process.cwd();
+	const tasksPath = path.join(projectRoot, TASKMASTER_TASKS_FILE);
+	const types = getTaskStorageTypes();
+
+	if (!types.includes(options.storage)) {
+		throw new Error(
+			`Unknown storage "${options.storage}". Use one of: ${types.join(', ')}`
+		);
+	}
+	if (!fs.existsSync(tasksPath)) {
+		throw new Error(`Tasks file not found: ${tasksPath}`);
+	}
+
+	const current = getTaskStorage(tasksPath).type;
+	if (current === options.storage) {
+		log.info(`Tasks already use the ${current} storage.`);
+		return null;
+	}
+	if (options.dryRun) {
+		log.info(
+			`Would convert ${path.relative(projectRoot, tasksPath)} from ${current} to ${options.storage} storage.`
+		);
+		return null;
+	}
+
+	// Converts a legacy file without tags to the tagged format first
+	readJSON(tasksPath, projectRoot);
+
+	const result = convertTaskStorage(tasksPath, options.storage);
+	log.success(
+		`Converted ${result.tags} tag(s) from ${result.from} to ${result.to} storage.`
+	);
+	return result;
+}
+
 /**
  * Analyze what files need to be migrated
  * @param {string} projectRoot - Project root directory
@@ -280,4 +329,4 @@ async function performMigration(projectRoot, migrationPlan, options) {
 	}
 }
 
-export default { migrateProject };
+export default { migrateProject, migrateTaskStorage };
@@ -357,7 +357,7 @@ async function getAvailableModelsList(options = {}) {
  * @param {string} role - The model role to update ('main', 'research', 'fallback')
  * @param {string} modelId - The model ID to set for the role
  * @param {Object} [options] - Options for the operation
- * @param {string} [options.providerHint] - Provider hint if already determined ('openrouter' or 'ollama')
+ * @param {string} [options.providerHint] - Provider hint if already determined ('openrouter', 'ollama', 'bedrock' or 'openai-compatible')
  * @param {Object} [options.session] - Session object containing environment variables (for MCP)
  * @param {Function} [options.mcpLog] - MCP logger object (for MCP)
  * @param {string} [options.projectRoot] - Project root directory
@@ -494,6 +494,13 @@ async function setModel(role, modelId, options = {}) {
 					determinedProvider = 'bedrock';
 					warningMessage = `Warning: Custom Bedrock model '${modelId}' set. Please ensure the model ID is valid and accessible in your AWS account.`;
 					report('warn', warningMessage);
+				} else if (providerHint === 'openai-compatible') {
+					// Set provider without model validation since the endpoint decides which models exist
+					determinedProvider = 'openai-compatible';
+					warningMessage = currentConfig.models[role]?.baseURL
+						? `Warning: Custom OpenAI-compatible model '${modelId}' set. Please ensure the model is served by ${currentConfig.models[role].baseURL}.`
+						: `Warning: Custom OpenAI-compatible model '${modelId}' set. Set models.${role}.baseURL in .taskmaster/config.json to the endpoint serving this model.`;
+					report('warn', warningMessage);
 				} else {
 					// Invalid provider hint - should not happen
 					throw new Error(`Invalid provider hint received: ${providerHint}`);
@@ -514,7 +521,7 @@ async function setModel(role, modelId, options = {}) {
 					success: false,
 					error: {
 						code: 'MODEL_NOT_FOUND_NO_HINT',
-						message: `Model ID "${modelId}" not found in Taskmaster's supported models. If this is a custom model, please specify the provider using --openrouter or --ollama.`
+						message: `Model ID "${modelId}" not found in Taskmaster's supported models. If this is a custom model, please specify the provider using --openrouter, --ollama or --openai-compatible.`
 					}
 				};
 			}
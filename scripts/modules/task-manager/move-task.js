@@ -8,6 +8,7 @@ import {
 } from '../utils.js';
 import { isTaskDependentOn } from '../task-manager.js';
 import generateTaskFiles from './generate-task-files.js';
+import { emitTaskEvent, EVENT_TYPES } from '../events/index.js';
 
 /**
  * Move one or more tasks/subtasks to new positions
@@ -99,6 +100,19 @@ async function moveTask(
 	const isSourceSubtask = sourceId.includes('.');
 	const isDestSubtask = destinationId.includes('.');
 
+	// Snapshot the source item and its parent for lifecycle events
+	const [sourceParentId, sourceSubtaskId] = sourceId
+		.split('.')
+		.map((id) => parseInt(id, 10));
+	const sourceParent = tasks.find((t) => t.id === sourceParentId);
+	const sourceSnapshot = JSON.parse(
+		JSON.stringify(
+			(isSourceSubtask
+				? sourceParent?.subtasks?.find((st) => st.id === sourceSubtaskId)
+				: sourceParent) || null
+		)
+	);
+
 	let result;
 
 	if (isSourceSubtask && isDestSubtask) {
@@ -122,6 +136,20 @@ async function moveTask(
 	// The writeJSON function will filter out _rawTaggedData automatically
 	writeJSON(tasksPath, rawData, options.projectRoot, currentTag);
 
+	const eventContext = {
+		...options,
+		commandName: options.commandName || 'move-task'
+	};
+	for (const { eventType, data } of collectMoveEvents(
+		tasks,
+		sourceId,
+		destinationId,
+		sourceSnapshot,
+		currentTag
+	)) {
+		await emitTaskEvent(eventType, data, eventContext);
+	}
+
 	if (generateFiles) {
 		await generateTaskFiles(tasksPath, path.dirname(tasksPath));
 	}
@@ -129,6 +157,108 @@ async function moveTask(
 	return result;
 }
 
+/**
+ * Build the lifecycle events describing a completed move. Moves that change
+ * an item's kind (task ↔ subtask) or parent are reported as a removal plus a
+ * creation; a task moved to a new ID is reported as an update of its ID.
+ * @param {Array} tasks - Tasks after the move
+ * @param {string} sourceId - Source task/subtask ID
+ * @param {string} destinationId - Destination task/subtask ID
+ * @param {Object|null} sourceSnapshot - Source item before the move
+ * @param {string} tag - Tag the tasks belong to
+ * @returns {Array<{eventType: string, data: Object}>} Events to emit
+ */
+function collectMoveEvents(
+	tasks,
+	sourceId,
+	destinationId,
+	sourceSnapshot,
+	tag
+) {
+	if (!sourceSnapshot) {
+		return [];
+	}
+
+	const [sourceParentId] = sourceId.split('.').map((id) => parseInt(id, 10));
+	const [destParentId, destSubtaskId] = destinationId
+		.split('.')
+		.map((id) => parseInt(id, 10));
+	const sourceParent = tasks.find((t) => t.id === sourceParentId);
+	const destTask = tasks.find((t) => t.id === destParentId);
+	const events = [];
+
+	if (sourceId.includes('.')) {
+		if (destinationId.includes('.') && sourceParentId === destParentId) {
+			// Reordering within the same parent keeps the subtask ID
+			return events;
+		}
+		// The moved item keeps its integration links and creation events skip
+		// linked items, so removal events for moves must not touch the linked
+		// Linear issue
+		events.push({
+			eventType: EVENT_TYPES.SUBTASK_REMOVED,
+			data: {
+				parentTaskId: String(sourceParentId),
+				subtaskId: sourceId,
+				subtask: sourceSnapshot,
+				parentTask: sourceParent,
+				tag,
+				keepLinear: true
+			}
+		});
+	} else if (destinationId.includes('.')) {
+		events.push({
+			eventType: EVENT_TYPES.TASK_REMOVED,
+			data: {
+				taskId: String(sourceParentId),
+				task: sourceSnapshot,
+				tag,
+				cascadeRemoved: (sourceSnapshot.subtasks || []).map(
+					(st) => `${sourceParentId}.${st.id}`
+				),
+				keepLinear: true
+			}
+		});
+	} else if (destTask) {
+		events.push({
+			eventType: EVENT_TYPES.TASK_UPDATED,
+			data: {
+				taskId: String(destParentId),
+				task: destTask,
+				changes: { id: destParentId },
+				oldValues: { id: sourceParentId },
+				tag
+			}
+		});
+		return events;
+	}
+
+	if (destinationId.includes('.')) {
+		const destSubtask = destTask?.subtasks?.find(
+			(st) => st.id === destSubtaskId
+		);
+		if (destSubtask) {
+			events.push({
+				eventType: EVENT_TYPES.SUBTASK_CREATED,
+				data: {
+					parentTaskId: String(destParentId),
+					subtaskId: destinationId,
+					subtask: destSubtask,
+					parentTask: destTask,
+					tag
+				}
+			});
+		}
+	} else if (destTask) {
+		events.push({
+			eventType: EVENT_TYPES.TASK_CREATED,
+			data: { taskId: String(destParentId), task: destTask, tag }
+		});
+	}
+
+	return events;
+}
+
 // Helper functions for different move scenarios
 function moveSubtaskToSubtask(tasks, sourceId, destinationId) {
 	// Parse IDs
@@ -247,8 +377,11 @@ function moveSubtaskToTask(tasks, sourceId, destinationId) {
 		);
 	}
 
-	// Create new task from subtask
+	// Create new task from subtask. Fields not listed here (integration links
+	// in particular) are carried over as they are.
+	const { parentTaskId: _parentTaskId, ...sourceFields } = sourceSubtask;
 	const newTask = {
+		...sourceFields,
 		id: destTaskId,
 		title: sourceSubtask.title,
 		description: sourceSubtask.description,
@@ -304,8 +437,12 @@ function moveTaskToSubtask(tasks, sourceId, destinationId) {
 		destParentTask.subtasks = [];
 	}
 
-	// Create new subtask from task
+	// Create new subtask from task. Fields not listed here (integration links
+	// in particular) are carried over as they are; the task's own subtasks
+	// are not.
+	const { subtasks: _subtasks, ...sourceFields } = sourceTask;
 	const newSubtask = {
+		...sourceFields,
 		id: destSubtaskId,
 		title: sourceTask.title,
 		description: sourceTask.description,
@@ -411,6 +548,15 @@ function moveSubtaskToAnotherParent(
 	return newSubtask;
 }
 
+/**
+ * Give a task a new ID and rewrite the dependencies that reference the old one.
+ * Replaces the placeholder task at the new ID, or appends when there is none.
+ * @param {Array} tasks - Tasks of the tag, modified in place
+ * @param {number} sourceTaskIndex - Index of the task to renumber
+ * @param {Object} sourceTask - Task to renumber
+ * @param {number} destTaskId - New task ID
+ * @returns {Object} Message and the moved task
+ */
 function moveTaskToNewId(tasks, sourceTaskIndex, sourceTask, destTaskId) {
 	const destTaskIndex = tasks.findIndex((t) => t.id === destTaskId);
 
@@ -485,4 +631,5 @@ function moveTaskToNewId(tasks, sourceTaskIndex, sourceTask, destTaskId) {
 	};
 }
 
+export { moveTaskToNewId };
 export default moveTask;
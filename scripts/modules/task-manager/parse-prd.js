@@ -18,6 +18,9 @@ import {
 
 import { generateObjectService } from '../ai-services-unified.js';
 import { getDebugFlag } from '../config-manager.js';
+import { withFileLockSync } from '../utils/fileStorage.js';
+import { readTaskFile, writeTaskFile } from '../utils/taskStorage.js';
+import { recordTaskChanges } from '../utils/changeJournal.js';
 import generateTaskFiles from './generate-task-files.js';
 import { displayAiUsageSummary } from '../ui.js';
 
@@ -58,6 +61,8 @@ const prdResponseSchema = z.object({
  * @param {Object} [options.session] - Session object from MCP server (optional).
  * @param {string} [options.projectRoot] - Project root path (for MCP/env fallback).
  * @param {string} [options.tag] - Target tag for task generation.
+ * @param {boolean} [options.noCache=false] - Bypass the AI response cache.
+ * @param {AbortSignal} [options.signal] - Stops parsing before the AI call and before tasks are written once aborted.
  * @param {string} [outputFormat='text'] - Output format ('text' or 'json').
  */
 async function parsePRD(prdPath, tasksPath, numTasks, options = {}) {
@@ -69,7 +74,9 @@ async function parsePRD(prdPath, tasksPath, numTasks, options = {}) {
 		force = false,
 		append = false,
 		research = false,
-		tag
+		tag,
+		noCache = false,
+		signal
 	} = options;
 	const isMCP = !!mcpLog;
 	const outputFormat = isMCP ? 'json' : 'text';
@@ -113,8 +120,7 @@ async function parsePRD(prdPath, tasksPath, numTasks, options = {}) {
 		if (fs.existsSync(tasksPath)) {
 			try {
 				// Read the entire file to check if the tag exists
-				const existingFileContent = fs.readFileSync(tasksPath, 'utf8');
-				const allData = JSON.parse(existingFileContent);
+				const allData = readTaskFile(tasksPath);
 
 				// Check if the target tag exists and has tasks
 				if (
@@ -248,6 +254,7 @@ Guidelines:
 		);
 
 		// Call generateObjectService with the CORRECT schema and additional telemetry params
+		signal?.throwIfAborted();
 		aiServiceResponse = await generateObjectService({
 			role: research ? 'research' : 'main', // Use research role if flag is set
 			session: session,
@@ -257,7 +264,9 @@ Guidelines:
 			systemPrompt: systemPrompt,
 			prompt: userPrompt,
 			commandName: 'parse-prd',
-			outputType: isMCP ? 'mcp' : 'cli'
+			tag: targetTag,
+			outputType: isMCP ? 'mcp' : 'cli',
+			noCache
 		});
 
 		// Create the directory if it doesn't exist
@@ -333,36 +342,51 @@ Guidelines:
 			? [...existingTasks, ...processedNewTasks]
 			: processedNewTasks;
 
-		// Read the existing file to preserve other tags
-		let outputData = {};
-		if (fs.existsSync(tasksPath)) {
-			try {
-				const existingFileContent = fs.readFileSync(tasksPath, 'utf8');
-				outputData = JSON.parse(existingFileContent);
-			} catch (error) {
-				// If we can't read the existing file, start with empty object
-				outputData = {};
+		// Read the existing file under its lock to preserve other tags, including
+		// any written by another process while the AI call was running
+		signal?.throwIfAborted();
+		withFileLockSync(tasksPath, () => {
+			let outputData = {};
+			let previousData = null;
+			if (fs.existsSync(tasksPath)) {
+				try {
+					outputData = readTaskFile(tasksPath);
+					previousData = JSON.parse(JSON.stringify(outputData));
+				} catch (error) {
+					// If we can't read the existing file, start with empty object
+					outputData = {};
+				}
 			}
-		}
 
-		// Update only the target tag, preserving other tags
-		outputData[targetTag] = {
-			tasks: finalTasks,
-			metadata: {
-				created:
-					outputData[targetTag]?.metadata?.created || new Date().toISOString(),
-				updated: new Date().toISOString(),
+			// Update only the target tag, preserving other tags
+			outputData[targetTag] = {
+				tasks: finalTasks,
+				metadata: {
+					created:
+						outputData[targetTag]?.metadata?.created ||
+						new Date().toISOString(),
+					updated: new Date().toISOString(),
+					description: `Tasks for ${targetTag} context`
+				}
+			};
+
+			// Ensure the target tag has proper metadata
+			ensureTagMetadata(outputData[targetTag], {
 				description: `Tasks for ${targetTag} context`
-			}
-		};
+			});
 
-		// Ensure the target tag has proper metadata
-		ensureTagMetadata(outputData[targetTag], {
-			description: `Tasks for ${targetTag} context`
-		});
+			// Write the complete data structure back to the file
+			writeTaskFile(tasksPath, outputData);
 
-		// Write the complete data structure back to the file
-		fs.writeFileSync(tasksPath, JSON.stringify(outputData, null, 2));
+			try {
+				recordTaskChanges(tasksPath, projectRoot, previousData, outputData);
+			} catch (journalError) {
+				report(
+					`Failed to record task history: ${journalError.message}`,
+					'warn'
+				);
+			}
+		});
 		report(
 			`Successfully ${append ? 'appended' : 'generated'} ${processedNewTasks.length} tasks in ${tasksPath}${research ? ' with research-backed analysis' : ''}`,
 			'success'
@@ -1,6 +1,7 @@
 import path from 'path';
 import { log, readJSON, writeJSON } from '../utils.js';
 import generateTaskFiles from './generate-task-files.js';
+import { emitTaskEvent, EVENT_TYPES } from '../events/index.js';
 
 /**
  * Remove a subtask from its parent task
@@ -105,6 +106,30 @@ async function removeSubtask(
 		// Write the updated tasks back to the file with proper context
 		writeJSON(tasksPath, data, context.projectRoot, context.tag);
 
+		const tag = context.tag || data.tag || 'master';
+		const eventContext = {
+			...context,
+			commandName: context.commandName || 'remove-subtask'
+		};
+		await emitTaskEvent(
+			EVENT_TYPES.SUBTASK_REMOVED,
+			{
+				parentTaskId: String(parentId),
+				subtaskId,
+				subtask: removedSubtask,
+				parentTask,
+				tag
+			},
+			eventContext
+		);
+		if (convertedTask) {
+			await emitTaskEvent(
+				EVENT_TYPES.TASK_CREATED,
+				{ taskId: String(convertedTask.id), task: convertedTask, tag },
+				eventContext
+			);
+		}
+
 		// Generate task files if requested
 		if (generateFiles) {
 			log('info', 'Regenerating task files...');
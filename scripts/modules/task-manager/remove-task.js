@@ -4,16 +4,18 @@ import path from 'path';
 import { log, readJSON, writeJSON } from '../utils.js';
 import generateTaskFiles from './generate-task-files.js';
 import taskExists from './task-exists.js';
+import { emitTaskEvent, EVENT_TYPES } from '../events/index.js';
 
 /**
  * Removes one or more tasks or subtasks from the tasks file
  * @param {string} tasksPath - Path to the tasks file
  * @param {string} taskIds - Comma-separated string of task/subtask IDs to remove (e.g., '5,6.1,7')
  * @param {Object} context - Context object containing projectRoot and tag information
+ * @param {boolean} [context.keepLinear] - Leave the linked Linear issues untouched
  * @returns {Object} Result object with success status, messages, and removed task info
  */
 async function removeTask(tasksPath, taskIds, context = {}) {
-	const { projectRoot, tag } = context;
+	const { projectRoot, tag, keepLinear = false } = context;
 	const results = {
 		success: true,
 		messages: [],
@@ -49,6 +51,7 @@ async function removeTask(tasksPath, taskIds, context = {}) {
 		const tasks = fullTaggedData[currentTag].tasks; // Work with tasks from the correct tag
 
 		const tasksToDeleteFiles = []; // Collect IDs of main tasks whose files should be deleted
+		const removalEvents = []; // Events to emit once the removal is saved
 
 		for (const taskId of taskIdsToRemove) {
 			// Check if the task ID exists *before* attempting removal
@@ -90,6 +93,17 @@ async function removeTask(tasksPath, taskIds, context = {}) {
 						parentTaskId: parentTaskId
 					};
 					results.removedTasks.push(removedSubtask);
+					removalEvents.push({
+						eventType: EVENT_TYPES.SUBTASK_REMOVED,
+						data: {
+							parentTaskId: String(parentTaskId),
+							subtaskId: taskId,
+							subtask: parentTask.subtasks[subtaskIndex],
+							parentTask,
+							tag: currentTag,
+							...(keepLinear && { keepLinear })
+						}
+					});
 
 					// Remove the subtask from the parent
 					parentTask.subtasks.splice(subtaskIndex, 1);
@@ -111,6 +125,19 @@ async function removeTask(tasksPath, taskIds, context = {}) {
 					// Store the task info before removal
 					const removedTask = tasks[taskIndex];
 					results.removedTasks.push(removedTask);
+					removalEvents.push({
+						eventType: EVENT_TYPES.TASK_REMOVED,
+						data: {
+							taskId: String(taskIdNum),
+							task: removedTask,
+							tag: currentTag,
+							cascadeRemoved: (removedTask.subtasks || []).map(
+								(st) => `${taskIdNum}.${st.id}`
+							),
+							removalType: 'user_initiated',
+							...(keepLinear && { keepLinear })
+						}
+					});
 					tasksToDeleteFiles.push(taskIdNum); // Add to list for file deletion
 
 					// Remove the task from the main array
@@ -174,6 +201,13 @@ async function removeTask(tasksPath, taskIds, context = {}) {
 			// Save the updated raw data structure
 			writeJSON(tasksPath, fullTaggedData);
 
+			for (const { eventType, data } of removalEvents) {
+				await emitTaskEvent(eventType, data, {
+					...context,
+					commandName: context.commandName || 'remove-task'
+				});
+			}
+
 			// Delete task files AFTER saving tasks.json
 			for (const taskIdNum of tasksToDeleteFiles) {
 				const taskFileName = path.join(
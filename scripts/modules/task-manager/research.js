@@ -40,6 +40,7 @@ import {
  * @param {Object} [context.mcpLog] - MCP logger object
  * @param {string} [context.commandName] - Command name for telemetry
  * @param {string} [context.outputType] - Output type ('cli' or 'mcp')
+ * @param {boolean} [context.noCache] - Bypass the AI response cache
  * @param {string} [outputFormat] - Output format ('text' or 'json')
  * @param {boolean} [allowFollowUp] - Whether to allow follow-up questions (default: true)
  * @returns {Promise<Object>} Research results with telemetry data
@@ -65,7 +66,8 @@ async function performResearch(
 		session,
 		mcpLog,
 		commandName = 'research',
-		outputType = 'cli'
+		outputType = 'cli',
+		noCache
 	} = context;
 	const isMCP = !!mcpLog;
 
@@ -183,8 +185,10 @@ async function performResearch(
 			files: filePaths,
 			customContext,
 			includeProjectTree,
+			codeQuery: query,
 			format: 'research', // Use research format for AI consumption
-			includeTokenCounts: true
+			includeTokenCounts: true,
+			role: 'research'
 		});
 
 		const gatheredContext = contextResult.context;
@@ -210,7 +214,8 @@ async function performResearch(
 			displayDetailedTokenBreakdown(
 				tokenBreakdown,
 				systemPromptTokens,
-				userPromptTokens
+				userPromptTokens,
+				contextResult.packing
 			);
 		}
 
@@ -219,6 +224,9 @@ async function performResearch(
 			logFn.info(
 				`Calling AI service with research role, context size: ${tokenBreakdown.total} tokens (${gatheredContext.length} characters)`
 			);
+			if (contextResult.packingSummary) {
+				logFn.info(contextResult.packingSummary);
+			}
 		}
 
 		// Start loading indicator for CLI mode
@@ -237,7 +245,8 @@ async function performResearch(
 				systemPrompt,
 				prompt: userPrompt,
 				commandName,
-				outputType
+				outputType,
+				noCache
 			});
 		} catch (error) {
 			if (loadingIndicator) {
@@ -442,11 +451,13 @@ Please research and provide a ${detailLevel}-detail response to the query above.
  * @param {Object} tokenBreakdown - Token breakdown from context gatherer
  * @param {number} systemPromptTokens - System prompt token count
  * @param {number} userPromptTokens - User prompt token count
+ * @param {Object|null} [packing] - Packing report when the context was fitted to a budget
  */
 function displayDetailedTokenBreakdown(
 	tokenBreakdown,
 	systemPromptTokens,
-	userPromptTokens
+	userPromptTokens,
+	packing = null
 ) {
 	const parts = [];
 
@@ -508,6 +519,32 @@ function displayDetailedTokenBreakdown(
 		);
 	}
 
+	// Code snippets from the code index
+	if (tokenBreakdown.codeSnippets && tokenBreakdown.codeSnippets.length > 0) {
+		const totalCodeTokens = tokenBreakdown.codeSnippets.reduce(
+			(sum, snippet) => sum + snippet.tokens,
+			0
+		);
+		const codeDetails = tokenBreakdown.codeSnippets
+			.map((snippet) => {
+				const location = `${snippet.path}:${snippet.lines}`;
+				const locationDisplay =
+					location.length > 40
+						? '...' + location.substring(location.length - 37)
+						: location;
+				return `  ${chalk.gray(locationDisplay)} ${chalk.yellow(snippet.tokens.toLocaleString())} tokens`;
+			})
+			.join('\n');
+
+		parts.push(
+			chalk.cyan('Code: ') +
+				chalk.yellow(totalCodeTokens.toLocaleString()) +
+				chalk.gray(` (${tokenBreakdown.codeSnippets.length} snippets)`) +
+				'\n' +
+				codeDetails
+		);
+	}
+
 	// Project tree
 	if (tokenBreakdown.projectTree) {
 		parts.push(
@@ -519,6 +556,31 @@ function displayDetailedTokenBreakdown(
 		);
 	}
 
+	// What had to give to fit the model's context budget
+	if (packing) {
+		const cut = [
+			...packing.truncated.map((entry) => ({ ...entry, action: 'truncated' })),
+			...packing.summarized.map((entry) => ({
+				...entry,
+				action: 'summarized'
+			})),
+			...packing.dropped.map((entry) => ({ ...entry, action: 'dropped' }))
+		];
+		const cutDetails = cut
+			.map(
+				(entry) =>
+					`  ${chalk.gray(`${entry.section}:${entry.id}`)} ${chalk.red(entry.action)} ${chalk.gray(`(${entry.originalTokens.toLocaleString()} tokens)`)}`
+			)
+			.join('\n');
+
+		parts.push(
+			chalk.cyan('Budget: ') +
+				chalk.yellow(packing.used.toLocaleString()) +
+				chalk.gray(` of ${packing.budget.toLocaleString()} tokens`) +
+				(cutDetails ? '\n' + cutDetails : '')
+		);
+	}
+
 	// Prompts breakdown
 	const totalPromptTokens = systemPromptTokens + userPromptTokens;
 	const promptDetails = [
@@ -19,6 +19,7 @@ import {
 	isValidTaskStatus,
 	TASK_STATUS_OPTIONS
 } from '../../../src/constants/task-status.js';
+import { emitTaskEvent, EVENT_TYPES } from '../events/index.js';
 
 /**
  * Set the status of a task
@@ -95,6 +96,7 @@ async function setTaskStatus(
 		// Handle multiple task IDs (comma-separated)
 		const taskIds = taskIdInput.split(',').map((id) => id.trim());
 		const updatedTasks = [];
+		const statusEvents = [];
 
 		// Update each task and capture old status for display
 		for (const id of taskIds) {
@@ -118,8 +120,26 @@ async function setTaskStatus(
 				oldStatus = task?.status || 'pending';
 			}
 
+			// Snapshot subtask statuses to detect cascaded changes
+			const parentId = parseInt(id.split('.')[0], 10);
+			const subtaskStatusesBefore = new Map(
+				(data.tasks.find((t) => t.id === parentId)?.subtasks || []).map(
+					(st) => [st.id, st.status || 'pending']
+				)
+			);
+
 			await updateSingleTaskStatus(tasksPath, id, newStatus, data, !isMcpMode);
 			updatedTasks.push({ id, oldStatus, newStatus });
+			statusEvents.push(
+				...collectStatusEvents(
+					data.tasks,
+					id,
+					oldStatus,
+					newStatus,
+					subtaskStatusesBefore,
+					currentTag
+				)
+			);
 		}
 
 		// Update the raw data structure with the modified tasks
@@ -134,6 +154,13 @@ async function setTaskStatus(
 		// The writeJSON function will automatically filter out _rawTaggedData
 		writeJSON(tasksPath, rawData);
 
+		for (const { eventType, data: eventData } of statusEvents) {
+			await emitTaskEvent(eventType, eventData, {
+				...options,
+				commandName: 'set-status'
+			});
+		}
+
 		// Validate dependencies after status update
 		log('info', 'Validating dependencies after status update...');
 		validateTaskDependencies(data.tasks);
@@ -191,4 +218,65 @@ async function setTaskStatus(
 	}
 }
 
+/**
+ * Build the status-change events for one updated task or subtask ID,
+ * including subtasks whose status cascaded from their parent
+ * @param {Array} tasks - Tasks after the update
+ * @param {string} id - Task or subtask ID that was updated
+ * @param {string} oldStatus - Status before the update
+ * @param {string} newStatus - Status after the update
+ * @param {Map} subtaskStatusesBefore - Subtask ID → status before the update
+ * @param {string} tag - Tag the tasks belong to
+ * @returns {Array<{eventType: string, data: Object}>} Events to emit
+ */
+function collectStatusEvents(
+	tasks,
+	id,
+	oldStatus,
+	newStatus,
+	subtaskStatusesBefore,
+	tag
+) {
+	const events = [];
+	const [parentId, subtaskId] = id.split('.').map((part) => parseInt(part, 10));
+	const parentTask = tasks.find((t) => t.id === parentId);
+	if (!parentTask) {
+		return events;
+	}
+
+	if (subtaskId === undefined && oldStatus !== newStatus) {
+		events.push({
+			eventType: EVENT_TYPES.TASK_STATUS_CHANGED,
+			data: {
+				taskId: String(parentId),
+				task: parentTask,
+				oldStatus,
+				newStatus,
+				tag
+			}
+		});
+	}
+
+	for (const subtask of parentTask.subtasks || []) {
+		const previous = subtaskStatusesBefore.get(subtask.id);
+		if (previous === undefined || previous === subtask.status) {
+			continue;
+		}
+		events.push({
+			eventType: EVENT_TYPES.SUBTASK_STATUS_CHANGED,
+			data: {
+				parentTaskId: String(parentId),
+				subtaskId: `${parentId}.${subtask.id}`,
+				subtask,
+				parentTask,
+				oldStatus: previous,
+				newStatus: subtask.status,
+				tag
+			}
+		});
+	}
+
+	return events;
+}
+
 export default setTaskStatus;
@@ -18,6 +18,7 @@ import {
 } from '../utils.js';
 import { displayBanner, getStatusWithColor } from '../ui.js';
 import findNextTask from './find-next-task.js';
+import { emitTaskEvent, EVENT_TYPES } from '../events/index.js';
 
 /**
  * Create a new tag context
@@ -148,6 +149,19 @@ async function createTag(
 		// Write the clean data back to file
 		writeJSON(tasksPath, cleanData);
 
+		await emitTaskEvent(
+			EVENT_TYPES.TAG_CREATED,
+			{
+				tagName,
+				description: rawData[tagName].metadata.description,
+				...((copyFromCurrent || copyFromTag) && {
+					copiedFromTag: copyFromTag || getCurrentTag(projectRoot)
+				}),
+				taskCount: sourceTasks.length
+			},
+			{ ...context, commandName: 'add-tag' }
+		);
+
 		logFn.success(`Successfully created tag "${tagName}"`);
 
 		// For JSON output, return structured data
@@ -368,6 +382,12 @@ async function deleteTag(
 		// Write the clean data back to file
 		writeJSON(tasksPath, cleanData);
 
+		await emitTaskEvent(
+			EVENT_TYPES.TAG_DELETED,
+			{ tagName, taskCount, backupCreated: false },
+			{ ...context, commandName: 'delete-tag' }
+		);
+
 		logFn.success(`Successfully deleted tag "${tagName}"`);
 
 		// For JSON output, return structured data
@@ -740,6 +760,17 @@ async function useTag(
 		const tasks = tagData ? tagData.tasks || [] : [];
 		const taskCount = tasks.length;
 
+		await emitTaskEvent(
+			EVENT_TYPES.TAG_SWITCHED,
+			{
+				fromTag: previousTag,
+				toTag: tagName,
+				fromTaskCount: getTasksForTag(rawData, previousTag).length,
+				toTaskCount: taskCount
+			},
+			{ ...context, commandName: 'use-tag' }
+		);
+
 		// Find the next task to work on in this tag
 		const nextTask = findNextTask(tasks);
 
@@ -1065,6 +1096,17 @@ async function copyTag(
 		// Write the clean data back to file
 		writeJSON(tasksPath, cleanData);
 
+		await emitTaskEvent(
+			EVENT_TYPES.TAG_CREATED,
+			{
+				tagName: targetName,
+				description: rawData[targetName].metadata.description,
+				copiedFromTag: sourceName,
+				taskCount: sourceTasks.length
+			},
+			{ ...context, commandName: 'copy-tag' }
+		);
+
 		logFn.success(
 			`Successfully copied tag from "${sourceName}" to "${targetName}"`
 		);
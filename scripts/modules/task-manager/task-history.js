@@ -0,0 +1,402 @@
+import chalk from 'chalk';
+import boxen from 'boxen';
+import Table from 'cli-table3';
+
+import {
+	findProjectRoot,
+	getCurrentTag,
+	log,
+	readJSON,
+	truncate,
+	writeJSON
+} from '../utils.js';
+import {
+	getChangedFields,
+	readJournal,
+	runWithChangeContext
+} from '../utils/changeJournal.js';
+import { withFileLockSync } from '../utils/fileStorage.js';
+
+/**
+ * Thrown when a change cannot be undone because the tasks it touched were
+ * changed again outside of the journal
+ */
+export class UndoConflictError extends Error {
+	constructor(message, { entryId, taskIds }) {
+		super(message);
+		this.name = 'UndoConflictError';
+		this.code = 'UNDO_CONFLICT';
+		this.entryId = entryId;
+		this.taskIds = taskIds;
+	}
+}
+
+/**
+ * IDs of the entries that have been undone
+ * @param {Array<Object>} entries - Journal entries
+ * @returns {Set<string>} Undone entry IDs
+ */
+function getUndoneIds(entries) {
+	return new Set(entries.flatMap((entry) => entry.undoes || []));
+}
+
+/**
+ * Describe one task change in a line
+ * @param {Object} change - Change from a journal entry
+ * @returns {string} Summary
+ */
+function describeChange({ taskId, before, after }) {
+	if (!before) {
+		return `Task ${taskId} added: ${after.title}`;
+	}
+	if (!after) {
+		return `Task ${taskId} removed: ${before.title}`;
+	}
+
+	const fields = getChangedFields(before, after);
+	if (fields.length === 1 && fields[0] === 'status') {
+		return `Task ${taskId} status: ${before.status} → ${after.status}`;
+	}
+	return `Task ${taskId} updated: ${fields.join(', ')}`;
+}
+
+/**
+ * Whether a change touches a task or subtask ID ('5' or '5.2')
+ * @param {Object} change - Change from a journal entry
+ * @param {string} id - Task or subtask ID
+ * @returns {boolean} True if the change affects it
+ */
+function changeTouches(change, id) {
+	const [taskId, subtaskId] = String(id).split('.');
+	if (String(change.taskId) !== taskId) {
+		return false;
+	}
+	if (!subtaskId) {
+		return true;
+	}
+
+	const findSubtask = (task) =>
+		task?.subtasks?.find((subtask) => String(subtask.id) === subtaskId) || null;
+	return (
+		JSON.stringify(findSubtask(change.before)) !==
+		JSON.stringify(findSubtask(change.after))
+	);
+}
+
+/**
+ * Resolve the project root and tag a history command works on
+ * @param {string} tasksPath - Tasks file
+ * @param {Object} context - Command context
+ * @returns {{projectRoot: string, tag: string}}
+ */
+function resolveHistoryScope(tasksPath, context) {
+	const projectRoot = context.projectRoot || findProjectRoot();
+	if (!projectRoot) {
+		throw new Error(`Could not find the project of ${tasksPath}`);
+	}
+	return {
+		projectRoot,
+		tag: context.tag || getCurrentTag(projectRoot) || 'master'
+	};
+}
+
+/**
+ * Show the recorded changes of a tag, newest first
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} options - Options object
+ * @param {string} [options.id] - Only changes to this task or subtask ('5' or '5.2')
+ * @param {number} [options.limit=20] - Maximum entries to return
+ * @param {Object} context - Context object
+ * @param {string} [context.projectRoot] - Project root directory
+ * @param {string} [context.tag] - Tag to show (defaults to the current tag)
+ * @param {Object} [context.mcpLog] - MCP logger object (optional)
+ * @param {string} outputFormat - Output format (text or json)
+ * @returns {Promise<Object>} The tag and its entries, each with a summary and field diff per task change
+ */
+async function getTaskHistory(
+	tasksPath,
+	options = {},
+	context = {},
+	outputFormat = 'text'
+) {
+	const logFn = createLogFn(context.mcpLog);
+	const { id, limit = 20 } = options;
+
+	try {
+		const { projectRoot, tag } = resolveHistoryScope(tasksPath, context);
+		const journal = readJournal(projectRoot, tag);
+		const undone = getUndoneIds(journal);
+
+		const entries = journal
+			.map((entry) => ({
+				...entry,
+				changes: id
+					? entry.changes.filter((change) => changeTouches(change, id))
+					: entry.changes
+			}))
+			.filter((entry) => entry.changes.length > 0)
+			.reverse()
+			.slice(0, limit)
+			.map((entry) => ({
+				id: entry.id,
+				timestamp: entry.timestamp,
+				source: entry.source,
+				command: entry.command,
+				undone: undone.has(entry.id),
+				...(entry.undoes ? { undoes: entry.undoes } : {}),
+				changes: entry.changes.map((change) => ({
+					taskId: change.taskId,
+					type: !change.before
+						? 'added'
+						: !change.after
+							? 'removed'
+							: 'updated',
+					summary: describeChange(change),
+					diff: Object.fromEntries(
+						getChangedFields(change.before, change.after).map((field) => [
+							field,
+							{ from: change.before?.[field], to: change.after?.[field] }
+						])
+					)
+				}))
+			}));
+
+		logFn.debug(`Found ${journal.length} history entries for tag ${tag}`);
+
+		if (outputFormat === 'text') {
+			displayTaskHistory(tag, id, entries);
+		}
+
+		return { tag, entries };
+	} catch (error) {
+		logFn.error(`Error reading task history: ${error.message}`);
+		throw error;
+	}
+}
+
+/**
+ * Undo the most recent changes of a tag by restoring the previous version of
+ * every task they touched. The undo is itself recorded in the journal.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {number} [steps=1] - Number of changes to undo
+ * @param {Object} context - Context object
+ * @param {string} [context.projectRoot] - Project root directory
+ * @param {string} [context.tag] - Tag to undo changes in (defaults to the current tag)
+ * @param {Object} [context.mcpLog] - MCP logger object (optional)
+ * @param {string} outputFormat - Output format (text or json)
+ * @returns {Promise<Object>} The tag and the entries that were undone
+ * @throws {UndoConflictError} When a task was changed outside of the journal since
+ */
+async function undoChanges(
+	tasksPath,
+	steps = 1,
+	context = {},
+	outputFormat = 'text'
+) {
+	const logFn = createLogFn(context.mcpLog);
+
+	try {
+		if (!Number.isInteger(steps) || steps < 1) {
+			throw new Error(`Invalid number of changes to undo: ${steps}`);
+		}
+		const { projectRoot, tag } = resolveHistoryScope(tasksPath, context);
+
+		const undoneEntries = withFileLockSync(
+			tasksPath,
+			() => {
+				const journal = readJournal(projectRoot, tag);
+				const undone = getUndoneIds(journal);
+				// Undo entries are not undone themselves; the changes before them are
+				const targets = journal
+					.filter((entry) => !entry.undoes && !undone.has(entry.id))
+					.reverse()
+					.slice(0, steps);
+				if (targets.length === 0) {
+					throw new Error(`Nothing to undo in tag ${tag}`);
+				}
+
+				const data = readJSON(tasksPath, projectRoot, tag);
+				if (!data) {
+					throw new Error(`No valid tasks found in ${tasksPath}`);
+				}
+				data.tasks = data.tasks || [];
+
+				for (const entry of targets) {
+					revertEntry(data.tasks, entry);
+				}
+
+				runWithChangeContext({ undoes: targets.map((entry) => entry.id) }, () =>
+					writeJSON(tasksPath, data, projectRoot, tag)
+				);
+				return targets;
+			},
+			{ operation: 'undo' }
+		);
+
+		const result = {
+			tag,
+			undone: undoneEntries.map((entry) => ({
+				id: entry.id,
+				timestamp: entry.timestamp,
+				source: entry.source,
+				command: entry.command,
+				changes: entry.changes.map(describeChange)
+			}))
+		};
+
+		logFn.info(`Undid ${result.undone.length} change(s) in tag ${tag}`);
+
+		if (outputFormat === 'text') {
+			displayUndoResult(result);
+		}
+
+		return result;
+	} catch (error) {
+		logFn.error(`Error undoing changes: ${error.message}`);
+		throw error;
+	}
+}
+
+/**
+ * Restore the task versions a journal entry replaced
+ * @param {Array<Object>} tasks - Current tasks of the tag, updated in place
+ * @param {Object} entry - Journal entry to revert
+ * @throws {UndoConflictError} When a task no longer matches what the entry wrote
+ */
+function revertEntry(tasks, entry) {
+	const indexOf = (taskId) =>
+		tasks.findIndex((task) => String(task.id) === String(taskId));
+
+	const conflicts = entry.changes
+		.filter((change) => {
+			const index = indexOf(change.taskId);
+			const current = index === -1 ? null : tasks[index];
+			return JSON.stringify(current) !== JSON.stringify(change.after);
+		})
+		.map((change) => change.taskId);
+	if (conflicts.length > 0) {
+		throw new UndoConflictError(
+			`Cannot undo ${entry.command || 'change'} ${entry.id}: task(s) ${conflicts.join(', ')} changed since without being recorded`,
+			{ entryId: entry.id, taskIds: conflicts }
+		);
+	}
+
+	// Removals first so moved tasks can take back their IDs
+	const ordered = [...entry.changes].sort(
+		(a, b) => Number(Boolean(b.after)) - Number(Boolean(a.after))
+	);
+	for (const { taskId, before, beforeIndex } of ordered) {
+		const index = indexOf(taskId);
+		if (index !== -1) {
+			if (before) {
+				tasks[index] = before;
+			} else {
+				tasks.splice(index, 1);
+			}
+		} else if (before) {
+			tasks.splice(
+				Math.min(beforeIndex ?? tasks.length, tasks.length),
+				0,
+				before
+			);
+		}
+	}
+}
+
+/**
+ * Print history entries as a table
+ * @param {string} tag - Tag shown
+ * @param {string} [id] - Task filter
+ * @param {Array<Object>} entries - Entries to print, newest first
+ */
+function displayTaskHistory(tag, id, entries) {
+	console.log(
+		boxen(
+			chalk.white.bold(
+				`Task history for tag ${tag}${id ? `, task ${id}` : ''}`
+			),
+			{
+				padding: { top: 0, bottom: 0, left: 1, right: 1 },
+				borderColor: 'blue',
+				borderStyle: 'round',
+				margin: { top: 1, bottom: 1 }
+			}
+		)
+	);
+
+	if (entries.length === 0) {
+		console.log(chalk.yellow('No recorded changes.'));
+		return;
+	}
+
+	const table = new Table({
+		head: [
+			chalk.cyan.bold('Change'),
+			chalk.cyan.bold('When'),
+			chalk.cyan.bold('By'),
+			chalk.cyan.bold('Changes')
+		],
+		colWidths: [18, 25, 22, 58],
+		wordWrap: true
+	});
+
+	for (const entry of entries) {
+		const label = entry.undone ? chalk.dim(`${entry.id} (undone)`) : entry.id;
+		table.push([
+			label,
+			new Date(entry.timestamp).toLocaleString(),
+			`${entry.source}: ${entry.command || 'unknown'}`,
+			entry.changes.map((change) => truncate(change.summary, 56)).join('\n')
+		]);
+	}
+
+	console.log(table.toString());
+	console.log(
+		chalk.dim(
+			`Run ${chalk.cyan('task-master undo [n]')} to undo the latest n changes`
+		)
+	);
+}
+
+/**
+ * Print the entries an undo reverted
+ * @param {Object} result - Undo result
+ */
+function displayUndoResult({ tag, undone }) {
+	const lines = undone.flatMap((entry) => [
+		chalk.white.bold(
+			`${entry.command || 'change'} (${entry.source}, ${new Date(entry.timestamp).toLocaleString()})`
+		),
+		...entry.changes.map((change) => `  ${change}`)
+	]);
+
+	console.log(
+		boxen(
+			[
+				chalk.green.bold(`Undid ${undone.length} change(s) in tag ${tag}`),
+				'',
+				...lines
+			].join('\n'),
+			{
+				padding: 1,
+				borderColor: 'green',
+				borderStyle: 'round',
+				margin: { top: 1, bottom: 1 }
+			}
+		)
+	);
+}
+
+function createLogFn(mcpLog) {
+	return (
+		mcpLog || {
+			info: (...args) => log('info', ...args),
+			warn: (...args) => log('warn', ...args),
+			error: (...args) => log('error', ...args),
+			debug: (...args) => log('debug', ...args),
+			success: (...args) => log('success', ...args)
+		}
+	);
+}
+
+export { getTaskHistory, undoChanges };
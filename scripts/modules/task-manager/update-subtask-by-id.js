@@ -25,6 +25,7 @@ import { getDebugFlag } from '../config-manager.js';
 import generateTaskFiles from './generate-task-files.js';
 import { ContextGatherer } from '../utils/contextGatherer.js';
 import { FuzzyTaskSearch } from '../utils/fuzzyTaskSearch.js';
+import { emitTaskEvent, diffTaskFields, EVENT_TYPES } from '../events/index.js';
 
 /**
  * Update a subtask by appending additional timestamped information using the unified AI service.
@@ -36,6 +37,7 @@ import { FuzzyTaskSearch } from '../utils/fuzzyTaskSearch.js';
  * @param {Object} [context.session] - Session object from MCP server.
  * @param {Object} [context.mcpLog] - MCP logger object.
  * @param {string} [context.projectRoot] - Project root path (needed for AI service key resolution).
+ * @param {boolean} [context.noCache] - Bypass the AI response cache.
  * @param {string} [outputFormat='text'] - Output format ('text' or 'json'). Automatically 'json' if mcpLog is present.
  * @returns {Promise<Object|null>} - The updated subtask or null if update failed.
  */
@@ -47,7 +49,13 @@ async function updateSubtaskById(
 	context = {},
 	outputFormat = context.mcpLog ? 'json' : 'text'
 ) {
-	const { session, mcpLog, projectRoot: providedProjectRoot, tag } = context;
+	const {
+		session,
+		mcpLog,
+		projectRoot: providedProjectRoot,
+		tag,
+		noCache
+	} = context;
 	const logFn = mcpLog || consoleLog;
 	const isMCP = !!mcpLog;
 
@@ -137,6 +145,7 @@ async function updateSubtaskById(
 		}
 
 		const subtask = parentTask.subtasks[subtaskIndex];
+		const originalSubtask = { ...subtask };
 
 		// --- Context Gathering ---
 		let gatheredContext = '';
@@ -158,9 +167,13 @@ async function updateSubtaskById(
 			if (finalTaskIds.length > 0) {
 				const contextResult = await contextGatherer.gather({
 					tasks: finalTaskIds,
-					format: 'research'
+					format: 'research',
+					role: useResearch ? 'research' : 'main'
 				});
-				gatheredContext = contextResult;
+				gatheredContext = contextResult.context;
+				if (contextResult.packingSummary) {
+					report('info', contextResult.packingSummary);
+				}
 			}
 		} catch (contextError) {
 			report('warn', `Could not gather context: ${contextError.message}`);
@@ -259,7 +272,9 @@ Output Requirements:
 				projectRoot,
 				maxRetries: 2,
 				commandName: 'update-subtask',
-				outputType: isMCP ? 'mcp' : 'cli'
+				tag,
+				outputType: isMCP ? 'mcp' : 'cli',
+				noCache
 			});
 
 			if (
@@ -316,6 +331,30 @@ Output Requirements:
 		writeJSON(tasksPath, data, projectRoot, currentTag);
 
 		report('success', `Successfully updated subtask ${subtaskId}`);
+
+		const { changes, oldValues } = diffTaskFields(
+			originalSubtask,
+			updatedSubtask
+		);
+		if (Object.keys(changes).length > 0) {
+			await emitTaskEvent(
+				EVENT_TYPES.SUBTASK_UPDATED,
+				{
+					parentTaskId: String(parentTask.id),
+					subtaskId: `${parentTask.id}.${updatedSubtask.id}`,
+					subtask: updatedSubtask,
+					parentTask,
+					changes,
+					oldValues,
+					tag: currentTag
+				},
+				{
+					...context,
+					projectRoot,
+					commandName: context.commandName || 'update-subtask'
+				}
+			);
+		}
 		// await generateTaskFiles(tasksPath, path.dirname(tasksPath));
 
 		if (outputFormat === 'text') {
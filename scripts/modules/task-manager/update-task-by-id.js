@@ -27,6 +27,7 @@ import { generateTextService } from '../ai-services-unified.js';
 import { getDebugFlag, isApiKeySet } from '../config-manager.js';
 import { ContextGatherer } from '../utils/contextGatherer.js';
 import { FuzzyTaskSearch } from '../utils/fuzzyTaskSearch.js';
+import { emitTaskEvent, diffTaskFields, EVENT_TYPES } from '../events/index.js';
 
 // Zod schema for post-parsing validation of the updated task object
 const updatedTaskSchema = z
@@ -207,6 +208,7 @@ function parseUpdatedTaskFromText(text, expectedTaskId, logFn, isMCP) {
  * @param {Object} [context.session] - Session object from MCP server.
  * @param {Object} [context.mcpLog] - MCP logger object.
  * @param {string} [context.projectRoot] - Project root path.
+ * @param {boolean} [context.noCache] - Bypass the AI response cache.
  * @param {string} [outputFormat='text'] - Output format ('text' or 'json').
  * @param {boolean} [appendMode=false] - If true, append to details instead of full update.
  * @returns {Promise<Object|null>} - The updated task or null if update failed.
@@ -220,7 +222,13 @@ async function updateTaskById(
 	outputFormat = 'text',
 	appendMode = false
 ) {
-	const { session, mcpLog, projectRoot: providedProjectRoot, tag } = context;
+	const {
+		session,
+		mcpLog,
+		projectRoot: providedProjectRoot,
+		tag,
+		noCache
+	} = context;
 	const logFn = mcpLog || consoleLog;
 	const isMCP = !!mcpLog;
 
@@ -275,6 +283,7 @@ async function updateTaskById(
 		const taskIndex = data.tasks.findIndex((task) => task.id === taskId);
 		if (taskIndex === -1) throw new Error(`Task with ID ${taskId} not found.`);
 		const taskToUpdate = data.tasks[taskIndex];
+		const originalTask = JSON.parse(JSON.stringify(taskToUpdate));
 		if (taskToUpdate.status === 'done' || taskToUpdate.status === 'completed') {
 			report(
 				'warn',
@@ -323,12 +332,15 @@ async function updateTaskById(
 				...new Set([taskId.toString(), ...relevantTaskIds])
 			];
 
-			if (finalTaskIds.length > 0) {
-				const contextResult = await contextGatherer.gather({
-					tasks: finalTaskIds,
-					format: 'research'
-				});
-				gatheredContext = contextResult;
+			const contextResult = await contextGatherer.gather({
+				tasks: finalTaskIds,
+				codeQuery: searchQuery,
+				format: 'research',
+				role: useResearch ? 'research' : 'main'
+			});
+			gatheredContext = contextResult.context;
+			if (contextResult.packingSummary) {
+				report('info', contextResult.packingSummary);
 			}
 		} catch (contextError) {
 			report('warn', `Could not gather context: ${contextError.message}`);
@@ -473,7 +485,9 @@ The changes described in the prompt should be thoughtfully applied to make the t
 				systemPrompt: systemPrompt,
 				prompt: userPrompt,
 				commandName: 'update-task',
-				outputType: isMCP ? 'mcp' : 'cli'
+				tag,
+				outputType: isMCP ? 'mcp' : 'cli',
+				noCache
 			});
 
 			if (loadingIndicator)
@@ -513,6 +527,11 @@ The changes described in the prompt should be thoughtfully applied to make the t
 				writeJSON(tasksPath, data, projectRoot, currentTag);
 				report('success', `Successfully appended to task ${taskId}`);
 
+				await emitTaskUpdated(originalTask, taskToUpdate, currentTag, {
+					...context,
+					projectRoot
+				});
+
 				// Display success message for CLI
 				if (outputFormat === 'text') {
 					console.log(
@@ -617,6 +636,10 @@ The changes described in the prompt should be thoughtfully applied to make the t
 					});
 				}
 			}
+			// Preserve integration links the AI does not know about
+			if (taskToUpdate.integrations && !updatedTask.integrations) {
+				updatedTask.integrations = taskToUpdate.integrations;
+			}
 			// --- End Task Validation/Correction ---
 
 			// --- Update Task Data (Keep existing) ---
@@ -626,6 +649,11 @@ The changes described in the prompt should be thoughtfully applied to make the t
 			// --- Write File and Generate (Unchanged) ---
 			writeJSON(tasksPath, data, projectRoot, currentTag);
 			report('success', `Successfully updated task ${taskId}`);
+
+			await emitTaskUpdated(originalTask, updatedTask, currentTag, {
+				...context,
+				projectRoot
+			});
 			// await generateTaskFiles(tasksPath, path.dirname(tasksPath));
 			// --- End Write File ---
 
@@ -666,4 +694,30 @@ The changes described in the prompt should be thoughtfully applied to make the t
 	}
 }
 
+/**
+ * Emit TASK_UPDATED for the fields that changed between two task snapshots
+ * @param {Object} originalTask - Task before the update
+ * @param {Object} updatedTask - Task after the update
+ * @param {string} tag - Tag the task belongs to
+ * @param {Object} context - Core function context
+ */
+async function emitTaskUpdated(originalTask, updatedTask, tag, context) {
+	const { changes, oldValues } = diffTaskFields(originalTask, updatedTask);
+	if (Object.keys(changes).length === 0) {
+		return;
+	}
+
+	await emitTaskEvent(
+		EVENT_TYPES.TASK_UPDATED,
+		{
+			taskId: String(updatedTask.id),
+			task: updatedTask,
+			changes,
+			oldValues,
+			tag
+		},
+		{ ...context, commandName: context.commandName || 'update-task' }
+	);
+}
+
 export default updateTaskById;
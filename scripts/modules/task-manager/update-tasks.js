@@ -221,6 +221,7 @@ function parseUpdatedTasksFromText(text, expectedCount, logFn, isMCP) {
  * @param {Object} context - Context object containing session and mcpLog.
  * @param {Object} [context.session] - Session object from MCP server.
  * @param {Object} [context.mcpLog] - MCP logger object.
+ * @param {boolean} [context.noCache] - Bypass the AI response cache.
  * @param {string} [outputFormat='text'] - Output format ('text' or 'json').
  */
 async function updateTasks(
@@ -231,7 +232,12 @@ async function updateTasks(
 	context = {},
 	outputFormat = 'text' // Default to text for CLI
 ) {
-	const { session, mcpLog, projectRoot: providedProjectRoot } = context;
+	const {
+		session,
+		mcpLog,
+		projectRoot: providedProjectRoot,
+		noCache
+	} = context;
 	// Use mcpLog if available, otherwise use the imported consoleLog function
 	const logFn = mcpLog || consoleLog;
 	// Flag to easily check which logger type we have
@@ -292,9 +298,14 @@ async function updateTasks(
 			if (finalTaskIds.length > 0) {
 				const contextResult = await contextGatherer.gather({
 					tasks: finalTaskIds,
-					format: 'research'
+					format: 'research',
+					role: useResearch ? 'research' : 'main'
 				});
-				gatheredContext = contextResult; // contextResult is a string
+				gatheredContext = contextResult.context;
+				if (contextResult.packingSummary) {
+					if (isMCP) logFn.info(contextResult.packingSummary);
+					else logFn('info', contextResult.packingSummary);
+				}
 			}
 		} catch (contextError) {
 			logFn(
@@ -414,7 +425,8 @@ The changes described in the prompt should be applied to ALL tasks in the list.`
 				systemPrompt: systemPrompt,
 				prompt: userPrompt,
 				commandName: 'update-tasks',
-				outputType: isMCP ? 'mcp' : 'cli'
+				outputType: isMCP ? 'mcp' : 'cli',
+				noCache
 			});
 
 			if (loadingIndicator)
@@ -0,0 +1,174 @@
+import chalk from 'chalk';
+import boxen from 'boxen';
+import Table from 'cli-table3';
+
+import { log } from '../utils.js';
+import {
+	USAGE_DIMENSIONS,
+	getBudgetStatus,
+	getPeriodStart,
+	readUsage,
+	summarizeUsage
+} from '../ai-usage-ledger.js';
+
+/**
+ * Report AI usage recorded in the project's usage ledger
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} options - Options object
+ * @param {string} [options.period='month'] - Reporting period: day, month or all
+ * @param {string} [options.since] - Only include calls since this date (overrides period)
+ * @param {string} [options.tag] - Only include calls made for this tag
+ * @param {string} [options.by] - Only show the breakdown for this dimension (command, role, provider, model or tag)
+ * @param {Object} context - Context object
+ * @param {Object} [context.mcpLog] - MCP logger object (optional)
+ * @param {string} outputFormat - Output format (text or json)
+ * @returns {Promise<Object>} Result object with totals, breakdowns and budget status
+ */
+async function reportAiUsage(
+	projectRoot,
+	options = {},
+	context = {},
+	outputFormat = 'text'
+) {
+	const logFn = createLogFn(context.mcpLog);
+	const { period = 'month', tag, by } = options;
+
+	try {
+		if (by && !USAGE_DIMENSIONS[by]) {
+			throw new Error(
+				`Invalid breakdown "${by}". Use one of: ${Object.keys(USAGE_DIMENSIONS).join(', ')}`
+			);
+		}
+
+		let since = getPeriodStart(period);
+		if (options.since) {
+			since = new Date(options.since);
+			if (Number.isNaN(since.getTime())) {
+				throw new Error(`Invalid date for since: ${options.since}`);
+			}
+		}
+
+		const entries = readUsage(projectRoot, { since, tag });
+		const { totals, breakdown } = summarizeUsage(entries);
+		const budget = getBudgetStatus(projectRoot);
+		const dimensions = by ? [by] : Object.keys(USAGE_DIMENSIONS);
+
+		logFn.debug(`Found ${entries.length} AI calls in the usage ledger`);
+
+		if (outputFormat === 'text') {
+			displayUsageReport({
+				since,
+				tag,
+				totals,
+				breakdown,
+				budget,
+				dimensions
+			});
+		}
+
+		return {
+			since: since ? since.toISOString() : null,
+			tag: tag || null,
+			totals,
+			breakdown: Object.fromEntries(
+				dimensions.map((dimension) => [dimension, breakdown[dimension]])
+			),
+			budget
+		};
+	} catch (error) {
+		logFn.error(`Error reporting AI usage: ${error.message}`);
+		throw error;
+	}
+}
+
+/**
+ * Print the usage totals, budget status and per-dimension tables
+ * @param {Object} report - Report data
+ */
+function displayUsageReport({
+	since,
+	tag,
+	totals,
+	breakdown,
+	budget,
+	dimensions
+}) {
+	const scope = [
+		since ? `since ${since.toLocaleString()}` : 'all time',
+		tag ? `tag ${tag}` : null
+	]
+		.filter(Boolean)
+		.join(', ');
+
+	const budgetLines = [
+		['Daily', budget.daily],
+		['Monthly', budget.monthly]
+	]
+		.filter(([, status]) => status)
+		.map(([label, { limit, spent }]) => {
+			const color = spent >= limit ? chalk.red : chalk.green;
+			return `${label} budget: ${color(`$${spent.toFixed(2)} / $${limit.toFixed(2)}`)}`;
+		});
+
+	console.log(
+		boxen(
+			[
+				chalk.white.bold(`AI Usage (${scope})`),
+				'',
+				`Calls: ${totals.calls}`,
+				`Tokens: ${totals.totalTokens.toLocaleString()} (${totals.inputTokens.toLocaleString()} in, ${totals.outputTokens.toLocaleString()} out)`,
+				`Cost: ${chalk.yellow(`$${totals.totalCost.toFixed(4)}`)}`,
+				...(budgetLines.length > 0 ? ['', ...budgetLines] : [])
+			].join('\n'),
+			{
+				padding: 1,
+				borderColor: 'blue',
+				borderStyle: 'round',
+				margin: { top: 1, bottom: 1 }
+			}
+		)
+	);
+
+	if (totals.calls === 0) {
+		return;
+	}
+
+	for (const dimension of dimensions) {
+		const table = new Table({
+			head: [
+				chalk.cyan.bold(dimension[0].toUpperCase() + dimension.slice(1)),
+				chalk.cyan.bold('Calls'),
+				chalk.cyan.bold('Input'),
+				chalk.cyan.bold('Output'),
+				chalk.cyan.bold('Cost')
+			],
+			colWidths: [30, 8, 12, 12, 12]
+		});
+
+		for (const row of breakdown[dimension]) {
+			table.push([
+				row.key,
+				row.calls.toString(),
+				row.inputTokens.toLocaleString(),
+				row.outputTokens.toLocaleString(),
+				`$${row.totalCost.toFixed(4)}`
+			]);
+		}
+
+		console.log(table.toString());
+	}
+}
+
+function createLogFn(mcpLog) {
+	return (
+		mcpLog || {
+			info: (...args) => log('info', ...args),
+			warn: (...args) => log('warn', ...args),
+			error: (...args) => log('error', ...args),
+			debug: (...args) => log('debug', ...args),
+			success: (...args) => log('success', ...args)
+		}
+	);
+}
+
+export { reportAiUsage };
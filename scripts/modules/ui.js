@@ -540,6 +540,11 @@ function displayHelp() {
 					name: 'models --set-fallback',
 					args: '<model_id>',
 					desc: 'Set the fallback model (optional)'
+				},
+				{
+					name: 'merge-driver --install',
+					args: '',
+					desc: 'Merge task files by task ID when merging git branches'
 				}
 			]
 		},
@@ -602,6 +607,16 @@ function displayHelp() {
 					name: 'remove-task',
 					args: '--id=<id> [-y]',
 					desc: 'Permanently remove a task or subtask'
+				},
+				{
+					name: 'history',
+					args: '[--id=<id>] [--limit=20]',
+					desc: 'Show recorded task changes with their source and command'
+				},
+				{
+					name: 'undo',
+					args: '[n]',
+					desc: 'Undo the last n recorded task changes in the current tag'
 				}
 			]
 		},
@@ -742,6 +757,11 @@ function displayHelp() {
 					name: 'fix-dependencies',
 					args: '',
 					desc: 'Fix invalid dependencies automatically'
+				},
+				{
+					name: 'graph',
+					args: '[--format=mermaid|dot|json] [--id=<id>] [--status=<s>]',
+					desc: 'Export the dependency graph, highlighting cycles'
 				}
 			]
 		}
@@ -2221,7 +2241,9 @@ function displayAiUsageSummary(telemetryData, outputType = 'cli') {
 		outputTokens,
 		totalTokens,
 		totalCost,
-		commandName
+		commandName,
+		cacheHit,
+		cacheHits
 	} = telemetryData;
 
 	let summary = chalk.bold.blue('AI Usage Summary:') + '\n';
@@ -2232,6 +2254,11 @@ function displayAiUsageSummary(telemetryData, outputType = 'cli') {
 		`  Tokens: ${totalTokens} (Input: ${inputTokens}, Output: ${outputTokens})\n`
 	);
 	summary += chalk.gray(`  Est. Cost: $${totalCost.toFixed(6)}`);
+	if (cacheHit) {
+		summary += chalk.gray('\n  Cache: hit (response reused, no tokens used)');
+	} else if (cacheHits > 0) {
+		summary += chalk.gray(`\n  Cache: ${cacheHits} response(s) reused`);
+	}
 
 	console.log(
 		boxen(summary, {
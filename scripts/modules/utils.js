@@ -5,11 +5,15 @@
 
 import fs from 'fs';
 import path from 'path';
+import { createHash } from 'crypto';
 import chalk from 'chalk';
 import dotenv from 'dotenv';
 // Import specific config getters needed here
 import { getLogLevel, getDebugFlag } from './config-manager.js';
 import * as gitUtils from './utils/git-utils.js';
+import { StorageError, withFileLockSync } from './utils/fileStorage.js';
+import { recordTaskChanges } from './utils/changeJournal.js';
+import { readTaskFile, writeTaskFile } from './utils/taskStorage.js';
 import {
 	COMPLEXITY_REPORT_FILE,
 	LEGACY_COMPLEXITY_REPORT_FILE,
@@ -18,6 +22,8 @@ import {
 
 // Global silent mode flag
 let silentMode = false;
+// Background operations that keep silent mode on until they end
+let silentModeHolds = 0;
 
 // --- Environment Variable Resolution Utility ---
 /**
@@ -190,12 +196,29 @@ function disableSilentMode() {
 	silentMode = false;
 }
 
+/**
+ * Keep silent mode on until the matching releaseSilentMode, whatever
+ * enableSilentMode and disableSilentMode calls happen in the meantime. Used
+ * by background MCP operations, which run next to other tool calls that
+ * switch silent mode off when they finish.
+ */
+function holdSilentMode() {
+	silentModeHolds++;
+}
+
+/**
+ * Release a hold taken with holdSilentMode
+ */
+function releaseSilentMode() {
+	silentModeHolds = Math.max(0, silentModeHolds - 1);
+}
+
 /**
  * Check if silent mode is enabled
- * @returns {boolean} True if silent mode is enabled
+ * @returns {boolean} True if silent mode is enabled or held
  */
 function isSilentMode() {
-	return silentMode;
+	return silentMode || silentModeHolds > 0;
 }
 
 /**
@@ -300,7 +323,7 @@ function readJSON(filepath, projectRoot = null, tag = null) {
 
 	let data;
 	try {
-		data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+		data = readTaskFile(filepath);
 		if (isDebug) {
 			console.log(`Successfully read JSON from ${filepath}`);
 		}
@@ -408,6 +431,7 @@ function readJSON(filepath, projectRoot = null, tag = null) {
 
 		// Store reference to the raw tagged data for functions that need it
 		const originalTaggedData = JSON.parse(JSON.stringify(data));
+		registerTaggedSnapshot(originalTaggedData);
 
 		// Check and auto-switch git tags if enabled (for existing tagged format)
 		// This needs to run synchronously BEFORE tag resolution
@@ -652,109 +676,344 @@ function markMigrationForNotice(tasksJsonPath) {
 	}
 }
 
+// Fingerprints of each tag as it was read, keyed by the raw tagged data
+// handed out by readJSON and by each of its tag objects. writeJSON uses them to
+// write back only the tags a caller changed.
+const taggedReadSnapshots = new WeakMap();
+
+/**
+ * Hash a JSON value
+ * @param {*} value - Value to hash
+ * @returns {string} SHA-1 of its JSON form
+ */
+function fingerprint(value) {
+	return createHash('sha1')
+		.update(JSON.stringify(value ?? null))
+		.digest('hex');
+}
+
+/**
+ * Whether a value is a tag entry ({ tasks: [...], metadata })
+ * @param {*} value - Value to check
+ * @returns {boolean} True for tag objects
+ */
+function isTagObject(value) {
+	return Boolean(
+		value && typeof value === 'object' && Array.isArray(value.tasks)
+	);
+}
+
+/**
+ * Remember how every tag of freshly read tasks data looked, so a later
+ * writeJSON can tell which tags the caller changed and whether another
+ * process changed them in the meantime
+ * @param {Object} taggedData - Raw tagged data returned as _rawTaggedData
+ */
+function registerTaggedSnapshot(taggedData) {
+	const snapshot = { tags: new Map() };
+	for (const [tagName, tagData] of Object.entries(taggedData)) {
+		if (isTagObject(tagData)) {
+			snapshot.tags.set(tagName, {
+				view: fingerprint(tagData),
+				tasks: fingerprint(tagData.tasks)
+			});
+			taggedReadSnapshots.set(tagData, snapshot);
+		}
+	}
+	taggedReadSnapshots.set(taggedData, snapshot);
+}
+
+/**
+ * Find the read snapshot that data about to be written was derived from
+ * @param {Object} data - Data passed to writeJSON
+ * @returns {Object|undefined} Snapshot, if the data came from readJSON
+ */
+function findTaggedSnapshot(data) {
+	if (!data || typeof data !== 'object') {
+		return undefined;
+	}
+	if (data._rawTaggedData && taggedReadSnapshots.has(data._rawTaggedData)) {
+		return taggedReadSnapshots.get(data._rawTaggedData);
+	}
+	if (taggedReadSnapshots.has(data)) {
+		return taggedReadSnapshots.get(data);
+	}
+	return Object.values(data)
+		.filter(isTagObject)
+		.map((tagData) => taggedReadSnapshots.get(tagData))
+		.find(Boolean);
+}
+
+/**
+ * Find the tags a writer changed since it read them: tags that differ from
+ * the read snapshot or are new, and tags that were read but are no longer
+ * there (deleted or renamed)
+ * @param {Object} incoming - Tagged data being written
+ * @param {Object} snapshot - Read snapshot of the writer
+ * @returns {Array<string>} Changed tag names
+ */
+function findChangedTags(incoming, snapshot) {
+	const changedTags = Object.entries(incoming)
+		.filter(([tagName, tagData]) => {
+			if (!isTagObject(tagData)) {
+				return false;
+			}
+			const base = snapshot.tags.get(tagName);
+			return !base || fingerprint(tagData) !== base.view;
+		})
+		.map(([tagName]) => tagName);
+	for (const tagName of snapshot.tags.keys()) {
+		if (!(tagName in incoming)) {
+			changedTags.push(tagName);
+		}
+	}
+	return changedTags;
+}
+
+/**
+ * Apply the tags a writer changed on top of the tasks file as it is now.
+ * Tags the writer did not touch keep their current content, so writers
+ * working on different tags do not overwrite each other. A tag that both this
+ * writer and another process changed since it was read is a conflict.
+ * @param {Object} current - Tagged data currently on disk; only the changed tags are needed
+ * @param {Object} incoming - Tagged data being written
+ * @param {Object} snapshot - Read snapshot of the writer
+ * @param {Array<string>} changedTags - Tags the writer changed, from findChangedTags
+ * @param {string} filepath - Tasks file, for the error message
+ * @returns {Object} Data to write
+ * @throws {StorageError} CONFLICT when a changed tag was also changed by someone else
+ */
+function mergeTaggedWrite(current, incoming, snapshot, changedTags, filepath) {
+	const merged = { ...current };
+	const conflicts = [];
+
+	for (const [key, value] of Object.entries(incoming)) {
+		if (!isTagObject(value)) {
+			merged[key] = value;
+		}
+	}
+
+	for (const tagName of changedTags) {
+		const tagData = incoming[tagName];
+		const base = snapshot.tags.get(tagName);
+		const theirs = current[tagName];
+
+		// Tags that were read but are no longer there were deleted (or renamed)
+		if (!isTagObject(tagData)) {
+			if (isTagObject(theirs) && fingerprint(theirs.tasks) !== base.tasks) {
+				conflicts.push(tagName);
+			}
+			delete merged[tagName];
+			continue;
+		}
+
+		const theirsChanged = base
+			? fingerprint(theirs?.tasks) !== base.tasks
+			: theirs !== undefined;
+		if (
+			theirsChanged &&
+			isTagObject(theirs) &&
+			fingerprint(theirs.tasks) !== fingerprint(tagData.tasks)
+		) {
+			conflicts.push(tagName);
+		}
+
+		merged[tagName] = tagData;
+	}
+
+	if (conflicts.length > 0) {
+		throw new StorageError(
+			`Tag(s) ${conflicts.join(', ')} in ${filepath} were changed by another process after they were read. Run the command again to apply it to the latest tasks.`,
+			'CONFLICT',
+			{ filePath: filepath, tags: conflicts }
+		);
+	}
+
+	return merged;
+}
+
+/**
+ * Read the tagged tasks data currently on disk
+ * @param {string} filepath - Tasks file
+ * @param {Array<string>} [tags] - Only the tags needed (see readTaskFile)
+ * @returns {Object|null} Parsed data, or null if missing or unreadable
+ */
+function readCurrentTaggedData(filepath, tags) {
+	try {
+		const current = readTaskFile(filepath, tags);
+		return current && typeof current === 'object' && !Array.isArray(current)
+			? current
+			: null;
+	} catch (error) {
+		return null;
+	}
+}
+
 /**
  * Writes and saves a JSON file. Handles tagged task lists properly.
+ *
+ * The write happens under the file's lock and goes through the tasks file's
+ * storage backend (see taskStorage.js), which replaces files atomically.
+ * Data that came from readJSON is merged tag by tag into the file's current
+ * content: only the tags the caller changed are written, and a tag that
+ * another process changed since it was read raises a CONFLICT StorageError
+ * instead of being overwritten. The task changes written are appended to the
+ * tag's change journal for `history` and `undo`.
  * @param {string} filepath - Path to the JSON file
  * @param {Object} data - Data to write (can be resolved tag data or raw tagged data)
  * @param {string} projectRoot - Optional project root for tag context
  * @param {string} tag - Optional tag for tag context
+ * @throws {StorageError} When the file cannot be locked, merged or written
  */
 function writeJSON(filepath, data, projectRoot = null, tag = null) {
 	const isDebug = process.env.TASKMASTER_DEBUG === 'true';
 
 	try {
-		let finalData = data;
+		withFileLockSync(
+			filepath,
+			() => {
+				let finalData = data;
+
+				// If data represents resolved tag data but lost _rawTaggedData (edge-case observed in MCP path)
+				if (
+					!data._rawTaggedData &&
+					projectRoot &&
+					Array.isArray(data.tasks) &&
+					!hasTaggedStructure(data)
+				) {
+					const resolvedTag = tag || getCurrentTag(projectRoot);
 
-		// If data represents resolved tag data but lost _rawTaggedData (edge-case observed in MCP path)
-		if (
-			!data._rawTaggedData &&
-			projectRoot &&
-			Array.isArray(data.tasks) &&
-			!hasTaggedStructure(data)
-		) {
-			const resolvedTag = tag || getCurrentTag(projectRoot);
-
-			if (isDebug) {
-				console.log(
-					`writeJSON: Detected resolved tag data missing _rawTaggedData. Re-reading raw data to prevent data loss for tag '${resolvedTag}'.`
-				);
-			}
+					if (isDebug) {
+						console.log(
+							`writeJSON: Detected resolved tag data missing _rawTaggedData. Re-reading raw data to prevent data loss for tag '${resolvedTag}'.`
+						);
+					}
 
-			// Re-read the full file to get the complete tagged structure
-			const rawFullData = JSON.parse(fs.readFileSync(filepath, 'utf8'));
-
-			// Merge the updated data into the full structure
-			finalData = {
-				...rawFullData,
-				[resolvedTag]: {
-					// Preserve existing tag metadata if it exists, otherwise use what's passed
-					...(rawFullData[resolvedTag]?.metadata || {}),
-					...(data.metadata ? { metadata: data.metadata } : {}),
-					tasks: data.tasks // The updated tasks array is the source of truth here
+					// Re-read the full file to get the complete tagged structure
+					const rawFullData = readTaskFile(filepath);
+
+					// Merge the updated data into the full structure
+					finalData = {
+						...rawFullData,
+						[resolvedTag]: {
+							// Preserve existing tag metadata if it exists, otherwise use what's passed
+							...(rawFullData[resolvedTag]?.metadata || {}),
+							...(data.metadata ? { metadata: data.metadata } : {}),
+							tasks: data.tasks // The updated tasks array is the source of truth here
+						}
+					};
 				}
-			};
-		}
-		// If we have _rawTaggedData, this means we're working with resolved tag data
-		// and need to merge it back into the full tagged structure
-		else if (data && data._rawTaggedData && projectRoot) {
-			const resolvedTag = tag || getCurrentTag(projectRoot);
-
-			// Get the original tagged data
-			const originalTaggedData = data._rawTaggedData;
-
-			// Create a clean copy of the current resolved data (without internal properties)
-			const { _rawTaggedData, tag: _, ...cleanResolvedData } = data;
-
-			// Update the specific tag with the resolved data
-			finalData = {
-				...originalTaggedData,
-				[resolvedTag]: cleanResolvedData
-			};
+				// If we have _rawTaggedData, this means we're working with resolved tag data
+				// and need to merge it back into the full tagged structure
+				else if (data && data._rawTaggedData && (projectRoot || data.tag)) {
+					// Without a project root, write back to the tag the data was read from
+					const resolvedTag =
+						tag || (projectRoot ? getCurrentTag(projectRoot) : data.tag);
+
+					// Get the original tagged data
+					const originalTaggedData = data._rawTaggedData;
+
+					// Create a clean copy of the current resolved data (without internal properties)
+					const { _rawTaggedData, tag: _, ...cleanResolvedData } = data;
+
+					// Update the specific tag with the resolved data
+					finalData = {
+						...originalTaggedData,
+						[resolvedTag]: cleanResolvedData
+					};
 
-			if (isDebug) {
-				console.log(
-					`writeJSON: Merging resolved data back into tag '${resolvedTag}'`
-				);
-			}
-		}
+					if (isDebug) {
+						console.log(
+							`writeJSON: Merging resolved data back into tag '${resolvedTag}'`
+						);
+					}
+				}
 
-		// Clean up any internal properties that shouldn't be persisted
-		let cleanData = finalData;
-		if (cleanData && typeof cleanData === 'object') {
-			// Remove any _rawTaggedData or tag properties from root level
-			const { _rawTaggedData, tag: tagProp, ...rootCleanData } = cleanData;
-			cleanData = rootCleanData;
-
-			// Additional cleanup for tag objects
-			if (typeof cleanData === 'object' && !Array.isArray(cleanData)) {
-				const finalCleanData = {};
-				for (const [key, value] of Object.entries(cleanData)) {
-					if (
-						value &&
-						typeof value === 'object' &&
-						Array.isArray(value.tasks)
-					) {
-						// This is a tag object - clean up any rogue root-level properties
-						const { created, description, ...cleanTagData } = value;
-
-						// Only keep the description if there's no metadata.description
-						if (
-							description &&
-							(!cleanTagData.metadata || !cleanTagData.metadata.description)
-						) {
-							cleanTagData.description = description;
+				// Clean up any internal properties that shouldn't be persisted
+				let cleanData = finalData;
+				if (cleanData && typeof cleanData === 'object') {
+					// Remove any _rawTaggedData or tag properties from root level
+					const { _rawTaggedData, tag: tagProp, ...rootCleanData } = cleanData;
+					cleanData = rootCleanData;
+
+					// Additional cleanup for tag objects
+					if (typeof cleanData === 'object' && !Array.isArray(cleanData)) {
+						const finalCleanData = {};
+						for (const [key, value] of Object.entries(cleanData)) {
+							if (
+								value &&
+								typeof value === 'object' &&
+								Array.isArray(value.tasks)
+							) {
+								// This is a tag object - clean up any rogue root-level properties
+								const { created, description, ...cleanTagData } = value;
+
+								// Only keep the description if there's no metadata.description
+								if (
+									description &&
+									(!cleanTagData.metadata || !cleanTagData.metadata.description)
+								) {
+									cleanTagData.description = description;
+								}
+
+								finalCleanData[key] = cleanTagData;
+							} else {
+								finalCleanData[key] = value;
+							}
 						}
+						cleanData = finalCleanData;
+					}
+				}
 
-						finalCleanData[key] = cleanTagData;
-					} else {
-						finalCleanData[key] = value;
+				const snapshot = hasTaggedStructure(cleanData)
+					? findTaggedSnapshot(data)
+					: undefined;
+				// A merge only needs the tags the writer changed, so backends that
+				// store tags separately load and rewrite just those
+				const changedTags = snapshot
+					? findChangedTags(cleanData, snapshot)
+					: undefined;
+				const current = readCurrentTaggedData(filepath, changedTags);
+				let written = cleanData;
+				if (snapshot && current) {
+					const merged = mergeTaggedWrite(
+						current,
+						cleanData,
+						snapshot,
+						changedTags,
+						filepath
+					);
+					written = merged;
+					writeTaskFile(filepath, merged, changedTags);
+
+					// Later writes of the same data compare against what was just written
+					for (const tagName of changedTags) {
+						if (isTagObject(merged[tagName])) {
+							snapshot.tags.set(tagName, {
+								view: fingerprint(merged[tagName]),
+								tasks: fingerprint(merged[tagName].tasks)
+							});
+						} else {
+							snapshot.tags.delete(tagName);
+						}
 					}
+				} else {
+					writeTaskFile(filepath, cleanData);
 				}
-				cleanData = finalCleanData;
-			}
-		}
 
-		fs.writeFileSync(filepath, JSON.stringify(cleanData, null, 2), 'utf8');
+				// Journal the change while still holding the lock, so entries are
+				// in the order the writes happened
+				try {
+					recordTaskChanges(filepath, projectRoot, current, written);
+				} catch (journalError) {
+					log(
+						'warn',
+						`Failed to record task history for ${filepath}: ${journalError.message}`
+					);
+				}
+			},
+			{ operation: 'writeJSON' }
+		);
 
 		if (isDebug) {
 			console.log(`writeJSON: Successfully wrote to ${filepath}`);
@@ -764,6 +1023,7 @@ function writeJSON(filepath, data, projectRoot = null, tag = null) {
 		if (isDebug) {
 			log('error', 'Full error details:', error);
 		}
+		throw error;
 	}
 }
 
@@ -1145,7 +1405,8 @@ function aggregateTelemetry(telemetryArray, overallCommandName) {
 		outputTokens: 0,
 		totalTokens: 0,
 		totalCost: 0,
-		currency: telemetryArray[0].currency || 'USD' // Assume consistent currency or default
+		currency: telemetryArray[0].currency || 'USD', // Assume consistent currency or default
+		cacheHits: 0
 	};
 
 	const uniqueModels = new Set();
@@ -1156,6 +1417,7 @@ function aggregateTelemetry(telemetryArray, overallCommandName) {
 		aggregated.inputTokens += item.inputTokens || 0;
 		aggregated.outputTokens += item.outputTokens || 0;
 		aggregated.totalCost += item.totalCost || 0;
+		if (item.cacheHit) aggregated.cacheHits++;
 		uniqueModels.add(item.modelUsed);
 		uniqueProviders.add(item.providerName);
 		uniqueCurrencies.add(item.currency || 'USD');
@@ -1385,6 +1647,8 @@ export {
 	enableSilentMode,
 	getTaskManager,
 	isSilentMode,
+	holdSilentMode,
+	releaseSilentMode,
 	addComplexityToTask,
 	resolveEnvVariable,
 	findProjectRoot,
@@ -0,0 +1,225 @@
+/**
+ * changeJournal.js
+ * Append-only journal of task changes, one JSONL file per tag in
+ * `.taskmaster/history/`. writeJSON records every change it writes, with the
+ * source (CLI or MCP) and command that made it, so that `history` can show
+ * what changed and `undo` can restore the previous version of each task.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomBytes } from 'crypto';
+import {
+	TASKMASTER_DIR,
+	TASKMASTER_HISTORY_DIR
+} from '../../../src/constants/paths.js';
+
+// Who is changing tasks. MCP tool calls run concurrently in one process, so
+// each call gets its own context; the CLI runs one command per process and
+// sets the default.
+const changeContextStorage = new AsyncLocalStorage();
+let defaultChangeContext = { source: 'api', command: null };
+
+/**
+ * Set the change context used outside of runWithChangeContext
+ * @param {Object} context - Context fields
+ * @param {string} [context.source] - 'cli', 'mcp' or 'api'
+ * @param {string} [context.command] - Command or tool making the changes
+ */
+export function setDefaultChangeContext(context) {
+	defaultChangeContext = { ...defaultChangeContext, ...context };
+}
+
+/**
+ * Get the change context of the current call
+ * @returns {{source: string, command: string|null, undoes?: Array<string>}} Change context
+ */
+export function getChangeContext() {
+	return changeContextStorage.getStore() || defaultChangeContext;
+}
+
+/**
+ * Run a function with extra change context; the changes it writes, including
+ * asynchronously, are recorded with that context
+ * @param {Object} context - Context fields, merged over the current context
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+export function runWithChangeContext(context, fn) {
+	return changeContextStorage.run({ ...getChangeContext(), ...context }, fn);
+}
+
+/**
+ * Path of a tag's journal
+ * @param {string} projectRoot - Project root directory
+ * @param {string} tag - Tag name
+ * @returns {string} Journal file path
+ */
+export function getJournalPath(projectRoot, tag) {
+	return path.join(projectRoot, TASKMASTER_HISTORY_DIR, `${tag}.jsonl`);
+}
+
+/**
+ * Find the project that owns a tasks file: the given root, or the closest
+ * parent directory of the file with a `.taskmaster` directory
+ * @param {string} tasksPath - Tasks file
+ * @param {string|null} [projectRoot] - Known project root
+ * @returns {string|null} Project root, or null outside an initialized project
+ */
+export function findJournalRoot(tasksPath, projectRoot = null) {
+	if (projectRoot && fs.existsSync(path.join(projectRoot, TASKMASTER_DIR))) {
+		return projectRoot;
+	}
+
+	let dir = path.dirname(path.resolve(tasksPath));
+	for (;;) {
+		if (fs.existsSync(path.join(dir, TASKMASTER_DIR))) {
+			return dir;
+		}
+		const parent = path.dirname(dir);
+		if (parent === dir) {
+			return null;
+		}
+		dir = parent;
+	}
+}
+
+/**
+ * Names of the top-level fields that differ between two versions of a task
+ * @param {Object|null} before - Previous version
+ * @param {Object|null} after - New version
+ * @returns {Array<string>} Changed field names
+ */
+export function getChangedFields(before, after) {
+	const keys = new Set([
+		...Object.keys(before || {}),
+		...Object.keys(after || {})
+	]);
+	return [...keys].filter(
+		(key) => JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key])
+	);
+}
+
+/**
+ * Compare two versions of a tag's task list, task by task
+ * @param {Array<Object>} [beforeTasks] - Tasks before the write
+ * @param {Array<Object>} [afterTasks] - Tasks after the write
+ * @returns {Array<{taskId: number|string, before: Object|null, after: Object|null, beforeIndex: number|null}>}
+ *   One change per added, removed or modified task
+ */
+export function diffTasks(beforeTasks = [], afterTasks = []) {
+	const beforeById = new Map(
+		beforeTasks.map((task, index) => [String(task.id), { task, index }])
+	);
+	const afterById = new Map(afterTasks.map((task) => [String(task.id), task]));
+	const changes = [];
+
+	for (const [id, { task, index }] of beforeById) {
+		const after = afterById.get(id) || null;
+		if (!after || JSON.stringify(task) !== JSON.stringify(after)) {
+			changes.push({
+				taskId: task.id,
+				before: task,
+				after,
+				beforeIndex: index
+			});
+		}
+	}
+	for (const [id, task] of afterById) {
+		if (!beforeById.has(id)) {
+			changes.push({
+				taskId: task.id,
+				before: null,
+				after: task,
+				beforeIndex: null
+			});
+		}
+	}
+
+	return changes;
+}
+
+/**
+ * Journal the task changes between two versions of a tagged tasks file.
+ * Nothing is recorded outside an initialized project.
+ * @param {string} tasksPath - Tasks file that was written
+ * @param {string|null} projectRoot - Project root, if known
+ * @param {Object|null} beforeData - Tagged data before the write
+ * @param {Object} afterData - Tagged data after the write
+ * @returns {Array<Object>} The journal entries written, one per changed tag
+ */
+export function recordTaskChanges(
+	tasksPath,
+	projectRoot,
+	beforeData,
+	afterData
+) {
+	const root = findJournalRoot(tasksPath, projectRoot);
+	if (!root) {
+		return [];
+	}
+
+	const tagTasks = (data, tag) => {
+		const tagData = data?.[tag];
+		return tagData && Array.isArray(tagData.tasks) ? tagData.tasks : [];
+	};
+	const tags = new Set([
+		...Object.keys(beforeData || {}),
+		...Object.keys(afterData || {})
+	]);
+	const { source, command, undoes } = getChangeContext();
+	const entries = [];
+
+	for (const tag of tags) {
+		const changes = diffTasks(
+			tagTasks(beforeData, tag),
+			tagTasks(afterData, tag)
+		);
+		if (changes.length === 0) {
+			continue;
+		}
+
+		const entry = {
+			id: `${Date.now().toString(36)}-${randomBytes(3).toString('hex')}`,
+			timestamp: new Date().toISOString(),
+			tag,
+			source,
+			command,
+			...(undoes ? { undoes } : {}),
+			changes
+		};
+		const journalPath = getJournalPath(root, tag);
+		fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+		fs.appendFileSync(journalPath, `${JSON.stringify(entry)}\n`);
+		entries.push(entry);
+	}
+
+	return entries;
+}
+
+/**
+ * Read a tag's journal
+ * @param {string} projectRoot - Project root directory
+ * @param {string} tag - Tag name
+ * @returns {Array<Object>} Journal entries, oldest first
+ */
+export function readJournal(projectRoot, tag) {
+	const journalPath = getJournalPath(projectRoot, tag);
+	if (!fs.existsSync(journalPath)) {
+		return [];
+	}
+
+	return fs
+		.readFileSync(journalPath, 'utf8')
+		.split('\n')
+		.filter((line) => line.trim())
+		.flatMap((line) => {
+			try {
+				return [JSON.parse(line)];
+			} catch {
+				// A line cut short by a crash; the entries around it are intact
+				return [];
+			}
+		});
+}
@@ -0,0 +1,609 @@
+/**
+ * codeIndex.js
+ * Local BM25 code index used to find the source snippets relevant to a prompt
+ *
+ * Files are listed with the project's .gitignore rules applied, split into
+ * chunks of a few dozen lines (starting new chunks at definitions where
+ * possible) and indexed by identifier terms, with defined symbols and the file
+ * path weighted higher. The index is stored in .taskmaster/cache/code-index.json
+ * and refreshed incrementally: only files whose size or modification time
+ * changed are read again. Nothing leaves the machine.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import ignore from 'ignore';
+import { log } from '../utils.js';
+import { CODE_INDEX_FILE } from '../../../src/constants/paths.js';
+
+export const CODE_INDEX_VERSION = 1;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Extra term frequency given to symbol names and path segments of a chunk
+const SYMBOL_WEIGHT = 3;
+const PATH_WEIGHT = 2;
+
+/**
+ * Paths never indexed, on top of .gitignore: dependencies, build output,
+ * Task Master's own data and anything that may hold secrets
+ */
+const DEFAULT_IGNORES = [
+	'.git/',
+	'node_modules/',
+	'.taskmaster/',
+	'dist/',
+	'build/',
+	'coverage/',
+	'.env',
+	'.env.*',
+	'*.min.js',
+	'*.map',
+	'*.lock',
+	'package-lock.json',
+	'pnpm-lock.yaml'
+];
+
+const BINARY_EXTENSIONS = new Set([
+	'.png',
+	'.jpg',
+	'.jpeg',
+	'.gif',
+	'.webp',
+	'.ico',
+	'.bmp',
+	'.svg',
+	'.pdf',
+	'.zip',
+	'.gz',
+	'.tgz',
+	'.tar',
+	'.7z',
+	'.woff',
+	'.woff2',
+	'.ttf',
+	'.eot',
+	'.mp3',
+	'.mp4',
+	'.mov',
+	'.wasm',
+	'.exe',
+	'.dll',
+	'.so',
+	'.dylib',
+	'.class',
+	'.jar',
+	'.pyc',
+	'.sqlite',
+	'.db'
+]);
+
+const STOP_WORDS = new Set([
+	'a',
+	'an',
+	'and',
+	'are',
+	'as',
+	'at',
+	'be',
+	'by',
+	'for',
+	'from',
+	'has',
+	'in',
+	'is',
+	'it',
+	'of',
+	'on',
+	'or',
+	'that',
+	'the',
+	'this',
+	'to',
+	'with',
+	'we',
+	'should',
+	'will',
+	'can',
+	'const',
+	'let',
+	'var',
+	'function',
+	'return',
+	'if',
+	'else',
+	'import',
+	'export',
+	'default',
+	'new',
+	'true',
+	'false',
+	'null',
+	'undefined',
+	'await',
+	'async',
+	'def',
+	'self'
+]);
+
+/**
+ * Definitions recognized as symbols: functions, classes, methods and arrow
+ * functions in JS/TS, and definitions in Python, Go, Rust, Ruby and Java-like
+ * languages
+ */
+const SYMBOL_PATTERNS = [
+	/\b(?:function\*?|class|interface|type|enum|struct|trait|def|fn|func)\s+(?:\([^)]*\)\s*)?([A-Za-z_$][\w$]*)/g,
+	/\b(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>)/g,
+	/^\s*(?:static\s+|async\s+|public\s+|private\s+|protected\s+)*([A-Za-z_$][\w$]*)\s*\([^)]*\)\s*\{/gm
+];
+
+const NOT_SYMBOLS = new Set([
+	'if',
+	'for',
+	'while',
+	'switch',
+	'catch',
+	'function',
+	'return',
+	'constructor'
+]);
+
+// Lines that start a new top-level definition, preferred as chunk boundaries
+const DEFINITION_START =
+	/^(?:export\s+)?(?:default\s+)?(?:async\s+)?(?:function|class|const|def|func|fn|pub\s+fn|interface|type|struct|impl)\b/;
+
+/**
+ * Normalize a term: lower case, with a plural "s" removed so "tasks" matches
+ * "task"
+ * @param {string} term - Lower-case term
+ * @returns {string} Normalized term
+ */
+function normalizeTerm(term) {
+	return term.length > 3 && term.endsWith('s') && !term.endsWith('ss')
+		? term.slice(0, -1)
+		: term;
+}
+
+/**
+ * Split text into search terms. Identifiers are kept whole and also split on
+ * camelCase and snake_case, so "getTaskById" matches "task" and "gettaskbyid".
+ * @param {string} text - Source text or query
+ * @returns {string[]} Terms, in order, with repeats
+ */
+export function tokenize(text) {
+	const terms = [];
+	const add = (term) => {
+		if (term.length > 1 && !STOP_WORDS.has(term)) {
+			terms.push(normalizeTerm(term));
+		}
+	};
+
+	for (const word of String(text || '').match(/[A-Za-z_$][\w$]*/g) || []) {
+		add(word.toLowerCase());
+		const parts = word
+			.replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+			.replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+			.split(/[\s_$]+/)
+			.filter(Boolean);
+		if (parts.length > 1) {
+			for (const part of parts) {
+				add(part.toLowerCase());
+			}
+		}
+	}
+	return terms;
+}
+
+/**
+ * Extract the names of the symbols defined in source text
+ * @param {string} text - Source text
+ * @returns {string[]} Unique symbol names, in order of appearance
+ */
+export function extractSymbols(text) {
+	const symbols = new Set();
+	for (const pattern of SYMBOL_PATTERNS) {
+		for (const match of text.matchAll(pattern)) {
+			if (!NOT_SYMBOLS.has(match[1])) {
+				symbols.add(match[1]);
+			}
+		}
+	}
+	return [...symbols];
+}
+
+/**
+ * Split file content into chunks of about `chunkLines` lines. Once a chunk
+ * holds half that many lines, a new definition starts the next chunk.
+ * @param {string} content - File content
+ * @param {number} chunkLines - Target lines per chunk
+ * @returns {Array<{startLine: number, endLine: number, text: string}>} Chunks with 1-based line numbers
+ */
+export function chunkContent(content, chunkLines) {
+	const lines = content.split('\n');
+	const chunks = [];
+	let start = 0;
+
+	for (let i = 1; i <= lines.length; i++) {
+		const size = i - start;
+		const atEnd = i === lines.length;
+		const atDefinition =
+			!atEnd &&
+			size >= Math.ceil(chunkLines / 2) &&
+			DEFINITION_START.test(lines[i]);
+		if (atEnd || size >= chunkLines || atDefinition) {
+			const text = lines.slice(start, i).join('\n');
+			if (text.trim()) {
+				chunks.push({ startLine: start + 1, endLine: i, text });
+			}
+			start = i;
+		}
+	}
+	return chunks;
+}
+
+/**
+ * Build the index entry of a chunk: term frequencies and symbols
+ * @param {Object} chunk - Chunk from chunkContent
+ * @param {string[]} pathTerms - Terms of the file path
+ * @returns {Object} Index entry
+ */
+function indexChunk(chunk, pathTerms) {
+	const terms = {};
+	const addTerms = (list, weight) => {
+		for (const term of list) {
+			terms[term] = (terms[term] || 0) + weight;
+		}
+	};
+
+	const contentTerms = tokenize(chunk.text);
+	const symbols = extractSymbols(chunk.text);
+	addTerms(contentTerms, 1);
+	addTerms(tokenize(symbols.join(' ')), SYMBOL_WEIGHT);
+	addTerms(pathTerms, PATH_WEIGHT);
+
+	return {
+		startLine: chunk.startLine,
+		endLine: chunk.endLine,
+		length: contentTerms.length,
+		terms,
+		symbols
+	};
+}
+
+/**
+ * Local code index for one project
+ */
+export class CodeIndex {
+	/**
+	 * @param {string} projectRoot - Project root directory
+	 * @param {Object} [options]
+	 * @param {number} [options.maxFileSizeBytes=524288] - Larger files are not indexed
+	 * @param {number} [options.chunkLines=40] - Target lines per chunk
+	 * @param {number} [options.maxFiles=10000] - Stop listing files after this many
+	 * @param {string} [options.indexPath] - Where the index is stored
+	 */
+	constructor(projectRoot, options = {}) {
+		this.projectRoot = projectRoot;
+		this.maxFileSizeBytes = options.maxFileSizeBytes || 512 * 1024;
+		this.chunkLines = options.chunkLines || 40;
+		this.maxFiles = options.maxFiles || 10000;
+		this.indexPath =
+			options.indexPath || path.join(projectRoot, CODE_INDEX_FILE);
+		this.files = null; // relative path -> { mtimeMs, size, chunks }
+		this.stats = null;
+	}
+
+	/**
+	 * List the files to index, relative to the project root, applying
+	 * .gitignore files at every level and the default ignores
+	 * @returns {string[]} Relative file paths
+	 */
+	listFiles() {
+		const files = [];
+		const rootMatcher = {
+			base: '',
+			matcher: ignore().add(DEFAULT_IGNORES)
+		};
+
+		const walk = (relativeDir, matchers) => {
+			if (files.length >= this.maxFiles) return;
+			const absoluteDir = path.join(this.projectRoot, relativeDir);
+			let entries;
+			try {
+				entries = fs.readdirSync(absoluteDir, { withFileTypes: true });
+			} catch (error) {
+				return;
+			}
+
+			const gitignorePath = path.join(absoluteDir, '.gitignore');
+			const activeMatchers = fs.existsSync(gitignorePath)
+				? [
+						...matchers,
+						{
+							base: relativeDir,
+							matcher: ignore().add(fs.readFileSync(gitignorePath, 'utf8'))
+						}
+					]
+				: matchers;
+
+			const isIgnored = (relativePath, isDirectory) =>
+				activeMatchers.some(({ base, matcher }) => {
+					const candidate = path
+						.relative(base, relativePath)
+						.split(path.sep)
+						.join('/');
+					return matcher.ignores(isDirectory ? `${candidate}/` : candidate);
+				});
+
+			for (const entry of entries) {
+				if (files.length >= this.maxFiles) {
+					log(
+						'debug',
+						`Code index: file limit of ${this.maxFiles} reached, remaining files are skipped`
+					);
+					return;
+				}
+				const relativePath = path.join(relativeDir, entry.name);
+				if (entry.isDirectory()) {
+					if (!isIgnored(relativePath, true)) {
+						walk(relativePath, activeMatchers);
+					}
+				} else if (
+					entry.isFile() &&
+					!BINARY_EXTENSIONS.has(path.extname(entry.name).toLowerCase()) &&
+					!isIgnored(relativePath, false)
+				) {
+					files.push(relativePath.split(path.sep).join('/'));
+				}
+			}
+		};
+
+		walk('', [rootMatcher]);
+		return files.sort();
+	}
+
+	/**
+	 * Load the stored index. A missing, unreadable or outdated index is
+	 * treated as empty.
+	 * @returns {Object} Indexed files by relative path
+	 */
+	load() {
+		try {
+			const stored = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+			if (
+				stored.version === CODE_INDEX_VERSION &&
+				stored.chunkLines === this.chunkLines
+			) {
+				this.files = stored.files || {};
+				return this.files;
+			}
+		} catch (error) {
+			if (error.code !== 'ENOENT') {
+				log('debug', `Code index: ignoring stored index: ${error.message}`);
+			}
+		}
+		this.files = {};
+		return this.files;
+	}
+
+	/**
+	 * Write the index to disk
+	 */
+	save() {
+		fs.mkdirSync(path.dirname(this.indexPath), { recursive: true });
+		const tempPath = `${this.indexPath}.tmp`;
+		fs.writeFileSync(
+			tempPath,
+			JSON.stringify({
+				version: CODE_INDEX_VERSION,
+				builtAt: new Date().toISOString(),
+				chunkLines: this.chunkLines,
+				files: this.files
+			})
+		);
+		fs.renameSync(tempPath, this.indexPath);
+	}
+
+	/**
+	 * Bring the index up to date with the files on disk. Unchanged files keep
+	 * their entries; new and modified files are read and chunked again.
+	 * @param {Object} [options]
+	 * @param {boolean} [options.rebuild=false] - Discard the stored index first
+	 * @returns {{files: number, chunks: number, indexed: number, reused: number, removed: number}} Update summary
+	 */
+	update({ rebuild = false } = {}) {
+		const previous = rebuild ? {} : this.files || this.load();
+		const files = {};
+		let indexed = 0;
+		let reused = 0;
+
+		for (const relativePath of this.listFiles()) {
+			const absolutePath = path.join(this.projectRoot, relativePath);
+			let stats;
+			try {
+				stats = fs.statSync(absolutePath);
+			} catch (error) {
+				continue;
+			}
+			if (stats.size === 0 || stats.size > this.maxFileSizeBytes) continue;
+
+			const known = previous[relativePath];
+			if (
+				known &&
+				known.mtimeMs === stats.mtimeMs &&
+				known.size === stats.size
+			) {
+				files[relativePath] = known;
+				reused++;
+				continue;
+			}
+
+			const entry = this._indexFile(relativePath, absolutePath, stats);
+			if (entry) {
+				files[relativePath] = entry;
+				indexed++;
+			}
+		}
+
+		const removed = Object.keys(previous).filter(
+			(relativePath) => !files[relativePath]
+		).length;
+		this.files = files;
+		this.stats = null;
+		if (indexed > 0 || removed > 0 || rebuild) {
+			this.save();
+		}
+
+		const summary = {
+			files: Object.keys(files).length,
+			chunks: Object.values(files).reduce(
+				(total, file) => total + file.chunks.length,
+				0
+			),
+			indexed,
+			reused,
+			removed
+		};
+		log(
+			'debug',
+			`Code index: ${summary.files} files, ${summary.chunks} chunks (${indexed} indexed, ${reused} unchanged, ${removed} removed)`
+		);
+		return summary;
+	}
+
+	/**
+	 * Find the chunks most relevant to a query, ranked by BM25
+	 * @param {string} query - Free-text query (prompt, task title, ...)
+	 * @param {Object} [options]
+	 * @param {number} [options.maxResults=8] - Maximum snippets returned
+	 * @param {number} [options.maxChunksPerFile=2] - Maximum snippets from one file
+	 * @returns {Array<{path: string, startLine: number, endLine: number, score: number, symbols: string[], content: string}>} Snippets, best first
+	 */
+	search(query, { maxResults = 8, maxChunksPerFile = 2 } = {}) {
+		if (!this.files) this.load();
+		const queryTerms = [...new Set(tokenize(query))];
+		if (queryTerms.length === 0) return [];
+
+		const { documentFrequency, chunkCount, averageLength } = this._getStats();
+		if (chunkCount === 0) return [];
+
+		const idf = Object.fromEntries(
+			queryTerms.map((term) => {
+				const df = documentFrequency.get(term) || 0;
+				return [term, Math.log(1 + (chunkCount - df + 0.5) / (df + 0.5))];
+			})
+		);
+
+		const scored = [];
+		for (const [relativePath, file] of Object.entries(this.files)) {
+			for (const chunk of file.chunks) {
+				let score = 0;
+				for (const term of queryTerms) {
+					const tf = chunk.terms[term];
+					if (!tf) continue;
+					const norm = 1 - B + (B * chunk.length) / (averageLength || 1);
+					score += (idf[term] * tf * (K1 + 1)) / (tf + K1 * norm);
+				}
+				if (score > 0) {
+					scored.push({ path: relativePath, chunk, score });
+				}
+			}
+		}
+		scored.sort((a, b) => b.score - a.score);
+
+		const perFile = new Map();
+		const results = [];
+		for (const { path: relativePath, chunk, score } of scored) {
+			if (results.length >= maxResults) break;
+			const count = perFile.get(relativePath) || 0;
+			if (count >= maxChunksPerFile) continue;
+
+			const content = this._readLines(
+				relativePath,
+				chunk.startLine,
+				chunk.endLine
+			);
+			if (content === null) continue;
+			perFile.set(relativePath, count + 1);
+			results.push({
+				path: relativePath,
+				startLine: chunk.startLine,
+				endLine: chunk.endLine,
+				score: Math.round(score * 1000) / 1000,
+				symbols: chunk.symbols,
+				content
+			});
+		}
+		return results;
+	}
+
+	_indexFile(relativePath, absolutePath, stats) {
+		try {
+			const buffer = fs.readFileSync(absolutePath);
+			if (buffer.subarray(0, 8000).includes(0)) {
+				return null; // binary file
+			}
+			const pathTerms = tokenize(relativePath);
+			return {
+				mtimeMs: stats.mtimeMs,
+				size: stats.size,
+				chunks: chunkContent(buffer.toString('utf8'), this.chunkLines).map(
+					(chunk) => indexChunk(chunk, pathTerms)
+				)
+			};
+		} catch (error) {
+			log('debug', `Code index: cannot read ${relativePath}: ${error.message}`);
+			return null;
+		}
+	}
+
+	_getStats() {
+		if (this.stats) return this.stats;
+		const documentFrequency = new Map();
+		let chunkCount = 0;
+		let totalLength = 0;
+		for (const file of Object.values(this.files)) {
+			for (const chunk of file.chunks) {
+				chunkCount++;
+				totalLength += chunk.length;
+				for (const term of Object.keys(chunk.terms)) {
+					documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+				}
+			}
+		}
+		this.stats = {
+			documentFrequency,
+			chunkCount,
+			averageLength: chunkCount > 0 ? totalLength / chunkCount : 0
+		};
+		return this.stats;
+	}
+
+	_readLines(relativePath, startLine, endLine) {
+		try {
+			return fs
+				.readFileSync(path.join(this.projectRoot, relativePath), 'utf8')
+				.split('\n')
+				.slice(startLine - 1, endLine)
+				.join('\n');
+		} catch (error) {
+			return null;
+		}
+	}
+}
+
+/**
+ * Refresh the project's code index and search it
+ * @param {string} projectRoot - Project root directory
+ * @param {string} query - Free-text query
+ * @param {Object} [options] - CodeIndex options plus maxResults and maxChunksPerFile
+ * @returns {Array<Object>} Snippets, best first (see CodeIndex#search)
+ */
+export function searchCode(projectRoot, query, options = {}) {
+	const { maxResults, maxChunksPerFile, ...indexOptions } = options;
+	const index = new CodeIndex(projectRoot, indexOptions);
+	index.update();
+	return index.search(query, { maxResults, maxChunksPerFile });
+}
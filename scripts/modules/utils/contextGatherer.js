@@ -1,7 +1,8 @@
 /**
  * contextGatherer.js
  * Comprehensive context gathering utility for Task Master AI operations
- * Supports task context, file context, project tree, and custom context
+ * Supports task context, file context, project tree, and custom context,
+ * packed into the active model's token budget
  */
 
 import fs from 'fs';
@@ -14,6 +15,14 @@ import {
 	truncate,
 	flattenTasksWithSubtasks
 } from '../utils.js';
+import { getCodeIndexSettings } from '../config-manager.js';
+import { searchCode } from './codeIndex.js';
+import {
+	DEFAULT_SECTION_PRIORITIES,
+	describePacking,
+	getContextBudget,
+	packContext
+} from './contextPacker.js';
 
 const { encode } = pkg;
 
@@ -75,7 +84,11 @@ export class ContextGatherer {
 	 * @param {string} [options.semanticQuery] - A query string for semantic task searching.
 	 * @param {number} [options.maxSemanticResults] - Max number of semantic results.
 	 * @param {Array<number>} [options.dependencyTasks] - Array of task IDs to build dependency graphs from.
-	 * @returns {Promise<Object>} Object with context string and analysis data
+	 * @param {string} [options.codeQuery] - A query for the local code index; matching snippets are included.
+	 * @param {number} [options.maxCodeResults] - Max number of code snippets (default: global.codeIndex.maxResults).
+	 * @param {string} [options.role] - Model role the context is for; packs the context into that model's budget (see global.contextBudget).
+	 * @param {number} [options.tokenBudget] - Explicit token budget; takes precedence over role.
+	 * @returns {Promise<Object>} Object with context string, analysis data, the packing report (null when not packed) and a one-line packingSummary of what was cut (null when nothing was)
 	 */
 	async gather(options = {}) {
 		const {
@@ -87,24 +100,19 @@ export class ContextGatherer {
 			includeTokenCounts = false,
 			semanticQuery,
 			maxSemanticResults = 10,
-			dependencyTasks = []
+			dependencyTasks = [],
+			codeQuery,
+			maxCodeResults,
+			role,
+			tokenBudget
 		} = options;
 
-		const contextSections = [];
 		const finalTaskIds = new Set(tasks.map(String));
+		// Where each task came from; decides its packing priority
+		const taskSources = new Map(
+			Array.from(finalTaskIds, (id) => [id, 'tasks'])
+		);
 		let analysisData = null;
-		let tokenBreakdown = null;
-
-		// Initialize token breakdown if requested
-		if (includeTokenCounts) {
-			tokenBreakdown = {
-				total: 0,
-				customContext: null,
-				tasks: [],
-				files: [],
-				projectTree: null
-			};
-		}
 
 		// Semantic Search
 		if (semanticQuery && this.allTasks.length > 0) {
@@ -117,105 +125,114 @@ export class ContextGatherer {
 			analysisData = semanticResults.analysisData;
 
 			semanticResults.tasks.forEach((task) => {
-				finalTaskIds.add(String(task.id));
+				const id = String(task.id);
+				finalTaskIds.add(id);
+				if (!taskSources.has(id)) {
+					taskSources.set(id, 'relatedTasks');
+				}
 			});
 		}
 
 		// Dependency Graph Analysis
 		if (dependencyTasks.length > 0) {
-			const dependencyResults = this._buildDependencyContext(dependencyTasks);
-			dependencyResults.allRelatedTaskIds.forEach((id) =>
-				finalTaskIds.add(String(id))
-			);
-			// We can format and add dependencyResults.graphVisualization later if needed
+			const { allRelatedTaskIds } =
+				this._buildDependencyGraphs(dependencyTasks);
+			allRelatedTaskIds.forEach((taskId) => {
+				const id = String(taskId);
+				finalTaskIds.add(id);
+				if (taskSources.get(id) !== 'tasks') {
+					taskSources.set(id, 'dependencies');
+				}
+			});
 		}
 
-		// Add custom context first
-		if (customContext && customContext.trim()) {
-			const formattedCustomContext = this._formatCustomContext(
-				customContext,
-				format
-			);
-			contextSections.push(formattedCustomContext);
+		const sections = [];
 
-			// Calculate tokens for custom context if requested
-			if (includeTokenCounts) {
-				tokenBreakdown.customContext = {
-					tokens: this.countTokens(formattedCustomContext),
-					characters: formattedCustomContext.length
-				};
-				tokenBreakdown.total += tokenBreakdown.customContext.tokens;
-			}
+		if (customContext && customContext.trim()) {
+			sections.push({
+				name: 'customContext',
+				items: [{ id: 'customContext', text: customContext }]
+			});
 		}
 
-		// Gather context for the final list of tasks
 		if (finalTaskIds.size > 0) {
-			const taskContextResult = await this._gatherTaskContext(
+			const taskItems = this._collectTaskItems(
 				Array.from(finalTaskIds),
-				format,
-				includeTokenCounts
+				format
 			);
-			if (taskContextResult.context) {
-				contextSections.push(taskContextResult.context);
-
-				// Add task breakdown if token counting is enabled
-				if (includeTokenCounts && taskContextResult.breakdown) {
-					tokenBreakdown.tasks = taskContextResult.breakdown;
-					const taskTokens = taskContextResult.breakdown.reduce(
-						(sum, task) => sum + task.tokens,
-						0
-					);
-					tokenBreakdown.total += taskTokens;
-				}
+			for (const name of ['tasks', 'dependencies', 'relatedTasks']) {
+				sections.push({
+					name,
+					items: taskItems.filter((item) => taskSources.get(item.id) === name)
+				});
 			}
 		}
 
-		// Add file context
 		if (files.length > 0) {
-			const fileContextResult = await this._gatherFileContext(
-				files,
-				format,
-				includeTokenCounts
-			);
-			if (fileContextResult.context) {
-				contextSections.push(fileContextResult.context);
-
-				// Add file breakdown if token counting is enabled
-				if (includeTokenCounts && fileContextResult.breakdown) {
-					tokenBreakdown.files = fileContextResult.breakdown;
-					const fileTokens = fileContextResult.breakdown.reduce(
-						(sum, file) => sum + file.tokens,
-						0
-					);
-					tokenBreakdown.total += fileTokens;
-				}
-			}
+			sections.push({
+				name: 'files',
+				items: this._collectFileItems(files, format)
+			});
+		}
+
+		if (codeQuery && codeQuery.trim()) {
+			sections.push({
+				name: 'code',
+				items: this._collectCodeItems(codeQuery, maxCodeResults, format)
+			});
 		}
 
-		// Add project tree context
 		if (includeProjectTree) {
-			const treeContextResult = await this._gatherProjectTreeContext(
-				format,
-				includeTokenCounts
+			sections.push({
+				name: 'projectTree',
+				items: this._collectProjectTreeItems()
+			});
+		}
+
+		// Fit the sections into the model's budget, dropping, summarizing or
+		// truncating lower-priority items first
+		const budget =
+			tokenBudget || (role ? getContextBudget(role, this.projectRoot) : null);
+		let packing = null;
+		if (budget) {
+			const packed = packContext(
+				sections.map((section) => ({
+					...section,
+					...DEFAULT_SECTION_PRIORITIES[section.name]
+				})),
+				budget,
+				{ countTokens: (text) => this.countTokens(text) }
 			);
-			if (treeContextResult.context) {
-				contextSections.push(treeContextResult.context);
+			packing = packed.report;
 
-				// Add tree breakdown if token counting is enabled
-				if (includeTokenCounts && treeContextResult.breakdown) {
-					tokenBreakdown.projectTree = treeContextResult.breakdown;
-					tokenBreakdown.total += treeContextResult.breakdown.tokens;
-				}
+			for (const section of sections) {
+				const kept = new Map(
+					(packed.sections[section.name] || []).map((item) => [item.id, item])
+				);
+				section.items = section.items
+					.filter((item) => kept.has(item.id))
+					.map((item) => ({
+						...item,
+						text: kept.get(item.id).text,
+						packed: kept.get(item.id).mode
+					}));
 			}
 		}
 
-		const finalContext = this._joinContextSections(contextSections, format);
+		const { contextSections, tokenBreakdown } = this._renderSections(
+			sections,
+			Array.from(finalTaskIds),
+			format,
+			includeTokenCounts
+		);
 
 		const result = {
-			context: finalContext,
+			context: this._joinContextSections(contextSections, format),
 			analysisData: analysisData,
 			contextSections: contextSections.length,
-			finalTaskIds: Array.from(finalTaskIds)
+			finalTaskIds: Array.from(finalTaskIds),
+			packing,
+			packingSummary: describePacking(packing)
 		};
 
 		// Only include tokenBreakdown if it was requested
@@ -226,6 +243,119 @@ export class ContextGatherer {
 		return result;
 	}
 
+	/**
+	 * Format gathered sections in their output order: custom context, tasks,
+	 * files, code and the project tree
+	 * @param {Array<Object>} sections - Sections with their (packed) items
+	 * @param {Array<string>} taskOrder - Task IDs in the order they were gathered
+	 * @param {string} format - Output format
+	 * @param {boolean} includeTokenCounts - Whether to build the token breakdown
+	 * @returns {{contextSections: Array<string>, tokenBreakdown: Object|null}} Formatted sections and token breakdown
+	 */
+	_renderSections(sections, taskOrder, format, includeTokenCounts) {
+		const itemsOf = (...names) =>
+			sections
+				.filter((section) => names.includes(section.name))
+				.flatMap((section) => section.items);
+		const toBreakdown = (item) => ({
+			...item.info,
+			tokens: this.countTokens(item.text),
+			characters: item.text.length,
+			...(item.packed && item.packed !== 'full' && { packed: item.packed })
+		});
+
+		const contextSections = [];
+		const tokenBreakdown = includeTokenCounts
+			? {
+					total: 0,
+					customContext: null,
+					tasks: [],
+					files: [],
+					codeSnippets: [],
+					projectTree: null
+				}
+			: null;
+
+		const [custom] = itemsOf('customContext');
+		if (custom) {
+			const formatted = this._formatCustomContext(custom.text, format);
+			contextSections.push(formatted);
+			if (includeTokenCounts) {
+				tokenBreakdown.customContext = {
+					tokens: this.countTokens(formatted),
+					characters: formatted.length
+				};
+			}
+		}
+
+		const taskItems = itemsOf('tasks', 'dependencies', 'relatedTasks').sort(
+			(a, b) => taskOrder.indexOf(a.id) - taskOrder.indexOf(b.id)
+		);
+		if (taskItems.length > 0) {
+			contextSections.push(
+				this._formatTaskContextSection(
+					taskItems.map((item) => item.text),
+					format
+				)
+			);
+			if (includeTokenCounts) {
+				tokenBreakdown.tasks = taskItems.map(toBreakdown);
+			}
+		}
+
+		const fileItems = itemsOf('files');
+		if (fileItems.length > 0) {
+			contextSections.push(
+				this._formatFileContextSection(
+					fileItems.map((item) => item.text),
+					format
+				)
+			);
+			if (includeTokenCounts) {
+				tokenBreakdown.files = fileItems.map(toBreakdown);
+			}
+		}
+
+		const codeItems = itemsOf('code');
+		if (codeItems.length > 0) {
+			contextSections.push(
+				this._formatCodeContextSection(
+					codeItems.map((item) => item.text),
+					format
+				)
+			);
+			if (includeTokenCounts) {
+				tokenBreakdown.codeSnippets = codeItems.map(toBreakdown);
+			}
+		}
+
+		const [tree] = itemsOf('projectTree');
+		if (tree) {
+			const formatted = this._formatProjectTreeSection(tree.text, format);
+			contextSections.push(formatted);
+			if (includeTokenCounts) {
+				tokenBreakdown.projectTree = {
+					...toBreakdown(tree),
+					tokens: this.countTokens(formatted),
+					characters: formatted.length
+				};
+			}
+		}
+
+		if (includeTokenCounts) {
+			tokenBreakdown.total =
+				(tokenBreakdown.customContext?.tokens || 0) +
+				(tokenBreakdown.projectTree?.tokens || 0) +
+				[
+					...tokenBreakdown.tasks,
+					...tokenBreakdown.files,
+					...tokenBreakdown.codeSnippets
+				].reduce((sum, item) => sum + item.tokens, 0);
+		}
+
+		return { contextSections, tokenBreakdown };
+	}
+
 	_performSemanticSearch(query, maxResults) {
 		const searchableTasks = this.allTasks.map((task) => {
 			const dependencyTitles =
@@ -484,87 +614,87 @@ export class ContextGatherer {
 	}
 
 	/**
-	 * Gather context from tasks and subtasks
+	 * Build context items for tasks and subtasks. Each item carries a short
+	 * summary that packing can use in place of the full text.
 	 * @param {Array<string>} taskIds - Task/subtask IDs
 	 * @param {string} format - Output format
-	 * @param {boolean} includeTokenCounts - Whether to include token breakdown
-	 * @returns {Promise<Object>} Task context result with breakdown
+	 * @returns {Array<Object>} Task items with their breakdown info
 	 */
-	async _gatherTaskContext(taskIds, format, includeTokenCounts = false) {
+	_collectTaskItems(taskIds, format) {
 		try {
 			if (!this.allTasks || this.allTasks.length === 0) {
-				return { context: null, breakdown: [] };
+				return [];
 			}
 
-			const parsedIds = this._parseTaskIds(taskIds);
-			const contextItems = [];
-			const breakdown = [];
-
-			for (const parsed of parsedIds) {
-				let formattedItem = null;
-				let itemInfo = null;
+			const items = [];
 
+			for (const parsed of this._parseTaskIds(taskIds)) {
 				if (parsed.type === 'task') {
 					const result = findTaskById(this.allTasks, parsed.taskId);
 					if (result.task) {
-						formattedItem = this._formatTaskForContext(result.task, format);
-						itemInfo = {
+						items.push({
 							id: parsed.fullId,
-							type: 'task',
-							title: result.task.title,
-							tokens: includeTokenCounts ? this.countTokens(formattedItem) : 0,
-							characters: formattedItem.length
-						};
+							text: this._formatTaskForContext(result.task, format),
+							summary: this._formatTaskSummary(
+								`Task ${result.task.id}`,
+								result.task
+							),
+							info: {
+								id: parsed.fullId,
+								type: 'task',
+								title: result.task.title
+							}
+						});
 					}
 				} else if (parsed.type === 'subtask') {
 					const parentResult = findTaskById(this.allTasks, parsed.parentId);
-					if (parentResult.task && parentResult.task.subtasks) {
-						const subtask = parentResult.task.subtasks.find(
-							(st) => st.id === parsed.subtaskId
-						);
-						if (subtask) {
-							formattedItem = this._formatSubtaskForContext(
+					const subtask = parentResult.task?.subtasks?.find(
+						(st) => st.id === parsed.subtaskId
+					);
+					if (subtask) {
+						items.push({
+							id: parsed.fullId,
+							text: this._formatSubtaskForContext(
 								subtask,
 								parentResult.task,
 								format
-							);
-							itemInfo = {
+							),
+							summary: this._formatTaskSummary(
+								`Subtask ${parentResult.task.id}.${subtask.id}`,
+								subtask
+							),
+							info: {
 								id: parsed.fullId,
 								type: 'subtask',
 								title: subtask.title,
-								parentTitle: parentResult.task.title,
-								tokens: includeTokenCounts
-									? this.countTokens(formattedItem)
-									: 0,
-								characters: formattedItem.length
-							};
-						}
+								parentTitle: parentResult.task.title
+							}
+						});
 					}
 				}
-
-				if (formattedItem && itemInfo) {
-					contextItems.push(formattedItem);
-					if (includeTokenCounts) {
-						breakdown.push(itemInfo);
-					}
-				}
-			}
-
-			if (contextItems.length === 0) {
-				return { context: null, breakdown: [] };
 			}
 
-			const finalContext = this._formatTaskContextSection(contextItems, format);
-			return {
-				context: finalContext,
-				breakdown: includeTokenCounts ? breakdown : []
-			};
+			return items;
 		} catch (error) {
 			console.warn(`Warning: Could not gather task context: ${error.message}`);
-			return { context: null, breakdown: [] };
+			return [];
 		}
 	}
 
+	/**
+	 * Format the short form of a task or subtask used when the budget is tight
+	 * @param {string} label - Heading label, e.g. "Task 5" or "Subtask 5.2"
+	 * @param {Object} task - Task or subtask object
+	 * @returns {string} Task summary
+	 */
+	_formatTaskSummary(label, task) {
+		return [
+			`**${label}: ${task.title}**`,
+			`Description: ${truncate(task.description || '', 200)}`,
+			`Status: ${task.status || 'pending'}`
+		].join('\n');
+	}
+
 	/**
 	 * Format a task for context inclusion
 	 * @param {Object} task - Task object
@@ -630,15 +760,13 @@ export class ContextGatherer {
 	}
 
 	/**
-	 * Gather context from files
+	 * Read files into context items
 	 * @param {Array<string>} filePaths - File paths to read
 	 * @param {string} format - Output format
-	 * @param {boolean} includeTokenCounts - Whether to include token breakdown
-	 * @returns {Promise<Object>} File context result with breakdown
+	 * @returns {Array<Object>} File items with their breakdown info
 	 */
-	async _gatherFileContext(filePaths, format, includeTokenCounts = false) {
-		const fileContents = [];
-		const breakdown = [];
+	_collectFileItems(filePaths, format) {
+		const items = [];
 
 		for (const filePath of filePaths) {
 			try {
@@ -663,28 +791,17 @@ export class ContextGatherer {
 				const content = fs.readFileSync(fullPath, 'utf-8');
 				const relativePath = path.relative(this.projectRoot, fullPath);
 
-				const fileData = {
-					path: relativePath,
-					size: stats.size,
-					content: content,
-					lastModified: stats.mtime
-				};
-
-				fileContents.push(fileData);
-
-				// Calculate tokens for this individual file if requested
-				if (includeTokenCounts) {
-					const formattedFile = this._formatSingleFileForContext(
-						fileData,
+				items.push({
+					id: relativePath,
+					text: this._formatSingleFileForContext(
+						{ path: relativePath, size: stats.size, content },
 						format
-					);
-					breakdown.push({
+					),
+					info: {
 						path: relativePath,
-						sizeKB: Math.round(stats.size / 1024),
-						tokens: this.countTokens(formattedFile),
-						characters: formattedFile.length
-					});
-				}
+						sizeKB: Math.round(stats.size / 1024)
+					}
+				});
 			} catch (error) {
 				console.warn(
 					`Warning: Could not read file ${filePath}: ${error.message}`
@@ -692,56 +809,81 @@ export class ContextGatherer {
 			}
 		}
 
-		if (fileContents.length === 0) {
-			return { context: null, breakdown: [] };
-		}
-
-		const finalContext = this._formatFileContextSection(fileContents, format);
-		return {
-			context: finalContext,
-			breakdown: includeTokenCounts ? breakdown : []
-		};
+		return items;
 	}
 
 	/**
-	 * Generate project file tree context
+	 * Collect the code snippets most relevant to a query from the local code
+	 * index, refreshing the index first
+	 * @param {string} query - Search query
+	 * @param {number} [maxResults] - Maximum snippets (default: from config)
 	 * @param {string} format - Output format
-	 * @param {boolean} includeTokenCounts - Whether to include token breakdown
-	 * @returns {Promise<Object>} Project tree context result with breakdown
+	 * @returns {Array<Object>} Code items with their breakdown info
 	 */
-	async _gatherProjectTreeContext(format, includeTokenCounts = false) {
+	_collectCodeItems(query, maxResults, format) {
 		try {
-			const tree = this._generateFileTree(this.projectRoot, 5); // Max depth 5
-			const finalContext = this._formatProjectTreeSection(tree, format);
+			const settings = getCodeIndexSettings(this.projectRoot);
+			if (!settings.enabled) {
+				return [];
+			}
+
+			const snippets = searchCode(this.projectRoot, query, {
+				maxResults: maxResults || settings.maxResults,
+				maxFileSizeBytes: settings.maxFileSizeBytes,
+				chunkLines: settings.chunkLines
+			});
 
-			const breakdown = includeTokenCounts
-				? {
-						tokens: this.countTokens(finalContext),
-						characters: finalContext.length,
+			return snippets.map((snippet) => {
+				const lines = `${snippet.startLine}-${snippet.endLine}`;
+				return {
+					id: `${snippet.path}:${lines}`,
+					text: this._formatCodeSnippet(snippet, format),
+					info: { path: snippet.path, lines, score: snippet.score }
+				};
+			});
+		} catch (error) {
+			console.warn(
+				`Warning: Could not search the code index: ${error.message}`
+			);
+			return [];
+		}
+	}
+
+	/**
+	 * Generate the project file tree as a context item
+	 * @returns {Array<Object>} The tree item with its breakdown info, or none
+	 */
+	_collectProjectTreeItems() {
+		try {
+			const tree = this._generateFileTree(this.projectRoot, 5); // Max depth 5
+			return [
+				{
+					id: 'projectTree',
+					text: this._renderFileTree(tree),
+					info: {
 						fileCount: tree.fileCount || 0,
 						dirCount: tree.dirCount || 0
 					}
-				: null;
-
-			return {
-				context: finalContext,
-				breakdown: breakdown
-			};
+				}
+			];
 		} catch (error) {
 			console.warn(
 				`Warning: Could not generate project tree: ${error.message}`
 			);
-			return { context: null, breakdown: null };
+			return [];
 		}
 	}
 
 	/**
-	 * Format a single file for context (used for token counting)
+	 * Format a single file for context
 	 * @param {Object} fileData - File data object
 	 * @param {string} format - Output format
 	 * @returns {string} Formatted file context
 	 */
 	_formatSingleFileForContext(fileData, format) {
+		if (format === 'system-prompt') {
+			return `${fileData.path} (${fileData.content.substring(0, 200)}...)`;
+		}
 		const header = `**File: ${fileData.path}** (${Math.round(fileData.size / 1024)}KB)`;
 		const content = `\`\`\`\n${fileData.content}\n\`\`\``;
 		return `${header}\n\n${content}`;
@@ -855,38 +997,63 @@ export class ContextGatherer {
 
 	/**
 	 * Format file context section
-	 * @param {Array<Object>} fileContents - File content objects
+	 * @param {Array<string>} fileItems - Formatted file items
 	 * @param {string} format - Output format
 	 * @returns {string} Formatted file context section
 	 */
-	_formatFileContextSection(fileContents, format) {
-		const fileItems = fileContents.map((file) => {
-			const header = `**File: ${file.path}** (${Math.round(file.size / 1024)}KB)`;
-			const content = `\`\`\`\n${file.content}\n\`\`\``;
-			return `${header}\n\n${content}`;
-		});
-
+	_formatFileContextSection(fileItems, format) {
 		switch (format) {
 			case 'research':
 				return `## File Context\n\n${fileItems.join('\n\n---\n\n')}`;
 			case 'chat':
 				return `**File Context:**\n\n${fileItems.join('\n\n')}`;
 			case 'system-prompt':
-				return `File context: ${fileContents.map((f) => `${f.path} (${f.content.substring(0, 200)}...)`).join(' | ')}`;
+				return `File context: ${fileItems.join(' | ')}`;
 			default:
 				return fileItems.join('\n\n');
 		}
 	}
 
+	/**
+	 * Format a single code snippet
+	 * @param {Object} snippet - Snippet from the code index
+	 * @param {string} format - Output format
+	 * @returns {string} Formatted snippet
+	 */
+	_formatCodeSnippet(snippet, format) {
+		if (format === 'system-prompt') {
+			return `${snippet.path}:${snippet.startLine}-${snippet.endLine}${snippet.symbols.length > 0 ? ` (${snippet.symbols.join(', ')})` : ''}`;
+		}
+		const header = `**File: ${snippet.path}** (lines ${snippet.startLine}-${snippet.endLine})`;
+		return `${header}\n\n\`\`\`\n${snippet.content}\n\`\`\``;
+	}
+
+	/**
+	 * Format code snippet section
+	 * @param {Array<string>} codeItems - Formatted code snippets
+	 * @param {string} format - Output format
+	 * @returns {string} Formatted code context section
+	 */
+	_formatCodeContextSection(codeItems, format) {
+		switch (format) {
+			case 'research':
+				return `## Relevant Code\n\n${codeItems.join('\n\n---\n\n')}`;
+			case 'chat':
+				return `**Relevant Code:**\n\n${codeItems.join('\n\n')}`;
+			case 'system-prompt':
+				return `Relevant code: ${codeItems.join(' | ')}`;
+			default:
+				return codeItems.join('\n\n');
+		}
+	}
+
 	/**
 	 * Format project tree section
-	 * @param {Object} tree - File tree structure
+	 * @param {string} treeString - Rendered file tree
 	 * @param {string} format - Output format
 	 * @returns {string} Formatted project tree section
 	 */
-	_formatProjectTreeSection(tree, format) {
-		const treeString = this._renderFileTree(tree);
-
+	_formatProjectTreeSection(treeString, format) {
 		switch (format) {
 			case 'research':
 				return `## Project Structure\n\n\`\`\`\n${treeString}\n\`\`\``;
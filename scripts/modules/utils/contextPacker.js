@@ -0,0 +1,269 @@
+/**
+ * contextPacker.js
+ * Fits gathered AI context into a token budget derived from the active
+ * model's context window
+ */
+
+import {
+	getContextBudgetSettings,
+	getContextWindowForRole,
+	getParametersForRole
+} from '../config-manager.js';
+
+export const TRUNCATION_MARKER = '\n... [truncated]';
+
+// Budgets below this are not worth packing to; the context would be useless
+const MIN_BUDGET_TOKENS = 1000;
+
+// Items that would be cut below this many tokens are dropped instead
+const MIN_ITEM_TOKENS = 50;
+
+/**
+ * Default packing order and budget shares for the ContextGatherer sections.
+ * Lower priority numbers are filled first and get leftover budget first.
+ */
+export const DEFAULT_SECTION_PRIORITIES = {
+	customContext: { priority: 1, share: 0.1 },
+	tasks: { priority: 2, share: 0.3 },
+	files: { priority: 3, share: 0.2 },
+	dependencies: { priority: 4, share: 0.1 },
+	code: { priority: 5, share: 0.15 },
+	relatedTasks: { priority: 6, share: 0.05 },
+	projectTree: { priority: 7, share: 0.1 }
+};
+
+/**
+ * Rough token estimate used when no tokenizer is supplied
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+	return text ? Math.ceil(text.length / 4) : 0;
+}
+
+/**
+ * Cut text so that it fits in maxTokens, preferring a line boundary, and mark
+ * the cut
+ * @param {string} text - Text to truncate
+ * @param {number} maxTokens - Maximum tokens of the result, marker included
+ * @param {Function} [countTokens] - Token counter
+ * @returns {string} The text itself when it fits, the truncated text, or '' when not even the marker fits
+ */
+export function truncateToTokens(
+	text,
+	maxTokens,
+	countTokens = estimateTokens
+) {
+	if (countTokens(text) <= maxTokens) {
+		return text;
+	}
+
+	const target = maxTokens - countTokens(TRUNCATION_MARKER);
+	if (target <= 0) {
+		return '';
+	}
+
+	// Longest prefix that fits
+	let low = 0;
+	let high = text.length;
+	while (low < high) {
+		const mid = Math.ceil((low + high) / 2);
+		if (countTokens(text.slice(0, mid)) <= target) {
+			low = mid;
+		} else {
+			high = mid - 1;
+		}
+	}
+
+	let cut = text.slice(0, low);
+	const lastNewline = cut.lastIndexOf('\n');
+	if (lastNewline > cut.length / 2) {
+		cut = cut.slice(0, lastNewline);
+	}
+	return cut.trimEnd() + TRUNCATION_MARKER;
+}
+
+/**
+ * Pick the best rendering of an item that fits in the available tokens
+ * @param {Object} item - Measured item
+ * @param {number} available - Tokens available for the item
+ * @param {Function} countTokens - Token counter
+ * @returns {{mode: string, text: string, tokens: number}} Chosen rendering
+ */
+function fitItem(item, available, countTokens) {
+	if (item.fullTokens <= available) {
+		return { mode: 'full', text: item.text, tokens: item.fullTokens };
+	}
+	if (item.summary && item.summaryTokens <= available) {
+		return {
+			mode: 'summary',
+			text: item.summary,
+			tokens: item.summaryTokens
+		};
+	}
+	if (available >= MIN_ITEM_TOKENS) {
+		const text = truncateToTokens(item.text, available, countTokens);
+		if (text) {
+			return { mode: 'truncated', text, tokens: countTokens(text) };
+		}
+	}
+	return { mode: 'dropped', text: null, tokens: 0 };
+}
+
+/**
+ * Pack prioritized context sections into a token budget.
+ *
+ * Each section first gets its share of the budget and keeps as many of its
+ * items as fit there, in order, using an item's summary or a truncated copy
+ * when the full text does not fit. Whatever the sections leave unused is then
+ * handed out in priority order to upgrade summarized, truncated and dropped
+ * items.
+ *
+ * @param {Array<Object>} sections - Sections to pack
+ * @param {string} sections[].name - Section name
+ * @param {number} sections[].priority - Packing order (lower first)
+ * @param {number} sections[].share - Share of the budget for the first pass
+ * @param {Array<{id: string, text: string, summary?: string}>} sections[].items - Items in the order they should be kept
+ * @param {number} budget - Token budget
+ * @param {Object} [options]
+ * @param {Function} [options.countTokens] - Token counter
+ * @returns {{sections: Object<string, Array<{id: string, mode: string, text: string, tokens: number}>>, report: Object}}
+ *   Kept items per section name and a report of the budget, tokens used and the
+ *   items that were dropped, summarized or truncated
+ */
+export function packContext(sections, budget, options = {}) {
+	const { countTokens = estimateTokens } = options;
+
+	const active = sections
+		.filter((section) => section.items?.length > 0)
+		.map((section) => ({
+			...section,
+			items: section.items.map((item) => ({
+				...item,
+				fullTokens: countTokens(item.text),
+				summaryTokens: item.summary ? countTokens(item.summary) : 0,
+				packed: { mode: 'dropped', text: null, tokens: 0 }
+			}))
+		}))
+		.sort((a, b) => a.priority - b.priority);
+
+	const totalShare = active.reduce((sum, section) => sum + section.share, 0);
+	let used = 0;
+
+	// First pass: every section within its own share
+	for (const section of active) {
+		let remaining = Math.floor((budget * section.share) / totalShare);
+		for (const item of section.items) {
+			item.packed = fitItem(item, remaining, countTokens);
+			remaining -= item.packed.tokens;
+			used += item.packed.tokens;
+		}
+	}
+
+	// Second pass: leftover budget by priority
+	for (const section of active) {
+		for (const item of section.items) {
+			const pool = budget - used;
+			if (pool <= 0) break;
+			if (item.packed.mode === 'full') continue;
+
+			const upgraded = fitItem(item, item.packed.tokens + pool, countTokens);
+			if (upgraded.tokens > item.packed.tokens) {
+				used += upgraded.tokens - item.packed.tokens;
+				item.packed = upgraded;
+			}
+		}
+	}
+
+	const packedSections = {};
+	const report = {
+		budget,
+		used,
+		dropped: [],
+		summarized: [],
+		truncated: []
+	};
+
+	for (const section of active) {
+		packedSections[section.name] = [];
+		for (const item of section.items) {
+			const { mode, text, tokens } = item.packed;
+			const entry = {
+				section: section.name,
+				id: item.id,
+				tokens,
+				originalTokens: item.fullTokens
+			};
+
+			if (mode === 'dropped') {
+				report.dropped.push(entry);
+				continue;
+			}
+			if (mode === 'summary') report.summarized.push(entry);
+			if (mode === 'truncated') report.truncated.push(entry);
+
+			packedSections[section.name].push({ id: item.id, mode, text, tokens });
+		}
+	}
+
+	return { sections: packedSections, report };
+}
+
+/**
+ * Compute the context token budget for a model role: the configured share of
+ * the input window that remains after reserving the role's output tokens.
+ * @param {string} role - The model role ('main', 'research', 'fallback')
+ * @param {string|null} [projectRoot] - Project root for config lookups
+ * @returns {number|null} Token budget, or null when context packing is disabled
+ */
+export function getContextBudget(role, projectRoot = null) {
+	const settings = getContextBudgetSettings(projectRoot);
+	if (!settings.enabled) {
+		return null;
+	}
+
+	const contextWindow = getContextWindowForRole(role, projectRoot);
+	const { maxTokens: outputTokens } = getParametersForRole(role, projectRoot);
+	// Models whose output limit is close to their window still get a quarter of it
+	const inputTokens = Math.max(
+		contextWindow - (outputTokens || 0),
+		Math.floor(contextWindow / 4)
+	);
+
+	let budget = Math.floor(inputTokens * settings.share);
+	if (settings.maxTokens) {
+		budget = Math.min(budget, settings.maxTokens);
+	}
+	return Math.max(budget, MIN_BUDGET_TOKENS);
+}
+
+/**
+ * Describe what packing left out, for logs
+ * @param {Object} report - Packing report from packContext
+ * @returns {string|null} Summary line, or null when everything fit
+ */
+export function describePacking(report) {
+	if (
+		!report ||
+		report.dropped.length +
+			report.summarized.length +
+			report.truncated.length ===
+			0
+	) {
+		return null;
+	}
+
+	const parts = [];
+	const list = (entries) =>
+		entries.map((entry) => `${entry.section}:${entry.id}`).join(', ');
+	if (report.dropped.length > 0) {
+		parts.push(`dropped ${list(report.dropped)}`);
+	}
+	if (report.summarized.length > 0) {
+		parts.push(`summarized ${list(report.summarized)}`);
+	}
+	if (report.truncated.length > 0) {
+		parts.push(`truncated ${list(report.truncated)}`);
+	}
+	return `Context packed to ${report.used}/${report.budget} tokens: ${parts.join('; ')}`;
+}
@@ -0,0 +1,262 @@
+/**
+ * fileStorage.js
+ * Locked, atomic file writes shared by the CLI, the MCP server and
+ * integrations so that concurrent processes never see or produce a partially
+ * written tasks.json
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { randomBytes } from 'crypto';
+
+const DEFAULT_LOCK_TIMEOUT_MS = 10000;
+const DEFAULT_STALE_LOCK_MS = 30000;
+const LOCK_RETRY_MS = 25;
+
+// Lock paths held by this process, with their nesting depth. Locks are only
+// held for the duration of a synchronous callback, so a lock that is held here
+// belongs to the current call stack and can be re-entered.
+const heldLocks = new Map();
+
+/**
+ * Thrown when a file cannot be locked, written, or merged safely
+ */
+export class StorageError extends Error {
+	/**
+	 * @param {string} message - Error message
+	 * @param {string} code - LOCK_TIMEOUT, WRITE_FAILED, CONFLICT or UNKNOWN_BACKEND
+	 * @param {Object} [details] - Extra information (file path, tags, lock owner)
+	 */
+	constructor(message, code, details = {}) {
+		super(message);
+		this.name = 'StorageError';
+		this.code = code;
+		this.details = details;
+	}
+}
+
+/**
+ * Block the current thread without spinning
+ * @param {number} ms - Milliseconds to sleep
+ */
+function sleepSync(ms) {
+	Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Path of the lock file guarding a file
+ * @param {string} filePath - Guarded file
+ * @returns {string} Lock file path
+ */
+export function getLockPath(filePath) {
+	return `${path.resolve(filePath)}.lock`;
+}
+
+/**
+ * Read the owner recorded in a lock file
+ * @param {string} lockPath - Lock file path
+ * @returns {Object|null} Lock owner, or null if the lock is gone or still being written
+ */
+function readLockOwner(lockPath) {
+	try {
+		return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+	} catch (error) {
+		return null;
+	}
+}
+
+/**
+ * A lock is stale when its owner process on this host is gone, or when it is
+ * older than staleMs (a crashed process on another host, or a hung one)
+ * @param {string} lockPath - Lock file path
+ * @param {number} staleMs - Maximum lock age
+ * @returns {boolean} True if the lock can be broken
+ */
+function isLockStale(lockPath, staleMs) {
+	let stats;
+	try {
+		stats = fs.statSync(lockPath);
+	} catch (error) {
+		// Released in the meantime
+		return false;
+	}
+
+	if (Date.now() - stats.mtimeMs > staleMs) {
+		return true;
+	}
+
+	const owner = readLockOwner(lockPath);
+	if (owner?.hostname === os.hostname() && owner.pid !== process.pid) {
+		try {
+			process.kill(owner.pid, 0); // Signal 0 only checks that the process exists
+		} catch (error) {
+			return error.code === 'ESRCH';
+		}
+	}
+	return false;
+}
+
+/**
+ * Take the lock on a file, waiting for other processes to release it.
+ * Re-entrant within the current call stack.
+ * @param {string} filePath - File to lock
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=10000] - How long to wait for the lock
+ * @param {number} [options.staleMs=30000] - Age after which a lock is considered abandoned
+ * @param {string} [options.operation] - Recorded in the lock file for diagnostics
+ * @returns {Function} Releases the lock
+ * @throws {StorageError} LOCK_TIMEOUT when the lock stays held by another process
+ */
+export function acquireFileLockSync(filePath, options = {}) {
+	const {
+		timeoutMs = DEFAULT_LOCK_TIMEOUT_MS,
+		staleMs = DEFAULT_STALE_LOCK_MS,
+		operation = 'write'
+	} = options;
+	const lockPath = getLockPath(filePath);
+
+	if (heldLocks.has(lockPath)) {
+		heldLocks.set(lockPath, heldLocks.get(lockPath) + 1);
+		return () => releaseFileLock(lockPath);
+	}
+
+	const deadline = Date.now() + timeoutMs;
+	const owner = JSON.stringify({
+		pid: process.pid,
+		hostname: os.hostname(),
+		operation,
+		timestamp: new Date().toISOString()
+	});
+
+	for (;;) {
+		try {
+			fs.writeFileSync(lockPath, owner, { flag: 'wx' });
+			heldLocks.set(lockPath, 1);
+			return () => releaseFileLock(lockPath);
+		} catch (error) {
+			if (error.code !== 'EEXIST') {
+				throw new StorageError(
+					`Could not create lock file ${lockPath}: ${error.message}`,
+					'WRITE_FAILED',
+					{ filePath, lockPath }
+				);
+			}
+		}
+
+		if (isLockStale(lockPath, staleMs)) {
+			try {
+				fs.unlinkSync(lockPath);
+			} catch (error) {
+				// Another process broke it first
+			}
+			continue;
+		}
+
+		if (Date.now() >= deadline) {
+			throw new StorageError(
+				`Timed out after ${timeoutMs}ms waiting for the lock on ${filePath}`,
+				'LOCK_TIMEOUT',
+				{ filePath, lockPath, owner: readLockOwner(lockPath) }
+			);
+		}
+		sleepSync(LOCK_RETRY_MS);
+	}
+}
+
+/**
+ * Release one level of a lock taken with acquireFileLockSync
+ * @param {string} lockPath - Lock file path
+ */
+function releaseFileLock(lockPath) {
+	const depth = heldLocks.get(lockPath);
+	if (!depth) {
+		return;
+	}
+	if (depth > 1) {
+		heldLocks.set(lockPath, depth - 1);
+		return;
+	}
+
+	heldLocks.delete(lockPath);
+	try {
+		fs.unlinkSync(lockPath);
+	} catch (error) {
+		// Already broken as stale; nothing left to release
+	}
+}
+
+/**
+ * Run a synchronous read-modify-write while holding the lock on a file.
+ * The callback must not await: the lock is released when it returns.
+ * @param {string} filePath - File to lock
+ * @param {Function} fn - Work to do under the lock
+ * @param {Object} [options] - Lock options (see acquireFileLockSync)
+ * @returns {*} The callback's return value
+ */
+export function withFileLockSync(filePath, fn, options = {}) {
+	const release = acquireFileLockSync(filePath, options);
+	try {
+		return fn();
+	} finally {
+		release();
+	}
+}
+
+/**
+ * Replace a file's content atomically: write a temp file next to it, flush
+ * it to disk and rename it over the original. Readers see the old or the new
+ * content, never a partial write.
+ * @param {string} filePath - File to write
+ * @param {string} content - New content
+ * @throws {StorageError} WRITE_FAILED when the file cannot be written
+ */
+export function writeFileAtomicSync(filePath, content) {
+	const dir = path.dirname(filePath);
+	const tempPath = path.join(
+		dir,
+		`.${path.basename(filePath)}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`
+	);
+
+	try {
+		const fd = fs.openSync(tempPath, 'wx');
+		try {
+			fs.writeFileSync(fd, content, 'utf8');
+			fs.fsyncSync(fd);
+		} finally {
+			fs.closeSync(fd);
+		}
+		renameWithRetry(tempPath, filePath);
+	} catch (error) {
+		try {
+			fs.unlinkSync(tempPath);
+		} catch (cleanupError) {
+			// The temp file was never created or has already been renamed
+		}
+		throw new StorageError(
+			`Could not write ${filePath}: ${error.message}`,
+			'WRITE_FAILED',
+			{ filePath }
+		);
+	}
+}
+
+/**
+ * Rename, retrying briefly on Windows where a reader holding the target open
+ * makes the rename fail with EPERM/EACCES
+ * @param {string} from - Source path
+ * @param {string} to - Target path
+ */
+function renameWithRetry(from, to) {
+	for (let attempt = 1; ; attempt++) {
+		try {
+			fs.renameSync(from, to);
+			return;
+		} catch (error) {
+			if (!['EPERM', 'EACCES', 'EBUSY'].includes(error.code) || attempt >= 5) {
+				throw error;
+			}
+			sleepSync(LOCK_RETRY_MS * attempt);
+		}
+	}
+}
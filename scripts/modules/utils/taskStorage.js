@@ -0,0 +1,395 @@
+/**
+ * taskStorage.js
+ * Storage backends for tagged task data. readJSON and writeJSON always see
+ * one object with a key per tag; the backend decides how that object is laid
+ * out on disk:
+ *
+ * - `file`: everything in tasks.json (the default)
+ * - `directory`: tasks.json is a small manifest and every tag is stored in
+ *   its own file under `tags/`, so changes to one tag diff cleanly in git and
+ *   writes only rewrite the tags that changed
+ *
+ * The manifest names the backend, so the layout is detected from the tasks
+ * file itself and every caller keeps passing the same tasks.json path.
+ *
+ * Backends may read and write a subset of the tags: `read(tags)` can return
+ * only the listed tags (plus any non-tag data), and `write(data, tags)` then
+ * only writes or removes the listed tags. A backend that ignores `tags` must
+ * ignore it in both.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+	StorageError,
+	withFileLockSync,
+	writeFileAtomicSync
+} from './fileStorage.js';
+
+/**
+ * Key of the manifest entry in a tasks.json that delegates to another backend
+ */
+export const STORAGE_MANIFEST_KEY = '$storage';
+
+// Relative to tasks.json, i.e. TASKMASTER_TAGS_DIR for the default tasks file
+const DEFAULT_TAGS_DIR = 'tags';
+
+// How a manifest starts, and how much of a tasks file to read to find out
+const MANIFEST_PREFIX = /^\s*\{\s*"\$storage"/;
+const MANIFEST_PROBE_BYTES = 64;
+
+/**
+ * Whether a value is a tag entry ({ tasks: [...], metadata })
+ * @param {*} value - Value to check
+ * @returns {boolean} True for tag objects
+ */
+function isTagObject(value) {
+	return Boolean(
+		value && typeof value === 'object' && Array.isArray(value.tasks)
+	);
+}
+
+/**
+ * Serialize data the way tasks files are written
+ * @param {*} data - Data to serialize
+ * @returns {string} JSON text
+ */
+function serialize(data) {
+	return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Stores all tags in the tasks file itself
+ */
+export class SingleFileTaskStorage {
+	/**
+	 * @param {string} tasksPath - Path to tasks.json
+	 */
+	constructor(tasksPath) {
+		this.type = 'file';
+		this.tasksPath = tasksPath;
+	}
+
+	/**
+	 * Read all tags: the file is parsed as a whole either way
+	 * @returns {Object} Tagged task data
+	 */
+	read() {
+		return JSON.parse(fs.readFileSync(this.tasksPath, 'utf8'));
+	}
+
+	/**
+	 * Write all tags: the file is replaced as a whole either way
+	 * @param {Object} data - Tagged task data
+	 */
+	write(data) {
+		writeFileAtomicSync(this.tasksPath, serialize(data));
+	}
+
+	/**
+	 * Remove what this backend stores besides tasks.json (nothing)
+	 */
+	remove() {}
+}
+
+/**
+ * Stores each tag in its own file next to a tasks.json manifest
+ */
+export class DirectoryTaskStorage {
+	/**
+	 * @param {string} tasksPath - Path to tasks.json (the manifest)
+	 * @param {Object} [manifest] - Manifest entry
+	 * @param {string} [manifest.dir='tags'] - Tag directory, relative to tasks.json
+	 */
+	constructor(tasksPath, manifest = {}) {
+		this.type = 'directory';
+		this.tasksPath = tasksPath;
+		this.dir = manifest.dir || DEFAULT_TAGS_DIR;
+		this.tagsDir = path.join(path.dirname(tasksPath), this.dir);
+	}
+
+	/**
+	 * Path of a tag's file. Tag names are encoded so that any name is a
+	 * single, safe file name.
+	 * @param {string} tag - Tag name
+	 * @returns {string} File path
+	 */
+	getTagPath(tag) {
+		return path.join(this.tagsDir, `${encodeURIComponent(tag)}.json`);
+	}
+
+	/**
+	 * Tag files currently on disk
+	 * @returns {Map<string, string>} Tag name to file path
+	 */
+	listTagFiles() {
+		if (!fs.existsSync(this.tagsDir)) {
+			return new Map();
+		}
+		return new Map(
+			fs
+				.readdirSync(this.tagsDir)
+				.filter((file) => file.endsWith('.json'))
+				.sort()
+				.map((file) => [
+					decodeURIComponent(file.slice(0, -'.json'.length)),
+					path.join(this.tagsDir, file)
+				])
+		);
+	}
+
+	/**
+	 * Tag files to read or write
+	 * @param {Array<string>} [tags] - Tag names, or all tags on disk when omitted
+	 * @returns {Map<string, string>} Tag name to file path of the existing files
+	 */
+	_selectTagFiles(tags) {
+		if (!tags) {
+			return this.listTagFiles();
+		}
+		return new Map(
+			tags
+				.map((tag) => [tag, this.getTagPath(tag)])
+				.filter(([, filePath]) => fs.existsSync(filePath))
+		);
+	}
+
+	/**
+	 * @param {Array<string>} [tags] - Only load these tags
+	 * @returns {Object} Tagged task data
+	 */
+	read(tags) {
+		const { [STORAGE_MANIFEST_KEY]: _manifest, ...data } = JSON.parse(
+			fs.readFileSync(this.tasksPath, 'utf8')
+		);
+		for (const [tag, filePath] of this._selectTagFiles(tags)) {
+			data[tag] = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+		}
+		return data;
+	}
+
+	/**
+	 * Write the tags that changed, remove the tags that are gone, and keep any
+	 * other top-level data in the manifest.
+	 *
+	 * Every file is replaced atomically, but the write as a whole is not: tag
+	 * files are replaced one at a time and the manifest last. A crash part-way
+	 * leaves the tags written so far in their new state and the rest in the
+	 * old one, and a reader that does not hold the tasks file lock can see
+	 * that mix while a write is in progress. writeJSON passes only the tags a
+	 * command changed, which is usually a single file.
+	 * @param {Object} data - Tagged task data
+	 * @param {Array<string>} [tags] - Only write or remove these tags
+	 */
+	write(data, tags) {
+		const manifest = {
+			[STORAGE_MANIFEST_KEY]: { type: this.type, dir: this.dir }
+		};
+		const tagData = new Map();
+		for (const [key, value] of Object.entries(data)) {
+			if (isTagObject(value)) {
+				if (!tags || tags.includes(key)) {
+					tagData.set(key, value);
+				}
+			} else if (key !== STORAGE_MANIFEST_KEY) {
+				manifest[key] = value;
+			}
+		}
+
+		fs.mkdirSync(this.tagsDir, { recursive: true });
+		const existing = this._selectTagFiles(tags);
+		for (const [tag, value] of tagData) {
+			const filePath = this.getTagPath(tag);
+			const content = serialize(value);
+			if (!existing.has(tag) || fs.readFileSync(filePath, 'utf8') !== content) {
+				writeFileAtomicSync(filePath, content);
+			}
+		}
+		for (const [tag, filePath] of existing) {
+			if (!tagData.has(tag)) {
+				fs.unlinkSync(filePath);
+			}
+		}
+
+		// The manifest goes last: it is what marks the layout as in use
+		const manifestContent = serialize(manifest);
+		if (
+			!fs.existsSync(this.tasksPath) ||
+			fs.readFileSync(this.tasksPath, 'utf8') !== manifestContent
+		) {
+			writeFileAtomicSync(this.tasksPath, manifestContent);
+		}
+	}
+
+	/**
+	 * Remove the tag files and their directory
+	 */
+	remove() {
+		for (const filePath of this.listTagFiles().values()) {
+			fs.unlinkSync(filePath);
+		}
+		if (
+			fs.existsSync(this.tagsDir) &&
+			fs.readdirSync(this.tagsDir).length === 0
+		) {
+			fs.rmdirSync(this.tagsDir);
+		}
+	}
+}
+
+const backends = new Map([
+	['file', (tasksPath) => new SingleFileTaskStorage(tasksPath)],
+	[
+		'directory',
+		(tasksPath, manifest) => new DirectoryTaskStorage(tasksPath, manifest)
+	]
+]);
+
+/**
+ * Add a storage backend
+ * @param {string} type - Backend name, as written in the manifest
+ * @param {Function} factory - (tasksPath, manifest) => backend with type, read(tags), write(data, tags) and remove()
+ */
+export function registerTaskStorageBackend(type, factory) {
+	backends.set(type, factory);
+}
+
+/**
+ * Names of the available backends
+ * @returns {Array<string>} Backend names
+ */
+export function getTaskStorageTypes() {
+	return [...backends.keys()];
+}
+
+/**
+ * Create a backend for a tasks file
+ * @param {string} type - Backend name
+ * @param {string} tasksPath - Path to tasks.json
+ * @param {Object} [manifest] - Manifest entry with backend options
+ * @returns {Object} Backend
+ * @throws {StorageError} UNKNOWN_BACKEND for a backend that is not registered
+ */
+export function createTaskStorage(type, tasksPath, manifest = {}) {
+	const factory = backends.get(type);
+	if (!factory) {
+		throw new StorageError(
+			`Unknown task storage "${type}". Available: ${getTaskStorageTypes().join(', ')}`,
+			'UNKNOWN_BACKEND',
+			{ filePath: tasksPath, type }
+		);
+	}
+	return factory(tasksPath, manifest);
+}
+
+/**
+ * Get the manifest entry of parsed tasks file content
+ * @param {*} content - Parsed tasks.json
+ * @returns {Object|null} Manifest entry, or null for a plain tasks file
+ */
+function getManifest(content) {
+	const manifest = content?.[STORAGE_MANIFEST_KEY];
+	return manifest && typeof manifest === 'object' ? manifest : null;
+}
+
+/**
+ * Read the manifest entry of a tasks file without parsing a whole single-file
+ * tasks.json: manifests are written with the manifest key first
+ * @param {string} tasksPath - Path to tasks.json
+ * @returns {Object|null} Manifest entry, or null for a plain or missing file
+ */
+function readManifest(tasksPath) {
+	let fd;
+	try {
+		fd = fs.openSync(tasksPath, 'r');
+		const head = Buffer.alloc(MANIFEST_PROBE_BYTES);
+		const bytesRead = fs.readSync(fd, head, 0, head.length, 0);
+		if (!MANIFEST_PREFIX.test(head.toString('utf8', 0, bytesRead))) {
+			return null;
+		}
+		return getManifest(JSON.parse(fs.readFileSync(tasksPath, 'utf8')));
+	} catch (error) {
+		// No readable file yet: it will be created as a single file
+		return null;
+	} finally {
+		if (fd !== undefined) {
+			fs.closeSync(fd);
+		}
+	}
+}
+
+/**
+ * Get the backend that stores a tasks file, from its manifest. Files that
+ * are missing or unreadable use the single-file backend.
+ * @param {string} tasksPath - Path to tasks.json
+ * @returns {Object} Backend
+ */
+export function getTaskStorage(tasksPath) {
+	const manifest = readManifest(tasksPath);
+	return manifest
+		? createTaskStorage(manifest.type, tasksPath, manifest)
+		: createTaskStorage('file', tasksPath);
+}
+
+/**
+ * Read a JSON file, loading tagged task data through its storage backend
+ * when the file is a storage manifest
+ * @param {string} filePath - JSON file, usually tasks.json
+ * @param {Array<string>} [tags] - Only the tags needed; backends may still return all
+ * @returns {*} Parsed data
+ * @throws {Error} When the file is missing or not valid JSON
+ */
+export function readTaskFile(filePath, tags) {
+	const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+	const manifest = getManifest(content);
+	return manifest
+		? createTaskStorage(manifest.type, filePath, manifest).read(tags)
+		: content;
+}
+
+/**
+ * Write a JSON file through the storage backend it currently uses
+ * @param {string} filePath - JSON file, usually tasks.json
+ * @param {*} data - Data to write
+ * @param {Array<string>} [tags] - Only write these tags, when data was read with the same list
+ */
+export function writeTaskFile(filePath, data, tags) {
+	getTaskStorage(filePath).write(data, tags);
+}
+
+/**
+ * Convert a tasks file to another storage backend
+ * @param {string} tasksPath - Path to tasks.json
+ * @param {string} type - Target backend name
+ * @returns {{from: string, to: string, tags: number, changed: boolean}} What was converted
+ * @throws {StorageError} UNKNOWN_BACKEND, or when the tasks cannot be locked or written
+ */
+export function convertTaskStorage(tasksPath, type) {
+	if (!fs.existsSync(tasksPath)) {
+		throw new StorageError(
+			`Tasks file not found: ${tasksPath}`,
+			'WRITE_FAILED',
+			{ filePath: tasksPath }
+		);
+	}
+
+	return withFileLockSync(
+		tasksPath,
+		() => {
+			const source = getTaskStorage(tasksPath);
+			const target = createTaskStorage(type, tasksPath);
+			const data = source.read();
+			const tags = Object.values(data).filter(isTagObject).length;
+			if (source.type === target.type) {
+				return { from: source.type, to: target.type, tags, changed: false };
+			}
+
+			// The target takes over tasks.json before the source's files go away,
+			// so an interrupted conversion never loses data
+			target.write(data);
+			source.remove();
+			return { from: source.type, to: target.type, tags, changed: true };
+		},
+		{ operation: 'migrate-storage' }
+	);
+}
@@ -83,9 +83,16 @@ export class BaseAIProvider {
 		log('error', `${this.name} ${operation} failed: ${errorMessage}`, {
 			error
 		});
-		throw new Error(
-			`${this.name} API error during ${operation}: ${errorMessage}`
+		// Keep the original error and HTTP status so callers can classify it
+		const wrappedError = new Error(
+			`${this.name} API error during ${operation}: ${errorMessage}`,
+			{ cause: error }
 		);
+		const status = error?.statusCode ?? error?.status;
+		if (status !== undefined) {
+			wrappedError.status = status;
+		}
+		throw wrappedError;
 	}
 
 	/**
@@ -13,3 +13,5 @@ export { OllamaAIProvider } from './ollama.js';
 export { BedrockAIProvider } from './bedrock.js';
 export { AzureProvider } from './azure.js';
 export { VertexAIProvider } from './google-vertex.js';
+export { ReplayAIProvider } from './replay.js';
+export { OpenAICompatibleProvider } from './openai-compatible.js';
@@ -0,0 +1,54 @@
+/**
+ * openai-compatible.js
+ * AI provider implementation for any endpoint that speaks the OpenAI API
+ * (LiteLLM, vLLM, LM Studio, internal gateways) using Vercel AI SDK.
+ */
+
+import { createOpenAI } from '@ai-sdk/openai';
+import { BaseAIProvider } from './base-provider.js';
+
+export class OpenAICompatibleProvider extends BaseAIProvider {
+	constructor() {
+		super();
+		this.name = 'OpenAI Compatible';
+	}
+
+	/**
+	 * Override auth validation - many gateways authenticate through headers
+	 * or not at all, so the API key is optional
+	 * @param {object} params - Parameters to validate
+	 */
+	validateAuth(_params) {}
+
+	/**
+	 * Creates and returns a client for an OpenAI-compatible endpoint.
+	 * @param {object} params - Parameters for client initialization
+	 * @param {string} params.baseURL - Base URL of the endpoint (e.g. http://localhost:4000/v1)
+	 * @param {string} [params.apiKey] - Optional API key sent as a bearer token
+	 * @param {object} [params.headers] - Optional extra headers sent with every request
+	 * @returns {Function} OpenAI-compatible client function
+	 * @throws {Error} If the base URL is missing or initialization fails
+	 */
+	getClient(params) {
+		try {
+			const { apiKey, baseURL, headers } = params;
+
+			if (!baseURL) {
+				throw new Error(
+					'OpenAI-compatible provider requires a baseURL for the role in .taskmaster/config.json.'
+				);
+			}
+
+			return createOpenAI({
+				name: 'openai-compatible',
+				// Always pass a key so the SDK never falls back to OPENAI_API_KEY
+				apiKey: apiKey || 'not-needed',
+				baseURL,
+				compatibility: 'compatible',
+				...(headers && { headers })
+			});
+		} catch (error) {
+			this.handleError('client initialization', error);
+		}
+	}
+}
@@ -0,0 +1,205 @@
+/**
+ * replay.js
+ * AI provider that records real provider exchanges to fixture files and
+ * replays them, so commands can run end to end without network or API keys.
+ *
+ * Fixtures are keyed by a hash of the call type, the messages and the object
+ * name. The model ID names the upstream provider and model used to record,
+ * e.g. `anthropic/claude-3-7-sonnet-20250219`.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { BaseAIProvider } from './base-provider.js';
+import { log } from '../../scripts/modules/index.js';
+
+/**
+ * Replay modes: `replay` only serves fixtures, `record` always calls the
+ * upstream provider and overwrites the fixture, `auto` records missing ones
+ */
+export const REPLAY_MODES = ['replay', 'record', 'auto'];
+
+export class ReplayAIProvider extends BaseAIProvider {
+	constructor() {
+		super();
+		this.name = 'Replay';
+	}
+
+	/**
+	 * Override auth validation - replaying needs no API key, recording uses
+	 * the upstream provider's key
+	 * @param {object} params - Parameters to validate
+	 */
+	validateAuth(_params) {}
+
+	/**
+	 * The replay provider has no client of its own
+	 */
+	getClient() {
+		throw new Error('Replay provider does not create a client');
+	}
+
+	/**
+	 * Compute the fixture key for a call
+	 * @param {string} method - generateText, streamText or generateObject
+	 * @param {object} params - Call parameters
+	 * @returns {string} Fixture key
+	 */
+	getFixtureKey(method, params) {
+		return crypto
+			.createHash('sha256')
+			.update(
+				JSON.stringify({
+					method,
+					messages: params.messages,
+					objectName: params.objectName || null
+				})
+			)
+			.digest('hex')
+			.slice(0, 16);
+	}
+
+	/**
+	 * Replay a recorded exchange, or record it from the upstream provider
+	 * @param {string} method - Provider method to replay or record
+	 * @param {object} params - Call parameters
+	 * @param {string} params.fixturesDir - Directory holding the fixtures
+	 * @param {string} [params.replayMode='replay'] - One of REPLAY_MODES
+	 * @param {object} [params.upstream] - Upstream { provider, modelId, apiKey, baseURL } used to record
+	 * @param {Function} record - Calls the upstream provider and returns the response to store
+	 * @returns {Promise<object>} Recorded response
+	 */
+	async exchange(method, params, record) {
+		const { fixturesDir, replayMode = 'replay', upstream } = params;
+		if (!REPLAY_MODES.includes(replayMode)) {
+			throw new Error(
+				`Invalid replay mode "${replayMode}". Use one of: ${REPLAY_MODES.join(', ')}`
+			);
+		}
+		if (!fixturesDir) {
+			throw new Error('Replay fixtures directory is required');
+		}
+
+		const key = this.getFixtureKey(method, params);
+		const fixturePath = path.join(fixturesDir, `${key}.json`);
+
+		if (replayMode !== 'record' && fs.existsSync(fixturePath)) {
+			log('debug', `Replaying ${method} fixture ${key}`);
+			return JSON.parse(fs.readFileSync(fixturePath, 'utf8')).response;
+		}
+
+		if (replayMode === 'replay') {
+			throw new Error(
+				`No recorded ${method} fixture ${key} in ${fixturesDir}. Record it with global.replayMode set to "record" or "auto".`
+			);
+		}
+		if (!upstream?.provider) {
+			throw new Error(
+				`Cannot record ${method} fixture ${key}: set the model ID to "<provider>/<model>" of a configured provider to record from`
+			);
+		}
+
+		log(
+			'info',
+			`Recording ${method} fixture ${key} from ${upstream.providerName}/${upstream.modelId}`
+		);
+		const response = await record({
+			...params,
+			modelId: upstream.modelId,
+			apiKey: upstream.apiKey,
+			baseURL: upstream.baseURL
+		});
+
+		fs.mkdirSync(fixturesDir, { recursive: true });
+		fs.writeFileSync(
+			fixturePath,
+			`${JSON.stringify(
+				{
+					key,
+					method,
+					recordedWith: `${upstream.providerName}/${upstream.modelId}`,
+					recordedAt: new Date().toISOString(),
+					objectName: params.objectName,
+					messages: params.messages,
+					response
+				},
+				null,
+				2
+			)}\n`
+		);
+		return response;
+	}
+
+	/**
+	 * Generates text from a fixture
+	 */
+	async generateText(params) {
+		try {
+			this.validateMessages(params.messages);
+			return await this.exchange('generateText', params, (upstreamParams) =>
+				params.upstream.provider.generateText(upstreamParams)
+			);
+		} catch (error) {
+			this.handleError('text generation', error);
+		}
+	}
+
+	/**
+	 * Streams text from a fixture. Recording reads the upstream stream to the
+	 * end, so the recorded text is replayed as a single chunk.
+	 */
+	async streamText(params) {
+		try {
+			this.validateMessages(params.messages);
+			const { text, usage } = await this.exchange(
+				'streamText',
+				params,
+				async (upstreamParams) => {
+					const stream =
+						await params.upstream.provider.streamText(upstreamParams);
+					const streamUsage = await stream.usage;
+					return {
+						text: await stream.text,
+						usage: {
+							inputTokens: streamUsage?.promptTokens,
+							outputTokens: streamUsage?.completionTokens,
+							totalTokens: streamUsage?.totalTokens
+						}
+					};
+				}
+			);
+
+			return {
+				textStream: (async function* () {
+					yield text;
+				})(),
+				text: Promise.resolve(text),
+				usage: Promise.resolve({
+					promptTokens: usage?.inputTokens,
+					completionTokens: usage?.outputTokens,
+					totalTokens: usage?.totalTokens
+				})
+			};
+		} catch (error) {
+			this.handleError('text streaming', error);
+		}
+	}
+
+	/**
+	 * Generates a structured object from a fixture
+	 */
+	async generateObject(params) {
+		try {
+			this.validateMessages(params.messages);
+			if (!params.objectName) {
+				throw new Error('Object name is required for object generation');
+			}
+			return await this.exchange('generateObject', params, (upstreamParams) =>
+				params.upstream.provider.generateObject(upstreamParams)
+			);
+		} catch (error) {
+			this.handleError('object generation', error);
+		}
+	}
+}
@@ -5,18 +5,32 @@
 // .taskmaster directory structure paths
 export const TASKMASTER_DIR = '.taskmaster';
 export const TASKMASTER_TASKS_DIR = '.taskmaster/tasks';
+export const TASKMASTER_TAGS_DIR = '.taskmaster/tasks/tags';
 export const TASKMASTER_DOCS_DIR = '.taskmaster/docs';
 export const TASKMASTER_REPORTS_DIR = '.taskmaster/reports';
 export const TASKMASTER_TEMPLATES_DIR = '.taskmaster/templates';
+export const TASKMASTER_EVENTS_DIR = '.taskmaster/events';
+export const TASKMASTER_HISTORY_DIR = '.taskmaster/history';
+export const AI_FIXTURES_DIR = '.taskmaster/fixtures/ai';
+export const AI_CACHE_DIR = '.taskmaster/cache/ai';
+export const CODE_INDEX_FILE = '.taskmaster/cache/code-index.json';
 
 // Task Master configuration files
 export const TASKMASTER_CONFIG_FILE = '.taskmaster/config.json';
 export const TASKMASTER_STATE_FILE = '.taskmaster/state.json';
 export const LEGACY_CONFIG_FILE = '.taskmasterconfig';
 
+// Task Master event queue journal
+export const EVENT_QUEUE_JOURNAL_FILE = '.taskmaster/events/queue.jsonl';
+
 // Task Master report files
+export const AI_USAGE_LEDGER_FILE = '.taskmaster/reports/ai-usage.jsonl';
+export const LINEAR_SYNC_AUDIT_FILE =
+	'.taskmaster/reports/linear-sync-audit.jsonl';
 export const COMPLEXITY_REPORT_FILE =
 	'.taskmaster/reports/task-complexity-report.json';
+export const MERGE_CONFLICT_REPORT_FILE =
+	'.taskmaster/reports/merge-conflicts.json';
 export const LEGACY_COMPLEXITY_REPORT_FILE =
 	'scripts/task-complexity-report.json';
 
@@ -0,0 +1,139 @@
+/**
+ * Tests for the AI response cache
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { z } from 'zod';
+import {
+	getCacheKey,
+	pruneCache,
+	readCachedResponse,
+	writeCachedResponse
+} from '../../scripts/modules/ai-response-cache.js';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 2, 15, 12, 0, 0);
+const SETTINGS = { enabled: true, ttlMs: 24 * HOUR, maxSizeBytes: 1024 * 1024 };
+
+const request = (overrides = {}) => ({
+	serviceType: 'generateText',
+	role: 'main',
+	providerName: 'anthropic',
+	modelId: 'claude-sonnet',
+	systemPrompt: 'You are a planner',
+	prompt: 'Expand task 3',
+	...overrides
+});
+
+describe('AI response cache', () => {
+	let projectRoot;
+	const cacheDir = () => path.join(projectRoot, '.taskmaster', 'cache', 'ai');
+
+	beforeEach(() => {
+		projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-cache-'));
+		fs.mkdirSync(path.join(projectRoot, '.taskmaster'));
+	});
+
+	afterEach(() => {
+		fs.rmSync(projectRoot, { recursive: true, force: true });
+	});
+
+	describe('getCacheKey', () => {
+		it('should change with every input that shapes the response', () => {
+			const base = getCacheKey(request());
+
+			expect(getCacheKey(request())).toBe(base);
+			for (const change of [
+				{ role: 'research' },
+				{ modelId: 'claude-opus' },
+				{ systemPrompt: 'You are a reviewer' },
+				{ prompt: 'Expand task 4' },
+				{ serviceType: 'generateObject' }
+			]) {
+				expect(getCacheKey(request(change))).not.toBe(base);
+			}
+		});
+
+		it('should include the fields of an object schema', () => {
+			const withTitle = getCacheKey(
+				request({ schema: z.object({ title: z.string() }), objectName: 'task' })
+			);
+			const withName = getCacheKey(
+				request({ schema: z.object({ name: z.string() }), objectName: 'task' })
+			);
+
+			expect(withTitle).not.toBe(withName);
+		});
+	});
+
+	it('should return a stored response until it expires', () => {
+		const key = getCacheKey(request());
+		const response = {
+			text: 'Cached text',
+			usage: { inputTokens: 10, outputTokens: 20, totalTokens: 30 }
+		};
+		writeCachedResponse(
+			projectRoot,
+			key,
+			{ providerName: 'anthropic', modelId: 'claude-sonnet', response },
+			SETTINGS,
+			NOW
+		);
+
+		expect(readCachedResponse(projectRoot, key, SETTINGS, NOW + HOUR)).toEqual(
+			response
+		);
+		expect(
+			readCachedResponse(projectRoot, key, SETTINGS, NOW + 25 * HOUR)
+		).toBeNull();
+		expect(fs.readdirSync(cacheDir())).toEqual([]);
+	});
+
+	it('should not write outside an initialized project', () => {
+		const bareRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-cache-bare-'));
+
+		expect(
+			writeCachedResponse(
+				bareRoot,
+				'key',
+				{ providerName: 'anthropic', modelId: 'm', response: { text: 'x' } },
+				SETTINGS
+			)
+		).toBeNull();
+		expect(fs.readdirSync(bareRoot)).toEqual([]);
+
+		fs.rmSync(bareRoot, { recursive: true, force: true });
+	});
+
+	it('should evict the least recently used entries past the size limit', () => {
+		const response = { text: 'x'.repeat(400), usage: {} };
+		const store = (key, at) =>
+			writeCachedResponse(
+				projectRoot,
+				key,
+				{ providerName: 'anthropic', modelId: 'm', response },
+				{ ...SETTINGS, maxSizeBytes: 100000 },
+				at
+			);
+		store('first', NOW);
+		store('second', NOW + 1000);
+		store('third', NOW + 2000);
+		// Reading 'first' makes 'second' the least recently used entry
+		readCachedResponse(projectRoot, 'first', SETTINGS, NOW + 3000);
+
+		const entrySize = fs.statSync(path.join(cacheDir(), 'third.json')).size;
+		const result = pruneCache(
+			projectRoot,
+			{ ...SETTINGS, maxSizeBytes: entrySize * 2 },
+			NOW + 4000
+		);
+
+		expect(result).toMatchObject({ removed: 1, entries: 2 });
+		expect(fs.readdirSync(cacheDir()).sort()).toEqual([
+			'first.json',
+			'third.json'
+		]);
+	});
+});
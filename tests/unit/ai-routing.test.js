@@ -0,0 +1,170 @@
+/**
+ * Tests for AI role routing
+ */
+
+import { jest } from '@jest/globals';
+
+const mockGetRoutingConfig = jest.fn();
+const mockLog = jest.fn();
+
+jest.unstable_mockModule('../../scripts/modules/config-manager.js', () => ({
+	getRoutingConfig: mockGetRoutingConfig
+}));
+
+jest.unstable_mockModule('../../scripts/modules/utils.js', () => ({
+	log: mockLog
+}));
+
+const { resolveRoleChain, classifyAiError, getErrorRules } = await import(
+	'../../scripts/modules/ai-routing.js'
+);
+
+const routing = (overrides = {}) => ({
+	chains: {},
+	commands: {},
+	errors: {},
+	...overrides
+});
+
+describe('AI role routing', () => {
+	beforeEach(() => {
+		jest.clearAllMocks();
+		mockGetRoutingConfig.mockReturnValue(routing());
+	});
+
+	describe('resolveRoleChain', () => {
+		it('should keep the built-in chains without routing config', () => {
+			expect(resolveRoleChain('main')).toEqual([
+				'main',
+				'fallback',
+				'research'
+			]);
+			expect(resolveRoleChain('research')).toEqual([
+				'research',
+				'fallback',
+				'main'
+			]);
+		});
+
+		it('should use a configured chain and start it with its role', () => {
+			mockGetRoutingConfig.mockReturnValue(
+				routing({ chains: { main: ['strong', 'fallback'] } })
+			);
+
+			expect(resolveRoleChain('main')).toEqual(['main', 'strong', 'fallback']);
+		});
+
+		it('should route a command to a named role in place of main only', () => {
+			mockGetRoutingConfig.mockReturnValue(
+				routing({
+					chains: { cheap: ['cheap', 'main'] },
+					commands: { 'analyze-complexity': 'cheap' }
+				})
+			);
+
+			expect(resolveRoleChain('main', 'analyze-complexity')).toEqual([
+				'cheap',
+				'main'
+			]);
+			expect(resolveRoleChain('research', 'analyze-complexity')).toEqual([
+				'research',
+				'fallback',
+				'main'
+			]);
+			expect(resolveRoleChain('main', 'expand-task')).toEqual([
+				'main',
+				'fallback',
+				'research'
+			]);
+		});
+
+		it('should use an explicit chain from a per-role command route', () => {
+			mockGetRoutingConfig.mockReturnValue(
+				routing({
+					commands: {
+						'parse-prd': { main: 'strong', research: ['research', 'strong'] }
+					}
+				})
+			);
+
+			// Without a chain of its own, a named role falls back to main's chain
+			expect(resolveRoleChain('main', 'parse-prd')).toEqual([
+				'strong',
+				'main',
+				'fallback',
+				'research'
+			]);
+			expect(resolveRoleChain('research', 'parse-prd')).toEqual([
+				'research',
+				'strong'
+			]);
+		});
+	});
+
+	describe('classifyAiError', () => {
+		it.each([
+			[{ message: 'Rate limit exceeded' }, 'rateLimit'],
+			[
+				{ message: 'API error during text generation', status: 429 },
+				'rateLimit'
+			],
+			[{ message: 'Bad gateway', status: 502 }, 'serverError'],
+			[{ message: 'Request timeout' }, 'network'],
+			[{ message: 'Invalid API key provided' }, 'auth'],
+			[{ message: 'tool use is not supported' }, 'toolSupport'],
+			[{ message: 'Something odd happened' }, 'other']
+		])('should classify %o as %s', (fields, category) => {
+			expect(classifyAiError(Object.assign(new Error(), fields))).toBe(
+				category
+			);
+		});
+
+		it('should look at the wrapped provider error', () => {
+			const cause = new Error('Type validation failed');
+			cause.name = 'AI_TypeValidationError';
+			const error = new Error('API error during object generation', { cause });
+
+			expect(classifyAiError(error)).toBe('schemaValidation');
+		});
+	});
+
+	describe('getErrorRules', () => {
+		it('should apply valid rules and ignore invalid ones', () => {
+			mockGetRoutingConfig.mockReturnValue(
+				routing({
+					errors: {
+						rateLimit: 'retry',
+						schemaValidation: 'next',
+						auth: 'panic',
+						quota: 'next'
+					}
+				})
+			);
+
+			const rules = getErrorRules();
+
+			expect(rules).toMatchObject({
+				rateLimit: 'retry',
+				schemaValidation: 'next',
+				auth: 'next',
+				serverError: 'retry'
+			});
+			expect(rules).not.toHaveProperty('quota');
+			expect(mockLog).toHaveBeenCalledTimes(2);
+		});
+
+		it('should move on after rate limits and fail on schema errors by default', () => {
+			mockGetRoutingConfig.mockReturnValue(routing());
+
+			expect(getErrorRules()).toEqual({
+				rateLimit: 'next',
+				serverError: 'retry',
+				network: 'retry',
+				auth: 'next',
+				schemaValidation: 'fail',
+				toolSupport: 'fail',
+				other: 'next'
+			});
+		});
+	});
+});
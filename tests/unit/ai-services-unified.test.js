@@ -64,6 +64,12 @@ const mockGetDefaultNumTasks = jest.fn();
 const mockGetDefaultSubtasks = jest.fn();
 const mockGetDefaultPriority = jest.fn();
 const mockGetProjectName = jest.fn();
+const mockGetReplaySettings = jest.fn();
+const mockGetHeadersForRole = jest.fn();
+const mockGetCostForRole = jest.fn();
+const mockGetAiCacheSettings = jest.fn();
+const mockGetRoutingConfig = jest.fn();
+const mockGetModelConfigForRole = jest.fn();
 
 jest.unstable_mockModule('../../scripts/modules/config-manager.js', () => ({
 	// Core config access
@@ -101,6 +107,8 @@ jest.unstable_mockModule('../../scripts/modules/config-manager.js', () => ({
 	getUserId: mockGetUserId,
 	getDebugFlag: mockGetDebugFlag,
 	getBaseUrlForRole: mockGetBaseUrlForRole,
+	getHeadersForRole: mockGetHeadersForRole,
+	getCostForRole: mockGetCostForRole,
 
 	// Global settings
 	getLogLevel: mockGetLogLevel,
@@ -117,7 +125,11 @@ jest.unstable_mockModule('../../scripts/modules/config-manager.js', () => ({
 	getBedrockBaseURL: mockGetBedrockBaseURL,
 	getVertexProjectId: mockGetVertexProjectId,
 	getVertexLocation: mockGetVertexLocation,
-	getMcpApiKeyStatus: mockGetMcpApiKeyStatus
+	getMcpApiKeyStatus: mockGetMcpApiKeyStatus,
+	getReplaySettings: mockGetReplaySettings,
+	getAiCacheSettings: mockGetAiCacheSettings,
+	getRoutingConfig: mockGetRoutingConfig,
+	getModelConfigForRole: mockGetModelConfigForRole
 }));
 
 // Mock AI Provider Classes with proper methods
@@ -145,6 +157,18 @@ const mockOllamaProvider = {
 	generateObject: jest.fn()
 };
 
+const mockReplayProvider = {
+	generateText: jest.fn(),
+	streamText: jest.fn(),
+	generateObject: jest.fn()
+};
+
+const mockOpenAICompatibleProvider = {
+	generateText: jest.fn(),
+	streamText: jest.fn(),
+	generateObject: jest.fn()
+};
+
 // Mock the provider classes to return our mock instances
 jest.unstable_mockModule('../../src/ai-providers/index.js', () => ({
 	AnthropicAIProvider: jest.fn(() => mockAnthropicProvider),
@@ -180,7 +204,9 @@ jest.unstable_mockModule('../../src/ai-providers/index.js', () => ({
 		generateText: jest.fn(),
 		streamText: jest.fn(),
 		generateObject: jest.fn()
-	}))
+	})),
+	ReplayAIProvider: jest.fn(() => mockReplayProvider),
+	OpenAICompatibleProvider: jest.fn(() => mockOpenAICompatibleProvider)
 }));
 
 // Mock utils logger, API key resolver, AND findProjectRoot
@@ -239,6 +265,26 @@ jest.unstable_mockModule('../../scripts/modules/utils.js', () => ({
 	getTasksForTag: mockGetTasksForTag
 }));
 
+// Mock the usage ledger
+const mockRecordUsage = jest.fn();
+const mockAssertWithinBudget = jest.fn();
+
+jest.unstable_mockModule('../../scripts/modules/ai-usage-ledger.js', () => ({
+	recordUsage: mockRecordUsage,
+	assertWithinBudget: mockAssertWithinBudget
+}));
+
+// Mock the AI response cache
+const mockGetCacheKey = jest.fn();
+const mockReadCachedResponse = jest.fn();
+const mockWriteCachedResponse = jest.fn();
+
+jest.unstable_mockModule('../../scripts/modules/ai-response-cache.js', () => ({
+	getCacheKey: mockGetCacheKey,
+	readCachedResponse: mockReadCachedResponse,
+	writeCachedResponse: mockWriteCachedResponse
+}));
+
 // Import the module to test (AFTER mocks)
 const { generateTextService } = await import(
 	'../../scripts/modules/ai-services-unified.js'
@@ -278,6 +324,17 @@ describe('Unified AI Services', () => {
 		mockGetUserId.mockReturnValue('test-user-id'); // Add default mock for getUserId
 		mockIsApiKeySet.mockReturnValue(true); // Default to true for most tests
 		mockGetBaseUrlForRole.mockReturnValue(null); // Default to no base URL
+		mockGetHeadersForRole.mockReturnValue(undefined);
+		mockGetCostForRole.mockReturnValue(null);
+		mockGetAiCacheSettings.mockReturnValue({ enabled: false });
+		mockGetCacheKey.mockReturnValue('cache-key');
+		mockReadCachedResponse.mockReturnValue(null);
+		mockGetRoutingConfig.mockReturnValue({
+			chains: {},
+			commands: {},
+			errors: {}
+		});
+		mockGetModelConfigForRole.mockReturnValue({});
 	});
 
 	describe('generateTextService', () => {
@@ -412,7 +469,7 @@ describe('Unified AI Services', () => {
 		});
 
 		test('should handle retryable errors correctly', async () => {
-			const retryableError = new Error('Rate limit');
+			const retryableError = new Error('Overloaded');
 			mockAnthropicProvider.generateText
 				.mockRejectedValueOnce(retryableError) // Fails once
 				.mockResolvedValueOnce({
@@ -693,5 +750,300 @@ describe('Unified AI Services', () => {
 			// Should have gotten the anthropic response
 			expect(result.mainResult).toBe('Anthropic response with session key');
 		});
+
+		test('should pass fixture settings and the upstream provider to the replay provider', async () => {
+			mockGetMainProvider.mockReturnValue('replay');
+			mockGetMainModelId.mockReturnValue('anthropic/test-main-model');
+			mockGetReplaySettings.mockReturnValue({
+				mode: 'auto',
+				fixturesDir: 'fixtures/ai'
+			});
+			mockReplayProvider.generateText.mockResolvedValue({
+				text: 'Replayed response',
+				usage: { inputTokens: 10, outputTokens: 20, totalTokens: 30 }
+			});
+
+			const result = await generateTextService({
+				role: 'main',
+				prompt: 'Replay test'
+			});
+
+			expect(result.mainResult).toBe('Replayed response');
+			expect(mockReplayProvider.generateText).toHaveBeenCalledWith(
+				expect.objectContaining({
+					apiKey: null,
+					modelId: 'anthropic/test-main-model',
+					replayMode: 'auto',
+					fixturesDir: `${fakeProjectRoot}/fixtures/ai`,
+					upstream: expect.objectContaining({
+						provider: mockAnthropicProvider,
+						providerName: 'anthropic',
+						modelId: 'test-main-model',
+						apiKey: 'mock-anthropic-key'
+					})
+				})
+			);
+			expect(mockAnthropicProvider.generateText).not.toHaveBeenCalled();
+		});
+
+		test('should pass the role endpoint and headers to an OpenAI-compatible provider and use its cost', async () => {
+			mockGetMainProvider.mockReturnValue('openai-compatible');
+			mockGetMainModelId.mockReturnValue('llama-3.1-70b');
+			mockGetBaseUrlForRole.mockReturnValue('http://gateway.local/v1');
+			mockGetHeadersForRole.mockReturnValue({ 'X-Team': 'planning' });
+			mockGetCostForRole.mockReturnValue({
+				input: 1,
+				output: 2,
+				currency: 'USD'
+			});
+			mockOpenAICompatibleProvider.generateText.mockResolvedValue({
+				text: 'Gateway response',
+				usage: { inputTokens: 1000, outputTokens: 2000, totalTokens: 3000 }
+			});
+
+			const result = await generateTextService({
+				role: 'main',
+				prompt: 'Gateway test'
+			});
+
+			expect(result.mainResult).toBe('Gateway response');
+			expect(mockOpenAICompatibleProvider.generateText).toHaveBeenCalledWith(
+				expect.objectContaining({
+					apiKey: null,
+					modelId: 'llama-3.1-70b',
+					baseURL: 'http://gateway.local/v1',
+					headers: { 'X-Team': 'planning' }
+				})
+			);
+			expect(mockGetCostForRole).toHaveBeenCalledWith('main', fakeProjectRoot);
+			expect(mockRecordUsage).toHaveBeenCalledWith(
+				fakeProjectRoot,
+				expect.objectContaining({
+					providerName: 'openai-compatible',
+					totalCost: 0.005
+				})
+			);
+		});
+
+		test('should record the call in the usage ledger with its role and tag', async () => {
+			mockAnthropicProvider.generateText.mockResolvedValue({
+				text: 'Main provider response',
+				usage: { inputTokens: 1000, outputTokens: 2000, totalTokens: 3000 }
+			});
+
+			await generateTextService({
+				role: 'main',
+				prompt: 'Ledger test',
+				commandName: 'expand-task',
+				tag: 'feature-x'
+			});
+
+			expect(mockRecordUsage).toHaveBeenCalledWith(
+				fakeProjectRoot,
+				expect.objectContaining({
+					commandName: 'expand-task',
+					role: 'main',
+					providerName: 'anthropic',
+					modelId: 'test-main-model',
+					tag: 'feature-x',
+					inputTokens: 1000,
+					outputTokens: 2000,
+					totalTokens: 3000,
+					totalCost: 0.033,
+					currency: 'USD'
+				})
+			);
+			// The tag is only used for the ledger and not passed to the provider
+			expect(mockAnthropicProvider.generateText).toHaveBeenCalledWith(
+				expect.not.objectContaining({ tag: 'feature-x' })
+			);
+		});
+
+		describe('response cache', () => {
+			const cacheSettings = {
+				enabled: true,
+				ttlMs: 60 * 60 * 1000,
+				maxSizeBytes: 1024 * 1024
+			};
+
+			beforeEach(() => {
+				mockGetAiCacheSettings.mockReturnValue(cacheSettings);
+			});
+
+			test('should store a miss and serve a hit without calling the provider', async () => {
+				const response = {
+					text: 'Main provider response',
+					usage: { inputTokens: 1000, outputTokens: 2000, totalTokens: 3000 }
+				};
+				mockAnthropicProvider.generateText.mockResolvedValue(response);
+
+				const miss = await generateTextService({
+					role: 'main',
+					systemPrompt: 'System',
+					prompt: 'Cache test'
+				});
+
+				expect(mockGetCacheKey).toHaveBeenCalledWith(
+					expect.objectContaining({
+						serviceType: 'generateText',
+						role: 'main',
+						providerName: 'anthropic',
+						modelId: 'test-main-model',
+						systemPrompt: 'System',
+						prompt: 'Cache test'
+					})
+				);
+				expect(mockWriteCachedResponse).toHaveBeenCalledWith(
+					fakeProjectRoot,
+					'cache-key',
+					{ providerName: 'anthropic', modelId: 'test-main-model', response },
+					cacheSettings
+				);
+				expect(miss.telemetryData).toMatchObject({
+					cacheHit: false,
+					totalCost: 0.033
+				});
+
+				mockReadCachedResponse.mockReturnValue(response);
+				const hit = await generateTextService({
+					role: 'main',
+					systemPrompt: 'System',
+					prompt: 'Cache test'
+				});
+
+				expect(hit.mainResult).toBe('Main provider response');
+				expect(hit.telemetryData).toMatchObject({
+					cacheHit: true,
+					inputTokens: 0,
+					outputTokens: 0,
+					totalCost: 0
+				});
+				expect(mockAnthropicProvider.generateText).toHaveBeenCalledTimes(1);
+				expect(mockWriteCachedResponse).toHaveBeenCalledTimes(1);
+			});
+
+			test('should bypass the cache when noCache is set', async () => {
+				mockReadCachedResponse.mockReturnValue({ text: 'Stale', usage: {} });
+				mockAnthropicProvider.generateText.mockResolvedValue({
+					text: 'Fresh response',
+					usage: { inputTokens: 1, outputTokens: 1, totalTokens: 2 }
+				});
+
+				const result = await generateTextService({
+					role: 'main',
+					prompt: 'No cache test',
+					noCache: true
+				});
+
+				expect(result.mainResult).toBe('Fresh response');
+				expect(mockReadCachedResponse).not.toHaveBeenCalled();
+				expect(mockWriteCachedResponse).not.toHaveBeenCalled();
+				expect(mockAnthropicProvider.generateText).toHaveBeenCalledWith(
+					expect.not.objectContaining({ noCache: true })
+				);
+			});
+		});
+
+		describe('routing', () => {
+			test('should route a command to a named role with its own chain', async () => {
+				mockGetRoutingConfig.mockReturnValue({
+					chains: { cheap: ['cheap', 'main'] },
+					commands: { 'analyze-complexity': 'cheap' },
+					errors: {}
+				});
+				mockGetModelConfigForRole.mockImplementation((role) =>
+					role === 'cheap'
+						? { provider: 'openai', modelId: 'test-openai-model' }
+						: {}
+				);
+				mockOpenAIProvider.generateText.mockRejectedValue(
+					new Error('Model not available')
+				);
+				mockAnthropicProvider.generateText.mockResolvedValue({
+					text: 'Main provider response',
+					usage: { inputTokens: 1, outputTokens: 1, totalTokens: 2 }
+				});
+
+				const result = await generateTextService({
+					role: 'main',
+					prompt: 'Routing test',
+					commandName: 'analyze-complexity'
+				});
+
+				expect(result.mainResult).toBe('Main provider response');
+				expect(mockGetModelConfigForRole).toHaveBeenCalledWith(
+					'cheap',
+					fakeProjectRoot
+				);
+				expect(mockOpenAIProvider.generateText).toHaveBeenCalledWith(
+					expect.objectContaining({ modelId: 'test-openai-model' })
+				);
+				expect(mockAnthropicProvider.generateText).toHaveBeenCalledTimes(1);
+				expect(mockGetFallbackProvider).not.toHaveBeenCalled();
+			});
+
+			test('should move on without retrying when rate limits are set to next', async () => {
+				mockGetRoutingConfig.mockReturnValue({
+					chains: {},
+					commands: {},
+					errors: { rateLimit: 'next' }
+				});
+				const rateLimitError = new Error('Too many requests');
+				rateLimitError.status = 429;
+				mockAnthropicProvider.generateText
+					.mockRejectedValueOnce(rateLimitError)
+					.mockResolvedValueOnce({
+						text: 'Fallback provider response',
+						usage: { inputTokens: 1, outputTokens: 1, totalTokens: 2 }
+					});
+
+				const result = await generateTextService({
+					role: 'main',
+					prompt: 'Rate limit test'
+				});
+
+				expect(result.mainResult).toBe('Fallback provider response');
+				expect(mockAnthropicProvider.generateText).toHaveBeenNthCalledWith(
+					2,
+					expect.objectContaining({ modelId: 'test-fallback-model' })
+				);
+				expect(mockLog).not.toHaveBeenCalledWith(
+					'info',
+					expect.stringContaining('Retrying')
+				);
+			});
+
+			test('should fail fast on schema validation errors when set to fail', async () => {
+				mockGetRoutingConfig.mockReturnValue({
+					chains: {},
+					commands: {},
+					errors: { schemaValidation: 'fail' }
+				});
+				const schemaError = new Error('Type validation failed: tasks');
+				schemaError.name = 'AI_TypeValidationError';
+				mockAnthropicProvider.generateText.mockRejectedValue(schemaError);
+
+				await expect(
+					generateTextService({ role: 'main', prompt: 'Schema test' })
+				).rejects.toThrow('Type validation failed');
+
+				expect(mockAnthropicProvider.generateText).toHaveBeenCalledTimes(1);
+				expect(mockPerplexityProvider.generateText).not.toHaveBeenCalled();
+			});
+		});
+
+		test('should not call any provider when the usage budget is used up', async () => {
+			mockAssertWithinBudget.mockImplementationOnce(() => {
+				throw new Error('Daily AI usage budget of $1.00 reached');
+			});
+
+			await expect(
+				generateTextService({ role: 'main', prompt: 'Budget test' })
+			).rejects.toThrow('Daily AI usage budget of $1.00 reached');
+
+			expect(mockAssertWithinBudget).toHaveBeenCalledWith(fakeProjectRoot);
+			expect(mockAnthropicProvider.generateText).not.toHaveBeenCalled();
+			expect(mockPerplexityProvider.generateText).not.toHaveBeenCalled();
+		});
 	});
 });
@@ -0,0 +1,182 @@
+/**
+ * Tests for the AI usage ledger
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+	UsageBudgetExceededError,
+	assertWithinBudget,
+	getBudgetStatus,
+	getPeriodStart,
+	readUsage,
+	recordUsage,
+	summarizeUsage
+} from '../../scripts/modules/ai-usage-ledger.js';
+
+const NOW = new Date(2026, 2, 15, 12, 0, 0);
+
+/**
+ * Build a ledger entry
+ */
+function usageEntry(overrides = {}) {
+	return {
+		timestamp: NOW.toISOString(),
+		commandName: 'add-task',
+		role: 'main',
+		providerName: 'anthropic',
+		modelId: 'claude-sonnet',
+		tag: 'master',
+		outputType: 'cli',
+		inputTokens: 1000,
+		outputTokens: 500,
+		totalTokens: 1500,
+		totalCost: 0.01,
+		currency: 'USD',
+		...overrides
+	};
+}
+
+describe('AI usage ledger', () => {
+	let projectRoot;
+
+	const writeConfig = (global) => {
+		fs.writeFileSync(
+			path.join(projectRoot, '.taskmaster', 'config.json'),
+			JSON.stringify({ global })
+		);
+	};
+
+	beforeEach(() => {
+		projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-usage-'));
+		fs.mkdirSync(path.join(projectRoot, '.taskmaster'));
+		writeConfig({});
+	});
+
+	afterEach(() => {
+		fs.rmSync(projectRoot, { recursive: true, force: true });
+	});
+
+	it('should append entries and read them back filtered by time and tag', () => {
+		const yesterday = new Date(2026, 2, 14, 12, 0, 0).toISOString();
+		recordUsage(projectRoot, usageEntry({ timestamp: yesterday }));
+		recordUsage(projectRoot, usageEntry({ tag: 'feature' }));
+		recordUsage(projectRoot, usageEntry());
+
+		expect(readUsage(projectRoot)).toHaveLength(3);
+		expect(
+			readUsage(projectRoot, { since: getPeriodStart('day', NOW) })
+		).toHaveLength(2);
+		expect(readUsage(projectRoot, { tag: 'feature' })).toEqual([
+			expect.objectContaining({ tag: 'feature' })
+		]);
+	});
+
+	it('should not write outside an initialized project', () => {
+		const bareRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-usage-bare-'));
+
+		expect(recordUsage(bareRoot, usageEntry())).toBeNull();
+		expect(fs.readdirSync(bareRoot)).toEqual([]);
+
+		fs.rmSync(bareRoot, { recursive: true, force: true });
+	});
+
+	it('should summarize usage overall and per dimension', () => {
+		const { totals, breakdown } = summarizeUsage([
+			usageEntry(),
+			usageEntry({ commandName: 'expand-task', totalCost: 0.05 }),
+			usageEntry({
+				role: 'research',
+				providerName: 'perplexity',
+				modelId: 'sonar-pro',
+				totalCost: 0.02
+			})
+		]);
+
+		expect(totals).toEqual({
+			calls: 3,
+			inputTokens: 3000,
+			outputTokens: 1500,
+			totalTokens: 4500,
+			totalCost: 0.08
+		});
+		expect(breakdown.command.map((row) => [row.key, row.calls])).toEqual([
+			['expand-task', 1],
+			['add-task', 2]
+		]);
+		expect(breakdown.role[0]).toMatchObject({
+			key: 'main',
+			calls: 2,
+			totalCost: 0.06
+		});
+		expect(breakdown.provider.map((row) => row.key)).toEqual([
+			'anthropic',
+			'perplexity'
+		]);
+		expect(breakdown.tag).toEqual([
+			expect.objectContaining({ key: 'master', calls: 3 })
+		]);
+	});
+
+	it('should reject unknown periods', () => {
+		expect(() => getPeriodStart('week')).toThrow('Invalid usage period "week"');
+	});
+
+	describe('budgets', () => {
+		it('should report spending against the configured budgets', () => {
+			writeConfig({ usageBudget: { daily: 1, monthly: 10 } });
+			recordUsage(
+				projectRoot,
+				usageEntry({
+					timestamp: new Date(2026, 2, 1, 9, 0, 0).toISOString(),
+					totalCost: 2
+				})
+			);
+			recordUsage(projectRoot, usageEntry({ totalCost: 0.25 }));
+
+			expect(getBudgetStatus(projectRoot, NOW)).toEqual({
+				daily: { limit: 1, spent: 0.25 },
+				monthly: { limit: 10, spent: 2.25 }
+			});
+			expect(() => assertWithinBudget(projectRoot, NOW)).not.toThrow();
+		});
+
+		it('should throw once a budget is used up', () => {
+			writeConfig({ usageBudget: { monthly: 2 } });
+			recordUsage(projectRoot, usageEntry({ totalCost: 2.5 }));
+
+			expect(getBudgetStatus(projectRoot, NOW).daily).toBeNull();
+
+			let thrown;
+			try {
+				assertWithinBudget(projectRoot, NOW);
+			} catch (error) {
+				thrown = error;
+			}
+			expect(thrown).toBeInstanceOf(UsageBudgetExceededError);
+			expect(thrown).toMatchObject({
+				code: 'USAGE_BUDGET_EXCEEDED',
+				period: 'monthly',
+				limit: 2,
+				spent: 2.5
+			});
+			expect(thrown.message).toContain(
+				'Monthly AI usage budget of $2.00 reached'
+			);
+		});
+
+		it('should ignore spending outside the current period', () => {
+			writeConfig({ usageBudget: { daily: 1 } });
+			recordUsage(
+				projectRoot,
+				usageEntry({
+					timestamp: new Date(2026, 2, 14, 23, 0, 0).toISOString(),
+					totalCost: 5
+				})
+			);
+
+			expect(() => assertWithinBudget(projectRoot, NOW)).not.toThrow();
+		});
+	});
+});
@@ -0,0 +1,224 @@
+/**
+ * Tests for the task change journal, history and undo
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+	getJournalPath,
+	readJournal,
+	runWithChangeContext,
+	setDefaultChangeContext
+} from '../../scripts/modules/utils/changeJournal.js';
+import {
+	getTaskHistory,
+	undoChanges
+} from '../../scripts/modules/task-manager/task-history.js';
+import { readJSON, writeJSON } from '../../scripts/modules/utils.js';
+
+describe('change journal', () => {
+	let projectRoot;
+	let tasksPath;
+
+	const task = (id, title, extra = {}) => ({
+		id,
+		title,
+		description: '',
+		status: 'pending',
+		dependencies: [],
+		...extra
+	});
+
+	const mutate = (tag, fn, context) => {
+		const write = () => {
+			const data = readJSON(tasksPath, projectRoot, tag);
+			fn(data.tasks);
+			writeJSON(tasksPath, data, projectRoot, tag);
+		};
+		return context ? runWithChangeContext(context, write) : write();
+	};
+
+	const readTasks = (tag = 'master') =>
+		JSON.parse(fs.readFileSync(tasksPath, 'utf8'))[tag].tasks;
+
+	beforeEach(() => {
+		projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-change-journal-'));
+		fs.mkdirSync(path.join(projectRoot, '.taskmaster', 'tasks'), {
+			recursive: true
+		});
+		fs.writeFileSync(
+			path.join(projectRoot, '.taskmaster', 'config.json'),
+			JSON.stringify({ global: {} })
+		);
+		tasksPath = path.join(projectRoot, '.taskmaster', 'tasks', 'tasks.json');
+		fs.writeFileSync(
+			tasksPath,
+			JSON.stringify({
+				master: {
+					tasks: [
+						task(1, 'Set up repo'),
+						task(2, 'Add login', {
+							subtasks: [{ id: 1, title: 'Form', status: 'pending' }]
+						})
+					],
+					metadata: { created: '2025-01-01T00:00:00.000Z' }
+				},
+				feature: {
+					tasks: [task(1, 'Design API')],
+					metadata: { created: '2025-01-01T00:00:00.000Z' }
+				}
+			})
+		);
+		setDefaultChangeContext({ source: 'cli', command: 'test' });
+	});
+
+	afterEach(() => {
+		fs.rmSync(projectRoot, { recursive: true, force: true });
+	});
+
+	it('should journal who changed which tasks, per tag', async () => {
+		mutate('master', (tasks) => {
+			tasks[0].status = 'done';
+		});
+		await runWithChangeContext(
+			{ source: 'mcp', command: 'add_task' },
+			async () => {
+				// Context survives awaits inside the tool call
+				await Promise.resolve();
+				mutate('feature', (tasks) => tasks.push(task(2, 'Write handlers')));
+			}
+		);
+
+		expect(readJournal(projectRoot, 'master')).toEqual([
+			expect.objectContaining({
+				tag: 'master',
+				source: 'cli',
+				command: 'test',
+				changes: [
+					expect.objectContaining({
+						taskId: 1,
+						before: expect.objectContaining({ status: 'pending' }),
+						after: expect.objectContaining({ status: 'done' })
+					})
+				]
+			})
+		]);
+		expect(readJournal(projectRoot, 'feature')).toEqual([
+			expect.objectContaining({
+				source: 'mcp',
+				command: 'add_task',
+				changes: [
+					expect.objectContaining({
+						taskId: 2,
+						before: null,
+						beforeIndex: null
+					})
+				]
+			})
+		]);
+		expect(fs.existsSync(getJournalPath(projectRoot, 'master'))).toBe(true);
+	});
+
+	it('should show history newest first, filtered by task or subtask', async () => {
+		mutate('master', (tasks) => {
+			tasks[0].status = 'done';
+		});
+		mutate('master', (tasks) => {
+			tasks[1].subtasks[0].status = 'done';
+			tasks[1].details = 'Use sessions';
+		});
+
+		const { entries } = await getTaskHistory(
+			tasksPath,
+			{},
+			{ projectRoot, tag: 'master' },
+			'json'
+		);
+		expect(entries.map((entry) => entry.changes[0].summary)).toEqual([
+			'Task 2 updated: subtasks, details',
+			'Task 1 status: pending → done'
+		]);
+		expect(entries[0].changes[0].diff.details).toEqual({
+			from: undefined,
+			to: 'Use sessions'
+		});
+
+		const subtaskHistory = await getTaskHistory(
+			tasksPath,
+			{ id: '2.1' },
+			{ projectRoot, tag: 'master' },
+			'json'
+		);
+		expect(subtaskHistory.entries).toHaveLength(1);
+		expect(subtaskHistory.entries[0].changes[0].taskId).toBe(2);
+
+		const noSubtaskChange = await getTaskHistory(
+			tasksPath,
+			{ id: '1.1' },
+			{ projectRoot, tag: 'master' },
+			'json'
+		);
+		expect(noSubtaskChange.entries).toEqual([]);
+	});
+
+	it('should undo the latest changes, including removals and additions', async () => {
+		const original = readTasks();
+		mutate('master', (tasks) => {
+			tasks[0].status = 'done';
+		});
+		mutate('master', (tasks) => {
+			tasks.splice(0, 1);
+			tasks.push(task(3, 'Deploy'));
+		});
+
+		const result = await undoChanges(
+			tasksPath,
+			2,
+			{ projectRoot, tag: 'master' },
+			'json'
+		);
+
+		expect(result.undone.map((entry) => entry.changes)).toEqual([
+			['Task 1 removed: Set up repo', 'Task 3 added: Deploy'],
+			['Task 1 status: pending → done']
+		]);
+		expect(readTasks()).toEqual(original);
+		// The undo is journaled and hides the entries it reverted
+		const journal = readJournal(projectRoot, 'master');
+		expect(journal[journal.length - 1]).toMatchObject({
+			undoes: result.undone.map((entry) => entry.id)
+		});
+		await expect(
+			undoChanges(tasksPath, 1, { projectRoot, tag: 'master' }, 'json')
+		).rejects.toThrow('Nothing to undo in tag master');
+	});
+
+	it('should only undo changes in the selected tag', async () => {
+		mutate('master', (tasks) => {
+			tasks[0].title = 'Set up monorepo';
+		});
+		mutate('feature', (tasks) => {
+			tasks[0].status = 'in-progress';
+		});
+
+		await undoChanges(tasksPath, 1, { projectRoot, tag: 'master' }, 'json');
+
+		expect(readTasks('master')[0].title).toBe('Set up repo');
+		expect(readTasks('feature')[0].status).toBe('in-progress');
+	});
+
+	it('should refuse to undo over changes that were not journaled', async () => {
+		mutate('master', (tasks) => {
+			tasks[0].status = 'done';
+		});
+		const data = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+		data.master.tasks[0].status = 'review';
+		fs.writeFileSync(tasksPath, JSON.stringify(data));
+
+		await expect(
+			undoChanges(tasksPath, 1, { projectRoot, tag: 'master' }, 'json')
+		).rejects.toMatchObject({ code: 'UNDO_CONFLICT', taskIds: [1] });
+		expect(readTasks()[0].status).toBe('review');
+	});
+});
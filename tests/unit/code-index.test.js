@@ -0,0 +1,159 @@
+/**
+ * Tests for the local BM25 code index and its use by ContextGatherer
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+	CodeIndex,
+	chunkContent,
+	extractSymbols,
+	tokenize
+} from '../../scripts/modules/utils/codeIndex.js';
+import { ContextGatherer } from '../../scripts/modules/utils/contextGatherer.js';
+
+describe('code index', () => {
+	let projectRoot;
+
+	const write = (relativePath, content) => {
+		const filePath = path.join(projectRoot, relativePath);
+		fs.mkdirSync(path.dirname(filePath), { recursive: true });
+		fs.writeFileSync(filePath, content);
+	};
+
+	beforeEach(() => {
+		projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-code-index-'));
+		write(
+			'src/auth/session.js',
+			[
+				'export function refreshSessionToken(session) {',
+				'\tconst expiresAt = Date.now() + session.ttl;',
+				'\treturn { ...session, expiresAt };',
+				'}'
+			].join('\n')
+		);
+		write(
+			'src/billing/invoice.js',
+			[
+				'export class InvoiceRenderer {',
+				'\trender(invoice) {',
+				'\t\treturn `Invoice ${invoice.number}`;',
+				'\t}',
+				'}'
+			].join('\n')
+		);
+		write('README.md', '# Demo\n\nHandles sessions and invoices.');
+		write('.gitignore', 'generated/\n');
+		write('generated/session-cache.js', 'const refreshSessionToken = 1;');
+		write('src/vendor/.gitignore', 'legacy.js\n');
+		write('src/vendor/legacy.js', 'function refreshSessionToken() {}');
+		write('.env', 'SESSION_SECRET=refreshSessionToken');
+		write('.taskmaster/config.json', JSON.stringify({ global: {} }));
+	});
+
+	afterEach(() => {
+		fs.rmSync(projectRoot, { recursive: true, force: true });
+	});
+
+	it('should split identifiers into camelCase and snake_case terms', () => {
+		expect(tokenize('getTaskById(max_retries) the tasks')).toEqual([
+			'gettaskbyid',
+			'get',
+			'task',
+			'id',
+			'max_retrie',
+			'max',
+			'retrie',
+			'task'
+		]);
+	});
+
+	it('should extract defined symbols and chunk at definitions', () => {
+		expect(
+			extractSymbols(
+				'class Store {\n\tsave(item) {\n\t}\n}\nconst load = async () => {};\nif (x) {}'
+			)
+		).toEqual(['Store', 'load', 'save']);
+
+		const content = [
+			'function a() {',
+			'\treturn 1;',
+			'}',
+			'function b() {',
+			'\treturn 2;',
+			'}'
+		].join('\n');
+		expect(
+			chunkContent(content, 6).map(({ startLine, endLine }) => [
+				startLine,
+				endLine
+			])
+		).toEqual([
+			[1, 3],
+			[4, 6]
+		]);
+	});
+
+	it('should respect .gitignore files and never index .env files', () => {
+		expect(new CodeIndex(projectRoot).listFiles()).toEqual([
+			'.gitignore',
+			'README.md',
+			'src/auth/session.js',
+			'src/billing/invoice.js',
+			'src/vendor/.gitignore'
+		]);
+	});
+
+	it('should rank the chunks that match a query with their snippet', () => {
+		const index = new CodeIndex(projectRoot);
+		index.update();
+
+		const results = index.search('refresh the session token');
+		expect(results[0]).toMatchObject({
+			path: 'src/auth/session.js',
+			startLine: 1,
+			endLine: 4,
+			symbols: ['refreshSessionToken']
+		});
+		expect(results[0].content).toContain('expiresAt');
+		expect(results.map((result) => result.path)).not.toContain(
+			'src/billing/invoice.js'
+		);
+	});
+
+	it('should only re-read changed files when refreshing the stored index', () => {
+		const first = new CodeIndex(projectRoot).update();
+		expect(first).toMatchObject({ files: 5, indexed: 5, reused: 0 });
+
+		write('src/billing/tax.js', 'export function computeTax(amount) {}');
+		fs.rmSync(path.join(projectRoot, 'README.md'));
+
+		const index = new CodeIndex(projectRoot);
+		expect(index.update()).toMatchObject({
+			files: 5,
+			indexed: 1,
+			reused: 4,
+			removed: 1
+		});
+		expect(index.search('compute tax')[0].path).toBe('src/billing/tax.js');
+	});
+
+	it('should add relevant code to the gathered context', async () => {
+		const gatherer = new ContextGatherer(projectRoot);
+		const result = await gatherer.gather({
+			codeQuery: 'render invoice',
+			format: 'research',
+			includeTokenCounts: true
+		});
+
+		expect(result.context).toContain('## Relevant Code');
+		expect(result.context).toContain(
+			'**File: src/billing/invoice.js** (lines 1-5)'
+		);
+		expect(result.tokenBreakdown.codeSnippets[0]).toMatchObject({
+			path: 'src/billing/invoice.js',
+			lines: '1-5'
+		});
+	});
+});
@@ -0,0 +1,103 @@
+/**
+ * Tests for starting the event system around mutating CLI commands
+ */
+
+import { jest } from '@jest/globals';
+
+const mockEnsureEventSystem = jest.fn();
+const mockShutdownEventSystem = jest.fn();
+const mockSetTaskStatus = jest.fn();
+const mockListTasks = jest.fn();
+
+jest.unstable_mockModule(
+	'../../../scripts/modules/integrations/index.js',
+	() => ({
+		LinearIntegrationHandler: jest.fn(),
+		createConfiguredIntegrations: jest.fn(() => []),
+		ensureEventSystem: mockEnsureEventSystem
+	})
+);
+
+jest.unstable_mockModule(
+	'../../../scripts/modules/task-manager/set-task-status.js',
+	() => ({ default: mockSetTaskStatus })
+);
+
+jest.unstable_mockModule(
+	'../../../scripts/modules/task-manager/list-tasks.js',
+	() => ({ default: mockListTasks })
+);
+
+const eventsModule = await import('../../../scripts/modules/events/index.js');
+jest.unstable_mockModule('../../../scripts/modules/events/index.js', () => ({
+	...eventsModule,
+	shutdownEventSystem: mockShutdownEventSystem
+}));
+
+const { setupCLI } = await import('../../../scripts/modules/commands.js');
+
+describe('CLI event system hooks', () => {
+	let consoleLogSpy;
+
+	beforeEach(() => {
+		jest.clearAllMocks();
+		mockEnsureEventSystem.mockResolvedValue(true);
+		mockSetTaskStatus.mockResolvedValue({ success: true });
+		consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+	});
+
+	afterEach(() => {
+		consoleLogSpy.mockRestore();
+	});
+
+	it('should start the event system with persistence around a mutating command', async () => {
+		const program = setupCLI();
+
+		await program.parseAsync([
+			'node',
+			'task-master',
+			'set-status',
+			'--id=1',
+			'--status=done'
+		]);
+
+		expect(mockEnsureEventSystem).toHaveBeenCalledWith(
+			expect.objectContaining({
+				enablePersistence: true,
+				projectRoot: expect.any(String)
+			}),
+			{ requireIntegrations: true }
+		);
+		expect(mockSetTaskStatus).toHaveBeenCalled();
+		expect(mockEnsureEventSystem.mock.invocationCallOrder[0]).toBeLessThan(
+			mockSetTaskStatus.mock.invocationCallOrder[0]
+		);
+		expect(mockShutdownEventSystem).toHaveBeenCalledTimes(1);
+	});
+
+	it('should not shut down an event system it did not start', async () => {
+		mockEnsureEventSystem.mockResolvedValue(false);
+		const program = setupCLI();
+
+		await program.parseAsync([
+			'node',
+			'task-master',
+			'set-status',
+			'--id=1',
+			'--status=done'
+		]);
+
+		expect(mockSetTaskStatus).toHaveBeenCalled();
+		expect(mockShutdownEventSystem).not.toHaveBeenCalled();
+	});
+
+	it('should leave the event system alone for read-only commands', async () => {
+		const program = setupCLI();
+
+		await program.parseAsync(['node', 'task-master', 'list']);
+
+		expect(mockListTasks).toHaveBeenCalled();
+		expect(mockEnsureEventSystem).not.toHaveBeenCalled();
+		expect(mockShutdownEventSystem).not.toHaveBeenCalled();
+	});
+});
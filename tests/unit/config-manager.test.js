@@ -352,6 +352,19 @@ describe('Validation Functions', () => {
 		).toBe(false);
 	});
 
+	test('validateProviderModelCombination should accept any model ID for openai-compatible', () => {
+		configManager.getConfig(MOCK_PROJECT_ROOT, true);
+		expect(
+			configManager.validateProviderModelCombination(
+				'openai-compatible',
+				'meta-llama/Llama-3.1-70B-Instruct'
+			)
+		).toBe(true);
+		expect(
+			configManager.validateProviderModelCombination('openai-compatible', '')
+		).toBe(false);
+	});
+
 	test('validateProviderModelCombination should return true for providers not in map', () => {
 		// Re-load config to ensure MODEL_MAP is populated from mock (now real data)
 		configManager.getConfig(MOCK_PROJECT_ROOT, true);
@@ -773,6 +786,129 @@ describe('getAllProviders', () => {
 	});
 });
 
+// --- openai-compatible role settings ---
+describe('openai-compatible roles', () => {
+	const GATEWAY_CONFIG = {
+		...DEFAULT_CONFIG,
+		models: {
+			...DEFAULT_CONFIG.models,
+			main: {
+				provider: 'openai-compatible',
+				modelId: 'llama-3.1-70b',
+				baseURL: 'http://gateway.local/v1',
+				headers: {
+					'X-Team': 'planning',
+					Authorization: '${GATEWAY_TOKEN}',
+					'X-Unset': '${UNSET_VAR}'
+				},
+				cost: { input: 0.5, output: 1.5 }
+			}
+		}
+	};
+
+	beforeEach(() => {
+		fsReadFileSyncSpy.mockImplementation((filePath) => {
+			if (filePath === MOCK_CONFIG_PATH) return JSON.stringify(GATEWAY_CONFIG);
+			if (path.basename(filePath) === 'supported-models.json') {
+				return REAL_SUPPORTED_MODELS_CONTENT;
+			}
+			if (path.basename(filePath) === '.env') return '';
+			throw new Error(`Unexpected fs.readFileSync call: ${filePath}`);
+		});
+		configManager.getConfig(MOCK_PROJECT_ROOT, true);
+	});
+
+	test('getHeadersForRole should resolve ${VAR} values and drop unset ones', () => {
+		const session = { env: { GATEWAY_TOKEN: 'Bearer gw-token' } };
+		expect(
+			configManager.getHeadersForRole('main', MOCK_PROJECT_ROOT, session)
+		).toEqual({
+			'X-Team': 'planning',
+			Authorization: 'Bearer gw-token'
+		});
+		expect(
+			configManager.getHeadersForRole('research', MOCK_PROJECT_ROOT)
+		).toBeUndefined();
+	});
+
+	test('getCostForRole should normalize configured cost metadata', () => {
+		expect(configManager.getCostForRole('main', MOCK_PROJECT_ROOT)).toEqual({
+			input: 0.5,
+			output: 1.5,
+			currency: 'USD'
+		});
+		expect(configManager.getCostForRole('research', MOCK_PROJECT_ROOT)).toBe(
+			null
+		);
+	});
+
+	test('getAvailableModels should list configured openai-compatible models', () => {
+		const models = configManager.getAvailableModels(MOCK_PROJECT_ROOT);
+		expect(models).toContainEqual({
+			id: 'llama-3.1-70b',
+			name: 'llama-3.1-70b',
+			provider: 'openai-compatible',
+			swe_score: null,
+			cost_per_1m_tokens: { input: 0.5, output: 1.5, currency: 'USD' },
+			allowed_roles: ['main', 'research', 'fallback']
+		});
+	});
+});
+
+describe('named roles and routing', () => {
+	const ROUTED_CONFIG = {
+		...DEFAULT_CONFIG,
+		models: {
+			...DEFAULT_CONFIG.models,
+			cheap: { provider: 'openai', modelId: 'gpt-4o-mini', maxTokens: 16000 },
+			strong: { provider: 'openai', modelId: 'gpt-4o' },
+			broken: { provider: 'not-a-provider', modelId: 'x' }
+		},
+		routing: {
+			commands: { 'analyze-complexity': 'cheap' },
+			errors: { rateLimit: 'next' }
+		}
+	};
+
+	beforeEach(() => {
+		fsReadFileSyncSpy.mockImplementation((filePath) => {
+			if (filePath === MOCK_CONFIG_PATH) return JSON.stringify(ROUTED_CONFIG);
+			if (path.basename(filePath) === 'supported-models.json') {
+				return REAL_SUPPORTED_MODELS_CONTENT;
+			}
+			throw new Error(`Unexpected fs.readFileSync call: ${filePath}`);
+		});
+		configManager.getConfig(MOCK_PROJECT_ROOT, true);
+	});
+
+	test('should keep valid named roles and drop invalid ones', () => {
+		expect(
+			configManager.getModelConfigForRole('cheap', MOCK_PROJECT_ROOT)
+		).toEqual({ ...ROUTED_CONFIG.models.cheap, temperature: 0.2 });
+		expect(
+			configManager.getConfig(MOCK_PROJECT_ROOT).models
+		).not.toHaveProperty('broken');
+	});
+
+	test('should fill in default parameters for named roles', () => {
+		// gpt-4o caps output at 16384 tokens, below the default of 64000
+		expect(
+			configManager.getParametersForRole('strong', MOCK_PROJECT_ROOT)
+		).toEqual({ maxTokens: 16384, temperature: 0.2 });
+		expect(
+			configManager.getParametersForRole('cheap', MOCK_PROJECT_ROOT)
+		).toEqual({ maxTokens: 16000, temperature: 0.2 });
+	});
+
+	test('getRoutingConfig should return the routing section with defaults', () => {
+		expect(configManager.getRoutingConfig(MOCK_PROJECT_ROOT)).toEqual({
+			chains: {},
+			commands: { 'analyze-complexity': 'cheap' },
+			errors: { rateLimit: 'next' }
+		});
+	});
+});
+
 // Add tests for getParametersForRole if needed
 
 // Note: Tests for setMainModel, setResearchModel were removed as the functions were removed in the implementation.
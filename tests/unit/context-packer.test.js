@@ -0,0 +1,215 @@
+/**
+ * Tests for packing gathered context into a model's token budget
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+	TRUNCATION_MARKER,
+	getContextBudget,
+	packContext,
+	truncateToTokens
+} from '../../scripts/modules/utils/contextPacker.js';
+import { ContextGatherer } from '../../scripts/modules/utils/contextGatherer.js';
+
+// One token per word keeps the budgets in these tests easy to follow
+const countWords = (text) =>
+	text ? text.split(/\s+/).filter(Boolean).length : 0;
+const words = (count, word = 'word') => Array(count).fill(word).join(' ');
+
+describe('context packer', () => {
+	let projectRoot;
+
+	const writeConfig = (config) => {
+		fs.mkdirSync(path.join(projectRoot, '.taskmaster'), { recursive: true });
+		fs.writeFileSync(
+			path.join(projectRoot, '.taskmaster', 'config.json'),
+			JSON.stringify(config)
+		);
+	};
+
+	beforeEach(() => {
+		projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-context-packer-'));
+	});
+
+	afterEach(() => {
+		fs.rmSync(projectRoot, { recursive: true, force: true });
+	});
+
+	it('should truncate at a line boundary and mark the cut', () => {
+		const text = Array.from({ length: 20 }, (_, i) => `line ${i} here`).join(
+			'\n'
+		);
+
+		expect(truncateToTokens(text, 100, countWords)).toBe(text);
+
+		const truncated = truncateToTokens(text, 20, countWords);
+		expect(truncated.endsWith(TRUNCATION_MARKER)).toBe(true);
+		expect(countWords(truncated)).toBeLessThanOrEqual(20);
+		expect(truncated).toBe(
+			'line 0 here\nline 1 here\nline 2 here\nline 3 here\nline 4 here\nline 5 here' +
+				TRUNCATION_MARKER
+		);
+	});
+
+	it('should keep high-priority sections and cut lower-priority ones first', () => {
+		const { sections, report } = packContext(
+			[
+				{
+					name: 'projectTree',
+					priority: 7,
+					share: 0.5,
+					items: [{ id: 'projectTree', text: words(300, 'dir') }]
+				},
+				{
+					name: 'tasks',
+					priority: 2,
+					share: 0.5,
+					items: [
+						{ id: '1', text: words(300), summary: words(20) },
+						{ id: '2', text: words(100) }
+					]
+				}
+			],
+			400,
+			{ countTokens: countWords }
+		);
+
+		// Task 1 only fits its share as a summary; task 2 then fits in full, and
+		// the tree is cut to what is left
+		expect(sections.tasks.map(({ id, mode }) => [id, mode])).toEqual([
+			['1', 'summary'],
+			['2', 'full']
+		]);
+		expect(sections.projectTree[0].mode).toBe('truncated');
+		expect(report.used).toBeLessThanOrEqual(400);
+		expect(report.summarized).toEqual([
+			expect.objectContaining({
+				section: 'tasks',
+				id: '1',
+				originalTokens: 300
+			})
+		]);
+		expect(report.truncated).toEqual([
+			expect.objectContaining({ section: 'projectTree', id: 'projectTree' })
+		]);
+		expect(report.dropped).toEqual([]);
+	});
+
+	it('should hand unused budget to items that did not fit their share', () => {
+		const { sections, report } = packContext(
+			[
+				{
+					name: 'customContext',
+					priority: 1,
+					share: 0.5,
+					items: [{ id: 'customContext', text: words(10) }]
+				},
+				{
+					name: 'files',
+					priority: 3,
+					share: 0.5,
+					items: [
+						{ id: 'big.js', text: words(150) },
+						{ id: 'huge.js', text: words(500) }
+					]
+				}
+			],
+			200,
+			{ countTokens: countWords }
+		);
+
+		expect(sections.files.map(({ id, mode }) => [id, mode])).toEqual([
+			['big.js', 'full']
+		]);
+		expect(report.dropped).toEqual([
+			expect.objectContaining({ section: 'files', id: 'huge.js', tokens: 0 })
+		]);
+		expect(report.used).toBe(160);
+	});
+
+	it('should derive the budget from the role model window and output tokens', () => {
+		writeConfig({
+			models: {
+				main: {
+					provider: 'anthropic',
+					modelId: 'claude-sonnet-4-20250514',
+					maxTokens: 64000
+				},
+				research: {
+					provider: 'openai-compatible',
+					modelId: 'local-model',
+					maxTokens: 4000,
+					contextWindow: 16000
+				}
+			},
+			global: { contextBudget: { share: 0.5, maxTokens: 50000 } }
+		});
+
+		// (200000 - 64000) * 0.5, capped at 50000
+		expect(getContextBudget('main', projectRoot)).toBe(50000);
+		// The role's own contextWindow wins: (16000 - 4000) * 0.5
+		expect(getContextBudget('research', projectRoot)).toBe(6000);
+	});
+
+	it('should not pack when the context budget is disabled', () => {
+		writeConfig({ global: { contextBudget: { enabled: false } } });
+
+		expect(getContextBudget('main', projectRoot)).toBeNull();
+	});
+
+	it('should report what the gatherer left out to fit the budget', async () => {
+		fs.mkdirSync(path.join(projectRoot, '.taskmaster', 'tasks'), {
+			recursive: true
+		});
+		fs.writeFileSync(
+			path.join(projectRoot, '.taskmaster', 'tasks', 'tasks.json'),
+			JSON.stringify({
+				tasks: [
+					{
+						id: 1,
+						title: 'Add login',
+						description: 'Implement the login form',
+						details: 'Use the session API',
+						status: 'pending',
+						dependencies: []
+					}
+				]
+			})
+		);
+		fs.writeFileSync(
+			path.join(projectRoot, 'notes.md'),
+			Array.from({ length: 2000 }, (_, i) => `note ${i}`).join('\n')
+		);
+
+		const gatherer = new ContextGatherer(projectRoot);
+		const result = await gatherer.gather({
+			tasks: ['1'],
+			files: ['notes.md'],
+			customContext: 'Keep it simple',
+			format: 'research',
+			includeTokenCounts: true,
+			tokenBudget: 1000
+		});
+
+		expect(result.context).toContain('**Task 1: Add login**');
+		expect(result.context).toContain('Keep it simple');
+		expect(result.context).toContain(TRUNCATION_MARKER);
+		expect(result.packing.truncated).toEqual([
+			expect.objectContaining({ section: 'files', id: 'notes.md' })
+		]);
+		expect(result.packing.used).toBeLessThanOrEqual(1000);
+		expect(result.tokenBreakdown.files[0]).toMatchObject({
+			path: 'notes.md',
+			packed: 'truncated'
+		});
+		expect(result.packingSummary).toBe(
+			`Context packed to ${result.packing.used}/1000 tokens: truncated files:notes.md`
+		);
+
+		const unpacked = await gatherer.gather({ files: ['notes.md'] });
+		expect(unpacked.packing).toBeNull();
+		expect(unpacked.context).not.toContain(TRUNCATION_MARKER);
+	});
+});
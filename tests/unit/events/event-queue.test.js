@@ -2,11 +2,18 @@
  * @fileoverview Tests for EventQueue
  */
 
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import {
 	EventQueue,
 	PRIORITY,
 	QUEUE_STATE
 } from '../../../scripts/modules/events/event-queue.js';
+import {
+	QueueStore,
+	ITEM_STATE
+} from '../../../scripts/modules/events/queue-store.js';
 import { MockServiceRegistry } from '../../mocks/service-registry.js';
 import {
 	expectCalled,
@@ -592,4 +599,123 @@ describe('EventQueue', () => {
 			expect(queue.getDeadLetterItems().length).toBe(0);
 		});
 	});
+
+	describe('persistence', () => {
+		let tempDir;
+		let persistentQueue;
+
+		const createPersistentQueue = (config = {}) =>
+			new EventQueue({
+				processingInterval: 10,
+				retryDelay: 10,
+				persistence: { enabled: true, projectRoot: tempDir },
+				...config
+			});
+
+		beforeEach(() => {
+			tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-queue-'));
+		});
+
+		afterEach(async () => {
+			persistentQueue.pauseProcessing();
+			await persistentQueue.store?.close();
+			fs.rmSync(tempDir, { recursive: true, force: true });
+		});
+
+		test('should not persist without a persistence config', () => {
+			persistentQueue = createPersistentQueue({ persistence: null });
+
+			expect(persistentQueue.store).toBeNull();
+		});
+
+		test('should journal queued items and drop them once processed', async () => {
+			persistentQueue = createPersistentQueue();
+			persistentQueue.pauseProcessing();
+
+			const itemId = await persistentQueue.push(
+				{ data: 'test' },
+				{ processor: async () => 'ok' }
+			);
+			expect(persistentQueue.store.getEntries()).toMatchObject([
+				{ id: itemId, state: ITEM_STATE.PENDING, data: { data: 'test' } }
+			]);
+
+			const [item] = persistentQueue.getNextItems(1);
+			await persistentQueue.processItem(item);
+			await persistentQueue.store.flush();
+
+			expect(persistentQueue.store.getEntries()).toEqual([]);
+		});
+
+		test('should persist dead letter items', async () => {
+			persistentQueue = createPersistentQueue();
+			persistentQueue.pauseProcessing();
+
+			await persistentQueue.push(
+				{ data: 'test' },
+				{
+					processor: async () => {
+						throw new Error('Failure');
+					},
+					maxRetries: 1
+				}
+			);
+			const [item] = persistentQueue.getNextItems(1);
+			await expect(persistentQueue.processItem(item)).rejects.toThrow(
+				'Failure'
+			);
+
+			expect(persistentQueue.store.getDeadLetterEntries()).toMatchObject([
+				{ id: item.id, attempts: 1, errors: [{ error: 'Failure' }] }
+			]);
+		});
+
+		test('should replay items left behind by a crashed process', async () => {
+			persistentQueue = createPersistentQueue();
+			persistentQueue.pauseProcessing();
+			await persistentQueue.push({ data: 'pending' });
+			await persistentQueue.push({ data: 'in-flight' });
+			const [inFlight] = persistentQueue
+				.getNextItems(2)
+				.filter((item) => item.data.data === 'in-flight');
+			await persistentQueue.store.markInFlight(inFlight.id, 1);
+
+			// Simulate the process going away without draining
+			await persistentQueue.store.close();
+
+			const processed = [];
+			persistentQueue = createPersistentQueue();
+			const result = await persistentQueue.recover(async (data) => {
+				processed.push(data.data);
+			});
+
+			expect(result).toEqual({ requeued: 2, deadLetter: 0 });
+			await new Promise((resolve) => setTimeout(resolve, 100));
+
+			expect(processed.sort()).toEqual(['in-flight', 'pending']);
+			expect(persistentQueue.store.getEntries()).toEqual([]);
+		});
+
+		test('should load persisted dead letter items on recovery', async () => {
+			const store = new QueueStore({ projectRoot: tempDir });
+			await store.enqueue({
+				id: 'item_dead',
+				data: { data: 'test' },
+				options: { priority: PRIORITY.NORMAL },
+				queuedAt: Date.now(),
+				attempts: 0,
+				errors: []
+			});
+			await store.markDead('item_dead', 3, [{ error: 'Failure' }]);
+			await store.close();
+
+			persistentQueue = createPersistentQueue();
+			const result = await persistentQueue.recover();
+
+			expect(result).toEqual({ requeued: 0, deadLetter: 1 });
+			expect(persistentQueue.getDeadLetterItems()).toMatchObject([
+				{ id: 'item_dead', attempts: 3, recovered: true }
+			]);
+		});
+	});
 });
@@ -2,6 +2,9 @@
  * @fileoverview Tests for event system index module
  */
 
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import {
 	getEventManager,
 	initializeEventSystem,
@@ -9,6 +12,8 @@ import {
 	resetEventSystem,
 	registerIntegration,
 	emitEvent,
+	emitTaskEvent,
+	diffTaskFields,
 	isIntegrationEnabled,
 	getEventSystemStats,
 	getIntegrationStatus,
@@ -98,6 +103,61 @@ describe('Event System Index', () => {
 
 			expect(manager.config.batchSize).toBe(20);
 		});
+
+		test('should replay events a previous manager journaled but did not deliver', async () => {
+			const projectRoot = fs.mkdtempSync(
+				path.join(os.tmpdir(), 'events-replay-')
+			);
+			const config = {
+				enablePersistence: true,
+				enableErrorBoundaries: false,
+				projectRoot
+			};
+			const data = {
+				taskId: '7',
+				task: {
+					id: '7',
+					title: 'Replay me',
+					description: 'Journaled before delivery',
+					details: '',
+					status: 'pending',
+					priority: 'medium',
+					dependencies: [],
+					subtasks: []
+				},
+				tag: 'master'
+			};
+
+			try {
+				// First run: the event is journaled, then delivery never finishes
+				const first = await initializeEventSystem(config);
+				first._processEvent = async () => {
+					throw new Error('process exited');
+				};
+				await expect(
+					emitEvent(
+						EVENT_TYPES.TASK_CREATED,
+						data,
+						createOperationContext(projectRoot, { user: 'test' })
+					)
+				).rejects.toThrow('process exited');
+				await resetEventSystem();
+
+				// Restart: initializing replays the journaled event
+				const integration = new TestIntegration();
+				registerIntegration(integration);
+				const second = await initializeEventSystem(config);
+
+				expect(integration.handledEvents).toContainEqual({
+					type: 'task:created',
+					payload: expect.objectContaining({ taskId: '7', tag: 'master' })
+				});
+				expect(second.getStats().recoveredEvents).toBe(1);
+				expect(second.getEventStore(projectRoot).getEntries()).toEqual([]);
+			} finally {
+				fs.rmSync(projectRoot, { recursive: true, force: true });
+			}
+		});
 	});
 
 	describe('shutdownEventSystem', () => {
@@ -200,6 +260,87 @@ describe('Event System Index', () => {
 		});
 	});
 
+	describe('emitTaskEvent', () => {
+		const task = {
+			id: 1,
+			title: 'Test Task',
+			description: 'Test description',
+			status: 'pending',
+			priority: 'medium',
+			dependencies: [],
+			subtasks: []
+		};
+
+		test('should skip emission when the event system is not initialized', async () => {
+			const emitted = await emitTaskEvent(EVENT_TYPES.TASK_CREATED, {
+				taskId: '1',
+				task,
+				tag: 'master'
+			});
+
+			expect(emitted).toBe(false);
+			expect(__testing.getGlobalEventManager()).toBeNull();
+		});
+
+		test('should emit with an operation context built from the core context', async () => {
+			const integration = new TestIntegration();
+			registerIntegration(integration);
+			await initializeEventSystem();
+
+			const emitted = await emitTaskEvent(
+				EVENT_TYPES.TASK_CREATED,
+				{ taskId: '1', task, tag: 'master' },
+				{ projectRoot: '/test', mcpLog: {}, commandName: 'add-task' }
+			);
+
+			expect(emitted).toBe(true);
+			expect(integration.handledEvents.length).toBeGreaterThanOrEqual(1);
+			const { context } = integration.handledEvents[0].payload;
+			expect(context.projectRoot).toBe('/test');
+			expect(context.source).toBe('mcp');
+			expect(context.commandName).toBe('add-task');
+		});
+
+		test('should not throw when the payload is rejected', async () => {
+			await initializeEventSystem();
+
+			const emitted = await emitTaskEvent(
+				EVENT_TYPES.TASK_CREATED,
+				{ taskId: '1' },
+				{ projectRoot: '/test' }
+			);
+
+			expect(emitted).toBe(false);
+		});
+	});
+
+	describe('diffTaskFields', () => {
+		test('should return new and old values of changed fields only', () => {
+			const before = { id: 1, title: 'Old', dependencies: [1], status: 'done' };
+			const after = {
+				id: 1,
+				title: 'New',
+				dependencies: [1, 2],
+				status: 'done'
+			};
+
+			expect(diffTaskFields(before, after)).toEqual({
+				changes: { title: 'New', dependencies: [1, 2] },
+				oldValues: { title: 'Old', dependencies: [1] }
+			});
+		});
+
+		test('should report added and removed fields', () => {
+			const { changes, oldValues } = diffTaskFields(
+				{ id: 1, details: 'x' },
+				{ id: 1, priority: 'high' }
+			);
+
+			expect(changes).toEqual({ details: undefined, priority: 'high' });
+			expect(oldValues).toEqual({ details: 'x', priority: undefined });
+		});
+	});
+
 	describe('isIntegrationEnabled', () => {
 		test('should return false when no manager exists', () => {
 			expect(isIntegrationEnabled('test-integration')).toBe(false);
@@ -2,6 +2,9 @@
  * @fileoverview Tests for IntegrationManager
  */
 
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import { IntegrationManager } from '../../../scripts/modules/events/integration-manager.js';
 import { BaseIntegrationHandler } from '../../../scripts/modules/events/base-integration-handler.js';
 import {
@@ -854,4 +857,103 @@ describe('IntegrationManager', () => {
 			).resolves.not.toThrow();
 		});
 	});
+
+	describe('dead letter queue', () => {
+		let tempDir;
+		let dlqManager;
+
+		beforeEach(async () => {
+			tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'im-dlq-'));
+			dlqManager = new IntegrationManager({
+				handlerTimeout: 1000,
+				enableBatching: false,
+				enableDeadLetterQueue: true
+			});
+		});
+
+		afterEach(async () => {
+			if (dlqManager.initialized) {
+				await dlqManager.shutdown();
+			}
+			fs.rmSync(tempDir, { recursive: true, force: true });
+		});
+
+		test('should persist failed handler runs once per integration', async () => {
+			const failingIntegration = new TestIntegration('failing-integration');
+			failingIntegration.shouldFail = true;
+			dlqManager.register(failingIntegration);
+			await dlqManager.initialize();
+
+			await dlqManager.emit(EVENT_TYPES.TASK_CREATED, createValidTaskData(), {
+				...mockContext,
+				projectRoot: tempDir
+			});
+
+			const entries = dlqManager.getEventStore(tempDir).getDeadLetterEntries();
+			expect(entries).toHaveLength(1);
+			expect(entries[0].data).toMatchObject({
+				eventType: EVENT_TYPES.TASK_CREATED,
+				integration: 'failing-integration',
+				payload: { taskId: 'task-123' }
+			});
+			expect(entries[0].errors[0].error).toContain('intentionally failed');
+		});
+
+		test('should treat error results as failures', async () => {
+			testIntegration.handleTaskCreated = async () => ({
+				action: 'error',
+				error: 'Linear API key invalid'
+			});
+			dlqManager.register(testIntegration);
+			await dlqManager.initialize();
+
+			await dlqManager.emit(EVENT_TYPES.TASK_CREATED, createValidTaskData(), {
+				...mockContext,
+				projectRoot: tempDir
+			});
+
+			const [entry] = dlqManager.getEventStore(tempDir).getDeadLetterEntries();
+			expect(entry.errors[0].error).toBe('Linear API key invalid');
+		});
+
+		test('should not persist anything when disabled', async () => {
+			testIntegration.shouldFail = true;
+			manager.register(testIntegration);
+			await manager.initialize();
+
+			await manager.emit(EVENT_TYPES.TASK_CREATED, createValidTaskData(), {
+				...mockContext,
+				projectRoot: tempDir
+			});
+
+			expect(fs.existsSync(path.join(tempDir, '.taskmaster'))).toBe(false);
+		});
+
+		test('should redeliver an entry to its integration', async () => {
+			dlqManager.register(testIntegration);
+			await dlqManager.initialize();
+
+			const payload = createEventPayload(
+				EVENT_TYPES.TASK_CREATED,
+				createValidTaskData(),
+				mockContext
+			).payload;
+			await dlqManager.redeliver({
+				id: 'dlq_1',
+				data: {
+					eventType: EVENT_TYPES.TASK_CREATED,
+					payload,
+					integration: 'test-integration'
+				}
+			});
+
+			expect(testIntegration.handledEvents).toHaveLength(1);
+			await expect(
+				dlqManager.redeliver({
+					id: 'dlq_2',
+					data: { eventType: EVENT_TYPES.TASK_CREATED, integration: 'nope' }
+				})
+			).rejects.toThrow('Integration nope is not registered');
+		});
+	});
 });
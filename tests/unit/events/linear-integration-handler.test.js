@@ -4,9 +4,18 @@
  */
 
 import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import { LinearIntegrationHandler } from '../../../scripts/modules/integrations/linear-integration-handler.js';
 import { BaseIntegrationHandler } from '../../../scripts/modules/events/base-integration-handler.js';
 import { EVENT_TYPES } from '../../../scripts/modules/events/types.js';
+import {
+	initializeEventSystem,
+	registerIntegration,
+	resetEventSystem
+} from '../../../scripts/modules/events/index.js';
+import moveTask from '../../../scripts/modules/task-manager/move-task.js';
 
 // Mock the Linear SDK
 jest.mock('@linear/sdk', () => ({
@@ -454,6 +463,680 @@ describe('LinearIntegrationHandler', () => {
 		});
 	});
 
+	describe('Status Sync', () => {
+		const linkedTask = {
+			id: '1',
+			title: 'Test Task',
+			status: 'done',
+			integrations: {
+				linear: {
+					issueId: 'issue-1',
+					identifier: 'TM-1',
+					url: 'https://linear.app/team/tm/issue/TM-1'
+				}
+			}
+		};
+		const payload = {
+			task: linkedTask,
+			oldStatus: 'in-progress',
+			newStatus: 'done',
+			tag: 'master',
+			context: { projectRoot: '/test/project' }
+		};
+
+		beforeEach(() => {
+			handler.linear = {
+				workflowStates: jest.fn().mockResolvedValue({
+					nodes: [
+						{ id: 'state-todo', name: 'Todo', type: 'unstarted' },
+						{ id: 'state-done', name: 'Done', type: 'completed' }
+					]
+				}),
+				updateIssue: jest.fn().mockResolvedValue({
+					success: true,
+					issue: Promise.resolve({
+						id: 'issue-1',
+						identifier: 'TM-1',
+						title: '[TM-1] Test Task',
+						state: { id: 'state-done', name: 'Done', type: 'completed' }
+					})
+				}),
+				createComment: jest.fn().mockResolvedValue({ success: true })
+			};
+			jest.spyOn(handler, '_getStatusMapping').mockReturnValue({
+				'in-progress': 'In Progress',
+				done: 'Done'
+			});
+			jest.spyOn(handler, '_performAtomicFileUpdate').mockResolvedValue({});
+		});
+
+		test('should move the linked issue to the mapped workflow state', async () => {
+			const result = await handler.handleTaskStatusChanged(payload);
+
+			expect(result.action).toBe('synced');
+			expect(handler.linear.updateIssue).toHaveBeenCalledWith('issue-1', {
+				stateId: 'state-done'
+			});
+			expect(result.linearIssue.state.name).toBe('Done');
+			expect(handler._performAtomicFileUpdate).toHaveBeenCalledWith(
+				'1',
+				{
+					state: { id: 'state-done', name: 'Done', type: 'completed' },
+					snapshot: { status: 'done' }
+				},
+				'/test/project',
+				'mergeLinearLink',
+				'master'
+			);
+		});
+
+		test('should comment on the issue with the status transition', async () => {
+			await handler.handleTaskStatusChanged(payload);
+
+			expect(handler.linear.createComment).toHaveBeenCalledWith({
+				issueId: 'issue-1',
+				body: expect.stringContaining('`in-progress` → `done`')
+			});
+		});
+
+		test('should cache team workflow states between syncs', async () => {
+			await handler.handleTaskStatusChanged(payload);
+			await handler.handleTaskStatusChanged(payload);
+
+			expect(handler.linear.workflowStates).toHaveBeenCalledTimes(1);
+		});
+
+		test('should skip tasks without a linked Linear issue', async () => {
+			const result = await handler.handleTaskStatusChanged({
+				...payload,
+				task: { id: '2', title: 'Unlinked', status: 'done' }
+			});
+
+			expect(result.action).toBe('skipped');
+			expect(result.reason).toBe('no_linear_issue');
+			expect(handler.linear.updateIssue).not.toHaveBeenCalled();
+		});
+
+		test('should report an error when no workflow state matches', async () => {
+			const result = await handler.handleTaskStatusChanged({
+				...payload,
+				newStatus: 'deferred'
+			});
+
+			expect(result.action).toBe('error');
+			expect(result.error).toContain('deferred');
+			expect(handler.linear.updateIssue).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('Update Sync', () => {
+		const task = {
+			id: '1',
+			title: 'Renamed Task',
+			description: 'Test description',
+			status: 'pending',
+			priority: 'low',
+			dependencies: [],
+			integrations: { linear: { issueId: 'issue-1', identifier: 'TM-1' } }
+		};
+
+		beforeEach(() => {
+			handler.linear = {
+				updateIssue: jest.fn().mockResolvedValue({
+					success: true,
+					issue: Promise.resolve({
+						id: 'issue-1',
+						identifier: 'TM-1',
+						title: '[TM-1] Renamed Task'
+					})
+				})
+			};
+			jest.spyOn(handler, '_performAtomicFileUpdate').mockResolvedValue({});
+		});
+
+		test('should push only the Linear fields that changed', async () => {
+			const result = await handler.handleTaskUpdated({
+				task,
+				changes: { title: 'Renamed Task' },
+				oldValues: { title: 'Original Task' }
+			});
+
+			expect(result.action).toBe('synced');
+			expect(result.linearFields).toEqual(['title']);
+			expect(handler.linear.updateIssue).toHaveBeenCalledWith('issue-1', {
+				title: '[TM-1] Renamed Task'
+			});
+		});
+
+		test('should regenerate the description and priority when priority changes', async () => {
+			jest
+				.spyOn(handler, '_addLabelsToIssueData')
+				.mockImplementation(async (issueData, labelTask) => {
+					issueData.labelIds = [`label-${labelTask.priority}`];
+				});
+
+			await handler.handleTaskUpdated({
+				task,
+				changes: { priority: 'low' },
+				oldValues: { priority: 'high' }
+			});
+
+			const [, updateData] = handler.linear.updateIssue.mock.calls[0];
+			expect(updateData.priority).toBe(3);
+			expect(updateData.description).toContain('**Priority:** low');
+			expect(updateData.title).toBeUndefined();
+		});
+
+		test('should swap mapped labels when labels are enabled', async () => {
+			jest
+				.spyOn(handler, '_addLabelsToIssueData')
+				.mockImplementation(async (issueData, labelTask) => {
+					issueData.labelIds = [`label-${labelTask.priority}`];
+				});
+
+			const { updateData, linearFields } = await handler._buildIssueUpdateData(
+				task,
+				{ priority: 'low' },
+				{ priority: 'high' }
+			);
+
+			expect(updateData.addedLabelIds).toEqual(['label-low']);
+			expect(updateData.removedLabelIds).toEqual(['label-high']);
+			expect(linearFields).toContain('labels');
+		});
+
+		test('should skip the API call when nothing maps to Linear', async () => {
+			const result = await handler.handleTaskUpdated({
+				task,
+				changes: { subtasks: [] },
+				oldValues: { subtasks: [{ id: 1 }] }
+			});
+
+			expect(result.action).toBe('skipped');
+			expect(result.reason).toBe('no_linear_changes');
+			expect(handler.linear.updateIssue).not.toHaveBeenCalled();
+		});
+
+		test('should skip fields whose value did not actually change', async () => {
+			const result = await handler.handleTaskUpdated({
+				task,
+				changes: { title: 'Renamed Task' },
+				oldValues: { title: 'Renamed Task' }
+			});
+
+			expect(result.action).toBe('skipped');
+			expect(handler.linear.updateIssue).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('Subtask Sync', () => {
+		const parentTask = {
+			id: 3,
+			title: 'Parent',
+			priority: 'high',
+			integrations: { linear: { issueId: 'issue-parent' } }
+		};
+		const subtask = {
+			id: 2,
+			title: 'Child',
+			description: 'Child description',
+			status: 'pending',
+			dependencies: [],
+			parentTaskId: 3
+		};
+		const payload = {
+			parentTaskId: '3',
+			subtaskId: '3.2',
+			subtask,
+			parentTask,
+			tag: 'master',
+			context: { projectRoot: '/test/project' }
+		};
+
+		beforeEach(() => {
+			jest.spyOn(handler, '_createLinearIssue').mockResolvedValue({
+				id: 'issue-child',
+				identifier: 'TM-9',
+				url: 'https://linear.app/team/tm/issue/TM-9',
+				title: '[TM-3.2] Child'
+			});
+			jest.spyOn(handler, '_performAtomicFileUpdate').mockResolvedValue({});
+		});
+
+		test('should create a sub-issue under the parent issue', async () => {
+			const result = await handler.handleSubtaskCreated(payload);
+
+			expect(result.action).toBe('created');
+			expect(result.parentIssueId).toBe('issue-parent');
+			expect(handler._createLinearIssue).toHaveBeenCalledWith(
+				expect.objectContaining({
+					id: '3.2',
+					title: 'Child',
+					priority: 'high'
+				}),
+				'/test/project',
+				{ parentId: 'issue-parent' }
+			);
+			expect(handler._performAtomicFileUpdate).toHaveBeenCalledWith(
+				'3.2',
+				expect.objectContaining({ id: 'issue-child', identifier: 'TM-9' }),
+				'/test/project',
+				'updateLinearIssue',
+				'master'
+			);
+		});
+
+		test('should skip subtasks of unlinked parents and already linked subtasks', async () => {
+			const unlinkedParent = await handler.handleSubtaskCreated({
+				...payload,
+				parentTask: { id: 3, title: 'Parent' }
+			});
+			const alreadyLinked = await handler.handleSubtaskCreated({
+				...payload,
+				subtask: {
+					...subtask,
+					integrations: { linear: { issueId: 'issue-child' } }
+				}
+			});
+
+			expect(unlinkedParent.reason).toBe('parent_not_linked');
+			expect(alreadyLinked.reason).toBe('already_linked');
+			expect(handler._createLinearIssue).not.toHaveBeenCalled();
+		});
+
+		test('should store the sub-issue link on the subtask in tasks.json', async () => {
+			handler._performAtomicFileUpdate.mockRestore();
+			const projectRoot = fs.mkdtempSync(
+				path.join(os.tmpdir(), 'linear-subtask-')
+			);
+			const tasksPath = path.join(projectRoot, '.taskmaster/tasks/tasks.json');
+			fs.mkdirSync(path.dirname(tasksPath), { recursive: true });
+			fs.writeFileSync(
+				tasksPath,
+				JSON.stringify({
+					master: {
+						tasks: [{ ...parentTask, subtasks: [{ id: 1 }, subtask] }],
+						metadata: {}
+					}
+				})
+			);
+
+			try {
+				await handler.handleSubtaskCreated({
+					...payload,
+					context: { projectRoot }
+				});
+
+				const [task] = JSON.parse(fs.readFileSync(tasksPath, 'utf8')).master
+					.tasks;
+				expect(task.integrations.linear.issueId).toBe('issue-parent');
+				expect(task.subtasks[0].integrations).toBeUndefined();
+				expect(task.subtasks[1].integrations.linear).toMatchObject({
+					issueId: 'issue-child',
+					identifier: 'TM-9',
+					snapshot: { title: 'Child', status: 'pending' }
+				});
+			} finally {
+				fs.rmSync(projectRoot, { recursive: true, force: true });
+			}
+		});
+
+		test('should store the sub-issue link in the tag of the event', async () => {
+			handler._performAtomicFileUpdate.mockRestore();
+			const projectRoot = fs.mkdtempSync(
+				path.join(os.tmpdir(), 'linear-subtask-')
+			);
+			const tasksPath = path.join(projectRoot, '.taskmaster/tasks/tasks.json');
+			fs.mkdirSync(path.dirname(tasksPath), { recursive: true });
+			fs.writeFileSync(
+				tasksPath,
+				JSON.stringify({
+					master: { tasks: [{ id: 3, title: 'Other' }], metadata: {} },
+					feature: {
+						tasks: [{ ...parentTask, subtasks: [{ id: 1 }, subtask] }],
+						metadata: {}
+					}
+				})
+			);
+			// The user switched back to master before the event was handled
+			fs.writeFileSync(
+				path.join(projectRoot, '.taskmaster/state.json'),
+				JSON.stringify({ currentTag: 'master' })
+			);
+
+			try {
+				await handler.handleSubtaskCreated({
+					...payload,
+					tag: 'feature',
+					context: { projectRoot }
+				});
+
+				const data = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+				expect(data.master.tasks).toEqual([{ id: 3, title: 'Other' }]);
+				expect(
+					data.feature.tasks[0].subtasks[1].integrations.linear.issueId
+				).toBe('issue-child');
+			} finally {
+				fs.rmSync(projectRoot, { recursive: true, force: true });
+			}
+		});
+
+		test('should pass the parent issue to the Linear API', async () => {
+			handler._createLinearIssue.mockRestore();
+			handler.linear = {
+				createIssue: jest.fn().mockResolvedValue({
+					success: true,
+					issue: { id: 'issue-child', identifier: 'TM-9', title: 'x' }
+				})
+			};
+			jest.spyOn(handler, '_parseLinearResponse').mockReturnValue({
+				id: 'issue-child',
+				identifier: 'TM-9'
+			});
+
+			await handler.handleSubtaskCreated(payload);
+
+			expect(handler.linear.createIssue).toHaveBeenCalledWith(
+				expect.objectContaining({
+					title: '[TM-3.2] Child',
+					parentId: 'issue-parent'
+				})
+			);
+		});
+	});
+
+	describe('Dependency Sync', () => {
+		const payload = {
+			taskId: '2',
+			dependsOnTaskId: '1',
+			task: { id: 2, integrations: { linear: { issueId: 'issue-2' } } },
+			dependsOnTask: {
+				id: 1,
+				integrations: { linear: { issueId: 'issue-1' } }
+			},
+			context: { projectRoot: '/test/project' }
+		};
+		let relations;
+
+		beforeEach(() => {
+			relations = [];
+			handler.linear = {
+				issue: jest.fn().mockResolvedValue({
+					relations: jest.fn(async () => ({ nodes: relations }))
+				}),
+				createIssueRelation: jest.fn().mockResolvedValue({
+					success: true,
+					issueRelation: Promise.resolve({ id: 'relation-1' })
+				}),
+				deleteIssueRelation: jest.fn().mockResolvedValue({ success: true })
+			};
+		});
+
+		test('should create a blocks relation from the dependency to the task', async () => {
+			const result = await handler.handleDependencyAdded(payload);
+
+			expect(result.action).toBe('created');
+			expect(result.relation.id).toBe('relation-1');
+			expect(handler.linear.issue).toHaveBeenCalledWith('issue-1');
+			expect(handler.linear.createIssueRelation).toHaveBeenCalledWith({
+				issueId: 'issue-1',
+				relatedIssueId: 'issue-2',
+				type: 'blocks'
+			});
+		});
+
+		test('should not duplicate an existing relation', async () => {
+			relations = [
+				{ id: 'relation-1', type: 'blocks', relatedIssueId: 'issue-2' }
+			];
+
+			const result = await handler.handleDependencyAdded(payload);
+
+			expect(result.reason).toBe('relation_exists');
+			expect(handler.linear.createIssueRelation).not.toHaveBeenCalled();
+		});
+
+		test('should delete the blocks relation when the dependency is removed', async () => {
+			relations = [
+				{ id: 'relation-1', type: 'blocks', relatedIssueId: 'issue-2' },
+				{ id: 'relation-2', type: 'related', relatedIssueId: 'issue-2' },
+				{ id: 'relation-3', type: 'blocks', relatedIssueId: 'issue-7' }
+			];
+
+			const result = await handler.handleDependencyRemoved(payload);
+
+			expect(result).toMatchObject({
+				action: 'deleted',
+				relationIds: ['relation-1']
+			});
+			expect(handler.linear.deleteIssueRelation).toHaveBeenCalledTimes(1);
+			expect(handler.linear.deleteIssueRelation).toHaveBeenCalledWith(
+				'relation-1'
+			);
+		});
+
+		test('should skip dependencies on unlinked tasks', async () => {
+			const result = await handler.handleDependencyAdded({
+				...payload,
+				dependsOnTask: { id: 1 }
+			});
+
+			expect(result.reason).toBe('no_linear_issue');
+			expect(handler.linear.issue).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('Removal Sync', () => {
+		const removedTask = {
+			id: 3,
+			title: 'Removed Task',
+			integrations: { linear: { issueId: 'issue-3' } },
+			subtasks: [
+				{ id: 1, integrations: { linear: { issueId: 'issue-3-1' } } },
+				{ id: 2 }
+			]
+		};
+		const payload = {
+			taskId: 3,
+			task: removedTask,
+			context: { projectRoot: '/test/project' }
+		};
+
+		beforeEach(() => {
+			handler.linear = {
+				archiveIssue: jest.fn().mockResolvedValue({ success: true }),
+				workflowStates: jest.fn().mockResolvedValue({
+					nodes: [
+						{ id: 'state-todo', name: 'Todo', type: 'unstarted' },
+						{ id: 'state-canceled', name: 'Canceled', type: 'canceled' }
+					]
+				}),
+				updateIssue: jest.fn().mockResolvedValue({ success: true }),
+				createComment: jest.fn().mockResolvedValue({ success: true })
+			};
+			jest.spyOn(handler, '_getStatusMapping').mockReturnValue({});
+		});
+
+		test('should cancel the issues of the task and its subtasks by default', async () => {
+			const result = await handler.handleTaskRemoved(payload);
+
+			expect(result).toMatchObject({
+				action: 'removed',
+				removeAction: 'cancel',
+				taskId: '3',
+				issues: [
+					{ taskId: '3', issueId: 'issue-3', action: 'cancel' },
+					{ taskId: '3.1', issueId: 'issue-3-1', action: 'cancel' }
+				]
+			});
+			expect(handler.linear.updateIssue).toHaveBeenCalledWith('issue-3', {
+				stateId: 'state-canceled'
+			});
+			expect(handler.linear.updateIssue).toHaveBeenCalledWith('issue-3-1', {
+				stateId: 'state-canceled'
+			});
+			expect(handler.linear.createComment).toHaveBeenCalledWith({
+				issueId: 'issue-3',
+				body: expect.stringContaining('task #3 was deleted')
+			});
+		});
+
+		test('should archive the issue when configured', async () => {
+			jest.spyOn(handler, '_getRemovedTaskAction').mockReturnValue('archive');
+
+			const result = await handler.handleSubtaskRemoved({
+				subtaskId: '3.1',
+				subtask: removedTask.subtasks[0],
+				context: { projectRoot: '/test/project' }
+			});
+
+			expect(result).toMatchObject({
+				action: 'removed',
+				removeAction: 'archive',
+				taskId: '3.1'
+			});
+			expect(handler.linear.archiveIssue).toHaveBeenCalledWith('issue-3-1');
+			expect(handler.linear.updateIssue).not.toHaveBeenCalled();
+		});
+
+		test('should only comment on the issue when configured', async () => {
+			jest.spyOn(handler, '_getRemovedTaskAction').mockReturnValue('comment');
+
+			await handler.handleTaskRemoved({
+				...payload,
+				task: { ...removedTask, subtasks: [] }
+			});
+
+			expect(handler.linear.createComment).toHaveBeenCalledTimes(1);
+			expect(handler.linear.updateIssue).not.toHaveBeenCalled();
+			expect(handler.linear.archiveIssue).not.toHaveBeenCalled();
+		});
+
+		test('should leave the issues untouched with keepLinear', async () => {
+			const result = await handler.handleTaskRemoved({
+				...payload,
+				keepLinear: true
+			});
+
+			expect(result.reason).toBe('keep_linear');
+			expect(handler.linear.updateIssue).not.toHaveBeenCalled();
+			expect(handler.linear.archiveIssue).not.toHaveBeenCalled();
+		});
+
+		test('should skip removed tasks without a linked issue', async () => {
+			const result = await handler.handleTaskRemoved({
+				...payload,
+				task: { id: 3, subtasks: [{ id: 2 }] }
+			});
+
+			expect(result.reason).toBe('no_linear_issue');
+		});
+	});
+
+	describe('Move Sync', () => {
+		const task = (id, issueId, extra = {}) => ({
+			id,
+			title: `Task ${id}`,
+			description: '',
+			status: 'pending',
+			priority: 'medium',
+			dependencies: [],
+			integrations: { linear: { issueId } },
+			...extra
+		});
+		let projectRoot;
+		let tasksPath;
+
+		const readTasks = () =>
+			JSON.parse(fs.readFileSync(tasksPath, 'utf8')).master.tasks;
+
+		beforeEach(async () => {
+			projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'linear-move-'));
+			tasksPath = path.join(projectRoot, '.taskmaster/tasks/tasks.json');
+			fs.mkdirSync(path.dirname(tasksPath), { recursive: true });
+
+			jest.spyOn(handler, '_performInitialization').mockResolvedValue();
+			jest.spyOn(handler, '_createLinearIssue');
+			handler.linear = {
+				updateIssue: jest.fn(),
+				archiveIssue: jest.fn(),
+				createComment: jest.fn()
+			};
+			await resetEventSystem();
+			registerIntegration(handler);
+			await initializeEventSystem({
+				enableBatching: false,
+				enableErrorBoundaries: false
+			});
+		});
+
+		afterEach(async () => {
+			await resetEventSystem();
+			fs.rmSync(projectRoot, { recursive: true, force: true });
+		});
+
+		const move = (from, to) =>
+			moveTask(tasksPath, from, to, false, { projectRoot, tag: 'master' });
+
+		const expectIssuesUntouched = () => {
+			expect(handler._createLinearIssue).not.toHaveBeenCalled();
+			expect(handler.linear.updateIssue).not.toHaveBeenCalled();
+			expect(handler.linear.archiveIssue).not.toHaveBeenCalled();
+			expect(handler.linear.createComment).not.toHaveBeenCalled();
+		};
+
+		test('should keep the issue of a subtask moved to a task', async () => {
+			fs.writeFileSync(
+				tasksPath,
+				JSON.stringify({
+					master: {
+						tasks: [
+							task(1, 'issue-1', {
+								subtasks: [task(1, 'issue-1-1', { parentTaskId: 1 })]
+							})
+						],
+						metadata: {}
+					}
+				})
+			);
+
+			await move('1.1', '2');
+
+			const [parent, moved] = readTasks();
+			expect(parent.subtasks).toEqual([]);
+			expect(moved).toMatchObject({
+				id: 2,
+				integrations: { linear: { issueId: 'issue-1-1' } }
+			});
+			expect(moved).not.toHaveProperty('parentTaskId');
+			expectIssuesUntouched();
+		});
+
+		test('should keep the issue of a task moved to a subtask', async () => {
+			fs.writeFileSync(
+				tasksPath,
+				JSON.stringify({
+					master: {
+						tasks: [task(1, 'issue-1'), task(2, 'issue-2')],
+						metadata: {}
+					}
+				})
+			);
+
+			await move('2', '1.1');
+
+			const [parent] = readTasks();
+			expect(parent.subtasks).toEqual([
+				expect.objectContaining({
+					id: 1,
+					title: 'Task 2',
+					integrations: { linear: { issueId: 'issue-2' } }
+				})
+			]);
+			expectIssuesUntouched();
+		});
+	});
+
 	describe('Event Handler Method Names', () => {
 		test('should have correct handler method names for TaskMaster events', () => {
 			expect(handler._getHandlerMethodName(EVENT_TYPES.TASK_CREATED)).toBe(
@@ -465,6 +1148,12 @@ describe('LinearIntegrationHandler', () => {
 			expect(handler._getHandlerMethodName(EVENT_TYPES.TASK_UPDATED)).toBe(
 				'handleTaskUpdated'
 			);
+			expect(handler._getHandlerMethodName(EVENT_TYPES.SUBTASK_CREATED)).toBe(
+				'handleSubtaskCreated'
+			);
+			expect(handler._getHandlerMethodName(EVENT_TYPES.DEPENDENCY_ADDED)).toBe(
+				'handleDependencyAdded'
+			);
 		});
 	});
 });
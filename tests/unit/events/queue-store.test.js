@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Tests for QueueStore
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+	QueueStore,
+	ITEM_STATE
+} from '../../../scripts/modules/events/queue-store.js';
+
+describe('QueueStore', () => {
+	let tempDir;
+	let store;
+
+	const makeItem = (id) => ({
+		id,
+		data: { eventType: 'task:created', payload: { taskId: id } },
+		options: { priority: 2, maxRetries: 3 },
+		queuedAt: Date.now(),
+		attempts: 0,
+		errors: []
+	});
+
+	beforeEach(() => {
+		tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-store-'));
+		store = new QueueStore({ projectRoot: tempDir });
+	});
+
+	afterEach(async () => {
+		await store.close();
+		fs.rmSync(tempDir, { recursive: true, force: true });
+	});
+
+	test('should write the journal under .taskmaster/events', async () => {
+		await store.enqueue(makeItem('a'));
+
+		expect(store.filePath).toBe(
+			path.join(tempDir, '.taskmaster', 'events', 'queue.jsonl')
+		);
+		expect(fs.existsSync(store.filePath)).toBe(true);
+		expect(fs.existsSync(store.lockPath)).toBe(false);
+	});
+
+	test('should replay item state transitions', async () => {
+		await store.enqueue(makeItem('a'));
+		await store.enqueue(makeItem('b'));
+		await store.enqueue(makeItem('c'));
+		await store.markInFlight('a', 1);
+		await store.markCompleted('b');
+		await store.markInFlight('c', 3);
+		await store.markDead('c', 3, [{ error: 'boom' }]);
+
+		const entries = store.getEntries();
+		expect(entries.map((entry) => [entry.id, entry.state])).toEqual([
+			['a', ITEM_STATE.IN_FLIGHT],
+			['c', ITEM_STATE.DEAD]
+		]);
+		expect(store.getDeadLetterEntries()[0]).toMatchObject({
+			id: 'c',
+			attempts: 3,
+			errors: [{ error: 'boom' }]
+		});
+	});
+
+	test('should skip a torn final record', async () => {
+		await store.enqueue(makeItem('a'));
+		fs.appendFileSync(store.filePath, '{"op":"enqueue","item":{"id"');
+
+		expect(store.getEntries().map((entry) => entry.id)).toEqual(['a']);
+	});
+
+	test('should only let other stores claim items once their owner is gone', async () => {
+		await store.enqueue(makeItem('a'));
+		await store.markInFlight('a', 1);
+
+		const other = new QueueStore({ projectRoot: tempDir });
+		expect((await other.claimRecoverable()).requeue).toEqual([]);
+
+		await store.close();
+		const { requeue } = await other.claimRecoverable();
+		expect(requeue.map((entry) => entry.id)).toEqual(['a']);
+		expect(requeue[0].attempts).toBe(1);
+
+		// Claimed items now belong to the other store
+		const third = new QueueStore({ projectRoot: tempDir });
+		expect((await third.claimRecoverable()).requeue).toEqual([]);
+
+		await other.close();
+		await third.close();
+	});
+
+	test('should requeue dead letter items with reset attempts', async () => {
+		await store.enqueue(makeItem('a'));
+		await store.markDead('a', 3, [{ error: 'boom' }]);
+
+		expect(await store.requeueDeadLetter()).toEqual(['a']);
+
+		const [entry] = store.getEntries();
+		expect(entry).toMatchObject({
+			state: ITEM_STATE.PENDING,
+			attempts: 0,
+			errors: [],
+			owner: null
+		});
+	});
+
+	test('should compact the journal to one record per item', async () => {
+		await store.enqueue(makeItem('a'));
+		await store.markInFlight('a', 1);
+		await store.enqueue(makeItem('b'));
+		await store.markCompleted('b');
+
+		const before = store.getEntries();
+		await store.compact();
+
+		const lines = fs.readFileSync(store.filePath, 'utf8').trim().split('\n');
+		expect(lines).toHaveLength(1);
+		expect(store.getEntries()).toEqual(before);
+	});
+
+	test('should compact automatically past the threshold', async () => {
+		const small = new QueueStore({ projectRoot: tempDir, compactThreshold: 4 });
+		for (const id of ['a', 'b']) {
+			await small.enqueue(makeItem(id));
+			await small.markCompleted(id);
+		}
+
+		expect(fs.readFileSync(small.filePath, 'utf8').trim()).toBe('');
+		await small.close();
+	});
+
+	test('should remove a stale lock left by a dead process', async () => {
+		fs.mkdirSync(path.dirname(store.lockPath), { recursive: true });
+		fs.writeFileSync(
+			store.lockPath,
+			JSON.stringify({ pid: 999999999, timestamp: Date.now() })
+		);
+
+		await store.enqueue(makeItem('a'));
+
+		expect(store.getEntries()).toHaveLength(1);
+	});
+});
@@ -0,0 +1,184 @@
+/**
+ * Tests for the dependency graph export
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+	buildDependencyGraph,
+	exportDependencyGraph
+} from '../../scripts/modules/task-manager/export-graph.js';
+
+describe('dependency graph export', () => {
+	const task = (id, title, extra = {}) => ({
+		id,
+		title,
+		description: '',
+		status: 'pending',
+		priority: 'medium',
+		dependencies: [],
+		...extra
+	});
+
+	// 2 → 3 → 4 → 2 is a cycle; 1 has a subtask that depends on its sibling
+	const tasks = [
+		task(1, 'Set up repo', {
+			status: 'done',
+			priority: 'high',
+			subtasks: [
+				task(1, 'Init', { status: 'done' }),
+				task(2, 'Lint', { dependencies: [1] })
+			]
+		}),
+		task(2, 'Add API', { dependencies: [1, 4] }),
+		task(3, 'Add UI', { dependencies: [2], status: 'in-progress' }),
+		task(4, 'Add tests', { dependencies: [3, 99], priority: 'low' }),
+		task(5, 'Write docs', { dependencies: [1] })
+	];
+
+	it('should build nodes and edges and find cycles', () => {
+		const graph = buildDependencyGraph(tasks);
+
+		expect(graph.nodes.map((node) => node.id)).toEqual([
+			'1',
+			'1.1',
+			'1.2',
+			'2',
+			'3',
+			'4',
+			'5'
+		]);
+		expect(graph.nodes.find((node) => node.id === '1.2')).toEqual(
+			expect.objectContaining({
+				type: 'subtask',
+				parentId: '1',
+				priority: 'medium',
+				inCycle: false
+			})
+		);
+		expect(graph.cycles).toEqual([['2', '4', '3']]);
+		expect(
+			graph.edges
+				.filter((edge) => edge.inCycle)
+				.map((edge) => `${edge.from}->${edge.to}`)
+		).toEqual(['4->2', '2->3', '3->4']);
+		expect(graph.edges).toContainEqual({
+			from: '1.1',
+			to: '1.2',
+			type: 'dependency',
+			inCycle: false
+		});
+		expect(graph.edges).toContainEqual({
+			from: '1',
+			to: '1.1',
+			type: 'subtask',
+			inCycle: false
+		});
+		// The missing task 99 is left out
+		expect(graph.edges.some((edge) => edge.from === '99')).toBe(false);
+	});
+
+	it('should filter by subtree and status', () => {
+		expect(
+			buildDependencyGraph(tasks, { id: '5' }).nodes.map((node) => node.id)
+		).toEqual(['1', '1.1', '1.2', '5']);
+
+		const open = buildDependencyGraph(tasks, {
+			status: 'pending,in-progress'
+		});
+		expect(open.nodes.map((node) => node.id)).toEqual([
+			'1.2',
+			'2',
+			'3',
+			'4',
+			'5'
+		]);
+		expect(open.edges.some((edge) => edge.from === '1')).toBe(false);
+
+		expect(() => buildDependencyGraph(tasks, { id: '42' })).toThrow(
+			'Task 42 not found'
+		);
+	});
+
+	describe('exportDependencyGraph', () => {
+		let projectRoot;
+		let tasksPath;
+
+		beforeEach(() => {
+			projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-graph-'));
+			fs.mkdirSync(path.join(projectRoot, '.taskmaster', 'tasks'), {
+				recursive: true
+			});
+			tasksPath = path.join(projectRoot, '.taskmaster', 'tasks', 'tasks.json');
+			fs.writeFileSync(
+				tasksPath,
+				JSON.stringify({ master: { tasks, metadata: {} } })
+			);
+		});
+
+		afterEach(() => {
+			fs.rmSync(projectRoot, { recursive: true, force: true });
+		});
+
+		const exportGraph = (options) =>
+			exportDependencyGraph(
+				tasksPath,
+				options,
+				{ projectRoot, tag: 'master' },
+				'json'
+			);
+
+		it('should render Mermaid with status, priority and cycle styles', async () => {
+			const { content, cycles } = await exportGraph({ format: 'mermaid' });
+
+			expect(cycles).toHaveLength(1);
+			expect(content.startsWith('flowchart TD\n')).toBe(true);
+			expect(content).toContain('\tt1["1: Set up repo<br/>done · high"]');
+			expect(content).toContain('\tt1_1 --> t1_2');
+			expect(content).toContain('\tt1 -.- t1_1');
+			expect(content).toContain('\tclassDef status_in_progress fill:#90caf9');
+			expect(content).toContain('\tclass t1,t1_1 status_done');
+			expect(content).toContain('\tclass t2,t3,t4 cycle');
+			expect(content).toMatch(/\tlinkStyle \d+,\d+,\d+ stroke:#d32f2f/);
+		});
+
+		it('should render DOT and JSON, and write the graph to a file', async () => {
+			const dot = await exportGraph({ format: 'dot', id: '4' });
+			expect(dot.content.startsWith('digraph "tasks: master" {\n')).toBe(true);
+			expect(dot.content).toContain(
+				'\t"4" [label="4: Add tests\\npending · low", fillcolor="#eeeeee", color="#d32f2f", penwidth=3];'
+			);
+			expect(dot.content).toContain(
+				'\t"4" -> "2" [color="#d32f2f", penwidth=2];'
+			);
+
+			const json = await exportGraph({
+				format: 'json',
+				status: 'done',
+				output: 'graph.json'
+			});
+			const written = JSON.parse(
+				fs.readFileSync(path.join(projectRoot, 'graph.json'), 'utf8')
+			);
+			expect(json.outputPath).toBe(path.join(projectRoot, 'graph.json'));
+			expect(written.tag).toBe('master');
+			expect(written.nodes.map((node) => node.id)).toEqual(['1', '1.1']);
+
+			await expect(exportGraph({ format: 'svg' })).rejects.toThrow(
+				'Unknown graph format "svg"'
+			);
+		});
+
+		it('should reject output paths outside the project root', async () => {
+			for (const output of [
+				'../graph.json',
+				path.join(os.tmpdir(), 'graph.json')
+			]) {
+				await expect(exportGraph({ format: 'json', output })).rejects.toThrow(
+					`Output path "${output}" is outside the project root`
+				);
+			}
+		});
+	});
+});
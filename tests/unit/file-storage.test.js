@@ -0,0 +1,156 @@
+/**
+ * Tests for locked, atomic tasks.json writes
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+	StorageError,
+	acquireFileLockSync,
+	getLockPath,
+	withFileLockSync,
+	writeFileAtomicSync
+} from '../../scripts/modules/utils/fileStorage.js';
+import { readJSON, writeJSON } from '../../scripts/modules/utils.js';
+
+describe('file storage', () => {
+	let projectRoot;
+	let tasksPath;
+
+	const task = (id, title) => ({
+		id,
+		title,
+		description: '',
+		status: 'pending',
+		dependencies: []
+	});
+
+	const readFile = () => JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+
+	beforeEach(() => {
+		projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-file-storage-'));
+		fs.mkdirSync(path.join(projectRoot, '.taskmaster', 'tasks'), {
+			recursive: true
+		});
+		fs.writeFileSync(
+			path.join(projectRoot, '.taskmaster', 'config.json'),
+			JSON.stringify({ global: {} })
+		);
+		tasksPath = path.join(projectRoot, '.taskmaster', 'tasks', 'tasks.json');
+		fs.writeFileSync(
+			tasksPath,
+			JSON.stringify({
+				master: {
+					tasks: [task(1, 'Set up repo')],
+					metadata: { created: '2025-01-01T00:00:00.000Z' }
+				},
+				feature: {
+					tasks: [task(1, 'Design API')],
+					metadata: { created: '2025-01-01T00:00:00.000Z' }
+				}
+			})
+		);
+	});
+
+	afterEach(() => {
+		fs.rmSync(projectRoot, { recursive: true, force: true });
+	});
+
+	it('should replace files atomically without leaving temp files behind', () => {
+		writeFileAtomicSync(tasksPath, '{"master":{"tasks":[]}}');
+
+		expect(fs.readFileSync(tasksPath, 'utf8')).toBe('{"master":{"tasks":[]}}');
+		expect(fs.readdirSync(path.dirname(tasksPath))).toEqual(['tasks.json']);
+	});
+
+	it('should wait for a held lock and time out with LOCK_TIMEOUT', () => {
+		// A live process on this host holds the lock
+		fs.writeFileSync(
+			getLockPath(tasksPath),
+			JSON.stringify({ pid: process.pid, hostname: os.hostname() })
+		);
+
+		let error;
+		try {
+			acquireFileLockSync(tasksPath, { timeoutMs: 100 });
+		} catch (e) {
+			error = e;
+		}
+		expect(error).toBeInstanceOf(StorageError);
+		expect(error.code).toBe('LOCK_TIMEOUT');
+		expect(error.details.owner).toMatchObject({ pid: process.pid });
+	});
+
+	it('should break locks left by dead processes and re-enter held locks', () => {
+		fs.writeFileSync(
+			getLockPath(tasksPath),
+			JSON.stringify({ pid: 2 ** 22 + 1, hostname: os.hostname() })
+		);
+
+		const result = withFileLockSync(tasksPath, () =>
+			withFileLockSync(tasksPath, () => {
+				expect(
+					JSON.parse(fs.readFileSync(getLockPath(tasksPath), 'utf8'))
+				).toMatchObject({ pid: process.pid });
+				return 'done';
+			})
+		);
+
+		expect(result).toBe('done');
+		expect(fs.existsSync(getLockPath(tasksPath))).toBe(false);
+	});
+
+	it('should keep changes to other tags made after the data was read', () => {
+		const terminal = readJSON(tasksPath, projectRoot, 'master');
+		const mcpServer = readJSON(tasksPath, projectRoot, 'feature');
+
+		mcpServer.tasks.push(task(2, 'Write handlers'));
+		writeJSON(tasksPath, mcpServer, projectRoot, 'feature');
+
+		terminal.tasks[0].status = 'done';
+		writeJSON(tasksPath, terminal, projectRoot, 'master');
+
+		const written = readFile();
+		expect(written.master.tasks[0].status).toBe('done');
+		expect(written.feature.tasks.map((t) => t.title)).toEqual([
+			'Design API',
+			'Write handlers'
+		]);
+		expect(fs.existsSync(getLockPath(tasksPath))).toBe(false);
+	});
+
+	it('should refuse to overwrite a tag another writer changed since it was read', () => {
+		const terminal = readJSON(tasksPath, projectRoot, 'master');
+		const mcpServer = readJSON(tasksPath, projectRoot, 'master');
+
+		mcpServer.tasks[0].title = 'Set up monorepo';
+		writeJSON(tasksPath, mcpServer, projectRoot, 'master');
+
+		terminal.tasks[0].status = 'done';
+		expect(() => writeJSON(tasksPath, terminal, projectRoot, 'master')).toThrow(
+			expect.objectContaining({
+				code: 'CONFLICT',
+				details: expect.objectContaining({ tags: ['master'] })
+			})
+		);
+		expect(readFile().master.tasks[0]).toMatchObject({
+			title: 'Set up monorepo',
+			status: 'pending'
+		});
+
+		// Writing the same data again after its own write is not a conflict
+		mcpServer.tasks[0].status = 'in-progress';
+		writeJSON(tasksPath, mcpServer, projectRoot, 'master');
+		expect(readFile().master.tasks[0].status).toBe('in-progress');
+	});
+
+	it('should apply tag deletions from full tagged writes', () => {
+		const data = readJSON(tasksPath, projectRoot, 'master');
+		const { feature, ...remaining } = data._rawTaggedData;
+
+		writeJSON(tasksPath, remaining);
+
+		expect(Object.keys(readFile())).toEqual(['master']);
+	});
+});
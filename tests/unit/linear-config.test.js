@@ -198,6 +198,38 @@ describe('Linear Configuration', () => {
 				expect(result.errors.length).toBeGreaterThan(0);
 			});
 
+			test('should reject unknown sync conflict policies', () => {
+				const result = validateLinearConfig({
+					enabled: false,
+					sync: { conflictPolicy: 'loudest-wins' }
+				});
+				expect(result.errors).toContain(
+					'Linear sync conflictPolicy must be one of: local-wins, remote-wins, newest-wins, interactive'
+				);
+				expect(
+					validateLinearConfig({
+						enabled: false,
+						sync: { conflictPolicy: 'newest-wins' }
+					}).errors
+				).toHaveLength(0);
+			});
+
+			test('should reject unknown task removal actions', () => {
+				const result = validateLinearConfig({
+					enabled: false,
+					sync: { onTaskRemoved: 'delete' }
+				});
+				expect(result.errors).toContain(
+					'Linear sync onTaskRemoved must be one of: archive, cancel, comment'
+				);
+				expect(
+					validateLinearConfig({
+						enabled: false,
+						sync: { onTaskRemoved: 'archive' }
+					}).errors
+				).toHaveLength(0);
+			});
+
 			test('should handle null/undefined config', () => {
 				const result = validateLinearConfig(null);
 				expect(result.valid).toBe(false);
@@ -0,0 +1,248 @@
+/**
+ * Tests for the Linear project import module
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockLinearClient = {
+	project: jest.fn()
+};
+
+jest.unstable_mockModule('@linear/sdk', () => ({
+	LinearClient: jest.fn().mockImplementation(() => mockLinearClient)
+}));
+
+const { LinearImporter, importLinearProject } = await import(
+	'../../scripts/modules/linear-import.js'
+);
+
+const STATES = {
+	todo: { id: 'state-todo', name: 'Todo', type: 'unstarted' },
+	started: { id: 'state-started', name: 'In Progress', type: 'started' },
+	done: { id: 'state-done', name: 'Done', type: 'completed' }
+};
+
+/**
+ * Build a Linear SDK issue stub
+ */
+function createIssue(number, overrides = {}) {
+	const { state = STATES.todo, blocks = [], ...fields } = overrides;
+
+	return {
+		id: `issue-${number}`,
+		identifier: `ENG-${number}`,
+		number,
+		url: `https://linear.app/team/issue/ENG-${number}`,
+		title: `Issue ${number}`,
+		description: '',
+		priority: 0,
+		parentId: undefined,
+		updatedAt: new Date('2026-01-02T00:00:00.000Z'),
+		state: Promise.resolve(state),
+		relations: jest.fn().mockResolvedValue({
+			nodes: blocks.map((blocked) => ({
+				type: 'blocks',
+				relatedIssueId: `issue-${blocked}`
+			}))
+		}),
+		...fields
+	};
+}
+
+/**
+ * Build a Linear SDK project stub that pages its issues two at a time
+ */
+function createProject(issues) {
+	return {
+		id: 'project-1',
+		name: 'Checkout',
+		issues: jest.fn(async ({ after }) => {
+			const start = after ? Number(after) : 0;
+			return {
+				nodes: issues.slice(start, start + 2),
+				pageInfo: {
+					hasNextPage: start + 2 < issues.length,
+					endCursor: String(start + 2)
+				}
+			};
+		})
+	};
+}
+
+describe('LinearImporter', () => {
+	let projectRoot;
+	let tasksPath;
+
+	const readTag = (tag) => JSON.parse(fs.readFileSync(tasksPath, 'utf8'))[tag];
+
+	const runImport = (options = {}) =>
+		importLinearProject('lin_api_x', projectRoot, {
+			projectId: 'project-1',
+			tag: 'linear',
+			...options
+		});
+
+	beforeEach(() => {
+		jest.clearAllMocks();
+		projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'linear-import-'));
+		fs.mkdirSync(path.join(projectRoot, '.taskmaster', 'tasks'), {
+			recursive: true
+		});
+		tasksPath = path.join(projectRoot, '.taskmaster', 'tasks', 'tasks.json');
+		fs.writeFileSync(
+			tasksPath,
+			JSON.stringify({
+				master: {
+					tasks: [{ id: 1, title: 'Local', status: 'pending', subtasks: [] }],
+					metadata: {}
+				}
+			})
+		);
+	});
+
+	afterEach(() => {
+		fs.rmSync(projectRoot, { recursive: true, force: true });
+	});
+
+	it('should require an API key and project root', () => {
+		expect(() => new LinearImporter({ projectRoot })).toThrow(
+			'Linear API key is required'
+		);
+		expect(() => new LinearImporter({ apiKey: 'lin_api_x' })).toThrow(
+			'Project root directory is required'
+		);
+	});
+
+	it('should import issues, sub-issues and blocking relations into a new tag', async () => {
+		mockLinearClient.project.mockResolvedValue(
+			createProject([
+				createIssue(1, {
+					title: 'Checkout flow',
+					description: 'Rebuild checkout.\n\nKeep the old URLs.',
+					priority: 1,
+					state: STATES.started,
+					blocks: [4]
+				}),
+				createIssue(2, { parentId: 'issue-1', blocks: [3] }),
+				createIssue(3, { parentId: 'issue-1', state: STATES.done }),
+				createIssue(4, { priority: 3 }),
+				createIssue(5, { parentId: 'issue-3' })
+			])
+		);
+
+		const result = await runImport();
+
+		expect(result).toMatchObject({
+			tagCreated: true,
+			project: { id: 'project-1', name: 'Checkout' },
+			existing: 0,
+			dependenciesAdded: 2
+		});
+		expect(result.created.map((entry) => [entry.id, entry.identifier])).toEqual(
+			[
+				['1', 'ENG-1'],
+				['2', 'ENG-4'],
+				['1.1', 'ENG-2'],
+				['1.2', 'ENG-3'],
+				['1.3', 'ENG-5']
+			]
+		);
+
+		const { tasks, metadata } = readTag('linear');
+		expect(metadata.description).toBe('Imported from Linear project Checkout');
+		expect(readTag('master').tasks).toHaveLength(1);
+
+		const [checkout, standalone] = tasks;
+		expect(checkout).toMatchObject({
+			id: 1,
+			title: 'Checkout flow',
+			description: 'Rebuild checkout.',
+			details: 'Rebuild checkout.\n\nKeep the old URLs.',
+			status: 'in-progress',
+			priority: 'high',
+			dependencies: []
+		});
+		expect(checkout.integrations.linear).toMatchObject({
+			issueId: 'issue-1',
+			identifier: 'ENG-1',
+			snapshot: {
+				title: 'Checkout flow',
+				status: 'in-progress',
+				priority: 'high'
+			}
+		});
+		expect(standalone).toMatchObject({
+			id: 2,
+			priority: 'low',
+			dependencies: [1]
+		});
+		expect(checkout.subtasks).toEqual([
+			expect.objectContaining({ id: 1, parentTaskId: 1, dependencies: [] }),
+			expect.objectContaining({
+				id: 2,
+				status: 'done',
+				dependencies: [1]
+			}),
+			expect.objectContaining({ id: 3, title: 'Issue 5' })
+		]);
+		expect(checkout.subtasks[0]).not.toHaveProperty('priority');
+	});
+
+	it('should be idempotent and only add what is new on re-run', async () => {
+		const issues = [createIssue(1), createIssue(2, { parentId: 'issue-1' })];
+		mockLinearClient.project.mockResolvedValue(createProject(issues));
+
+		await runImport();
+		const firstRun = fs.readFileSync(tasksPath, 'utf8');
+
+		const rerun = await runImport();
+		expect(rerun).toMatchObject({
+			tagCreated: false,
+			created: [],
+			existing: 2,
+			dependenciesAdded: 0
+		});
+		expect(fs.readFileSync(tasksPath, 'utf8')).toBe(firstRun);
+
+		mockLinearClient.project.mockResolvedValue(
+			createProject([
+				createIssue(1, { blocks: [3] }),
+				createIssue(2, { parentId: 'issue-1' }),
+				createIssue(3, { parentId: 'issue-1' }),
+				createIssue(4, { blocks: [1] })
+			])
+		);
+
+		const update = await runImport();
+		expect(update.created.map((entry) => entry.id)).toEqual(['2', '1.2']);
+		expect(update.existing).toBe(2);
+		// Issue 1 blocking its own sub-issue is not a dependency
+		expect(update.dependenciesAdded).toBe(1);
+
+		const { tasks } = readTag('linear');
+		expect(tasks.map((task) => task.id)).toEqual([1, 2]);
+		expect(tasks[0].dependencies).toEqual([2]);
+		expect(tasks[0].subtasks.map((subtask) => subtask.id)).toEqual([1, 2]);
+	});
+
+	it('should not write tasks.json in dry-run mode', async () => {
+		mockLinearClient.project.mockResolvedValue(createProject([createIssue(1)]));
+		const before = fs.readFileSync(tasksPath, 'utf8');
+
+		const result = await runImport({ dryRun: true });
+
+		expect(result.created).toHaveLength(1);
+		expect(fs.readFileSync(tasksPath, 'utf8')).toBe(before);
+	});
+
+	it('should report a missing project', async () => {
+		mockLinearClient.project.mockResolvedValue(null);
+
+		await expect(runImport()).rejects.toThrow(
+			'Linear project project-1 not found'
+		);
+	});
+});
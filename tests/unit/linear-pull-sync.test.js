@@ -0,0 +1,455 @@
+/**
+ * Tests for the Linear pull sync module
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockLinearClient = {
+	issue: jest.fn(),
+	updateIssue: jest.fn(),
+	workflowStates: jest.fn()
+};
+
+jest.unstable_mockModule('@linear/sdk', () => ({
+	LinearClient: jest.fn().mockImplementation(() => mockLinearClient)
+}));
+
+const { LinearPullSync, pullLinearChanges } = await import(
+	'../../scripts/modules/linear-pull-sync.js'
+);
+const { readConflictAudit } = await import(
+	'../../scripts/modules/linear-sync-conflicts.js'
+);
+
+/**
+ * Build a Linear SDK issue stub
+ */
+function createIssue(overrides = {}) {
+	const {
+		state = { id: 'state-started', name: 'In Progress', type: 'started' },
+		comments = [],
+		...fields
+	} = overrides;
+
+	return {
+		id: 'issue-1',
+		identifier: 'ENG-1',
+		url: 'https://linear.app/team/issue/ENG-1',
+		title: '[TM-1] Build the thing',
+		priority: 2,
+		updatedAt: new Date('2026-01-02T00:00:00.000Z'),
+		state: Promise.resolve(state),
+		comments: jest.fn().mockResolvedValue({
+			nodes: comments.map((comment) => ({
+				...comment,
+				user: Promise.resolve({ displayName: comment.author })
+			}))
+		}),
+		...fields
+	};
+}
+
+describe('LinearPullSync', () => {
+	let projectRoot;
+	let tasksPath;
+
+	const writeTasks = (tasks) => {
+		fs.writeFileSync(
+			tasksPath,
+			JSON.stringify({ master: { tasks, metadata: {} } }, null, 2)
+		);
+	};
+
+	const readTasks = () =>
+		JSON.parse(fs.readFileSync(tasksPath, 'utf8')).master.tasks;
+
+	const linkedTask = (overrides = {}) => ({
+		id: 1,
+		title: 'Build the thing',
+		description: 'Desc',
+		details: 'Initial details',
+		status: 'pending',
+		priority: 'medium',
+		dependencies: [],
+		subtasks: [],
+		integrations: {
+			linear: {
+				issueId: 'issue-1',
+				identifier: 'ENG-1',
+				snapshot: {
+					title: 'Build the thing',
+					status: 'pending',
+					priority: 'medium'
+				}
+			}
+		},
+		...overrides
+	});
+
+	beforeEach(() => {
+		jest.clearAllMocks();
+		projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'linear-pull-'));
+		fs.mkdirSync(path.join(projectRoot, '.taskmaster', 'tasks'), {
+			recursive: true
+		});
+		tasksPath = path.join(projectRoot, '.taskmaster', 'tasks', 'tasks.json');
+		fs.writeFileSync(
+			path.join(projectRoot, '.taskmaster', 'config.json'),
+			JSON.stringify({
+				integrations: {
+					linear: { team: { id: 'team-1' }, labels: { enabled: false } }
+				}
+			})
+		);
+		mockLinearClient.updateIssue.mockResolvedValue({ success: true });
+		mockLinearClient.workflowStates.mockResolvedValue({
+			nodes: [
+				{ id: 'state-started', name: 'In Progress', type: 'started' },
+				{ id: 'state-review', name: 'In Review', type: 'started' }
+			]
+		});
+	});
+
+	afterEach(() => {
+		fs.rmSync(projectRoot, { recursive: true, force: true });
+	});
+
+	it('should require an API key and project root', () => {
+		expect(() => new LinearPullSync({ projectRoot })).toThrow(
+			'Linear API key is required'
+		);
+		expect(() => new LinearPullSync({ apiKey: 'lin_api_x' })).toThrow(
+			'Project root directory is required'
+		);
+	});
+
+	it('should apply remote state, title, priority and new comments', async () => {
+		writeTasks([linkedTask()]);
+		mockLinearClient.issue.mockResolvedValue(
+			createIssue({
+				title: '[TM-1] Build the better thing',
+				priority: 1,
+				comments: [
+					{
+						id: 'c1',
+						body: 'Blocked on API review',
+						createdAt: '2026-01-01T10:00:00.000Z',
+						author: 'Ada'
+					},
+					{
+						id: 'c2',
+						body: '**TaskMaster status change:** `pending` → `done`',
+						createdAt: '2026-01-01T11:00:00.000Z',
+						author: 'Bot'
+					}
+				]
+			})
+		);
+
+		const result = await pullLinearChanges('lin_api_x', projectRoot);
+
+		expect(result.updated).toBe(1);
+		expect(result.tasks[0]).toMatchObject({
+			id: '1',
+			identifier: 'ENG-1',
+			changes: [
+				{
+					field: 'title',
+					from: 'Build the thing',
+					to: 'Build the better thing'
+				},
+				{ field: 'status', from: 'pending', to: 'in-progress' },
+				{ field: 'priority', from: 'medium', to: 'high' }
+			]
+		});
+		expect(result.tasks[0].comments.map((c) => c.id)).toEqual(['c1']);
+
+		const [task] = readTasks();
+		expect(task).toMatchObject({
+			title: 'Build the better thing',
+			status: 'in-progress',
+			priority: 'high'
+		});
+		expect(task.details).toContain('Linear comment by Ada:');
+		expect(task.details).toContain('Blocked on API review');
+		expect(task.integrations.linear).toMatchObject({
+			issueId: 'issue-1',
+			state: { id: 'state-started', name: 'In Progress', type: 'started' },
+			snapshot: {
+				title: 'Build the better thing',
+				status: 'in-progress',
+				priority: 'high'
+			},
+			lastCommentAt: '2026-01-01T10:00:00.000Z'
+		});
+	});
+
+	it('should not write tasks.json in dry-run mode', async () => {
+		writeTasks([linkedTask()]);
+		const before = fs.readFileSync(tasksPath, 'utf8');
+		mockLinearClient.issue.mockResolvedValue(createIssue());
+
+		const result = await pullLinearChanges('lin_api_x', projectRoot, {
+			dryRun: true
+		});
+
+		expect(result.dryRun).toBe(true);
+		expect(result.tasks[0].changes).toEqual([
+			{ field: 'status', from: 'pending', to: 'in-progress' }
+		]);
+		expect(fs.readFileSync(tasksPath, 'utf8')).toBe(before);
+	});
+
+	it('should only pull comments newer than the last pulled one', async () => {
+		writeTasks([
+			linkedTask({
+				status: 'in-progress',
+				integrations: {
+					linear: {
+						issueId: 'issue-1',
+						snapshot: { status: 'in-progress' },
+						lastCommentAt: '2026-01-01T10:00:00.000Z'
+					}
+				}
+			})
+		]);
+		mockLinearClient.issue.mockResolvedValue(
+			createIssue({
+				comments: [
+					{
+						id: 'c1',
+						body: 'Old',
+						createdAt: '2026-01-01T10:00:00.000Z',
+						author: 'Ada'
+					}
+				]
+			})
+		);
+
+		const result = await pullLinearChanges('lin_api_x', projectRoot);
+
+		expect(result).toMatchObject({ updated: 0, unchanged: 1 });
+	});
+
+	it('should keep a status that already maps to the remote state', () => {
+		const sync = new LinearPullSync({ apiKey: 'lin_api_x', projectRoot });
+		const issue = {
+			title: 'Build the thing',
+			priority: 2,
+			state: { id: 's', name: 'Todo', type: 'unstarted' },
+			comments: []
+		};
+		const mapping = { pending: 'Todo', deferred: 'Todo', done: 'Done' };
+		const withStatus = (status) =>
+			linkedTask({
+				status,
+				integrations: { linear: { issueId: 'i', snapshot: { status } } }
+			});
+
+		expect(
+			sync.diffTask(withStatus('deferred'), issue, mapping).changes
+		).toEqual([]);
+		expect(sync.diffTask(withStatus('done'), issue, mapping).changes).toEqual([
+			{ field: 'status', from: 'done', to: 'pending' }
+		]);
+	});
+
+	it('should pull linked subtasks and report failed issues', async () => {
+		writeTasks([
+			linkedTask({
+				integrations: { linear: { issueId: 'missing' } },
+				subtasks: [
+					{
+						id: 1,
+						title: 'Build the thing',
+						status: 'pending',
+						integrations: {
+							linear: { issueId: 'issue-1', snapshot: { status: 'pending' } }
+						}
+					}
+				]
+			})
+		]);
+		mockLinearClient.issue.mockImplementation(async (id) =>
+			id === 'issue-1' ? createIssue() : null
+		);
+
+		const result = await pullLinearChanges('lin_api_x', projectRoot);
+
+		expect(result.errors).toEqual([
+			expect.objectContaining({
+				id: '1',
+				error: 'Linear issue missing not found'
+			})
+		]);
+		expect(result.tasks.map((task) => task.id)).toEqual(['1.1']);
+		expect(readTasks()[0].subtasks[0].status).toBe('in-progress');
+	});
+
+	describe('conflicts', () => {
+		const conflictingTask = () =>
+			linkedTask({
+				status: 'review',
+				integrations: {
+					linear: {
+						issueId: 'issue-1',
+						snapshot: {
+							title: 'Build the thing',
+							status: 'pending',
+							priority: 'medium'
+						}
+					}
+				}
+			});
+
+		it('should push local-only changes to Linear without reporting a conflict', async () => {
+			writeTasks([linkedTask({ status: 'review' })]);
+			mockLinearClient.issue.mockResolvedValue(
+				createIssue({
+					state: { id: 'state-todo', name: 'Todo', type: 'unstarted' }
+				})
+			);
+
+			const result = await pullLinearChanges('lin_api_x', projectRoot);
+
+			expect(result).toMatchObject({ updated: 1, conflicts: 0 });
+			expect(result.tasks[0].pushed).toEqual(['status']);
+			expect(mockLinearClient.updateIssue).toHaveBeenCalledWith(
+				'issue-1',
+				expect.objectContaining({ stateId: 'state-review' })
+			);
+			const [task] = readTasks();
+			expect(task.status).toBe('review');
+			expect(task.integrations.linear.snapshot.status).toBe('review');
+		});
+
+		it('should keep the base snapshot when the push fails', async () => {
+			writeTasks([linkedTask({ status: 'review' })]);
+			mockLinearClient.issue.mockResolvedValue(
+				createIssue({
+					state: { id: 'state-todo', name: 'Todo', type: 'unstarted' }
+				})
+			);
+			mockLinearClient.updateIssue.mockResolvedValue({ success: false });
+			const sync = new LinearPullSync({
+				apiKey: 'lin_api_x',
+				projectRoot,
+				maxRetries: 1
+			});
+
+			const result = await sync.pull();
+
+			expect(result.tasks[0]).toMatchObject({
+				pushed: [],
+				pushError: 'Linear rejected the issue update'
+			});
+			// The local change comes up again on the next pull
+			expect(readTasks()[0].integrations.linear.snapshot.status).toBe(
+				'pending'
+			);
+		});
+
+		it('should keep the local value and audit it under local-wins', async () => {
+			writeTasks([conflictingTask()]);
+			mockLinearClient.issue.mockResolvedValue(createIssue());
+
+			const result = await pullLinearChanges('lin_api_x', projectRoot, {
+				conflictPolicy: 'local-wins'
+			});
+
+			expect(result.conflicts).toBe(1);
+			expect(result.tasks[0].conflicts).toEqual([
+				{
+					field: 'status',
+					base: 'pending',
+					local: 'review',
+					remote: 'in-progress',
+					resolution: 'local'
+				}
+			]);
+
+			// The kept local value is pushed to Linear
+			expect(mockLinearClient.updateIssue).toHaveBeenCalledWith(
+				'issue-1',
+				expect.objectContaining({ stateId: 'state-review' })
+			);
+			const [task] = readTasks();
+			expect(task.status).toBe('review');
+			expect(task.integrations.linear.snapshot.status).toBe('review');
+
+			const audit = readConflictAudit(projectRoot);
+			expect(audit).toEqual([
+				expect.objectContaining({
+					taskId: '1',
+					identifier: 'ENG-1',
+					field: 'status',
+					policy: 'local-wins',
+					resolution: 'local'
+				})
+			]);
+		});
+
+		it('should apply the remote value under remote-wins', async () => {
+			writeTasks([conflictingTask()]);
+			mockLinearClient.issue.mockResolvedValue(createIssue());
+
+			await pullLinearChanges('lin_api_x', projectRoot, {
+				conflictPolicy: 'remote-wins'
+			});
+
+			expect(readTasks()[0].status).toBe('in-progress');
+		});
+
+		it('should let the prompt skip a conflict under interactive', async () => {
+			writeTasks([conflictingTask()]);
+			mockLinearClient.issue.mockResolvedValue(createIssue());
+			const prompt = jest.fn().mockResolvedValue('skip');
+
+			const result = await pullLinearChanges('lin_api_x', projectRoot, {
+				conflictPolicy: 'interactive',
+				prompt
+			});
+
+			expect(prompt).toHaveBeenCalledWith(
+				expect.objectContaining({
+					field: 'status',
+					taskId: '1',
+					identifier: 'ENG-1'
+				})
+			);
+			expect(result.tasks[0].conflicts[0].resolution).toBe('skipped');
+
+			const [task] = readTasks();
+			expect(task.status).toBe('review');
+			expect(task.integrations.linear.snapshot.status).toBe('pending');
+		});
+
+		it('should not write the audit log in dry-run mode', async () => {
+			writeTasks([conflictingTask()]);
+			mockLinearClient.issue.mockResolvedValue(createIssue());
+
+			const result = await pullLinearChanges('lin_api_x', projectRoot, {
+				dryRun: true,
+				conflictPolicy: 'remote-wins'
+			});
+
+			expect(result.tasks[0].changes).toEqual([
+				{ field: 'status', from: 'review', to: 'in-progress' }
+			]);
+			expect(readConflictAudit(projectRoot)).toEqual([]);
+		});
+
+		it('should reject unknown policies', async () => {
+			writeTasks([conflictingTask()]);
+
+			await expect(
+				pullLinearChanges('lin_api_x', projectRoot, {
+					conflictPolicy: 'coin-flip'
+				})
+			).rejects.toThrow('Invalid conflict policy "coin-flip"');
+		});
+	});
+});
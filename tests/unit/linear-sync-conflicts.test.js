@@ -0,0 +1,127 @@
+/**
+ * Tests for Linear sync conflict detection and resolution
+ */
+
+import {
+	CONFLICT_POLICIES,
+	createSyncSnapshot,
+	detectFieldConflicts,
+	resolveConflicts,
+	validateConflictPolicy
+} from '../../scripts/modules/linear-sync-conflicts.js';
+
+describe('Linear sync conflicts', () => {
+	describe('createSyncSnapshot', () => {
+		it('should pick the set Linear-mapped fields', () => {
+			expect(
+				createSyncSnapshot({ id: 1, title: 'A', status: 'done', details: 'x' })
+			).toEqual({ title: 'A', status: 'done' });
+			expect(
+				createSyncSnapshot({ title: 'A', status: 'done' }, ['status'])
+			).toEqual({ status: 'done' });
+		});
+	});
+
+	describe('detectFieldConflicts', () => {
+		const base = { title: 'A', status: 'pending', priority: 'medium' };
+
+		it('should classify fields by which side changed', () => {
+			const result = detectFieldConflicts({
+				base,
+				local: { title: 'A', status: 'review', priority: 'low' },
+				remote: { title: 'B', status: 'pending', priority: 'high' }
+			});
+
+			expect(result.remoteChanges).toEqual([
+				{ field: 'title', from: 'A', to: 'B' }
+			]);
+			expect(result.localChanges).toEqual([
+				{ field: 'status', value: 'review' }
+			]);
+			expect(result.conflicts).toEqual([
+				{ field: 'priority', base: 'medium', local: 'low', remote: 'high' }
+			]);
+		});
+
+		it('should ignore fields on which both sides agree or Linear has no value', () => {
+			const result = detectFieldConflicts({
+				base,
+				local: { title: 'B', status: 'pending' },
+				remote: { title: 'B', status: null }
+			});
+
+			expect(result).toEqual({
+				remoteChanges: [],
+				localChanges: [],
+				conflicts: []
+			});
+		});
+
+		it('should treat differences without a snapshot as conflicts', () => {
+			const { conflicts } = detectFieldConflicts({
+				base: null,
+				local: { title: 'A' },
+				remote: { title: 'B' }
+			});
+
+			expect(conflicts).toEqual([
+				{ field: 'title', base: null, local: 'A', remote: 'B' }
+			]);
+		});
+	});
+
+	describe('resolveConflicts', () => {
+		const conflicts = [
+			{ field: 'status', base: 'pending', local: 'review', remote: 'done' }
+		];
+
+		it('should apply fixed policies', async () => {
+			expect(
+				(await resolveConflicts(conflicts, { policy: 'local-wins' }))[0]
+					.resolution
+			).toBe('local');
+			expect(
+				(await resolveConflicts(conflicts, { policy: 'remote-wins' }))[0]
+					.resolution
+			).toBe('remote');
+		});
+
+		it('should pick the newest side under newest-wins', async () => {
+			const resolve = async (localUpdatedAt, remoteUpdatedAt) =>
+				(
+					await resolveConflicts(conflicts, {
+						policy: CONFLICT_POLICIES.NEWEST_WINS,
+						localUpdatedAt,
+						remoteUpdatedAt
+					})
+				)[0].resolution;
+
+			expect(
+				await resolve('2026-01-01T00:00:00.000Z', '2026-01-02T00:00:00.000Z')
+			).toBe('remote');
+			expect(
+				await resolve('2026-01-03T00:00:00.000Z', '2026-01-02T00:00:00.000Z')
+			).toBe('local');
+			expect(await resolve('2026-01-01T00:00:00.000Z', null)).toBe('local');
+		});
+
+		it('should require a prompt for the interactive policy', async () => {
+			await expect(
+				resolveConflicts(conflicts, { policy: 'interactive' })
+			).rejects.toThrow('requires a prompt function');
+
+			const [resolved] = await resolveConflicts(conflicts, {
+				policy: 'interactive',
+				prompt: async () => 'remote'
+			});
+			expect(resolved.resolution).toBe('remote');
+		});
+	});
+
+	it('validateConflictPolicy should reject unknown policies', () => {
+		expect(() => validateConflictPolicy('newest-wins')).not.toThrow();
+		expect(() => validateConflictPolicy('loudest-wins')).toThrow(
+			'Invalid conflict policy'
+		);
+	});
+});
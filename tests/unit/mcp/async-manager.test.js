@@ -0,0 +1,201 @@
+/**
+ * Tests for the MCP background operation manager
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The core functions wait until the test lets them finish
+const coreGates = [];
+const waitForGate = () => new Promise((resolve) => coreGates.push(resolve));
+
+jest.unstable_mockModule(
+	'../../../scripts/modules/task-manager/expand-all-tasks.js',
+	() => ({
+		default: jest.fn(async () => {
+			await waitForGate();
+			return {
+				expandedCount: 1,
+				failedCount: 0,
+				skippedCount: 0,
+				tasksToExpand: 1
+			};
+		})
+	})
+);
+
+jest.unstable_mockModule(
+	'../../../scripts/modules/task-manager/analyze-task-complexity.js',
+	() => ({
+		default: jest.fn(async (options) => {
+			await waitForGate();
+			fs.writeFileSync(options.output, '{}');
+			return { report: { complexityAnalysis: [] } };
+		})
+	})
+);
+
+const { AsyncOperationManager } = await import(
+	'../../../mcp-server/src/core/utils/async-manager.js'
+);
+const { expandAllTasksDirect } = await import(
+	'../../../mcp-server/src/core/direct-functions/expand-all-tasks.js'
+);
+const { analyzeTaskComplexityDirect } = await import(
+	'../../../mcp-server/src/core/direct-functions/analyze-task-complexity.js'
+);
+const { enableSilentMode, disableSilentMode, isSilentMode } = await import(
+	'../../../scripts/modules/utils.js'
+);
+
+describe('AsyncOperationManager', () => {
+	let manager;
+	const log = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+	beforeEach(() => {
+		manager = new AsyncOperationManager({ maxCompletedOperations: 2 });
+	});
+
+	it('should return an ID at once and report progress and the result', async () => {
+		let release;
+		const gate = new Promise((resolve) => {
+			release = resolve;
+		});
+		const directFn = jest.fn(async (args, _log, { reportProgress }) => {
+			reportProgress({ progress: 1, total: 2, message: 'Processed task 1' });
+			await gate;
+			return { success: true, data: { expanded: args.count } };
+		});
+
+		const operationId = manager.addOperation(
+			directFn,
+			{ count: 2 },
+			{ name: 'expand_all', log, session: { id: 's' } }
+		);
+
+		expect(operationId).toMatch(/^op-/);
+		expect(manager.getStatus(operationId).status).toBe('pending');
+
+		await Promise.resolve();
+		await Promise.resolve();
+		expect(manager.getStatus(operationId)).toMatchObject({
+			name: 'expand_all',
+			status: 'running',
+			progress: { progress: 1, total: 2 }
+		});
+		expect(directFn).toHaveBeenCalledWith(
+			{ count: 2 },
+			log,
+			expect.objectContaining({ session: { id: 's' } })
+		);
+
+		release();
+		const status = await manager.waitFor(operationId);
+		expect(status).toMatchObject({
+			status: 'completed',
+			result: { expanded: 2 }
+		});
+		expect(status.endTime).not.toBeNull();
+	});
+
+	it('should report failed direct function results and thrown errors', async () => {
+		const failed = manager.addOperation(async () => ({
+			success: false,
+			error: { code: 'INPUT_FILE_NOT_FOUND', message: 'PRD not found' }
+		}));
+		const thrown = manager.addOperation(async () => {
+			throw new Error('Provider unavailable');
+		});
+
+		expect(await manager.waitFor(failed)).toMatchObject({
+			status: 'failed',
+			error: { code: 'INPUT_FILE_NOT_FOUND', message: 'PRD not found' }
+		});
+		expect(await manager.waitFor(thrown)).toMatchObject({
+			status: 'failed',
+			error: { code: 'OPERATION_FAILED', message: 'Provider unavailable' }
+		});
+	});
+
+	it('should abort the signal on cancel and discard the late result', async () => {
+		let signal;
+		let release;
+		const operationId = manager.addOperation(async (_args, _log, context) => {
+			signal = context.signal;
+			await new Promise((resolve) => {
+				release = resolve;
+			});
+			return { success: true, data: 'late' };
+		});
+		await Promise.resolve();
+		await Promise.resolve();
+
+		expect(manager.cancelOperation(operationId).status).toBe('cancelled');
+		expect(signal.aborted).toBe(true);
+
+		release();
+		const status = await manager.waitFor(operationId);
+		expect(status.status).toBe('cancelled');
+		expect(status).not.toHaveProperty('result');
+	});
+
+	it('should keep silent mode on until the last running operation ends', async () => {
+		const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-async-'));
+		const tasksJsonPath = path.join(projectRoot, 'tasks.json');
+		try {
+			const expand = manager.addOperation(
+				expandAllTasksDirect,
+				{ tasksJsonPath, projectRoot },
+				{ log }
+			);
+			const analyze = manager.addOperation(
+				analyzeTaskComplexityDirect,
+				{
+					tasksJsonPath,
+					outputPath: path.join(projectRoot, 'report.json'),
+					projectRoot
+				},
+				{ log }
+			);
+			while (coreGates.length < 2) {
+				await new Promise((resolve) => setImmediate(resolve));
+			}
+			expect(isSilentMode()).toBe(true);
+
+			// A foreground tool call switches silent mode on and off
+			enableSilentMode();
+			disableSilentMode();
+			expect(isSilentMode()).toBe(true);
+
+			// expand_all switches it off when it finishes
+			coreGates[0]();
+			expect((await manager.waitFor(expand)).status).toBe('completed');
+			expect(isSilentMode()).toBe(true);
+
+			coreGates[1]();
+			expect((await manager.waitFor(analyze)).status).toBe('completed');
+			expect(isSilentMode()).toBe(false);
+		} finally {
+			fs.rmSync(projectRoot, { recursive: true, force: true });
+		}
+	});
+
+	it('should forget unknown and evicted operations', async () => {
+		const ids = [];
+		for (let i = 0; i < 3; i++) {
+			ids.push(manager.addOperation(async () => ({ success: true, data: i })));
+			await manager.waitFor(ids[i]);
+		}
+
+		expect(manager.getStatus(ids[0])).toMatchObject({
+			status: 'not_found',
+			error: { code: 'OPERATION_NOT_FOUND' }
+		});
+		expect(manager.listOperations().map((op) => op.id)).toEqual([
+			ids[2],
+			ids[1]
+		]);
+	});
+});
@@ -0,0 +1,238 @@
+/**
+ * Tests for the Linear sync and integration health MCP direct functions
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockSyncLinearLabels = jest.fn();
+const mockPullLinearChanges = jest.fn();
+
+jest.unstable_mockModule(
+	'../../../scripts/modules/linear-label-management.js',
+	() => ({ syncLinearLabels: mockSyncLinearLabels })
+);
+jest.unstable_mockModule(
+	'../../../scripts/modules/linear-pull-sync.js',
+	() => ({
+		pullLinearChanges: mockPullLinearChanges
+	})
+);
+
+const { linearSyncLabelsDirect } = await import(
+	'../../../mcp-server/src/core/direct-functions/linear-sync-labels.js'
+);
+const { linearSyncAllDirect } = await import(
+	'../../../mcp-server/src/core/direct-functions/linear-sync-all.js'
+);
+const { integrationHealthDirect } = await import(
+	'../../../mcp-server/src/core/direct-functions/integration-health.js'
+);
+const { circuitBreakerRegistry, CIRCUIT_STATE } = await import(
+	'../../../scripts/modules/events/circuit-breaker.js'
+);
+const { __testing } = await import('../../../scripts/modules/events/index.js');
+
+const log = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+const session = { env: { LINEAR_API_KEY: 'lin_api_test' } };
+let projectRoot;
+
+const dryRunAnalysis = {
+	success: true,
+	dryRun: true,
+	analysis: {
+		teamId: 'team-1',
+		enabledCategories: ['type'],
+		missingLabels: [{ categoryKey: 'type', labelKey: 'bug' }],
+		needsSync: [],
+		conflicts: [],
+		recommendations: [],
+		summary: {
+			totalRequired: 1,
+			totalMissing: 1,
+			totalNeedsSync: 0,
+			totalConflicts: 0
+		}
+	},
+	organizationLabels: [{ id: 'l1', name: 'feature' }]
+};
+
+describe('Linear sync MCP direct functions', () => {
+	beforeEach(() => {
+		jest.clearAllMocks();
+		// A project whose config names the Linear team
+		projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-linear-mcp-'));
+		fs.mkdirSync(path.join(projectRoot, '.taskmaster'));
+		fs.writeFileSync(
+			path.join(projectRoot, '.taskmaster', 'config.json'),
+			JSON.stringify({
+				integrations: { linear: { team: { id: 'team-1', name: 'Core' } } }
+			})
+		);
+	});
+
+	afterEach(() => {
+		fs.rmSync(projectRoot, { recursive: true, force: true });
+	});
+
+	it('should return the label analysis for a dry run', async () => {
+		mockSyncLinearLabels.mockResolvedValue(dryRunAnalysis);
+
+		const result = await linearSyncLabelsDirect(
+			{ projectRoot, dryRun: true },
+			log,
+			{ session }
+		);
+
+		expect(mockSyncLinearLabels).toHaveBeenCalledWith(
+			'lin_api_test',
+			projectRoot,
+			'team-1',
+			{ dryRun: true, resolveConflicts: false }
+		);
+		expect(result.success).toBe(true);
+		expect(result.data).toMatchObject({
+			dryRun: true,
+			analysis: { missingLabels: [{ labelKey: 'bug' }] },
+			organizationLabelCount: 1
+		});
+	});
+
+	it('should fail without an API key or team', async () => {
+		const envKey = process.env.LINEAR_API_KEY;
+		delete process.env.LINEAR_API_KEY;
+		const noKey = await linearSyncLabelsDirect({ projectRoot }, log, {
+			session: { env: {} }
+		});
+		if (envKey !== undefined) process.env.LINEAR_API_KEY = envKey;
+		expect(noKey.error.code).toBe('MISSING_API_KEY');
+
+		const unconfiguredRoot = fs.mkdtempSync(
+			path.join(os.tmpdir(), 'tm-linear-mcp-')
+		);
+		const noTeam = await linearSyncLabelsDirect(
+			{ projectRoot: unconfiguredRoot },
+			log,
+			{ session }
+		);
+		fs.rmSync(unconfiguredRoot, { recursive: true, force: true });
+		expect(noTeam.error.code).toBe('MISSING_TEAM_ID');
+		expect(mockSyncLinearLabels).not.toHaveBeenCalled();
+	});
+
+	it('should run labels and the issue pull and report each component', async () => {
+		mockSyncLinearLabels.mockResolvedValue(dryRunAnalysis);
+		mockPullLinearChanges.mockRejectedValue(new Error('Linear is down'));
+
+		const result = await linearSyncAllDirect(
+			{ projectRoot, dryRun: true, conflictPolicy: 'remote-wins' },
+			log,
+			{ session }
+		);
+
+		expect(mockPullLinearChanges).toHaveBeenCalledWith(
+			'lin_api_test',
+			projectRoot,
+			{ dryRun: true, conflictPolicy: 'remote-wins' }
+		);
+		expect(result.data.success).toBe(false);
+		expect(result.data.components).toEqual([
+			expect.objectContaining({ component: 'labels', success: true }),
+			expect.objectContaining({
+				component: 'issues',
+				success: false,
+				error: { code: 'LINEAR_PULL_ERROR', message: 'Linear is down' }
+			})
+		]);
+	});
+
+	it('should skip components and reject the interactive policy', async () => {
+		mockPullLinearChanges.mockResolvedValue({
+			dryRun: false,
+			tasks: [],
+			updated: 0,
+			unchanged: 2,
+			conflicts: 0,
+			errors: []
+		});
+
+		const pullOnly = await linearSyncAllDirect(
+			{ projectRoot, pull: true },
+			log,
+			{ session }
+		);
+		expect(mockSyncLinearLabels).not.toHaveBeenCalled();
+		expect(pullOnly.data.components).toHaveLength(1);
+		expect(pullOnly.data.components[0]).toMatchObject({
+			component: 'issues',
+			success: true,
+			unchanged: 2
+		});
+
+		const interactive = await linearSyncAllDirect(
+			{ projectRoot, conflictPolicy: 'interactive' },
+			log,
+			{ session }
+		);
+		expect(interactive.error.code).toBe('INVALID_ARGUMENT');
+	});
+});
+
+describe('integrationHealthDirect', () => {
+	const manager = {
+		initialized: true,
+		getSystemHealth: () => ({
+			status: 'healthy',
+			issues: [],
+			circuitBreakers: circuitBreakerRegistry.getAllStatuses()
+		}),
+		getIntegrationStatus: () => ({
+			linear: {
+				name: 'linear',
+				enabled: true,
+				config: { apiKey: 'lin_api_secret', teamId: 'team-1' }
+			}
+		})
+	};
+
+	beforeEach(() => {
+		__testing.setGlobalEventManager(manager);
+	});
+
+	afterEach(() => {
+		__testing.setGlobalEventManager(null);
+		circuitBreakerRegistry.removeBreaker('linear');
+	});
+
+	it('should report health, integrations and circuit breakers without secrets', async () => {
+		circuitBreakerRegistry.getBreaker('linear');
+
+		const result = await integrationHealthDirect({}, log);
+
+		expect(result.data.health.status).toBe('healthy');
+		expect(result.data.circuitBreakers.linear.state).toBe(CIRCUIT_STATE.CLOSED);
+		expect(result.data.integrations.linear.config).toEqual({
+			apiKey: '[redacted]',
+			teamId: 'team-1'
+		});
+	});
+
+	it('should reset a tripped circuit breaker', async () => {
+		circuitBreakerRegistry.getBreaker('linear').forceState(CIRCUIT_STATE.OPEN);
+
+		const result = await integrationHealthDirect(
+			{ resetCircuitBreaker: 'linear' },
+			log
+		);
+		expect(result.data.reset).toEqual(['linear']);
+		expect(result.data.circuitBreakers.linear.state).toBe(CIRCUIT_STATE.CLOSED);
+
+		const unknown = await integrationHealthDirect(
+			{ resetCircuitBreaker: 'jira' },
+			log
+		);
+		expect(unknown.error.code).toBe('CIRCUIT_BREAKER_NOT_FOUND');
+	});
+});
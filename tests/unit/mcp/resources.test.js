@@ -0,0 +1,234 @@
+/**
+ * Tests for the taskmaster:// MCP resources and their subscriptions
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { readResource } from '../../../mcp-server/src/resources/task-resources.js';
+import { ResourceSubscriptions } from '../../../mcp-server/src/resources/subscriptions.js';
+import { registerTaskMasterResources } from '../../../mcp-server/src/resources/index.js';
+
+describe('Task Master MCP resources', () => {
+	let projectRoot;
+	let tasksPath;
+
+	const writeTasks = (data) =>
+		fs.writeFileSync(tasksPath, JSON.stringify(data, null, 2));
+
+	beforeEach(() => {
+		projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-resources-'));
+		fs.mkdirSync(path.join(projectRoot, '.taskmaster', 'tasks'), {
+			recursive: true
+		});
+		fs.mkdirSync(path.join(projectRoot, '.taskmaster', 'reports'));
+		tasksPath = path.join(projectRoot, '.taskmaster', 'tasks', 'tasks.json');
+		writeTasks({
+			master: {
+				tasks: [
+					{
+						id: 1,
+						title: 'Set up repo',
+						status: 'done',
+						subtasks: [{ id: 1, title: 'Init git', status: 'done' }]
+					},
+					{ id: 2, title: 'Build API', status: 'pending' }
+				],
+				metadata: { description: 'Main work' }
+			},
+			'feature-x': { tasks: [{ id: 1, title: 'Spike', status: 'pending' }] }
+		});
+		fs.writeFileSync(
+			path.join(projectRoot, '.taskmaster', 'state.json'),
+			JSON.stringify({ currentTag: 'master' })
+		);
+	});
+
+	afterEach(() => {
+		fs.rmSync(projectRoot, { recursive: true, force: true });
+	});
+
+	it('should list tags with counts and resource URIs', () => {
+		expect(readResource('taskmaster://tags', projectRoot)).toEqual({
+			currentTag: 'master',
+			tags: [
+				{
+					name: 'master',
+					description: 'Main work',
+					taskCount: 2,
+					completedTasks: 1,
+					uri: 'taskmaster://tags/master/tasks'
+				},
+				{
+					name: 'feature-x',
+					description: null,
+					taskCount: 1,
+					completedTasks: 0,
+					uri: 'taskmaster://tags/feature-x/tasks'
+				}
+			]
+		});
+	});
+
+	it('should read tag tasks, tasks, subtasks and complexity reports', () => {
+		fs.writeFileSync(
+			path.join(
+				projectRoot,
+				'.taskmaster',
+				'reports',
+				'task-complexity-report_feature-x.json'
+			),
+			JSON.stringify({ complexityAnalysis: [{ taskId: 1, score: 4 }] })
+		);
+
+		expect(
+			readResource('taskmaster://tags/feature-x/tasks', projectRoot).tasks
+		).toHaveLength(1);
+		expect(readResource('taskmaster://tasks/2', projectRoot)).toMatchObject({
+			tag: 'master',
+			task: { id: 2, title: 'Build API' }
+		});
+		expect(readResource('taskmaster://tasks/1.1', projectRoot)).toMatchObject({
+			task: { id: 1, title: 'Init git', parentTaskId: 1 }
+		});
+		expect(
+			readResource('taskmaster://reports/complexity/feature-x', projectRoot)
+		).toEqual({ complexityAnalysis: [{ taskId: 1, score: 4 }] });
+	});
+
+	it('should fail for missing tags, tasks and reports', () => {
+		expect(() =>
+			readResource('taskmaster://tags/nope/tasks', projectRoot)
+		).toThrow('Tag "nope" not found');
+		expect(() => readResource('taskmaster://tasks/9', projectRoot)).toThrow(
+			'Task 9 not found in tag "master"'
+		);
+		expect(() =>
+			readResource('taskmaster://reports/complexity/master', projectRoot)
+		).toThrow('No complexity report for tag "master"');
+	});
+
+	it('should register the resource and templates with the server', async () => {
+		const server = {
+			addResource: jest.fn(),
+			addResourceTemplate: jest.fn(),
+			on: jest.fn()
+		};
+
+		registerTaskMasterResources(server, { getProjectRoot: () => projectRoot });
+
+		expect(server.addResource.mock.calls[0][0].uri).toBe('taskmaster://tags');
+		expect(
+			server.addResourceTemplate.mock.calls.map(([t]) => t.uriTemplate)
+		).toEqual([
+			'taskmaster://tags/{tag}/tasks',
+			'taskmaster://tasks/{id}',
+			'taskmaster://reports/complexity/{tag}'
+		]);
+		const taskTemplate = server.addResourceTemplate.mock.calls[1][0];
+		expect(
+			JSON.parse((await taskTemplate.load({ id: '2' })).text).task.id
+		).toBe(2);
+		expect(server.on).toHaveBeenCalledWith('connect', expect.any(Function));
+	});
+
+	it('should advertise resource subscriptions in the initialize response', async () => {
+		const server = {
+			addResource: jest.fn(),
+			addResourceTemplate: jest.fn(),
+			on: jest.fn()
+		};
+		registerTaskMasterResources(server, { getProjectRoot: () => projectRoot });
+		const [, onSession] = server.on.mock.calls.find(
+			([event]) => event === 'session'
+		);
+		// The MCP server of a new session that serves resources
+		const session = {
+			server: new Server(
+				{ name: 'test', version: '1.0.0' },
+				{ capabilities: { resources: {} } }
+			)
+		};
+		onSession({ session });
+
+		const client = new Client({ name: 'test-client', version: '1.0.0' });
+		const [clientTransport, serverTransport] =
+			InMemoryTransport.createLinkedPair();
+		try {
+			await session.server.connect(serverTransport);
+			await client.connect(clientTransport);
+
+			expect(client.getServerCapabilities().resources).toEqual({
+				subscribe: true
+			});
+		} finally {
+			await client.close();
+			await session.server.close();
+		}
+	});
+
+	describe('ResourceSubscriptions', () => {
+		let subscriptions;
+		let session;
+		const handlers = new Map();
+
+		beforeEach(() => {
+			subscriptions = new ResourceSubscriptions({
+				getProjectRoot: () => projectRoot
+			});
+			session = {
+				server: {
+					setRequestHandler: jest.fn((schema, handler) =>
+						handlers.set(schema.shape.method.value, handler)
+					),
+					sendResourceUpdated: jest.fn()
+				}
+			};
+			subscriptions.attach(session);
+		});
+
+		afterEach(() => {
+			subscriptions.stop();
+		});
+
+		it('should notify subscribers only about resources that changed', async () => {
+			await handlers.get('resources/subscribe')({
+				method: 'resources/subscribe',
+				params: { uri: 'taskmaster://tasks/2' }
+			});
+			await handlers.get('resources/subscribe')({
+				method: 'resources/subscribe',
+				params: { uri: 'taskmaster://tags/feature-x/tasks' }
+			});
+
+			const data = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+			data.master.tasks[1].status = 'in-progress';
+			writeTasks(data);
+
+			expect(await subscriptions.checkForChanges()).toEqual([
+				'taskmaster://tasks/2'
+			]);
+			expect(session.server.sendResourceUpdated).toHaveBeenCalledTimes(1);
+			expect(session.server.sendResourceUpdated).toHaveBeenCalledWith({
+				uri: 'taskmaster://tasks/2'
+			});
+			expect(await subscriptions.checkForChanges()).toEqual([]);
+		});
+
+		it('should stop notifying after unsubscribe', async () => {
+			subscriptions.subscribe(session, 'taskmaster://tags');
+			await handlers.get('resources/unsubscribe')({
+				method: 'resources/unsubscribe',
+				params: { uri: 'taskmaster://tags' }
+			});
+			writeTasks({ master: { tasks: [] } });
+
+			expect(await subscriptions.checkForChanges()).toEqual([]);
+			expect(subscriptions.watchers).toHaveLength(0);
+		});
+	});
+});
@@ -0,0 +1,259 @@
+/**
+ * Tests for the task file merge driver
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import {
+	installMergeDriver,
+	mergeTaggedTasks,
+	runMergeDriver
+} from '../../scripts/modules/task-manager/merge-driver.js';
+import { STORAGE_MANIFEST_KEY } from '../../scripts/modules/utils/taskStorage.js';
+
+describe('merge driver', () => {
+	const task = (id, title, extra = {}) => ({
+		id,
+		title,
+		description: '',
+		status: 'pending',
+		dependencies: [],
+		...extra
+	});
+
+	const tagged = (
+		tasks,
+		metadata = { created: '2025-01-01T00:00:00.000Z' }
+	) => ({
+		master: { tasks, metadata }
+	});
+
+	const base = tagged([task(1, 'Set up repo'), task(2, 'Add CI')]);
+
+	it('should renumber their new tasks that collide with ours and rewrite dependencies', () => {
+		const ours = tagged([...base.master.tasks, task(3, 'Add login')]);
+		const theirs = tagged([
+			...base.master.tasks,
+			task(3, 'Add search'),
+			task(4, 'Rank results', { dependencies: [3] })
+		]);
+
+		const { data, conflicts, renumbered } = mergeTaggedTasks(
+			base,
+			ours,
+			theirs
+		);
+
+		expect(conflicts).toEqual([]);
+		expect(renumbered).toEqual([
+			{ tag: 'master', from: 'Task 3', to: 'Task 5' }
+		]);
+		expect(
+			data.master.tasks.map(({ id, title, dependencies }) => ({
+				id,
+				title,
+				dependencies
+			}))
+		).toEqual([
+			{ id: 1, title: 'Set up repo', dependencies: [] },
+			{ id: 2, title: 'Add CI', dependencies: [] },
+			{ id: 3, title: 'Add login', dependencies: [] },
+			{ id: 4, title: 'Rank results', dependencies: [5] },
+			{ id: 5, title: 'Add search', dependencies: [] }
+		]);
+	});
+
+	it('should combine changes to different fields and report conflicting ones', () => {
+		const ours = tagged([
+			task(1, 'Set up repo', { status: 'done' }),
+			task(2, 'Add CI', { status: 'in-progress' })
+		]);
+		const theirs = tagged([
+			task(1, 'Set up the repository'),
+			task(2, 'Add CI', { status: 'blocked' })
+		]);
+
+		const { data, conflicts } = mergeTaggedTasks(base, ours, theirs);
+
+		expect(data.master.tasks[0]).toEqual(
+			task(1, 'Set up the repository', { status: 'done' })
+		);
+		expect(data.master.tasks[1].status).toBe('in-progress');
+		expect(conflicts).toEqual([
+			expect.objectContaining({
+				tag: 'master',
+				id: 'Task 2',
+				type: 'changed-on-both',
+				fields: ['status'],
+				ours: { status: 'in-progress' },
+				theirs: { status: 'blocked' }
+			})
+		]);
+	});
+
+	it('should merge subtasks, tags and metadata timestamps', () => {
+		const withSubtasks = (subtasks) => task(1, 'Set up repo', { subtasks });
+		const ours = {
+			master: {
+				tasks: [withSubtasks([task(1, 'Init'), task(2, 'Lint')])],
+				metadata: { updated: '2025-02-01T00:00:00.000Z' }
+			}
+		};
+		const theirs = {
+			master: {
+				tasks: [withSubtasks([task(1, 'Init'), task(2, 'Format')])],
+				metadata: { updated: '2025-03-01T00:00:00.000Z' }
+			},
+			feature: { tasks: [task(1, 'Spike')], metadata: {} }
+		};
+
+		const { data, conflicts, renumbered } = mergeTaggedTasks(
+			{ master: { tasks: [withSubtasks([task(1, 'Init')])], metadata: {} } },
+			ours,
+			theirs
+		);
+
+		expect(conflicts).toEqual([]);
+		expect(renumbered).toEqual([
+			{ tag: 'master', from: 'Subtask 1.2', to: 'Subtask 1.3' }
+		]);
+		expect(data.master.tasks[0].subtasks.map((s) => s.title)).toEqual([
+			'Init',
+			'Lint',
+			'Format'
+		]);
+		expect(data.master.metadata.updated).toBe('2025-03-01T00:00:00.000Z');
+		expect(data.feature).toEqual(theirs.feature);
+	});
+
+	describe('runMergeDriver', () => {
+		let projectRoot;
+		let files;
+
+		const write = (name, data) => {
+			fs.writeFileSync(files[name], data ? JSON.stringify(data) : '');
+		};
+		const reportPath = () =>
+			path.join(projectRoot, '.taskmaster', 'reports', 'merge-conflicts.json');
+
+		beforeEach(() => {
+			projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-merge-'));
+			files = Object.fromEntries(
+				['base', 'ours', 'theirs'].map((name) => [
+					name,
+					path.join(projectRoot, `${name}.json`)
+				])
+			);
+		});
+
+		afterEach(() => {
+			fs.rmSync(projectRoot, { recursive: true, force: true });
+		});
+
+		const writeManifest = (dir) => {
+			fs.mkdirSync(path.join(projectRoot, '.taskmaster', 'tasks'), {
+				recursive: true
+			});
+			fs.writeFileSync(
+				path.join(projectRoot, '.taskmaster', 'tasks', 'tasks.json'),
+				JSON.stringify({ [STORAGE_MANIFEST_KEY]: { type: 'directory', dir } })
+			);
+		};
+
+		const run = (filePath) =>
+			runMergeDriver({
+				basePath: files.base,
+				oursPath: files.ours,
+				theirsPath: files.theirs,
+				filePath,
+				projectRoot
+			});
+
+		it('should merge a tag file and report what it cannot resolve', () => {
+			write('base', base.master);
+			write('ours', { ...base.master, tasks: [task(1, 'Set up repo')] });
+			write('theirs', {
+				...base.master,
+				tasks: [task(1, 'Set up repo'), task(2, 'Add CI', { status: 'done' })]
+			});
+
+			const result = run('.taskmaster/tasks/tags/feature%2Fapi.json');
+
+			// Deleted on our side, changed on theirs: their version is kept
+			expect(JSON.parse(fs.readFileSync(files.ours, 'utf8')).tasks).toEqual([
+				task(1, 'Set up repo'),
+				task(2, 'Add CI', { status: 'done' })
+			]);
+			expect(result.conflicts).toEqual([
+				expect.objectContaining({
+					tag: 'feature/api',
+					id: 'Task 2',
+					type: 'deleted-by-us'
+				})
+			]);
+			expect(result.reportPath).toBe(reportPath());
+			const report = JSON.parse(fs.readFileSync(reportPath(), 'utf8'));
+			expect(
+				report.files['.taskmaster/tasks/tags/feature%2Fapi.json'].conflicts
+			).toHaveLength(1);
+
+			// A clean merge of the same file clears its entry
+			write('ours', base.master);
+			write('theirs', base.master);
+			expect(run('.taskmaster/tasks/tags/feature%2Fapi.json').reportPath).toBe(
+				null
+			);
+			expect(fs.existsSync(reportPath())).toBe(false);
+		});
+
+		it('should take the tag name from files in a custom tag directory', () => {
+			writeManifest('by-tag');
+			write('base', null);
+			write('ours', tagged([task(1, 'Set up repo')]).master);
+			write('theirs', tagged([task(1, 'Write docs')]).master);
+
+			const result = run('.taskmaster/tasks/by-tag/feature%2Fapi.json');
+
+			expect(result.renumbered).toEqual([
+				{ tag: 'feature/api', from: 'Task 1', to: 'Task 2' }
+			]);
+		});
+
+		it('should merge versions without a common ancestor', () => {
+			write('base', null);
+			write('ours', tagged([task(1, 'Set up repo')]));
+			write('theirs', tagged([task(1, 'Write docs')]));
+
+			const result = run('.taskmaster/tasks/tasks.json');
+
+			expect(result.conflicts).toEqual([]);
+			expect(
+				JSON.parse(fs.readFileSync(files.ours, 'utf8')).master.tasks.map(
+					(t) => `${t.id} ${t.title}`
+				)
+			).toEqual(['1 Set up repo', '2 Write docs']);
+		});
+
+		it('should route the tag files from the manifest directory on install', () => {
+			execFileSync('git', ['init', '-q'], { cwd: projectRoot });
+			writeManifest('by-tag');
+
+			const { attributes } = installMergeDriver(projectRoot);
+
+			expect(attributes).toEqual([
+				'.taskmaster/tasks/tasks.json merge=taskmaster',
+				'.taskmaster/tasks/by-tag/*.json merge=taskmaster'
+			]);
+			expect(
+				fs.readFileSync(path.join(projectRoot, '.gitattributes'), 'utf8')
+			).toBe(`${attributes.join('\n')}\n`);
+
+			writeManifest('../../../shared-tags');
+			expect(() => installMergeDriver(projectRoot)).toThrow(
+				'Tag directory "../../../shared-tags" is outside the project'
+			);
+		});
+	});
+});
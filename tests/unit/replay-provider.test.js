@@ -0,0 +1,160 @@
+/**
+ * Tests for the record/replay AI provider
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+jest.unstable_mockModule('../../scripts/modules/index.js', () => ({
+	log: jest.fn()
+}));
+
+const { ReplayAIProvider } = await import('../../src/ai-providers/replay.js');
+
+describe('ReplayAIProvider', () => {
+	let fixturesDir;
+	let provider;
+	let upstreamProvider;
+
+	const messages = [
+		{ role: 'system', content: 'You are a planner' },
+		{ role: 'user', content: 'Break down the PRD' }
+	];
+
+	const callParams = (overrides = {}) => ({
+		modelId: 'anthropic/claude-test',
+		messages,
+		fixturesDir,
+		replayMode: 'auto',
+		upstream: {
+			provider: upstreamProvider,
+			providerName: 'anthropic',
+			modelId: 'claude-test',
+			apiKey: 'sk-test'
+		},
+		...overrides
+	});
+
+	beforeEach(() => {
+		fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-fixtures-'));
+		provider = new ReplayAIProvider();
+		upstreamProvider = {
+			generateText: jest.fn().mockResolvedValue({
+				text: 'Recorded text',
+				usage: { inputTokens: 12, outputTokens: 34, totalTokens: 46 }
+			}),
+			generateObject: jest.fn().mockResolvedValue({
+				object: { tasks: [{ id: 1, title: 'Recorded task' }] },
+				usage: { inputTokens: 5, outputTokens: 6, totalTokens: 11 }
+			}),
+			streamText: jest.fn().mockResolvedValue({
+				text: Promise.resolve('Streamed text'),
+				usage: Promise.resolve({
+					promptTokens: 1,
+					completionTokens: 2,
+					totalTokens: 3
+				})
+			})
+		};
+	});
+
+	afterEach(() => {
+		fs.rmSync(fixturesDir, { recursive: true, force: true });
+	});
+
+	it('should record a missing fixture and replay it without calling upstream', async () => {
+		const recorded = await provider.generateText(callParams());
+
+		expect(upstreamProvider.generateText).toHaveBeenCalledWith(
+			expect.objectContaining({
+				modelId: 'claude-test',
+				apiKey: 'sk-test',
+				messages
+			})
+		);
+
+		const key = provider.getFixtureKey('generateText', { messages });
+		const fixture = JSON.parse(
+			fs.readFileSync(path.join(fixturesDir, `${key}.json`), 'utf8')
+		);
+		expect(fixture).toMatchObject({
+			key,
+			method: 'generateText',
+			recordedWith: 'anthropic/claude-test',
+			messages,
+			response: recorded
+		});
+
+		const replayed = await provider.generateText(
+			callParams({ replayMode: 'replay', upstream: null })
+		);
+		expect(replayed).toEqual(recorded);
+		expect(upstreamProvider.generateText).toHaveBeenCalledTimes(1);
+	});
+
+	it('should fail in replay mode when no fixture is recorded', async () => {
+		await expect(
+			provider.generateText(callParams({ replayMode: 'replay' }))
+		).rejects.toThrow('No recorded generateText fixture');
+		expect(upstreamProvider.generateText).not.toHaveBeenCalled();
+	});
+
+	it('should re-record existing fixtures in record mode', async () => {
+		await provider.generateText(callParams());
+		upstreamProvider.generateText.mockResolvedValue({
+			text: 'Newer text',
+			usage: { inputTokens: 1, outputTokens: 1, totalTokens: 2 }
+		});
+
+		await provider.generateText(callParams({ replayMode: 'record' }));
+		const replayed = await provider.generateText(
+			callParams({ replayMode: 'replay' })
+		);
+
+		expect(replayed.text).toBe('Newer text');
+	});
+
+	it('should key objects by object name and replay them', async () => {
+		const params = callParams({ objectName: 'tasks_data' });
+		const recorded = await provider.generateObject(params);
+		const replayed = await provider.generateObject({
+			...params,
+			replayMode: 'replay'
+		});
+
+		expect(replayed).toEqual(recorded);
+		expect(replayed.object.tasks[0].title).toBe('Recorded task');
+		expect(provider.getFixtureKey('generateObject', params)).not.toBe(
+			provider.getFixtureKey('generateObject', {
+				...params,
+				objectName: 'other'
+			})
+		);
+	});
+
+	it('should replay streamed text as a stream', async () => {
+		await provider.streamText(callParams());
+		const stream = await provider.streamText(
+			callParams({ replayMode: 'replay' })
+		);
+
+		const chunks = [];
+		for await (const chunk of stream.textStream) {
+			chunks.push(chunk);
+		}
+		expect(chunks.join('')).toBe('Streamed text');
+		expect(await stream.usage).toEqual({
+			promptTokens: 1,
+			completionTokens: 2,
+			totalTokens: 3
+		});
+	});
+
+	it('should require an upstream model to record from', async () => {
+		await expect(
+			provider.generateText(callParams({ upstream: null }))
+		).rejects.toThrow('set the model ID to "<provider>/<model>"');
+	});
+});
@@ -87,6 +87,9 @@ jest.unstable_mockModule(
 		writeConfig: jest.fn(() => true),
 		ConfigurationError: class extends Error {},
 		isConfigFilePresent: jest.fn(() => true),
+		getCodeIndexSettings: jest.fn(() => ({ enabled: false })),
+		getContextBudgetSettings: jest.fn(() => ({ enabled: false })),
+		getContextWindowForRole: jest.fn(() => 200000),
 
 		// Validation
 		validateProvider: jest.fn(() => true),
@@ -0,0 +1,202 @@
+/**
+ * Tests for dead letter queue management
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+	listDeadLetterEvents,
+	showDeadLetterEvent,
+	retryDeadLetterEvents,
+	purgeDeadLetterEvents
+} from '../../../../../scripts/modules/task-manager/dead-letter-management.js';
+import { QueueStore } from '../../../../../scripts/modules/events/queue-store.js';
+import { BaseIntegrationHandler } from '../../../../../scripts/modules/events/base-integration-handler.js';
+import {
+	initializeEventSystem,
+	registerIntegration,
+	resetEventSystem
+} from '../../../../../scripts/modules/events/index.js';
+
+class RecordingIntegration extends BaseIntegrationHandler {
+	constructor() {
+		super('recording', '1.0.0');
+		this.handled = [];
+		this.failWith = null;
+	}
+
+	async _performInitialization() {}
+
+	async handleTaskStatusChanged(payload) {
+		if (this.failWith) {
+			return { action: 'error', error: this.failWith };
+		}
+		this.handled.push(payload.taskId);
+		return { action: 'updated' };
+	}
+}
+
+const mcpLog = {
+	info: () => {},
+	warn: () => {},
+	error: () => {},
+	debug: () => {},
+	success: () => {}
+};
+
+describe('dead letter management', () => {
+	let projectRoot;
+
+	const addEntry = async (id, overrides = {}) => {
+		const store = new QueueStore({ projectRoot });
+		await store.addDeadLetter({
+			id,
+			data: {
+				eventType: 'task:status:changed',
+				integration: 'recording',
+				payload: { taskId: id.replace(/\D/g, '') || '1', tag: 'master' }
+			},
+			options: { integration: 'recording' },
+			queuedAt: Date.now(),
+			attempts: 1,
+			errors: [{ error: `failed ${id}`, timestamp: Date.now(), attempt: 1 }],
+			...overrides
+		});
+		await store.close();
+	};
+
+	const remainingIds = () => {
+		const store = new QueueStore({ projectRoot });
+		const ids = store.getDeadLetterEntries().map((entry) => entry.id);
+		store.close();
+		return ids;
+	};
+
+	beforeEach(() => {
+		projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'dlq-mgmt-'));
+	});
+
+	afterEach(async () => {
+		await resetEventSystem();
+		fs.rmSync(projectRoot, { recursive: true, force: true });
+	});
+
+	test('listDeadLetterEvents should summarize and filter entries', async () => {
+		await addEntry('dlq_1');
+		await addEntry('dlq_2', {
+			data: { eventType: 'task:created', integration: 'other', payload: {} }
+		});
+
+		const all = await listDeadLetterEvents(projectRoot, {}, { mcpLog }, 'json');
+		expect(all.total).toBe(2);
+
+		const filtered = await listDeadLetterEvents(
+			projectRoot,
+			{ integration: 'recording' },
+			{ mcpLog },
+			'json'
+		);
+		expect(filtered.events).toEqual([
+			expect.objectContaining({
+				id: 'dlq_1',
+				eventType: 'task:status:changed',
+				taskId: '1',
+				attempts: 1,
+				lastError: 'failed dlq_1'
+			})
+		]);
+	});
+
+	test('showDeadLetterEvent should resolve unique ID prefixes', async () => {
+		await addEntry('dlq_abc');
+		await addEntry('dlq_abd');
+
+		const { event } = await showDeadLetterEvent(
+			projectRoot,
+			'dlq_abc',
+			{ mcpLog },
+			'json'
+		);
+		expect(event.payload).toEqual({ taskId: '1', tag: 'master' });
+
+		await expect(
+			showDeadLetterEvent(projectRoot, 'dlq_ab', { mcpLog }, 'json')
+		).rejects.toThrow('ambiguous');
+		await expect(
+			showDeadLetterEvent(projectRoot, 'missing', { mcpLog }, 'json')
+		).rejects.toThrow('not found');
+	});
+
+	test('retryDeadLetterEvents should remove delivered events and keep failures', async () => {
+		const integration = new RecordingIntegration();
+		registerIntegration(integration);
+		await initializeEventSystem();
+
+		await addEntry('dlq_1');
+		let result = await retryDeadLetterEvents(
+			projectRoot,
+			null,
+			{ mcpLog },
+			'json'
+		);
+		expect(result.retried).toEqual(['dlq_1']);
+		expect(integration.handled).toEqual(['1']);
+		expect(remainingIds()).toEqual([]);
+
+		integration.failWith = 'still unauthorized';
+		await addEntry('dlq_2');
+		result = await retryDeadLetterEvents(
+			projectRoot,
+			['dlq_2'],
+			{ mcpLog },
+			'json'
+		);
+		expect(result.failed).toEqual([
+			{ id: 'dlq_2', error: 'still unauthorized' }
+		]);
+
+		const store = new QueueStore({ projectRoot });
+		const [entry] = store.getDeadLetterEntries();
+		expect(entry.attempts).toBe(2);
+		expect(entry.errors.map((err) => err.error)).toEqual([
+			'failed dlq_2',
+			'still unauthorized'
+		]);
+		await store.close();
+	});
+
+	test('retryDeadLetterEvents should keep entries without an integration', async () => {
+		await addEntry('dlq_1', {
+			data: { eventType: 'task:created', payload: {} }
+		});
+
+		const result = await retryDeadLetterEvents(
+			projectRoot,
+			null,
+			{ mcpLog },
+			'json'
+		);
+
+		expect(result.notRetryable).toEqual(['dlq_1']);
+		expect(result.retried).toEqual([]);
+		expect(remainingIds()).toEqual(['dlq_1']);
+	});
+
+	test('purgeDeadLetterEvents should delete the selected entries', async () => {
+		await addEntry('dlq_1');
+		await addEntry('dlq_2');
+
+		const { purged } = await purgeDeadLetterEvents(
+			projectRoot,
+			['dlq_1'],
+			{ mcpLog },
+			'json'
+		);
+		expect(purged).toEqual(['dlq_1']);
+		expect(remainingIds()).toEqual(['dlq_2']);
+
+		await purgeDeadLetterEvents(projectRoot, null, { mcpLog }, 'json');
+		expect(remainingIds()).toEqual([]);
+	});
+});
@@ -83,6 +83,22 @@ jest.unstable_mockModule('fs', () => ({
 	writeFileSync: jest.fn()
 }));
 
+jest.unstable_mockModule(
+	'../../../../../scripts/modules/utils/fileStorage.js',
+	() => ({
+		StorageError: class StorageError extends Error {},
+		withFileLockSync: jest.fn((filePath, fn) => fn()),
+		writeFileAtomicSync: jest.fn()
+	})
+);
+
+jest.unstable_mockModule(
+	'../../../../../scripts/modules/utils/changeJournal.js',
+	() => ({
+		recordTaskChanges: jest.fn(() => [])
+	})
+);
+
 // Mock path module
 jest.unstable_mockModule('path', () => ({
 	default: {
@@ -108,6 +124,9 @@ const generateTaskFiles = (
 ).default;
 
 const fs = await import('fs');
+const { writeFileAtomicSync } = await import(
+	'../../../../../scripts/modules/utils/fileStorage.js'
+);
 const path = await import('path');
 
 // Import the module under test
@@ -219,8 +238,8 @@ describe('parsePRD', () => {
 		// Verify directory check
 		expect(fs.default.existsSync).toHaveBeenCalledWith('tasks');
 
-		// Verify fs.writeFileSync was called with the correct arguments in tagged format
-		expect(fs.default.writeFileSync).toHaveBeenCalledWith(
+		// Verify the tasks file was written atomically in tagged format
+		expect(writeFileAtomicSync).toHaveBeenCalledWith(
 			'tasks/tasks.json',
 			expect.stringContaining('"master"')
 		);
@@ -233,7 +252,7 @@ describe('parsePRD', () => {
 		});
 
 		// Verify that the written data contains 2 tasks from sampleClaudeResponse in the correct tag
-		const writtenDataString = fs.default.writeFileSync.mock.calls[0][1];
+		const writtenDataString = writeFileAtomicSync.mock.calls[0][1];
 		const writtenData = JSON.parse(writtenDataString);
 		expect(writtenData.master.tasks.length).toBe(2);
 	});
@@ -282,6 +301,32 @@ describe('parsePRD', () => {
 		).rejects.toThrow('Test error in AI API call');
 	});
 
+	test('should not write tasks when the signal is aborted during the AI call', async () => {
+		const controller = new AbortController();
+		generateObjectService.mockImplementationOnce(async () => {
+			controller.abort();
+			return {
+				mainResult: { object: sampleClaudeResponse },
+				telemetryData: {}
+			};
+		});
+		fs.default.existsSync.mockImplementation((p) => p === 'tasks');
+
+		await expect(
+			parsePRD('path/to/prd.txt', 'tasks/tasks.json', 3, {
+				signal: controller.signal,
+				mcpLog: {
+					info: jest.fn(),
+					warn: jest.fn(),
+					error: jest.fn(),
+					debug: jest.fn(),
+					success: jest.fn()
+				}
+			})
+		).rejects.toThrow('aborted');
+		expect(writeFileAtomicSync).not.toHaveBeenCalled();
+	});
+
 	test('should generate individual task files after creating tasks.json', async () => {
 		// Setup mocks to simulate normal conditions (no existing output file)
 		fs.default.existsSync.mockImplementation((p) => {
@@ -309,7 +354,7 @@ describe('parsePRD', () => {
 		expect(promptYesNo).not.toHaveBeenCalled();
 
 		// Verify the file was written after force overwrite
-		expect(fs.default.writeFileSync).toHaveBeenCalledWith(
+		expect(writeFileAtomicSync).toHaveBeenCalledWith(
 			'tasks/tasks.json',
 			expect.stringContaining('"master"')
 		);
@@ -342,7 +387,7 @@ describe('parsePRD', () => {
 		expect(promptYesNo).not.toHaveBeenCalled();
 
 		// Verify the file was NOT written
-		expect(fs.default.writeFileSync).not.toHaveBeenCalled();
+		expect(writeFileAtomicSync).not.toHaveBeenCalled();
 	});
 
 	test('should call process.exit when tasks in tag exist without force flag in CLI mode', async () => {
@@ -368,7 +413,7 @@ describe('parsePRD', () => {
 		expect(mockProcessExit).toHaveBeenCalledWith(1);
 
 		// Verify the file was NOT written
-		expect(fs.default.writeFileSync).not.toHaveBeenCalled();
+		expect(writeFileAtomicSync).not.toHaveBeenCalled();
 
 		// Restore the mock
 		mockProcessExit.mockRestore();
@@ -400,7 +445,7 @@ describe('parsePRD', () => {
 		expect(promptYesNo).not.toHaveBeenCalled();
 
 		// Verify the file was written with merged tasks in the correct tag
-		expect(fs.default.writeFileSync).toHaveBeenCalledWith(
+		expect(writeFileAtomicSync).toHaveBeenCalledWith(
 			'tasks/tasks.json',
 			expect.stringContaining('"master"')
 		);
@@ -413,7 +458,7 @@ describe('parsePRD', () => {
 		});
 
 		// Verify that the written data contains 4 tasks (2 existing + 2 new)
-		const writtenDataString = fs.default.writeFileSync.mock.calls[0][1];
+		const writtenDataString = writeFileAtomicSync.mock.calls[0][1];
 		const writtenData = JSON.parse(writtenDataString);
 		expect(writtenData.master.tasks.length).toBe(4);
 	});
@@ -44,7 +44,11 @@ jest.unstable_mockModule('../../../../../scripts/modules/ui.js', () => ({
 jest.unstable_mockModule(
 	'../../../../../scripts/modules/config-manager.js',
 	() => ({
-		getDebugFlag: jest.fn(() => false)
+		getDebugFlag: jest.fn(() => false),
+		getCodeIndexSettings: jest.fn(() => ({ enabled: false })),
+		getContextBudgetSettings: jest.fn(() => ({ enabled: false })),
+		getContextWindowForRole: jest.fn(() => 200000),
+		getParametersForRole: jest.fn(() => ({ maxTokens: 64000 }))
 	})
 );
 
@@ -0,0 +1,146 @@
+/**
+ * Tests for the pluggable tasks storage backends
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+	STORAGE_MANIFEST_KEY,
+	convertTaskStorage,
+	getTaskStorage,
+	readTaskFile,
+	registerTaskStorageBackend
+} from '../../scripts/modules/utils/taskStorage.js';
+import { readJSON, writeJSON } from '../../scripts/modules/utils.js';
+
+describe('task storage', () => {
+	let projectRoot;
+	let tasksPath;
+	let tagsDir;
+
+	const task = (id, title) => ({
+		id,
+		title,
+		description: '',
+		status: 'pending',
+		dependencies: []
+	});
+
+	const tagged = {
+		master: {
+			tasks: [task(1, 'Set up repo')],
+			metadata: { created: '2025-01-01T00:00:00.000Z' }
+		},
+		'feature/api': {
+			tasks: [task(1, 'Design API')],
+			metadata: { created: '2025-01-01T00:00:00.000Z' }
+		}
+	};
+
+	const readRaw = (filePath) => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+	beforeEach(() => {
+		projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-task-storage-'));
+		fs.mkdirSync(path.join(projectRoot, '.taskmaster', 'tasks'), {
+			recursive: true
+		});
+		fs.writeFileSync(
+			path.join(projectRoot, '.taskmaster', 'config.json'),
+			JSON.stringify({ global: {} })
+		);
+		tasksPath = path.join(projectRoot, '.taskmaster', 'tasks', 'tasks.json');
+		tagsDir = path.join(projectRoot, '.taskmaster', 'tasks', 'tags');
+		fs.writeFileSync(tasksPath, JSON.stringify(tagged, null, 2));
+	});
+
+	afterEach(() => {
+		fs.rmSync(projectRoot, { recursive: true, force: true });
+	});
+
+	it('should convert a single tasks file to one file per tag and back', () => {
+		expect(getTaskStorage(tasksPath).type).toBe('file');
+
+		expect(convertTaskStorage(tasksPath, 'directory')).toEqual({
+			from: 'file',
+			to: 'directory',
+			tags: 2,
+			changed: true
+		});
+		expect(readRaw(tasksPath)).toEqual({
+			[STORAGE_MANIFEST_KEY]: { type: 'directory', dir: 'tags' }
+		});
+		expect(fs.readdirSync(tagsDir).sort()).toEqual([
+			'feature%2Fapi.json',
+			'master.json'
+		]);
+		expect(readRaw(path.join(tagsDir, 'master.json'))).toEqual(tagged.master);
+		expect(readTaskFile(tasksPath)).toEqual(tagged);
+
+		expect(convertTaskStorage(tasksPath, 'directory').changed).toBe(false);
+		convertTaskStorage(tasksPath, 'file');
+		expect(readRaw(tasksPath)).toEqual(tagged);
+		expect(fs.existsSync(tagsDir)).toBe(false);
+	});
+
+	it('should read and write tags through the directory backend', () => {
+		convertTaskStorage(tasksPath, 'directory');
+		const featureFile = path.join(tagsDir, 'feature%2Fapi.json');
+		const featureContent = fs.readFileSync(featureFile, 'utf8');
+
+		const data = readJSON(tasksPath, projectRoot, 'master');
+		expect(data.tasks.map((t) => t.title)).toEqual(['Set up repo']);
+		data.tasks.push(task(2, 'Add CI'));
+		const readFileSync = jest.spyOn(fs, 'readFileSync');
+		try {
+			writeJSON(tasksPath, data, projectRoot, 'master');
+			// Only the changed tag is read back for the merge
+			expect(readFileSync).not.toHaveBeenCalledWith(featureFile, 'utf8');
+		} finally {
+			readFileSync.mockRestore();
+		}
+
+		expect(readRaw(path.join(tagsDir, 'master.json')).tasks).toHaveLength(2);
+		// Only the changed tag is rewritten
+		expect(fs.readFileSync(featureFile, 'utf8')).toBe(featureContent);
+		expect(readRaw(tasksPath)).toEqual({
+			[STORAGE_MANIFEST_KEY]: { type: 'directory', dir: 'tags' }
+		});
+		expect(readJSON(tasksPath, projectRoot, 'master').tasks).toHaveLength(2);
+	});
+
+	it('should delete the file of a removed tag', () => {
+		convertTaskStorage(tasksPath, 'directory');
+		const data = readJSON(tasksPath, projectRoot, 'master');
+		const { 'feature/api': _removed, ...remaining } = data._rawTaggedData;
+
+		writeJSON(tasksPath, remaining);
+
+		expect(fs.readdirSync(tagsDir)).toEqual(['master.json']);
+		expect(Object.keys(readTaskFile(tasksPath))).toEqual(['master']);
+	});
+
+	it('should use registered backends and reject unknown ones', () => {
+		const stored = {};
+		registerTaskStorageBackend('memory', (filePath) => ({
+			type: 'memory',
+			read: () => stored.data,
+			write: (data) => {
+				stored.data = data;
+				fs.writeFileSync(
+					filePath,
+					JSON.stringify({ [STORAGE_MANIFEST_KEY]: { type: 'memory' } })
+				);
+			},
+			remove: () => {}
+		}));
+
+		convertTaskStorage(tasksPath, 'memory');
+		expect(readTaskFile(tasksPath)).toEqual(tagged);
+
+		expect(() => convertTaskStorage(tasksPath, 'sqlite')).toThrow(
+			expect.objectContaining({ code: 'UNKNOWN_BACKEND' })
+		);
+	});
+});